@@ -0,0 +1,146 @@
+import { getDatabase, INTEGRATION_OWNED_TABLES } from './database.js';
+import { JiraAuthService } from './auth-service.js';
+import { unregisterWebhooks } from './webhooks.js';
+import { decryptIntegration } from './token-crypto.js';
+
+export const UNLINK_MODES = ['delete', 'archive'];
+
+let authService = null;
+
+/**
+ * Unlink an integration from its Atlassian account
+ * Unregisters webhooks and revokes the refresh token, then in one transaction either deletes
+ * the integration with all of its synced data ('delete') or keeps the data but drops the
+ * tokens and deactivates the integration ('archive'). A dry run only reports what would change.
+ */
+export async function unlinkIntegration(integrationId, { mode = 'delete', dryRun = false, actor = null } = {}) {
+  if (!UNLINK_MODES.includes(mode)) {
+    throw unlinkError(400, `Unknown unlink mode: ${mode}`);
+  }
+
+  const db = await getDatabase();
+  const integration = decryptIntegration(await db.get('SELECT * FROM integrations WHERE id = ?', [integrationId]));
+  if (!integration) {
+    throw unlinkError(404, 'Integration not found');
+  }
+
+  const activeJob = await db.get(
+    "SELECT job_id FROM sync_runs WHERE integration_id = ? AND status IN ('queued', 'running') LIMIT 1",
+    [integrationId]
+  );
+  if (activeJob) {
+    throw unlinkError(409, `Sync job ${activeJob.job_id} is still active - cancel it before unlinking`);
+  }
+
+  const rows = {};
+  for (const table of INTEGRATION_OWNED_TABLES) {
+    const { count } = await db.get(`SELECT COUNT(*) as count FROM ${table} WHERE integration_id = ?`, [integrationId]);
+    if (count > 0) rows[table] = count;
+  }
+
+  const report = {
+    integrationId: integration.id,
+    accountName: integration.account_name,
+    mode,
+    dryRun,
+    webhooks: rows.jira_webhooks || 0,
+    revokeToken: Boolean(integration.refresh_token),
+    // Archived integrations keep their synced data
+    rows: mode === 'delete' ? rows : {}
+  };
+
+  if (dryRun) {
+    return report;
+  }
+
+  console.log(`🔌 Unlinking integration ${integration.id} (${mode})...`);
+  const warnings = [];
+
+  // Remote clean-up is best effort; the local unlink goes ahead either way
+  if (report.webhooks > 0) {
+    try {
+      await unregisterWebhooks(integration.id);
+    } catch (error) {
+      warnings.push(`Webhooks could not be unregistered: ${error.message}`);
+    }
+  }
+
+  report.tokenRevoked = false;
+  if (integration.refresh_token) {
+    try {
+      authService = authService || new JiraAuthService();
+      await authService.revokeRefreshToken(integration.refresh_token);
+      report.tokenRevoked = true;
+    } catch (error) {
+      warnings.push(error.message);
+    }
+  }
+
+  const now = new Date().toISOString();
+  await db.exec('BEGIN');
+  try {
+    if (mode === 'delete') {
+      for (const table of INTEGRATION_OWNED_TABLES) {
+        await db.run(`DELETE FROM ${table} WHERE integration_id = ?`, [integration.id]);
+      }
+      await db.run('DELETE FROM integrations WHERE id = ?', [integration.id]);
+    } else {
+      await db.run('DELETE FROM jira_webhooks WHERE integration_id = ?', [integration.id]);
+      await db.run(`
+        UPDATE integrations
+        SET access_token = NULL, refresh_token = NULL, is_active = 0, is_primary = 0,
+            unlinked_at = ?, updated_at = ?
+        WHERE id = ?
+      `, [now, now, integration.id]);
+    }
+
+    // Another active account takes over as primary
+    if (integration.is_primary) {
+      await db.run(`
+        UPDATE integrations SET is_primary = 1
+        WHERE id = (SELECT id FROM integrations WHERE is_active = 1 ORDER BY created_at ASC, id ASC LIMIT 1)
+      `);
+    }
+
+    await db.run(`
+      INSERT INTO integration_audit_log (integration_id, action, actor, details, created_at)
+      VALUES (?, ?, ?, ?, ?)
+    `, [
+      integration.id,
+      `unlink:${mode}`,
+      actor,
+      JSON.stringify({ ...report, warnings }),
+      now
+    ]);
+
+    await db.exec('COMMIT');
+  } catch (error) {
+    await db.exec('ROLLBACK');
+    throw error;
+  }
+
+  for (const warning of warnings) {
+    console.warn(`⚠️ ${warning}`);
+  }
+  console.log(`✅ Integration ${integration.id} unlinked`);
+
+  return { ...report, warnings };
+}
+
+/**
+ * List audit log entries, newest first, optionally for one integration
+ */
+export async function listAuditLog(integrationId = null, limit = 50) {
+  const db = await getDatabase();
+  const entries = integrationId
+    ? await db.all('SELECT * FROM integration_audit_log WHERE integration_id = ? ORDER BY id DESC LIMIT ?', [integrationId, limit])
+    : await db.all('SELECT * FROM integration_audit_log ORDER BY id DESC LIMIT ?', [limit]);
+
+  return entries.map(entry => ({ ...entry, details: JSON.parse(entry.details || '{}') }));
+}
+
+function unlinkError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
@@ -0,0 +1,231 @@
+import crypto from 'crypto';
+import { getDatabase } from './database.js';
+
+// Roles in increasing order of privilege; every role can do everything the ones before it can
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+const API_KEY_PREFIX = 'jsk_';
+const SESSION_COOKIE = 'jira_sync_key';
+
+/**
+ * Create an API user with a new API key
+ * The key is only returned here; the database keeps its SHA-256 hash.
+ */
+export async function createApiUser(username, role = 'viewer') {
+  if (!username) {
+    throw authError(400, 'username is required');
+  }
+  assertRole(role);
+
+  const db = await getDatabase();
+  if (await db.get('SELECT id FROM api_users WHERE username = ?', [username])) {
+    throw authError(409, `User ${username} already exists`);
+  }
+
+  const apiKey = generateApiKey();
+  const now = new Date().toISOString();
+  const result = await db.run(`
+    INSERT INTO api_users (username, role, api_key_hash, api_key_prefix, is_active, created_at, updated_at)
+    VALUES (?, ?, ?, ?, 1, ?, ?)
+  `, [username, role, hashApiKey(apiKey), apiKey.slice(0, 12), now, now]);
+
+  console.log(`👤 Created ${role} user ${username}`);
+  return { user: await getApiUser(result.lastID), apiKey };
+}
+
+/**
+ * Get an API user by id, without the key hash
+ */
+export async function getApiUser(userId) {
+  const db = await getDatabase();
+  const user = await db.get('SELECT * FROM api_users WHERE id = ?', [userId]);
+  return user ? formatUser(user) : null;
+}
+
+/**
+ * List all API users, without their key hashes
+ */
+export async function listApiUsers() {
+  const db = await getDatabase();
+  const users = await db.all('SELECT * FROM api_users ORDER BY id ASC');
+  return users.map(formatUser);
+}
+
+/**
+ * Change the role of an API user or enable / disable it
+ */
+export async function updateApiUser(userId, { role, isActive } = {}) {
+  if (role !== undefined) assertRole(role);
+
+  const db = await getDatabase();
+  const user = await getApiUser(userId);
+  if (!user) {
+    throw authError(404, 'User not found');
+  }
+
+  await db.run(
+    'UPDATE api_users SET role = ?, is_active = ?, updated_at = ? WHERE id = ?',
+    [role ?? user.role, isActive === undefined ? user.is_active : (isActive ? 1 : 0), new Date().toISOString(), userId]
+  );
+  return await getApiUser(userId);
+}
+
+/**
+ * Replace the API key of a user; the old key stops working immediately
+ */
+export async function rotateApiKey(userId) {
+  const db = await getDatabase();
+  if (!await getApiUser(userId)) {
+    throw authError(404, 'User not found');
+  }
+
+  const apiKey = generateApiKey();
+  await db.run(
+    'UPDATE api_users SET api_key_hash = ?, api_key_prefix = ?, updated_at = ? WHERE id = ?',
+    [hashApiKey(apiKey), apiKey.slice(0, 12), new Date().toISOString(), userId]
+  );
+  return { user: await getApiUser(userId), apiKey };
+}
+
+/**
+ * Find the active user an API key belongs to
+ */
+export async function findUserByApiKey(apiKey) {
+  if (!apiKey || !apiKey.startsWith(API_KEY_PREFIX)) return null;
+
+  const db = await getDatabase();
+  const user = await db.get(
+    'SELECT * FROM api_users WHERE api_key_hash = ? AND is_active = 1',
+    [hashApiKey(apiKey)]
+  );
+  if (!user) return null;
+
+  await db.run('UPDATE api_users SET last_used_at = ? WHERE id = ?', [new Date().toISOString(), user.id]);
+  return formatUser(user);
+}
+
+/**
+ * Express middleware that identifies the caller
+ * The API key is read from "Authorization: Bearer", the X-API-Key header or the dashboard's
+ * session cookie. API calls without a valid key get a 401; pages redirect to /login.
+ */
+export function requireUser(options = {}) {
+  return async (req, res, next) => {
+    try {
+      req.user = await findUserByApiKey(apiKeyFrom(req));
+      if (req.user) return next();
+
+      if (options.redirect) {
+        return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+      }
+      res.status(401).json({ error: 'Authentication required - send an API key' });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Express middleware that only lets users with at least the given role through
+ */
+export function requireRole(role) {
+  assertRole(role);
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required - send an API key' });
+    }
+    if (!hasRole(req.user, role)) {
+      return res.status(403).json({ error: `This action requires the ${role} role` });
+    }
+    next();
+  };
+}
+
+/**
+ * Check whether a user has at least the given role
+ */
+export function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * Check whether a user may see an integration: admins see all, others the ones they own
+ */
+export async function canAccessIntegration(user, integrationId) {
+  if (hasRole(user, 'admin')) return true;
+
+  const db = await getDatabase();
+  const integration = await db.get(
+    'SELECT id FROM integrations WHERE id = ? AND owner_user_id = ?',
+    [integrationId, user.id]
+  );
+  return Boolean(integration);
+}
+
+/**
+ * SQL condition limiting a query to the integrations a user may see
+ * `column` is the integration id column of the queried table.
+ */
+export function integrationScope(user, column = 'integration_id') {
+  if (hasRole(user, 'admin')) {
+    return { clause: '1 = 1', params: [] };
+  }
+  const ownerFilter = column === 'id'
+    ? 'owner_user_id = ?'
+    : `${column} IN (SELECT id FROM integrations WHERE owner_user_id = ?)`;
+  return { clause: ownerFilter, params: [user.id] };
+}
+
+/**
+ * Set-Cookie header value storing an API key for the dashboard pages
+ */
+export function sessionCookie(apiKey) {
+  if (!apiKey) {
+    return `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`;
+  }
+  return `${SESSION_COOKIE}=${encodeURIComponent(apiKey)}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${7 * 24 * 60 * 60}`;
+}
+
+function apiKeyFrom(req) {
+  const authorization = req.headers.authorization || '';
+  if (/^Bearer\s+/i.test(authorization)) {
+    return authorization.replace(/^Bearer\s+/i, '').trim();
+  }
+  if (req.headers['x-api-key']) {
+    return String(req.headers['x-api-key']).trim();
+  }
+
+  for (const cookie of (req.headers.cookie || '').split(';')) {
+    const [name, ...value] = cookie.trim().split('=');
+    if (name === SESSION_COOKIE) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+  return null;
+}
+
+function generateApiKey() {
+  return `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+function assertRole(role) {
+  if (!ROLES.includes(role)) {
+    throw authError(400, `role must be one of: ${ROLES.join(', ')}`);
+  }
+}
+
+function formatUser(user) {
+  const { api_key_hash, ...rest } = user;
+  return rest;
+}
+
+function authError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
@@ -0,0 +1,72 @@
+import dotenv from 'dotenv';
+import { createApiUser, listApiUsers, updateApiUser, rotateApiKey, ROLES } from './api-auth.js';
+
+dotenv.config();
+
+/**
+ * Manage the users of the backend's own API
+ *
+ * Usage:
+ *   node api-users.js create <username> [viewer|operator|admin]
+ *     Create a user and print its API key (shown only once)
+ *   node api-users.js list
+ *   node api-users.js role <user id> <role>
+ *   node api-users.js rotate-key <user id>
+ *     Print a new API key; the old one stops working
+ *   node api-users.js disable <user id>
+ *   node api-users.js enable <user id>
+ */
+async function apiUsers() {
+  const [command, ...args] = process.argv.slice(2);
+
+  try {
+    switch (command) {
+      case 'create': {
+        const { user, apiKey } = await createApiUser(args[0], args[1] || 'viewer');
+        console.log(`✅ Created ${user.role} user ${user.username} (id ${user.id})`);
+        console.log(`🔑 API key: ${apiKey}`);
+        console.log('ℹ️ Store it now - it cannot be shown again');
+        break;
+      }
+      case 'list': {
+        const users = await listApiUsers();
+        if (users.length === 0) {
+          console.log('❌ No users - create one with: node api-users.js create <username> admin');
+        }
+        for (const user of users) {
+          console.log(`  - ID: ${user.id}, ${user.username} (${user.role})${user.is_active ? '' : ' DISABLED'}, key ${user.api_key_prefix}..., last used: ${user.last_used_at || 'never'}`);
+        }
+        break;
+      }
+      case 'role': {
+        const user = await updateApiUser(parseInt(args[0]), { role: args[1] });
+        console.log(`✅ ${user.username} is now ${user.role}`);
+        break;
+      }
+      case 'rotate-key': {
+        const { user, apiKey } = await rotateApiKey(parseInt(args[0]));
+        console.log(`✅ New API key for ${user.username}: ${apiKey}`);
+        break;
+      }
+      case 'disable':
+      case 'enable': {
+        const user = await updateApiUser(parseInt(args[0]), { isActive: command === 'enable' });
+        console.log(`✅ ${user.username} ${user.is_active ? 'enabled' : 'disabled'}`);
+        break;
+      }
+      default:
+        console.log('Usage: node api-users.js <create|list|role|rotate-key|disable|enable> [...]');
+        console.log(`  create <username> [${ROLES.join('|')}]`);
+        console.log('  list');
+        console.log('  role <user id> <role>');
+        console.log('  rotate-key <user id>');
+        console.log('  disable <user id> / enable <user id>');
+        process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ User command failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+apiUsers();
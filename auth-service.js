@@ -1,5 +1,6 @@
-import puppeteer from 'puppeteer';
 import { getDatabase } from './database.js';
+import { encryptToken, decryptIntegration } from './token-crypto.js';
+import { createPendingAuthorization, consumePendingAuthorization } from './oauth-state.js';
 
 export class JiraAuthService {
   constructor() {
@@ -17,8 +18,9 @@ export class JiraAuthService {
 
   /**
    * Generate OAuth URL for Jira authentication
+   * With a code challenge the authorization is bound to its PKCE verifier.
    */
-  generateOAuthUrl(state) {
+  generateOAuthUrl(state, codeChallenge = null) {
     const params = new URLSearchParams({
       audience: 'api.atlassian.com',
       client_id: this.clientId,
@@ -30,6 +32,7 @@ export class JiraAuthService {
         'manage:jira-configuration',
         'manage:jira-project',
         'read:jira-work',
+        'read:me',
         'offline_access'
       ].join(' '),
       redirect_uri: this.redirectUri,
@@ -38,86 +41,72 @@ export class JiraAuthService {
       prompt: 'consent'
     });
 
+    if (codeChallenge) {
+      params.set('code_challenge', codeChallenge);
+      params.set('code_challenge_method', 'S256');
+    }
+
     return `https://auth.atlassian.com/authorize?${params.toString()}`;
   }
 
   /**
-   * Automate OAuth flow using Puppeteer
+   * Start an authorization code flow
+   * The state and PKCE verifier stay server-side; returns the Atlassian consent URL.
    */
-  async automateOAuthFlow(projectId = 'demo-project') {
-    console.log('🚀 Starting automated Jira OAuth flow...');
-    
-    const state = `auto-auth-${Date.now()}`;
-    const authUrl = this.generateOAuthUrl(state);
-    
-    console.log('🔗 Generated OAuth URL:', authUrl);
-    
-    // Launch browser
-    const browser = await puppeteer.launch({ 
-      headless: false, // Set to true for production
-      args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
-    
+  async startAuthorization(projectId, accountInfo = {}) {
+    const { state, codeChallenge } = await createPendingAuthorization(projectId, accountInfo);
+    return { state, authUrl: this.generateOAuthUrl(state, codeChallenge) };
+  }
+
+  /**
+   * Finish an authorization code flow from the callback's query parameters
+   * Checks the state, exchanges the code and stores the integration; returns its id.
+   */
+  async completeAuthorization({ code, state, error, error_description: errorDescription }) {
+    const pending = await consumePendingAuthorization(state);
+    if (!pending) {
+      throw authError(400, 'Invalid or expired OAuth state - please start the sign-in again');
+    }
+
+    if (error) {
+      throw authError(400, `Authorization was not granted: ${errorDescription || error}`);
+    }
+
+    if (!code) {
+      throw authError(400, 'No authorization code provided');
+    }
+
+    console.log('🔄 Processing OAuth callback...');
+
+    // Exchange code for tokens
+    const tokens = await this.exchangeCodeForTokens(code, pending.codeVerifier);
+
+    // Identify the Atlassian account; a name given when the sign-in started is kept as the label
+    let profile = {};
     try {
-      const page = await browser.newPage();
-      
-      // Navigate to OAuth URL
-      console.log('🌐 Navigating to OAuth URL...');
-      await page.goto(authUrl, { waitUntil: 'networkidle2' });
-      
-      // Wait for user to complete OAuth (or automate if credentials provided)
-      console.log('⏳ Waiting for OAuth completion...');
-      console.log('💡 Please complete the OAuth flow in the browser window');
-      
-      // Monitor for callback URL
-      const callbackUrl = await page.waitForFunction(
-        () => window.location.href.includes('/auth/callback'),
-        { timeout: 300000 } // 5 minutes timeout
-      );
-      
-      const finalUrl = page.url();
-      console.log('✅ OAuth completed, callback URL:', finalUrl);
-      
-      // Extract authorization code
-      const urlParams = new URLSearchParams(new URL(finalUrl).search);
-      const code = urlParams.get('code');
-      const returnedState = urlParams.get('state');
-      
-      if (!code) {
-        throw new Error('No authorization code received');
-      }
-      
-      if (returnedState !== state) {
-        throw new Error('State mismatch - possible CSRF attack');
-      }
-      
-      console.log('🎯 Authorization code extracted:', code.substring(0, 20) + '...');
-      
-      // Exchange code for tokens
-      const tokens = await this.exchangeCodeForTokens(code);
-      
-      // Store tokens in database
-      const integrationId = await this.storeTokens(projectId, tokens);
-      
-      console.log('✅ Authentication completed successfully!');
-      console.log('📊 Integration ID:', integrationId);
-      
-      return { success: true, integrationId, tokens };
-      
-    } finally {
-      await browser.close();
+      profile = await this.fetchAccountProfile(tokens.accessToken);
+    } catch (profileError) {
+      console.warn('⚠️ Could not fetch the Atlassian profile, using the account details given at sign-in:', profileError.message);
     }
+
+    const accountInfo = {
+      ...profile,
+      accountName: pending.accountInfo.accountName || profile.accountName || 'New Jira Account',
+      accountEmail: profile.accountEmail || pending.accountInfo.accountEmail || 'user@example.com',
+      jiraDomain: pending.accountInfo.jiraDomain || 'your-domain.atlassian.net',
+      ownerUserId: pending.accountInfo.ownerUserId
+    };
+
+    // Store tokens in database with account info
+    return await this.storeTokens(pending.projectId, tokens, accountInfo);
   }
 
   /**
    * Exchange authorization code for access and refresh tokens
    */
-  async exchangeCodeForTokens(code) {
+  async exchangeCodeForTokens(code, codeVerifier = null) {
     console.log('🔄 Exchanging authorization code for tokens...');
-    console.log('🔍 Debug - Client ID:', this.clientId);
-    console.log('🔍 Debug - Redirect URI:', this.redirectUri);
-    console.log('🔍 Debug - Code (first 20 chars):', code.substring(0, 20) + '...');
-    
+
     const tokenRequest = {
       grant_type: 'authorization_code',
       client_id: this.clientId,
@@ -126,7 +115,9 @@ export class JiraAuthService {
       redirect_uri: this.redirectUri
     };
 
-    console.log('🔍 Debug - Request body:', new URLSearchParams(tokenRequest).toString());
+    if (codeVerifier) {
+      tokenRequest.code_verifier = codeVerifier;
+    }
 
     const response = await fetch('https://auth.atlassian.com/oauth/token', {
       method: 'POST',
@@ -136,18 +127,13 @@ export class JiraAuthService {
       body: new URLSearchParams(tokenRequest).toString()
     });
 
-    console.log('🔍 Debug - Response status:', response.status);
-    console.log('🔍 Debug - Response headers:', Object.fromEntries(response.headers.entries()));
-
     if (!response.ok) {
       const errorText = await response.text();
-      console.log('🔍 Debug - Error response:', errorText);
       throw new Error(`Token exchange failed: ${response.status} ${errorText}`);
     }
 
     const tokenData = await response.json();
     console.log('✅ Tokens received successfully');
-    console.log('🔍 Debug - Token response:', JSON.stringify(tokenData, null, 2));
     
     return {
       accessToken: tokenData.access_token,
@@ -157,27 +143,117 @@ export class JiraAuthService {
     };
   }
 
+  /**
+   * Fetch the Atlassian profile and accessible sites behind an access token
+   */
+  async fetchAccountProfile(accessToken) {
+    const get = async (url) => {
+      const response = await fetch(url, {
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'Accept': 'application/json'
+        }
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Failed to fetch ${url}: ${response.status} ${errorText}`);
+      }
+      return await response.json();
+    };
+
+    const me = await get('https://api.atlassian.com/me');
+    const resources = await get('https://api.atlassian.com/oauth/token/accessible-resources');
+
+    return {
+      atlassianAccountId: me.account_id,
+      accountName: me.name || me.nickname || null,
+      accountEmail: me.email || null,
+      avatarUrl: me.picture || null,
+      siteUrls: resources.map(resource => resource.url).filter(Boolean)
+    };
+  }
+
   /**
    * Store tokens in database
+   * Linking an Atlassian account that is already linked updates its integration instead of adding another.
    */
   async storeTokens(projectId, tokens, accountInfo = {}) {
     const db = await getDatabase();
-    
+    const siteUrls = accountInfo.siteUrls || [];
+    const jiraDomain = siteUrls.length > 0 ? new URL(siteUrls[0]).host : accountInfo.jiraDomain;
+
+    const integrationType = accountInfo.integrationType || 'cloud';
+    const baseUrl = accountInfo.baseUrl || null;
+    const ownerUserId = accountInfo.ownerUserId || null;
+
+    // Jira Server user keys are only unique per server; an API user never takes over another user's integration
+    const existing = accountInfo.atlassianAccountId
+      ? await db.get(`
+          SELECT id, account_name, is_primary FROM integrations
+          WHERE atlassian_account_id = ? AND COALESCE(base_url, '') = ?
+            AND (? IS NULL OR owner_user_id IS NULL OR owner_user_id = ?)
+          ORDER BY is_active DESC, id ASC LIMIT 1
+        `, [accountInfo.atlassianAccountId, baseUrl || '', ownerUserId, ownerUserId])
+      : null;
+
+    if (existing) {
+      await db.run(`
+        UPDATE integrations
+        SET account_name = COALESCE(?, account_name), account_email = COALESCE(?, account_email),
+            jira_domain = COALESCE(?, jira_domain), avatar_url = COALESCE(?, avatar_url), site_urls = ?,
+            integration_type = ?, auth_type = ?, username = ?, owner_user_id = COALESCE(owner_user_id, ?),
+            access_token = ?, refresh_token = ?, expires_at = ?, last_refresh_at = ?,
+            refresh_failures = 0, is_active = 1, unlinked_at = NULL, updated_at = ?
+        WHERE id = ?
+      `, [
+        accountInfo.accountName || null,
+        accountInfo.accountEmail || null,
+        jiraDomain || null,
+        accountInfo.avatarUrl || null,
+        JSON.stringify(siteUrls),
+        integrationType,
+        accountInfo.authType || 'oauth',
+        accountInfo.username || null,
+        ownerUserId,
+        encryptToken(tokens.accessToken),
+        encryptToken(tokens.refreshToken),
+        tokens.expiresAt,
+        new Date().toISOString(),
+        new Date().toISOString(),
+        existing.id
+      ]);
+
+      console.log('💾 Tokens stored in database');
+      console.log(`🔁 Account ${accountInfo.accountName || existing.account_name} was already linked - updated integration ${existing.id}`);
+      return existing.id;
+    }
+
     // Check if this is the first integration to set as primary
     const existingIntegrations = await db.all('SELECT COUNT(*) as count FROM integrations WHERE is_active = 1');
     const isFirstIntegration = existingIntegrations[0].count === 0;
     
     const result = await db.run(`
       INSERT INTO integrations 
-      (project_id, account_name, account_email, jira_domain, access_token, refresh_token, expires_at, last_refresh_at, is_active, is_primary)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      (project_id, account_name, account_email, jira_domain, atlassian_account_id, avatar_url, site_urls,
+       integration_type, auth_type, base_url, username, owner_user_id,
+       access_token, refresh_token, expires_at, last_refresh_at, is_active, is_primary)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `, [
       projectId,
       accountInfo.accountName || 'New Account',
       accountInfo.accountEmail || 'user@example.com',
-      accountInfo.jiraDomain || 'your-domain.atlassian.net',
-      tokens.accessToken,
-      tokens.refreshToken,
+      jiraDomain || 'your-domain.atlassian.net',
+      accountInfo.atlassianAccountId || null,
+      accountInfo.avatarUrl || null,
+      JSON.stringify(siteUrls),
+      integrationType,
+      accountInfo.authType || 'oauth',
+      baseUrl,
+      accountInfo.username || null,
+      ownerUserId,
+      encryptToken(tokens.accessToken),
+      encryptToken(tokens.refreshToken),
       tokens.expiresAt,
       new Date().toISOString(),
       1,
@@ -189,6 +265,31 @@ export class JiraAuthService {
     return result.lastID;
   }
 
+  /**
+   * Ask Atlassian to revoke a refresh token, ending the app's access for that grant
+   */
+  async revokeRefreshToken(refreshToken) {
+    const response = await fetch('https://auth.atlassian.com/oauth/revoke', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: new URLSearchParams({
+        token: refreshToken,
+        token_type_hint: 'refresh_token',
+        client_id: this.clientId,
+        client_secret: this.clientSecret
+      }).toString()
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Token revocation failed: ${response.status} ${errorText}`);
+    }
+
+    console.log('🔒 Refresh token revoked');
+  }
+
   /**
    * Refresh access token using refresh token
    */
@@ -196,15 +297,16 @@ export class JiraAuthService {
     console.log(`🔄 Refreshing access token for integration: ${integrationId}`);
     
     const db = await getDatabase();
-    const integration = await db.get(
-      'SELECT * FROM integrations WHERE id = ? AND is_active = 1',
-      [integrationId]
-    );
+    const integration = await this.getIntegration(integrationId);
 
     if (!integration) {
       throw new Error('Integration not found');
     }
 
+    if (integration.integration_type === 'server') {
+      throw new Error('Jira Server credentials do not expire - update the token instead of refreshing it');
+    }
+
     if (!integration.refresh_token) {
       console.log(`⚠️  No refresh token available for integration ${integrationId}`);
       throw new Error('No refresh token available - re-authentication required');
@@ -248,8 +350,8 @@ export class JiraAuthService {
       SET access_token = ?, refresh_token = ?, expires_at = ?, last_refresh_at = ?, refresh_failures = 0
       WHERE id = ?
     `, [
-      tokenData.access_token,
-      tokenData.refresh_token || integration.refresh_token, // Keep old refresh token if not provided
+      encryptToken(tokenData.access_token),
+      encryptToken(tokenData.refresh_token || integration.refresh_token), // Keep old refresh token if not provided
       new Date(Date.now() + tokenData.expires_in * 1000).toISOString(),
       new Date().toISOString(),
       integrationId
@@ -264,19 +366,34 @@ export class JiraAuthService {
   }
 
   /**
-   * Get all active integrations
+   * Get an active integration with its tokens decrypted
+   */
+  async getIntegration(integrationId) {
+    const db = await getDatabase();
+    const integration = await db.get(
+      'SELECT * FROM integrations WHERE id = ? AND is_active = 1',
+      [integrationId]
+    );
+    return decryptIntegration(integration);
+  }
+
+  /**
+   * Get all active integrations, with their tokens decrypted
    */
   async getActiveIntegrations() {
     const db = await getDatabase();
-    return await db.all(
+    const integrations = await db.all(
       'SELECT * FROM integrations WHERE is_active = 1'
     );
+    return integrations.map(decryptIntegration);
   }
 
   /**
    * Check if token needs refresh
    */
   needsRefresh(integration) {
+    // Personal access tokens and passwords of Jira Server integrations are not OAuth tokens
+    if (integration.integration_type === 'server') return false;
     if (!integration.expires_at) return true;
     
     const expiresAt = new Date(integration.expires_at);
@@ -286,3 +403,9 @@ export class JiraAuthService {
     return expiresAt <= new Date(now.getTime() + bufferTime);
   }
 }
+
+function authError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
@@ -0,0 +1,521 @@
+import crypto from 'crypto';
+import { getDatabase } from './database.js';
+import { JOB_STATUS } from './sync-jobs.js';
+import { queryRawData } from './raw-data.js';
+import { findIssueForWrite, buildIssueFields, checkTransition } from './issue-writes.js';
+import { getWriteQueue } from './write-queue.js';
+
+export const BULK_OPERATION_TYPES = ['set_field', 'add_label', 'remove_label', 'assign', 'transition'];
+
+// Upper bound of issues one bulk operation may change
+export const BULK_MAX_ISSUES = 500;
+
+/**
+ * Work out which issues a bulk operation would change, without calling Jira
+ *
+ * input: { keys | filter, cloudId, operation }
+ *   keys       issue keys, e.g. ["PROJ-1", "PROJ-2"]
+ *   filter     jira_issues filter in the raw data explorer syntax, e.g. { status_name: "To Do" }
+ *   cloudId    limit the issues to one site
+ *   operation  { type: 'set_field', field, value } | { type: 'add_label' | 'remove_label', label }
+ *              | { type: 'assign', assignee } | { type: 'transition', status | transition | transitionId, fields }
+ *
+ * Returns { operation, total, changes, issues }, with one { issueKey, cloudId, change, current,
+ * target, reason } entry per selected issue.
+ */
+export async function previewBulkOperation(integrationId, input = {}) {
+  const operation = validateOperation(input.operation);
+  const issues = await selectIssues(integrationId, input);
+
+  const contexts = new Map();
+  const plans = [];
+  for (const issue of issues) {
+    plans.push(await planChange(issue, operation, contexts));
+  }
+
+  return {
+    operation,
+    total: plans.length,
+    changes: plans.filter(plan => plan.change).length,
+    issues: plans
+  };
+}
+
+/**
+ * Persisted queue of bulk operations
+ * Jobs run one at a time; each issue is written through the write queue, so issues Jira
+ * cannot take right now are queued there instead of failing the job.
+ */
+export class BulkOperationQueue {
+  constructor() {
+    this.isProcessing = false;
+  }
+
+  /**
+   * Recover jobs left behind by a previous process and start processing
+   * Jobs that were asked to stop end as cancelled, the others as failed.
+   */
+  async start() {
+    const db = await getDatabase();
+    const now = new Date().toISOString();
+    const result = await db.run(`
+      UPDATE bulk_operations
+      SET status = CASE WHEN cancel_requested = 1 THEN ? ELSE ? END,
+          error = CASE WHEN cancel_requested = 1 THEN NULL ELSE ? END,
+          finished_at = ?, updated_at = ?
+      WHERE status = ?
+    `, [JOB_STATUS.CANCELLED, JOB_STATUS.FAILED, 'Interrupted by server restart', now, now, JOB_STATUS.RUNNING]);
+
+    if (result.changes > 0) {
+      console.log(`⚠️ Closed ${result.changes} bulk operation(s) interrupted by the restart`);
+    }
+
+    this.processQueue();
+  }
+
+  /**
+   * Queue a bulk operation; input as for previewBulkOperation
+   * The issues are selected now, so the job changes exactly the issues a preview listed.
+   */
+  async enqueue(integrationId, input = {}, options = {}) {
+    const preview = await previewBulkOperation(integrationId, input);
+    if (preview.total === 0) {
+      throw bulkError(400, 'No issues match');
+    }
+
+    const db = await getDatabase();
+    const jobId = crypto.randomUUID();
+    const now = new Date().toISOString();
+    const results = preview.issues.map(plan => ({ issueKey: plan.issueKey, cloudId: plan.cloudId, status: 'pending' }));
+
+    await db.run(`
+      INSERT INTO bulk_operations
+      (job_id, integration_id, operation, selection, status, results, progress_completed,
+       progress_total, created_by, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      jobId,
+      integrationId,
+      JSON.stringify(preview.operation),
+      JSON.stringify({ keys: input.keys, filter: input.filter, cloudId: input.cloudId }),
+      JOB_STATUS.QUEUED,
+      JSON.stringify(results),
+      0,
+      results.length,
+      options.userId || null,
+      now,
+      now
+    ]);
+
+    console.log(`📥 Queued bulk ${preview.operation.type} on ${results.length} issue(s) as job ${jobId}`);
+    this.processQueue();
+
+    return await this.getJob(jobId);
+  }
+
+  /**
+   * Get a job by its id
+   */
+  async getJob(jobId) {
+    const db = await getDatabase();
+    const job = await db.get('SELECT * FROM bulk_operations WHERE job_id = ?', [jobId]);
+    return job ? formatJob(job) : null;
+  }
+
+  /**
+   * List the bulk operations of an integration, newest first, without their per-issue results
+   */
+  async listJobs(integrationId, limit = 20) {
+    const db = await getDatabase();
+    const jobs = await db.all(
+      'SELECT * FROM bulk_operations WHERE integration_id = ? ORDER BY id DESC LIMIT ?',
+      [integrationId, limit]
+    );
+    return jobs.map(job => {
+      const { results, ...summary } = formatJob(job);
+      return summary;
+    });
+  }
+
+  /**
+   * Cancel a job
+   * Queued jobs are cancelled immediately, running jobs stop before the next issue. The request is
+   * stored on the job, so a job interrupted by a restart still ends as cancelled.
+   */
+  async cancel(jobId) {
+    const db = await getDatabase();
+    const job = await db.get('SELECT * FROM bulk_operations WHERE job_id = ?', [jobId]);
+
+    if (!job) {
+      return null;
+    }
+
+    if (job.status === JOB_STATUS.QUEUED) {
+      const results = JSON.parse(job.results || '[]').map(result => ({ ...result, status: 'cancelled' }));
+      await this.finishJob(job.job_id, JOB_STATUS.CANCELLED, null, results);
+    } else if (job.status === JOB_STATUS.RUNNING) {
+      await db.run(
+        'UPDATE bulk_operations SET cancel_requested = 1, updated_at = ? WHERE job_id = ?',
+        [new Date().toISOString(), job.job_id]
+      );
+      console.log(`🛑 Cancellation requested for bulk operation ${job.job_id}`);
+    }
+
+    return await this.getJob(jobId);
+  }
+
+  /**
+   * Run queued jobs one after another until the queue is empty
+   */
+  async processQueue() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
+    try {
+      const db = await getDatabase();
+
+      while (true) {
+        const job = await db.get(
+          'SELECT * FROM bulk_operations WHERE status = ? ORDER BY id ASC LIMIT 1',
+          [JOB_STATUS.QUEUED]
+        );
+        if (!job) break;
+
+        await this.runJob(job);
+      }
+    } catch (error) {
+      console.error('❌ Bulk operation queue error:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Apply the operation to every issue of a job and record the outcome per issue
+   * Issues are checked again before they are written, so ones changed since the job was
+   * queued are skipped when they no longer need the change.
+   */
+  async runJob(job) {
+    const db = await getDatabase();
+    const operation = JSON.parse(job.operation);
+    const results = JSON.parse(job.results || '[]');
+    const contexts = new Map();
+    let completed = 0;
+    let cancelled = false;
+
+    // A job cancelled after it was picked from the queue is not written to Jira
+    const now = new Date().toISOString();
+    const started = await db.run(
+      'UPDATE bulk_operations SET status = ?, started_at = ?, updated_at = ? WHERE job_id = ? AND status = ?',
+      [JOB_STATUS.RUNNING, now, now, job.job_id, JOB_STATUS.QUEUED]
+    );
+    if (started.changes === 0) return;
+    console.log(`🚀 Running bulk ${operation.type} job ${job.job_id} on ${results.length} issue(s)`);
+
+    try {
+      for (const result of results) {
+        const row = await db.get('SELECT cancel_requested FROM bulk_operations WHERE job_id = ?', [job.job_id]);
+        if (row.cancel_requested) {
+          cancelled = true;
+          break;
+        }
+
+        try {
+          const issue = await findIssueForWrite(result.issueKey, { integrationId: job.integration_id, cloudId: result.cloudId });
+          const plan = await planChange(issue, operation, contexts);
+
+          if (!plan.change) {
+            result.status = 'skipped';
+            result.reason = plan.reason;
+          } else {
+            const write = writeFor(operation);
+            const { queued, mutation } = await getWriteQueue().submit(write.operation, issue, write.input, { userId: job.created_by });
+            result.status = queued ? 'queued' : 'succeeded';
+            if (queued) result.mutationId = mutation.mutation_id;
+          }
+        } catch (error) {
+          result.status = 'failed';
+          result.error = error.message;
+          console.error(`❌ Bulk ${operation.type} on ${result.issueKey} failed:`, error.message);
+        }
+
+        completed++;
+        await db.run(
+          'UPDATE bulk_operations SET results = ?, progress_completed = ?, updated_at = ? WHERE job_id = ?',
+          [JSON.stringify(results), completed, new Date().toISOString(), job.job_id]
+        );
+      }
+
+      if (cancelled) {
+        for (const result of results.filter(r => r.status === 'pending')) {
+          result.status = 'cancelled';
+        }
+        await this.finishJob(job.job_id, JOB_STATUS.CANCELLED, null, results);
+        console.log(`🛑 Bulk operation ${job.job_id} cancelled after ${completed} issue(s)`);
+        return;
+      }
+
+      const failed = results.filter(r => r.status === 'failed').length;
+      if (failed > 0) {
+        await this.finishJob(job.job_id, JOB_STATUS.FAILED, `${failed} of ${results.length} issue(s) failed`, results);
+        console.error(`❌ Bulk operation ${job.job_id} finished with ${failed} failed issue(s)`);
+      } else {
+        await this.finishJob(job.job_id, JOB_STATUS.SUCCEEDED, null, results);
+        console.log(`✅ Bulk operation ${job.job_id} succeeded`);
+      }
+    } catch (error) {
+      await this.finishJob(job.job_id, JOB_STATUS.FAILED, error.message, results);
+      console.error(`❌ Bulk operation ${job.job_id} failed:`, error.message);
+    }
+  }
+
+  /**
+   * Move a job into a final state
+   */
+  async finishJob(jobId, status, errorMessage, results) {
+    const db = await getDatabase();
+    const now = new Date().toISOString();
+    await db.run(`
+      UPDATE bulk_operations
+      SET status = ?, error = ?, results = ?, finished_at = ?, updated_at = ?
+      WHERE job_id = ?
+    `, [status, errorMessage, JSON.stringify(results), now, now, jobId]);
+  }
+}
+
+/**
+ * Check the operation of a bulk request and keep only its known properties
+ */
+function validateOperation(operation) {
+  if (operation === null || typeof operation !== 'object' || !BULK_OPERATION_TYPES.includes(operation.type)) {
+    throw bulkError(400, `operation.type must be one of: ${BULK_OPERATION_TYPES.join(', ')}`);
+  }
+
+  switch (operation.type) {
+    case 'set_field':
+      if (typeof operation.field !== 'string' || operation.field === '' || operation.value === undefined) {
+        throw bulkError(400, 'set_field takes a field (id or name) and a value');
+      }
+      return { type: operation.type, field: operation.field, value: operation.value };
+    case 'add_label':
+    case 'remove_label':
+      if (typeof operation.label !== 'string' || !/^\S+$/.test(operation.label)) {
+        throw bulkError(400, `${operation.type} takes a label without spaces`);
+      }
+      return { type: operation.type, label: operation.label };
+    case 'assign':
+      if (operation.assignee !== null && (typeof operation.assignee !== 'string' || operation.assignee === '')) {
+        throw bulkError(400, 'assign takes an assignee (account id, or user name on Jira Server), or null to unassign');
+      }
+      return { type: operation.type, assignee: operation.assignee };
+    default: {
+      const requested = ['transitionId', 'transition', 'status'].filter(key => operation[key] !== undefined && operation[key] !== '');
+      if (requested.length !== 1) {
+        throw bulkError(400, 'transition takes exactly one of transitionId, transition (name) or status');
+      }
+      if (operation.fields !== undefined && (operation.fields === null || typeof operation.fields !== 'object' || Array.isArray(operation.fields))) {
+        throw bulkError(400, 'fields must be an object');
+      }
+      return {
+        type: operation.type,
+        [requested[0]]: String(operation[requested[0]]),
+        ...(operation.fields ? { fields: operation.fields } : {})
+      };
+    }
+  }
+}
+
+/**
+ * Find the stored issues a bulk request selects, by key or with a jira_issues filter
+ */
+async function selectIssues(integrationId, input) {
+  const { keys, filter, cloudId } = input;
+  if ((keys === undefined) === (filter === undefined)) {
+    throw bulkError(400, 'Pass either keys (a list of issue keys) or filter');
+  }
+
+  if (filter !== undefined) {
+    if (filter === null || typeof filter !== 'object' || Array.isArray(filter) || Object.keys(filter).length === 0) {
+      throw bulkError(400, 'filter must be an object with at least one condition, e.g. { "status_name": "To Do" }');
+    }
+    const { data, total } = await queryRawData(integrationId, {
+      table: 'jira_issues',
+      filter,
+      cloudId,
+      sort: 'issue_key',
+      limit: BULK_MAX_ISSUES
+    });
+    if (total > BULK_MAX_ISSUES) {
+      throw bulkError(400, `The filter matches ${total} issues; at most ${BULK_MAX_ISSUES} can be changed at once`);
+    }
+    return data;
+  }
+
+  if (!Array.isArray(keys) || keys.length === 0 || !keys.every(key => typeof key === 'string' && key !== '')) {
+    throw bulkError(400, 'keys must be a list of issue keys');
+  }
+  const unique = [...new Set(keys)];
+  if (unique.length > BULK_MAX_ISSUES) {
+    throw bulkError(400, `At most ${BULK_MAX_ISSUES} issues can be changed at once`);
+  }
+
+  const db = await getDatabase();
+  let query = `SELECT * FROM jira_issues WHERE integration_id = ? AND deleted_at IS NULL AND issue_key IN (${unique.map(() => '?').join(', ')})`;
+  const params = [integrationId, ...unique];
+  if (cloudId) {
+    query += ' AND cloud_id = ?';
+    params.push(cloudId);
+  }
+  const rows = await db.all(query, params);
+
+  const missing = unique.filter(key => !rows.some(row => row.issue_key === key));
+  if (missing.length > 0) {
+    throw bulkError(400, `Issues not found: ${missing.join(', ')}`);
+  }
+  const ambiguous = unique.filter(key => rows.filter(row => row.issue_key === key).length > 1);
+  if (ambiguous.length > 0) {
+    throw bulkError(400, `${ambiguous.join(', ')} exist on several sites - pass cloudId`);
+  }
+  return unique.map(key => rows.find(row => row.issue_key === key));
+}
+
+/**
+ * Decide whether an operation changes a stored issue, from its synced state
+ * contexts keeps the write context of each site for the other issues of the request.
+ */
+async function planChange(issue, operation, contexts) {
+  const plan = { issueKey: issue.issue_key, cloudId: issue.cloud_id, change: true, current: null, target: null, reason: null };
+  const fields = JSON.parse(issue.raw_data || '{}').fields || {};
+
+  switch (operation.type) {
+    case 'set_field':
+    case 'assign': {
+      const requested = operation.type === 'assign' ? { assignee: operation.assignee } : { [operation.field]: operation.value };
+      const [[fieldId, wanted]] = Object.entries(await buildIssueFields(issue, requested, contexts));
+      plan.current = displayValue(fields[fieldId]);
+      plan.target = displayValue(wanted);
+      if (sameValue(fields[fieldId], wanted)) {
+        plan.change = false;
+        plan.reason = 'Already set';
+      }
+      break;
+    }
+    case 'add_label':
+    case 'remove_label': {
+      const labels = JSON.parse(issue.labels || '[]');
+      const adding = operation.type === 'add_label';
+      plan.current = labels;
+      plan.target = adding ? [...new Set([...labels, operation.label])] : labels.filter(label => label !== operation.label);
+      if (labels.includes(operation.label) === adding) {
+        plan.change = false;
+        plan.reason = adding ? 'Already has the label' : 'Does not have the label';
+      }
+      break;
+    }
+    default: {
+      plan.current = issue.status_name;
+      plan.target = operation.status || operation.transition || operation.transitionId;
+      if (operation.fields) {
+        await buildIssueFields(issue, operation.fields, contexts);
+      }
+      const status = String(operation.status || '').toLowerCase();
+      if (operation.status && (issue.status_id === operation.status || String(issue.status_name || '').toLowerCase() === status)) {
+        plan.change = false;
+        plan.reason = `Already in ${issue.status_name}`;
+        break;
+      }
+      const check = await checkTransition(issue, operation);
+      if (check.allowed === false) {
+        plan.change = false;
+        plan.reason = check.reason;
+      }
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * The write queue operation and input that apply a bulk operation to one issue
+ */
+function writeFor(operation) {
+  switch (operation.type) {
+    case 'set_field':
+      return { operation: 'update_issue', input: { fields: { [operation.field]: operation.value } } };
+    case 'add_label':
+      return { operation: 'update_issue', input: { update: { labels: [{ add: operation.label }] } } };
+    case 'remove_label':
+      return { operation: 'update_issue', input: { update: { labels: [{ remove: operation.label }] } } };
+    case 'assign':
+      return { operation: 'update_issue', input: { fields: { assignee: operation.assignee } } };
+    default: {
+      const { type, ...input } = operation;
+      return { operation: 'transition_issue', input };
+    }
+  }
+}
+
+/**
+ * Whether a synced field value already matches the value a write would send
+ * Objects match when every property of the written value matches (e.g. { name: 'High' }
+ * against the full priority); lists match regardless of order.
+ */
+function sameValue(current, wanted) {
+  if (wanted === null || wanted === undefined) {
+    return current === null || current === undefined || (Array.isArray(current) && current.length === 0);
+  }
+  if (current === null || current === undefined) {
+    return Array.isArray(wanted) && wanted.length === 0;
+  }
+  if (Array.isArray(wanted)) {
+    return Array.isArray(current) && current.length === wanted.length &&
+      wanted.every(item => current.some(existing => sameValue(existing, item)));
+  }
+  if (typeof wanted === 'object') {
+    return typeof current === 'object' && Object.entries(wanted).every(([key, value]) => sameValue(current[key], value));
+  }
+  return String(current) === String(wanted);
+}
+
+// Short form of a field value for previews: names instead of full Jira objects
+function displayValue(value) {
+  if (Array.isArray(value)) return value.map(displayValue);
+  if (value === null || value === undefined || typeof value !== 'object') return value ?? null;
+  if (value.type === 'doc') return '(rich text)';
+  return value.displayName || value.name || value.value || value.key || value.accountId || value.id || value;
+}
+
+/**
+ * Convert a bulk_operations row into its API representation
+ */
+function formatJob(row) {
+  const results = JSON.parse(row.results || '[]');
+  const summary = {};
+  for (const result of results) {
+    summary[result.status] = (summary[result.status] || 0) + 1;
+  }
+
+  return {
+    ...row,
+    operation: JSON.parse(row.operation || '{}'),
+    selection: JSON.parse(row.selection || '{}'),
+    results,
+    summary,
+    cancel_requested: Boolean(row.cancel_requested)
+  };
+}
+
+function bulkError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+let queue = null;
+
+export function getBulkOperationQueue() {
+  if (!queue) {
+    queue = new BulkOperationQueue();
+  }
+  return queue;
+}
@@ -1,106 +1,105 @@
 import { getDatabase } from './database.js';
+import { createJiraAdapter, normalizeWorkflow } from './jira-adapter.js';
+import { getSyncWatermark, saveSyncWatermark, buildIssueJql, latestTimestamp, SYNC_PATH } from './sync-state.js';
+import { reportSearchTotals } from './jira-search.js';
+import { resolveFieldMappings, extractMappedFields, fillEpicNames } from './field-mapping.js';
+import { reconcileIssue, tombstoneMissingIssues } from './issue-tombstones.js';
+import { indexIssue, indexComment, indexWorklog } from './search-index.js';
+
+// Steps of a comprehensive sync, in the order they run
+export const SYNC_STEPS = [
+  { key: 'projects', label: 'Projects', method: 'syncProjects' },
+  { key: 'issue-types', label: 'Issue Types', method: 'syncIssueTypes' },
+  { key: 'priorities', label: 'Priorities', method: 'syncPriorities' },
+  { key: 'statuses', label: 'Statuses', method: 'syncStatuses' },
+  { key: 'resolutions', label: 'Resolutions', method: 'syncResolutions' },
+  { key: 'users', label: 'Users', method: 'syncUsers' },
+  { key: 'groups', label: 'Groups', method: 'syncGroups' },
+  { key: 'fields', label: 'Fields', method: 'syncIssueFields' },
+  { key: 'labels', label: 'Labels', method: 'syncLabels' },
+  { key: 'components', label: 'Components', method: 'syncComponents' },
+  { key: 'versions', label: 'Versions', method: 'syncVersions' },
+  { key: 'workflows', label: 'Workflows', method: 'syncWorkflows' },
+  { key: 'dashboards', label: 'Dashboards', method: 'syncDashboards' },
+  { key: 'filters', label: 'Filters', method: 'syncFilters' },
+  { key: 'permissions', label: 'Permissions', method: 'syncPermissions' },
+  { key: 'boards', label: 'Boards', method: 'syncBoards' },
+  { key: 'sprints', label: 'Sprints', method: 'syncSprints' },
+  { key: 'issues', label: 'Issues', method: 'syncIssuesComprehensive' },
+  { key: 'changelog', label: 'Changelog', method: 'syncIssueChangelogs' },
+  { key: 'comments', label: 'Comments', method: 'syncIssueComments' },
+  { key: 'worklogs', label: 'Worklogs', method: 'syncIssueWorklogs' },
+  { key: 'attachments', label: 'Attachments', method: 'syncIssueAttachments' },
+  { key: 'issue-links', label: 'Issue Links', method: 'syncIssueLinks' }
+];
 
 export class ComprehensiveJiraSync {
-  constructor(accessToken, cloudId) {
+  constructor(accessToken, cloudId, options = {}) {
     this.accessToken = accessToken;
     this.cloudId = cloudId;
-    this.baseUrl = `https://api.atlassian.com/ex/jira/${cloudId}`;
+    // Jira Cloud or Jira Server / Data Center, see jira-adapter.js; passing the
+    // integration id lets a Cloud client refresh the token mid-sync
+    this.adapter = createJiraAdapter(
+      options.integration || { id: options.integrationId, access_token: accessToken },
+      cloudId
+    );
+    this.client = this.adapter.client;
+    // Keys of the issues fetched by the last issue sync; null means "all issues"
+    this.changedIssueKeys = null;
+    this.issueSyncTotals = {};
+    this.cancelCheck = null;
+    // Per-site custom field ids for story points, epics, sprints and teams
+    this.fieldMappings = {};
   }
 
   /**
    * Make authenticated request to Jira API
    */
   async makeRequest(endpoint, options = {}) {
-    const url = `${this.baseUrl}/rest/api/3${endpoint}`;
-    
-    const response = await fetch(url, {
-      ...options,
-      headers: {
-        'Authorization': `Bearer ${this.accessToken}`,
-        'Accept': 'application/json',
-        'Content-Type': 'application/json',
-        ...options.headers
-      }
-    });
-
-    if (!response.ok) {
-      throw new Error(`Jira API error ${response.status}: ${await response.text()}`);
-    }
-
-    return await response.json();
+    return await this.adapter.request(endpoint, options);
   }
 
   /**
    * Sync all Jira data comprehensively
+   * Issues are fetched incrementally unless options.full is set.
+   * options.onStepStart / options.onStepComplete report progress and
+   * options.isCancelled is polled between steps and between issues.
    */
-  async syncAllData(integrationId) {
-    console.log('🚀 Starting comprehensive Jira data sync...');
+  async syncAllData(integrationId, options = {}) {
+    console.log(`🚀 Starting comprehensive Jira data sync for site ${this.cloudId}...`);
+    this.cancelCheck = options.isCancelled || null;
     
     try {
-      // 1. Sync Projects
-      await this.syncProjects(integrationId);
-      
-      // 2. Sync Issue Types
-      await this.syncIssueTypes(integrationId);
-      
-      // 3. Sync Priorities
-      await this.syncPriorities(integrationId);
-      
-      // 4. Sync Statuses
-      await this.syncStatuses(integrationId);
-      
-      // 5. Sync Resolutions
-      await this.syncResolutions(integrationId);
-      
-      // 6. Sync Users
-      await this.syncUsers(integrationId);
-      
-      // 7. Sync Groups
-      await this.syncGroups(integrationId);
-      
-      // 8. Sync Issue Fields
-      await this.syncIssueFields(integrationId);
-      
-      // 9. Sync Labels
-      await this.syncLabels(integrationId);
-      
-      // 10. Sync Components
-      await this.syncComponents(integrationId);
-      
-      // 11. Sync Versions
-      await this.syncVersions(integrationId);
-      
-      // 12. Sync Workflows
-      await this.syncWorkflows(integrationId);
-      
-      // 13. Sync Dashboards
-      await this.syncDashboards(integrationId);
-      
-      // 14. Sync Filters
-      await this.syncFilters(integrationId);
-      
-      // 15. Sync Permissions
-      await this.syncPermissions(integrationId);
-      
-      // 16. Sync Issues with all details
-      await this.syncIssuesComprehensive(integrationId);
-      
-      // 17. Sync Issue Comments
-      await this.syncIssueComments(integrationId);
-      
-      // 18. Sync Issue Worklogs
-      await this.syncIssueWorklogs(integrationId);
-      
-      // 19. Sync Issue Attachments
-      await this.syncIssueAttachments(integrationId);
-      
-      // 20. Sync Issue Links
-      await this.syncIssueLinks(integrationId);
+      for (const step of SYNC_STEPS) {
+        await this.throwIfCancelled();
+        if (options.onStepStart) await options.onStepStart(step);
+
+        const count = await this[step.method](integrationId, { full: options.full });
+
+        if (options.onStepComplete) await options.onStepComplete(step, count);
+      }
       
       console.log('✅ Comprehensive Jira data sync completed successfully!');
       
     } catch (error) {
-      console.error('❌ Comprehensive sync failed:', error);
+      if (error.cancelled) {
+        console.log('🛑 Comprehensive sync cancelled');
+      } else {
+        console.error('❌ Comprehensive sync failed:', error);
+      }
+      throw error;
+    } finally {
+      this.cancelCheck = null;
+    }
+  }
+
+  /**
+   * Abort the running sync if cancellation was requested
+   */
+  async throwIfCancelled() {
+    if (this.cancelCheck && await this.cancelCheck()) {
+      const error = new Error('Sync cancelled');
+      error.cancelled = true;
       throw error;
     }
   }
@@ -116,12 +115,13 @@ export class ComprehensiveJiraSync {
     for (const project of projects) {
       await db.run(`
         INSERT OR REPLACE INTO jira_projects 
-        (integration_id, project_key, project_name, project_id, project_type, 
+        (integration_id, cloud_id, project_key, project_name, project_id, project_type, 
          description, lead_account_id, lead_display_name, url, avatar_urls, 
          project_category, is_private, raw_data, updated_at)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `, [
         integrationId,
+        this.cloudId,
         project.key,
         project.name,
         project.id,
@@ -138,6 +138,7 @@ export class ComprehensiveJiraSync {
       ]);
     }
     console.log(`✅ Synced ${projects.length} projects`);
+    return projects.length;
   }
 
   /**
@@ -151,11 +152,12 @@ export class ComprehensiveJiraSync {
     for (const issueType of issueTypes) {
       await db.run(`
         INSERT OR REPLACE INTO jira_issue_types 
-        (integration_id, issue_type_id, name, description, icon_url, 
+        (integration_id, cloud_id, issue_type_id, name, description, icon_url, 
          subtask, raw_data, updated_at)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
       `, [
         integrationId,
+        this.cloudId,
         issueType.id,
         issueType.name,
         issueType.description || null,
@@ -166,6 +168,7 @@ export class ComprehensiveJiraSync {
       ]);
     }
     console.log(`✅ Synced ${issueTypes.length} issue types`);
+    return issueTypes.length;
   }
 
   /**
@@ -179,11 +182,12 @@ export class ComprehensiveJiraSync {
     for (const priority of priorities) {
       await db.run(`
         INSERT OR REPLACE INTO jira_priorities 
-        (integration_id, priority_id, name, description, icon_url, 
+        (integration_id, cloud_id, priority_id, name, description, icon_url, 
          status_color, raw_data, updated_at)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
       `, [
         integrationId,
+        this.cloudId,
         priority.id,
         priority.name,
         priority.description || null,
@@ -194,6 +198,7 @@ export class ComprehensiveJiraSync {
       ]);
     }
     console.log(`✅ Synced ${priorities.length} priorities`);
+    return priorities.length;
   }
 
   /**
@@ -207,11 +212,12 @@ export class ComprehensiveJiraSync {
     for (const status of statuses) {
       await db.run(`
         INSERT OR REPLACE INTO jira_statuses 
-        (integration_id, status_id, name, description, icon_url, 
+        (integration_id, cloud_id, status_id, name, description, icon_url, 
          status_category, raw_data, updated_at)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
       `, [
         integrationId,
+        this.cloudId,
         status.id,
         status.name,
         status.description || null,
@@ -222,6 +228,7 @@ export class ComprehensiveJiraSync {
       ]);
     }
     console.log(`✅ Synced ${statuses.length} statuses`);
+    return statuses.length;
   }
 
   /**
@@ -235,10 +242,11 @@ export class ComprehensiveJiraSync {
     for (const resolution of resolutions) {
       await db.run(`
         INSERT OR REPLACE INTO jira_resolutions 
-        (integration_id, resolution_id, name, description, raw_data, updated_at)
-        VALUES (?, ?, ?, ?, ?, ?)
+        (integration_id, cloud_id, resolution_id, name, description, raw_data, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
       `, [
         integrationId,
+        this.cloudId,
         resolution.id,
         resolution.name,
         resolution.description || null,
@@ -247,6 +255,7 @@ export class ComprehensiveJiraSync {
       ]);
     }
     console.log(`✅ Synced ${resolutions.length} resolutions`);
+    return resolutions.length;
   }
 
   /**
@@ -255,17 +264,18 @@ export class ComprehensiveJiraSync {
   async syncUsers(integrationId) {
     console.log('👥 Syncing users...');
     try {
-      const users = await this.makeRequest('/users/search?maxResults=1000');
+      const users = await this.makeRequest(this.adapter.endpoints.users);
       const db = await getDatabase();
       
       for (const user of users) {
         await db.run(`
           INSERT OR REPLACE INTO jira_users 
-          (integration_id, account_id, display_name, email_address, 
+          (integration_id, cloud_id, account_id, display_name, email_address, 
            active, time_zone, locale, avatar_urls, raw_data, updated_at)
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `, [
           integrationId,
+          this.cloudId,
           user.accountId,
           user.displayName,
           user.emailAddress || null,
@@ -278,8 +288,10 @@ export class ComprehensiveJiraSync {
         ]);
       }
       console.log(`✅ Synced ${users.length} users`);
+      return users.length;
     } catch (error) {
       console.warn('⚠️ Could not sync users (may require admin permissions):', error.message);
+      return 0;
     }
   }
 
@@ -295,19 +307,22 @@ export class ComprehensiveJiraSync {
       for (const group of groups.groups || []) {
         await db.run(`
           INSERT OR REPLACE INTO jira_groups 
-          (integration_id, group_id, name, raw_data, updated_at)
-          VALUES (?, ?, ?, ?, ?)
+          (integration_id, cloud_id, group_id, name, raw_data, updated_at)
+          VALUES (?, ?, ?, ?, ?, ?)
         `, [
           integrationId,
-          group.groupId,
+          this.cloudId,
+          group.groupId || group.name, // Jira Server groups only have a name
           group.name,
           JSON.stringify(group),
           new Date().toISOString()
         ]);
       }
       console.log(`✅ Synced ${groups.groups?.length || 0} groups`);
+      return groups.groups?.length || 0;
     } catch (error) {
       console.warn('⚠️ Could not sync groups (may require admin permissions):', error.message);
+      return 0;
     }
   }
 
@@ -322,11 +337,12 @@ export class ComprehensiveJiraSync {
     for (const field of fields) {
         await db.run(`
           INSERT OR REPLACE INTO jira_fields 
-          (integration_id, field_id, name, field_type, description, 
+          (integration_id, cloud_id, field_id, name, field_type, description, 
            is_custom, is_system, raw_data, updated_at)
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `, [
           integrationId,
+          this.cloudId,
           field.id,
           field.name,
           field.schema?.type || 'unknown',
@@ -338,6 +354,7 @@ export class ComprehensiveJiraSync {
         ]);
     }
     console.log(`✅ Synced ${fields.length} issue fields`);
+    return fields.length;
   }
 
   /**
@@ -346,41 +363,36 @@ export class ComprehensiveJiraSync {
   async syncLabels(integrationId) {
     console.log('🏷️ Syncing labels...');
     try {
-      // Use the dedicated labels endpoint instead of JQL search
-      const response = await fetch(`${this.baseUrl}/rest/api/3/label`, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${this.accessToken}`,
-          'Accept': 'application/json'
-        }
-      });
-
-      if (!response.ok) {
-        throw new Error(`Jira API error ${response.status}: ${await response.text()}`);
+      if (!this.adapter.endpoints.labels) {
+        console.log('ℹ️ This Jira has no label list endpoint, skipping labels');
+        return 0;
       }
-
-      const data = await response.json();
+      // Use the dedicated labels endpoint instead of JQL search
+      const data = await this.makeRequest(this.adapter.endpoints.labels);
       const labels = data.values || [];
       const db = await getDatabase();
       
       for (const label of labels) {
         await db.run(`
           INSERT INTO jira_labels 
-          (integration_id, label_name, usage_count, updated_at)
-          VALUES (?, ?, 1, ?)
-          ON CONFLICT(integration_id, label_name) DO UPDATE SET
+          (integration_id, cloud_id, label_name, usage_count, updated_at)
+          VALUES (?, ?, ?, 1, ?)
+          ON CONFLICT(integration_id, cloud_id, label_name) DO UPDATE SET
             usage_count = usage_count + 1,
             updated_at = ?
         `, [
           integrationId,
+          this.cloudId,
           label,
           new Date().toISOString(),
           new Date().toISOString()
         ]);
       }
       console.log(`✅ Synced ${labels.length} labels`);
+      return labels.length;
     } catch (error) {
       console.warn('⚠️ Could not sync labels:', error.message);
+      return 0;
     }
   }
 
@@ -390,7 +402,7 @@ export class ComprehensiveJiraSync {
   async syncComponents(integrationId) {
     console.log('🧩 Syncing components...');
     const db = await getDatabase();
-    const projects = await db.all('SELECT project_key FROM jira_projects WHERE integration_id = ?', [integrationId]);
+    const projects = await db.all('SELECT project_key FROM jira_projects WHERE integration_id = ? AND cloud_id = ?', [integrationId, this.cloudId]);
     
     let totalComponents = 0;
     for (const project of projects) {
@@ -400,10 +412,10 @@ export class ComprehensiveJiraSync {
         for (const component of components) {
           await db.run(`
             INSERT INTO jira_components 
-            (integration_id, component_id, name, description, project_key, 
+            (integration_id, cloud_id, component_id, name, description, project_key, 
              lead_account_id, assignee_type, raw_data, updated_at)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-            ON CONFLICT(integration_id, component_id) DO UPDATE SET
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(integration_id, cloud_id, component_id) DO UPDATE SET
               name = excluded.name,
               description = excluded.description,
               project_key = excluded.project_key,
@@ -413,6 +425,7 @@ export class ComprehensiveJiraSync {
               updated_at = excluded.updated_at
           `, [
             integrationId,
+            this.cloudId,
             component.id,
             component.name,
             component.description || null,
@@ -429,6 +442,7 @@ export class ComprehensiveJiraSync {
       }
     }
     console.log(`✅ Synced ${totalComponents} components`);
+    return totalComponents;
   }
 
   /**
@@ -437,7 +451,7 @@ export class ComprehensiveJiraSync {
   async syncVersions(integrationId) {
     console.log('📅 Syncing versions...');
     const db = await getDatabase();
-    const projects = await db.all('SELECT project_key FROM jira_projects WHERE integration_id = ?', [integrationId]);
+    const projects = await db.all('SELECT project_key FROM jira_projects WHERE integration_id = ? AND cloud_id = ?', [integrationId, this.cloudId]);
     
     let totalVersions = 0;
     for (const project of projects) {
@@ -445,34 +459,7 @@ export class ComprehensiveJiraSync {
         const versions = await this.makeRequest(`/project/${project.project_key}/versions`);
         
         for (const version of versions) {
-          await db.run(`
-            INSERT INTO jira_versions 
-            (integration_id, version_id, name, description, project_key, 
-             archived, released, start_date, release_date, raw_data, updated_at)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-            ON CONFLICT(integration_id, version_id) DO UPDATE SET
-              name = excluded.name,
-              description = excluded.description,
-              project_key = excluded.project_key,
-              archived = excluded.archived,
-              released = excluded.released,
-              start_date = excluded.start_date,
-              release_date = excluded.release_date,
-              raw_data = excluded.raw_data,
-              updated_at = excluded.updated_at
-          `, [
-            integrationId,
-            version.id,
-            version.name,
-            version.description || null,
-            project.project_key,
-            version.archived || false,
-            version.released || false,
-            version.startDate || null,
-            version.releaseDate || null,
-            JSON.stringify(version),
-            new Date().toISOString()
-          ]);
+          await this.saveVersion(integrationId, project.project_key, version);
           totalVersions++;
         }
       } catch (error) {
@@ -480,6 +467,43 @@ export class ComprehensiveJiraSync {
       }
     }
     console.log(`✅ Synced ${totalVersions} versions`);
+    return totalVersions;
+  }
+
+  /**
+   * Insert or update a single project version
+   */
+  async saveVersion(integrationId, projectKey, version) {
+    const db = await getDatabase();
+    await db.run(`
+      INSERT INTO jira_versions 
+      (integration_id, cloud_id, version_id, name, description, project_key, 
+       archived, released, start_date, release_date, raw_data, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(integration_id, cloud_id, version_id) DO UPDATE SET
+        name = excluded.name,
+        description = excluded.description,
+        project_key = excluded.project_key,
+        archived = excluded.archived,
+        released = excluded.released,
+        start_date = excluded.start_date,
+        release_date = excluded.release_date,
+        raw_data = excluded.raw_data,
+        updated_at = excluded.updated_at
+    `, [
+      integrationId,
+      this.cloudId,
+      version.id,
+      version.name,
+      version.description || null,
+      projectKey,
+      version.archived || false,
+      version.released || false,
+      version.startDate || null,
+      version.releaseDate || null,
+      JSON.stringify(version),
+      new Date().toISOString()
+    ]);
   }
 
   /**
@@ -489,47 +513,42 @@ export class ComprehensiveJiraSync {
   async syncWorkflows(integrationId) {
     console.log('🔄 Syncing workflows...');
     try {
-      // Use the non-deprecated search endpoint instead of the deprecated /workflow
-      const response = await fetch(`${this.baseUrl}/rest/api/3/workflows/search`, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${this.accessToken}`,
-          'Accept': 'application/json'
-        }
-      });
-
-      if (!response.ok) {
-        throw new Error(`Jira API error ${response.status}: ${await response.text()}`);
-      }
-
-      const data = await response.json();
-      const workflows = data.values || data.workflows || [];
+      // Cloud has the non-deprecated search endpoint; Server only the plain /workflow list
+      const data = await this.makeRequest(this.adapter.endpoints.workflows);
+      const workflows = Array.isArray(data) ? data : (data.values || data.workflows || []);
       const db = await getDatabase();
       
       for (const workflow of workflows) {
-        // Ensure workflow has an id
-        const workflowId = workflow.id || `workflow_${Date.now()}_${Math.random()}`;
+        // Ensure workflow has an id; Jira Server identifies workflows by name
+        const workflowId = workflow.id || workflow.name || `workflow_${Date.now()}_${Math.random()}`;
+        
+        const { transitions, statuses } = normalizeWorkflow(workflow, data.statuses || []);
         
         await db.run(`
           INSERT OR REPLACE INTO jira_workflows 
-          (integration_id, workflow_id, name, description, raw_data, updated_at)
-          VALUES (?, ?, ?, ?, ?, ?)
+          (integration_id, cloud_id, workflow_id, name, description, transitions, statuses, raw_data, updated_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
         `, [
           integrationId,
-          workflowId,
-          workflow.name || 'Unknown Workflow',
+          this.cloudId,
+          typeof workflowId === 'object' ? workflowId.entityId || workflowId.name : workflowId,
+          workflow.name || workflow.id?.name || 'Unknown Workflow',
           workflow.description || null,
+          transitions ? JSON.stringify(transitions) : null,
+          statuses ? JSON.stringify(statuses) : null,
           JSON.stringify(workflow),
           new Date().toISOString()
         ]);
       }
       console.log(`✅ Synced ${workflows.length} workflows`);
+      return workflows.length;
     } catch (error) {
       if (error.message.includes('401') || error.message.includes('Unauthorized')) {
         console.log('ℹ️ Workflows sync skipped - requires Administer Jira permission');
       } else {
         console.warn('⚠️ Could not sync workflows:', error.message);
       }
+      return 0;
     }
   }
 
@@ -545,11 +564,12 @@ export class ComprehensiveJiraSync {
       for (const dashboard of dashboards.dashboards || []) {
         await db.run(`
           INSERT OR REPLACE INTO jira_dashboards 
-          (integration_id, dashboard_id, name, description, owner_account_id, 
+          (integration_id, cloud_id, dashboard_id, name, description, owner_account_id, 
            share_permissions, raw_data, updated_at)
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
         `, [
           integrationId,
+          this.cloudId,
           dashboard.id,
           dashboard.name,
           dashboard.description || null,
@@ -560,8 +580,10 @@ export class ComprehensiveJiraSync {
         ]);
       }
       console.log(`✅ Synced ${dashboards.dashboards?.length || 0} dashboards`);
+      return dashboards.dashboards?.length || 0;
     } catch (error) {
       console.warn('⚠️ Could not sync dashboards:', error.message);
+      return 0;
     }
   }
 
@@ -571,7 +593,7 @@ export class ComprehensiveJiraSync {
   async syncFilters(integrationId) {
     console.log('🔍 Syncing filters...');
     try {
-      const filters = await this.makeRequest('/filter/search?maxResults=1000');
+      const filters = await this.makeRequest(this.adapter.endpoints.filters);
       const db = await getDatabase();
       
       // Handle different response formats
@@ -580,11 +602,12 @@ export class ComprehensiveJiraSync {
       for (const filter of filterList) {
         await db.run(`
           INSERT OR REPLACE INTO jira_filters 
-          (integration_id, filter_id, name, description, jql, owner_account_id, 
+          (integration_id, cloud_id, filter_id, name, description, jql, owner_account_id, 
            view_url, search_url, raw_data, updated_at)
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `, [
           integrationId,
+          this.cloudId,
           filter.id,
           filter.name,
           filter.description || null,
@@ -597,8 +620,10 @@ export class ComprehensiveJiraSync {
         ]);
       }
       console.log(`✅ Synced ${filterList.length} filters`);
+      return filterList.length;
     } catch (error) {
       console.warn('⚠️ Could not sync filters:', error.message);
+      return 0;
     }
   }
 
@@ -632,11 +657,12 @@ export class ComprehensiveJiraSync {
       for (const permission of permissionList) {
         await db.run(`
           INSERT OR REPLACE INTO jira_permissions 
-          (integration_id, permission_id, name, type, description, 
+          (integration_id, cloud_id, permission_id, name, type, description, 
            have_permission, raw_data, updated_at)
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
         `, [
           integrationId,
+          this.cloudId,
           permission.id,
           permission.name,
           permission.type || null,
@@ -647,159 +673,535 @@ export class ComprehensiveJiraSync {
         ]);
       }
       console.log(`✅ Synced ${permissionList.length} permissions`);
+      return permissionList.length;
     } catch (error) {
       console.warn('⚠️ Could not sync permissions:', error.message);
+      return 0;
     }
   }
 
   /**
-   * Sync Issues with comprehensive details
+   * Make authenticated request to the Jira Software Agile API
    */
-  async syncIssuesComprehensive(integrationId) {
-    console.log('📋 Syncing issues comprehensively...');
-    const db = await getDatabase();
-    const projects = await db.all('SELECT project_key FROM jira_projects WHERE integration_id = ?', [integrationId]);
-    
-    let totalIssues = 0;
-    for (const project of projects) {
-      try {
-        // Use the new /rest/api/3/search/jql endpoint
-        const response = await fetch(`${this.baseUrl}/rest/api/3/search/jql`, {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${this.accessToken}`,
-            'Accept': 'application/json',
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            jql: `project = "${project.project_key}" ORDER BY updated DESC`,
-            maxResults: 1000,
-            expand: 'changelog,comments,worklog,attachments,issuelinks'
-          })
-        });
+  async makeAgileRequest(endpoint, options = {}) {
+    return await this.adapter.agileRequest(endpoint, options);
+  }
 
-        if (!response.ok) {
-          throw new Error(`Jira API error ${response.status}: ${await response.text()}`);
-        }
+  /**
+   * Iterate over every item of a paginated Agile API list
+   * Agile endpoints page with startAt/maxResults and report isLast or total.
+   */
+  async *fetchAgilePages(endpoint, itemsKey = 'values') {
+    const separator = endpoint.includes('?') ? '&' : '?';
+    const maxResults = 50; // Maximum allowed by API
+    let startAt = 0;
+
+    while (true) {
+      const page = await this.makeAgileRequest(`${endpoint}${separator}startAt=${startAt}&maxResults=${maxResults}`);
+      const items = page[itemsKey] || [];
+
+      for (const item of items) {
+        yield item;
+      }
 
-        const issues = await response.json();
+      startAt += items.length;
+      if (page.isLast || items.length === 0 || (page.total !== undefined && startAt >= page.total)) {
+        break;
+      }
+    }
+  }
+
+  /**
+   * Sync Boards and their column configuration
+   */
+  async syncBoards(integrationId) {
+    console.log('📌 Syncing boards...');
+    try {
+      const db = await getDatabase();
+      
+      let totalBoards = 0;
+      for await (const board of this.fetchAgilePages('/board')) {
+        await this.throwIfCancelled();
+        let configuration = null;
+        try {
+          configuration = await this.makeAgileRequest(`/board/${board.id}/configuration`);
+        } catch (error) {
+          console.warn(`⚠️ Could not fetch configuration for board ${board.id}:`, error.message);
+        }
         
-        for (const issue of issues.issues || []) {
-          const fields = issue.fields || {};
-          
-          // Extract comprehensive issue data with null safety
-          const assignee = fields.assignee || null;
-          const reporter = fields.reporter || null;
-          const epicLink = fields.customfield_10014; // Epic Link
-          const storyPoints = fields.customfield_10016; // Story Points
-          const status = fields.status;
-          const priority = fields.priority;
-          const issueType = fields.issuetype;
-          const resolution = fields.resolution;
-          const labels = fields.labels || [];
-          const components = fields.components || [];
-          const fixVersions = fields.fixVersions || [];
-          const versions = fields.versions || [];
-          const parent = fields.parent;
-          const subtasks = fields.subtasks || [];
-          const issuelinks = fields.issuelinks || [];
-          const worklog = fields.worklog;
-          const comments = fields.comment;
-          const attachments = fields.attachment || [];
+        await db.run(`
+          INSERT INTO jira_boards 
+          (integration_id, cloud_id, board_id, name, board_type, project_key, 
+           filter_id, configuration, raw_data, updated_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          ON CONFLICT(integration_id, cloud_id, board_id) DO UPDATE SET
+            name = excluded.name,
+            board_type = excluded.board_type,
+            project_key = excluded.project_key,
+            filter_id = excluded.filter_id,
+            configuration = COALESCE(excluded.configuration, jira_boards.configuration),
+            raw_data = excluded.raw_data,
+            updated_at = excluded.updated_at
+        `, [
+          integrationId,
+          this.cloudId,
+          String(board.id),
+          board.name,
+          board.type || null,
+          board.location?.projectKey || null,
+          configuration?.filter?.id || null,
+          configuration ? JSON.stringify(configuration) : null,
+          JSON.stringify(board),
+          new Date().toISOString()
+        ]);
+        
+        if (configuration) {
+          await this.saveBoardColumns(integrationId, board.id, configuration.columnConfig?.columns || []);
+        }
+        totalBoards++;
+      }
+      console.log(`✅ Synced ${totalBoards} boards`);
+      return totalBoards;
+    } catch (error) {
+      if (error.cancelled) throw error;
+      console.warn('⚠️ Could not sync boards (is Jira Software enabled?):', error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Replace the column to status mapping of a board
+   */
+  async saveBoardColumns(integrationId, boardId, columns) {
+    const db = await getDatabase();
+    await db.run(
+      'DELETE FROM jira_board_columns WHERE integration_id = ? AND cloud_id = ? AND board_id = ?',
+      [integrationId, this.cloudId, String(boardId)]
+    );
+    
+    for (const [position, column] of columns.entries()) {
+      // A column without statuses is still stored so the board layout is complete
+      const statuses = column.statuses?.length ? column.statuses : [null];
+      
+      for (const status of statuses) {
+        await db.run(`
+          INSERT INTO jira_board_columns 
+          (integration_id, cloud_id, board_id, column_name, column_position, 
+           status_id, min_issues, max_issues, updated_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          integrationId,
+          this.cloudId,
+          String(boardId),
+          column.name,
+          position,
+          status?.id || null,
+          column.min ?? null,
+          column.max ?? null,
+          new Date().toISOString()
+        ]);
+      }
+    }
+  }
+
+  /**
+   * Sync Sprints and the issues in them
+   * Membership of closed sprints is only re-read on a full sync or when the sprint is new.
+   */
+  async syncSprints(integrationId, options = {}) {
+    console.log('🏃 Syncing sprints...');
+    const db = await getDatabase();
+    const boards = await db.all(
+      "SELECT board_id FROM jira_boards WHERE integration_id = ? AND cloud_id = ? AND board_type = 'scrum'",
+      [integrationId, this.cloudId]
+    );
+    
+    let totalSprints = 0;
+    for (const board of boards) {
+      await this.throwIfCancelled();
+      try {
+        for await (const sprint of this.fetchAgilePages(`/board/${board.board_id}/sprint`)) {
+          const known = await db.get(
+            'SELECT state FROM jira_sprints WHERE integration_id = ? AND cloud_id = ? AND sprint_id = ?',
+            [integrationId, this.cloudId, String(sprint.id)]
+          );
           
           await db.run(`
-            INSERT INTO jira_issues 
-            (integration_id, project_id, issue_key, issue_id, summary, 
-             description, assignee_account_id, assignee_display_name, assignee_email,
-             reporter_account_id, reporter_display_name, reporter_email,
-             epic_key, epic_name, story_points, status_name, status_id,
-             priority_name, priority_id, issue_type_name, issue_type_id,
-             resolution_name, resolution_id, labels, components, fix_versions,
-             versions, parent_key, subtasks, issuelinks, worklog, comments,
-             attachments, created, updated, raw_data, updated_at)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-            ON CONFLICT(integration_id, issue_key) DO UPDATE SET
-              project_id = excluded.project_id,
-              issue_id = excluded.issue_id,
-              summary = excluded.summary,
-              description = excluded.description,
-              assignee_account_id = excluded.assignee_account_id,
-              assignee_display_name = excluded.assignee_display_name,
-              assignee_email = excluded.assignee_email,
-              reporter_account_id = excluded.reporter_account_id,
-              reporter_display_name = excluded.reporter_display_name,
-              reporter_email = excluded.reporter_email,
-              epic_key = excluded.epic_key,
-              epic_name = excluded.epic_name,
-              story_points = excluded.story_points,
-              status_name = excluded.status_name,
-              status_id = excluded.status_id,
-              priority_name = excluded.priority_name,
-              priority_id = excluded.priority_id,
-              issue_type_name = excluded.issue_type_name,
-              issue_type_id = excluded.issue_type_id,
-              resolution_name = excluded.resolution_name,
-              resolution_id = excluded.resolution_id,
-              labels = excluded.labels,
-              components = excluded.components,
-              fix_versions = excluded.fix_versions,
-              versions = excluded.versions,
-              parent_key = excluded.parent_key,
-              subtasks = excluded.subtasks,
-              issuelinks = excluded.issuelinks,
-              worklog = excluded.worklog,
-              comments = excluded.comments,
-              attachments = excluded.attachments,
-              created = excluded.created,
-              updated = excluded.updated,
+            INSERT INTO jira_sprints 
+            (integration_id, cloud_id, sprint_id, board_id, name, state, goal, 
+             start_date, end_date, complete_date, raw_data, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(integration_id, cloud_id, sprint_id) DO UPDATE SET
+              board_id = excluded.board_id,
+              name = excluded.name,
+              state = excluded.state,
+              goal = excluded.goal,
+              start_date = excluded.start_date,
+              end_date = excluded.end_date,
+              complete_date = excluded.complete_date,
               raw_data = excluded.raw_data,
               updated_at = excluded.updated_at
           `, [
             integrationId,
-            project.project_key,
-            issue.key,
-            issue.id,
-            fields.summary,
-            JSON.stringify(fields.description || {}),
-            assignee?.accountId || null,
-            assignee?.displayName || null,
-            assignee?.emailAddress || null,
-            reporter?.accountId || null,
-            reporter?.displayName || null,
-            reporter?.emailAddress || null,
-            epicLink || null,
-            null, // Epic name would need additional API call
-            storyPoints || null,
-            status?.name || null,
-            status?.id || null,
-            priority?.name || null,
-            priority?.id || null,
-            issueType?.name || null,
-            issueType?.id || null,
-            resolution?.name || null,
-            resolution?.id || null,
-            JSON.stringify(labels),
-            JSON.stringify(components),
-            JSON.stringify(fixVersions),
-            JSON.stringify(versions),
-            parent?.key || null,
-            JSON.stringify(subtasks),
-            JSON.stringify(issuelinks),
-            JSON.stringify(worklog || {}),
-            JSON.stringify(comments || {}),
-            JSON.stringify(attachments),
-            fields.created || null,
-            fields.updated || null,
-            JSON.stringify(issue),
+            this.cloudId,
+            String(sprint.id),
+            String(sprint.originBoardId || board.board_id),
+            sprint.name,
+            sprint.state || null,
+            sprint.goal || null,
+            sprint.startDate || null,
+            sprint.endDate || null,
+            sprint.completeDate || null,
+            JSON.stringify(sprint),
             new Date().toISOString()
           ]);
-          totalIssues++;
+          totalSprints++;
+          
+          if (options.full || known?.state !== 'closed') {
+            await this.syncSprintIssues(integrationId, sprint.id);
+          }
         }
       } catch (error) {
+        if (error.cancelled) throw error;
+        console.warn(`⚠️ Could not sync sprints for board ${board.board_id}:`, error.message);
+      }
+    }
+    console.log(`✅ Synced ${totalSprints} sprints`);
+    return totalSprints;
+  }
+
+  /**
+   * Replace the issue membership of a sprint
+   */
+  async syncSprintIssues(integrationId, sprintId) {
+    const db = await getDatabase();
+    const issues = [];
+    
+    for await (const issue of this.fetchAgilePages(`/sprint/${sprintId}/issue?fields=key`, 'issues')) {
+      issues.push(issue);
+    }
+    
+    await db.run(
+      'DELETE FROM jira_sprint_issues WHERE integration_id = ? AND cloud_id = ? AND sprint_id = ?',
+      [integrationId, this.cloudId, String(sprintId)]
+    );
+    
+    for (const issue of issues) {
+      await db.run(`
+        INSERT OR REPLACE INTO jira_sprint_issues 
+        (integration_id, cloud_id, sprint_id, issue_key, issue_id, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [
+        integrationId,
+        this.cloudId,
+        String(sprintId),
+        issue.key,
+        issue.id,
+        new Date().toISOString()
+      ]);
+    }
+    return issues.length;
+  }
+
+  /**
+   * Sync Issues with comprehensive details
+   * Only issues updated since the project's watermark are fetched unless options.full is set
+   */
+  async syncIssuesComprehensive(integrationId, options = {}) {
+    console.log(`📋 Syncing issues comprehensively (${options.full ? 'full' : 'incremental'})...`);
+    const db = await getDatabase();
+    const projects = await db.all('SELECT project_key FROM jira_projects WHERE integration_id = ? AND cloud_id = ?', [integrationId, this.cloudId]);
+    this.fieldMappings = await resolveFieldMappings(integrationId, this.cloudId);
+    
+    const changedIssueKeys = new Set();
+    const totals = {};
+    let totalIssues = 0;
+    for (const project of projects) {
+      await this.throwIfCancelled();
+      try {
+        const watermark = options.full ? null : await getSyncWatermark(integrationId, this.cloudId, project.project_key, SYNC_PATH.COMPREHENSIVE);
+        const jql = buildIssueJql(project.project_key, watermark);
+        const expected = await this.adapter.countIssues(jql);
+        let latestUpdated = watermark;
+        let fetched = 0;
+        let stored = 0;
+
+        // Follow every page of the JQL search (token paging on Cloud, offsets on Server)
+        const issues = this.adapter.searchIssues({
+          jql,
+          fields: ['*all'],
+          expand: 'changelog,comments,worklog,attachments,issuelinks'
+        });
+
+        const seenKeys = new Set();
+        for await (const issue of issues) {
+          await this.throwIfCancelled();
+          fetched++;
+          seenKeys.add(issue.key);
+          try {
+            await reconcileIssue(integrationId, this.cloudId, issue.id, issue.key);
+            await this.upsertIssue(integrationId, project.project_key, issue);
+            changedIssueKeys.add(issue.key);
+            latestUpdated = latestTimestamp(latestUpdated, issue.fields?.updated);
+            stored++;
+          } catch (error) {
+            console.warn(`⚠️ Could not store issue ${issue.key}:`, error.message);
+          }
+        }
+        totalIssues += stored;
+        totals[project.project_key] = reportSearchTotals(project.project_key, expected, fetched, stored);
+
+        // Only advance the watermark once the whole project was stored
+        if (stored === fetched) {
+          await saveSyncWatermark(integrationId, this.cloudId, project.project_key, latestUpdated, stored, !watermark, SYNC_PATH.COMPREHENSIVE);
+
+          // A complete full sync lists every visible issue, so anything else stored for the project is gone
+          if (!watermark) {
+            await tombstoneMissingIssues(integrationId, this.cloudId, project.project_key, seenKeys);
+          }
+        }
+        console.log(`📋 ${project.project_key}: ${stored}/${fetched} issues ${watermark ? `updated since ${watermark}` : 'fetched'}`);
+      } catch (error) {
+        if (error.cancelled) throw error;
         console.warn(`⚠️ Could not sync issues for project ${project.project_key}:`, error.message);
       }
     }
+
+    await fillEpicNames(integrationId, this.cloudId, this.fieldMappings);
+
+    this.changedIssueKeys = changedIssueKeys;
+    this.issueSyncTotals = totals;
     console.log(`✅ Synced ${totalIssues} issues comprehensively`);
+    return totalIssues;
+  }
+
+  /**
+   * Insert or update a single issue returned by the Jira API
+   */
+  async upsertIssue(integrationId, projectKey, issue) {
+    const db = await getDatabase();
+    const fields = issue.fields || {};
+
+    // Extract comprehensive issue data with null safety
+    const assignee = fields.assignee || null;
+    const reporter = fields.reporter || null;
+    const mapped = extractMappedFields(fields, this.fieldMappings);
+    const status = fields.status;
+    const priority = fields.priority;
+    const issueType = fields.issuetype;
+    const resolution = fields.resolution;
+    const labels = fields.labels || [];
+    const components = fields.components || [];
+    const fixVersions = fields.fixVersions || [];
+    const versions = fields.versions || [];
+    const parent = fields.parent;
+    const subtasks = fields.subtasks || [];
+    const issuelinks = fields.issuelinks || [];
+    const worklog = fields.worklog;
+    const comments = fields.comment;
+    const attachments = fields.attachment || [];
+    
+    await db.run(`
+      INSERT INTO jira_issues 
+      (integration_id, cloud_id, project_id, issue_key, issue_id, summary, 
+       description, assignee_account_id, assignee_display_name, assignee_email,
+       reporter_account_id, reporter_display_name, reporter_email,
+       epic_key, epic_name, story_points, sprint_id, sprint_name, sprints,
+       team_id, team_name, status_name, status_id,
+       priority_name, priority_id, issue_type_name, issue_type_id,
+       resolution_name, resolution_id, labels, components, fix_versions,
+       versions, parent_key, subtasks, issuelinks, worklog, comments,
+       attachments, created, updated, raw_data, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(integration_id, cloud_id, issue_key) DO UPDATE SET
+        project_id = excluded.project_id,
+        issue_id = excluded.issue_id,
+        summary = excluded.summary,
+        description = excluded.description,
+        assignee_account_id = excluded.assignee_account_id,
+        assignee_display_name = excluded.assignee_display_name,
+        assignee_email = excluded.assignee_email,
+        reporter_account_id = excluded.reporter_account_id,
+        reporter_display_name = excluded.reporter_display_name,
+        reporter_email = excluded.reporter_email,
+        epic_key = excluded.epic_key,
+        epic_name = excluded.epic_name,
+        story_points = excluded.story_points,
+        sprint_id = excluded.sprint_id,
+        sprint_name = excluded.sprint_name,
+        sprints = excluded.sprints,
+        team_id = excluded.team_id,
+        team_name = excluded.team_name,
+        status_name = excluded.status_name,
+        status_id = excluded.status_id,
+        priority_name = excluded.priority_name,
+        priority_id = excluded.priority_id,
+        issue_type_name = excluded.issue_type_name,
+        issue_type_id = excluded.issue_type_id,
+        resolution_name = excluded.resolution_name,
+        resolution_id = excluded.resolution_id,
+        labels = excluded.labels,
+        components = excluded.components,
+        fix_versions = excluded.fix_versions,
+        versions = excluded.versions,
+        parent_key = excluded.parent_key,
+        subtasks = excluded.subtasks,
+        issuelinks = excluded.issuelinks,
+        worklog = excluded.worklog,
+        comments = excluded.comments,
+        attachments = excluded.attachments,
+        created = excluded.created,
+        updated = excluded.updated,
+        raw_data = excluded.raw_data,
+        updated_at = excluded.updated_at,
+        deleted_at = NULL
+    `, [
+      integrationId,
+      this.cloudId,
+      projectKey,
+      issue.key,
+      issue.id,
+      fields.summary,
+      JSON.stringify(fields.description || {}),
+      assignee?.accountId || null,
+      assignee?.displayName || null,
+      assignee?.emailAddress || null,
+      reporter?.accountId || null,
+      reporter?.displayName || null,
+      reporter?.emailAddress || null,
+      mapped.epicKey,
+      mapped.epicName,
+      mapped.storyPoints,
+      mapped.sprintId,
+      mapped.sprintName,
+      JSON.stringify(mapped.sprints),
+      mapped.teamId,
+      mapped.teamName,
+      status?.name || null,
+      status?.id || null,
+      priority?.name || null,
+      priority?.id || null,
+      issueType?.name || null,
+      issueType?.id || null,
+      resolution?.name || null,
+      resolution?.id || null,
+      JSON.stringify(labels),
+      JSON.stringify(components),
+      JSON.stringify(fixVersions),
+      JSON.stringify(versions),
+      parent?.key || null,
+      JSON.stringify(subtasks),
+      JSON.stringify(issuelinks),
+      JSON.stringify(worklog || {}),
+      JSON.stringify(comments || {}),
+      JSON.stringify(attachments),
+      fields.created || null,
+      fields.updated || null,
+      JSON.stringify(issue),
+      new Date().toISOString()
+    ]);
+
+    await indexIssue(integrationId, this.cloudId, issue.key);
+  }
+
+  /**
+   * Get the issues whose comments, worklogs, attachments and links need syncing
+   * After an issue sync this is limited to the issues that actually changed
+   */
+  async getIssuesToSync(integrationId) {
+    const db = await getDatabase();
+    const issues = await db.all('SELECT issue_key FROM jira_issues WHERE integration_id = ? AND cloud_id = ? AND deleted_at IS NULL', [integrationId, this.cloudId]);
+
+    if (!this.changedIssueKeys) {
+      return issues;
+    }
+    return issues.filter(issue => this.changedIssueKeys.has(issue.issue_key));
+  }
+
+  /**
+   * Sync Issue Changelogs
+   * Stores one row per changed field, following the paginated changelog endpoint
+   */
+  async syncIssueChangelogs(integrationId) {
+    console.log('📜 Syncing issue changelogs...');
+    const issues = await this.getIssuesToSync(integrationId);
+    
+    let totalChanges = 0;
+    for (const issue of issues) {
+      await this.throwIfCancelled();
+      try {
+        let startAt = 0;
+        const maxResults = 100; // Maximum allowed by API
+        
+        while (true) {
+          const page = await this.adapter.getChangelogPage(issue.issue_key, startAt, maxResults);
+          const histories = page.values || [];
+          
+          for (const history of histories) {
+            totalChanges += await this.saveChangelogHistory(integrationId, issue.issue_key, history);
+          }
+          
+          if (page.isLast || histories.length === 0 || startAt + histories.length >= (page.total ?? 0)) {
+            break;
+          }
+          
+          startAt += histories.length;
+        }
+      } catch (error) {
+        console.warn(`⚠️ Could not sync changelog for issue ${issue.issue_key}:`, error.message);
+      }
+    }
+    console.log(`✅ Synced ${totalChanges} changelog entries`);
+    return totalChanges;
+  }
+
+  /**
+   * Store the field changes of one changelog entry
+   * Returns the number of changed fields stored.
+   */
+  async saveChangelogHistory(integrationId, issueKey, history) {
+    const db = await getDatabase();
+    const items = history.items || [];
+
+    for (const [index, item] of items.entries()) {
+      await db.run(`
+        INSERT INTO jira_issue_changelog 
+        (integration_id, cloud_id, issue_key, history_id, item_index, author_account_id,
+         author_display_name, created, field, field_id, field_type, from_value,
+         from_string, to_value, to_string, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(integration_id, cloud_id, history_id, item_index) DO UPDATE SET
+          issue_key = excluded.issue_key,
+          author_account_id = excluded.author_account_id,
+          author_display_name = excluded.author_display_name,
+          field = excluded.field,
+          field_id = excluded.field_id,
+          from_value = excluded.from_value,
+          from_string = excluded.from_string,
+          to_value = excluded.to_value,
+          to_string = excluded.to_string,
+          updated_at = excluded.updated_at
+      `, [
+        integrationId,
+        this.cloudId,
+        issueKey,
+        history.id,
+        index,
+        history.author?.accountId || null,
+        history.author?.displayName || null,
+        history.created || null,
+        item.field || null,
+        item.fieldId || null,
+        item.fieldtype || null,
+        item.from ?? null,
+        item.fromString ?? null,
+        item.to ?? null,
+        // Read as an own property: a missing toString would resolve to Object.prototype.toString
+        Object.hasOwn(item, 'toString') ? item.toString : null,
+        new Date().toISOString()
+      ]);
+    }
+    return items.length;
   }
 
   /**
@@ -807,32 +1209,16 @@ export class ComprehensiveJiraSync {
    */
   async syncIssueComments(integrationId) {
     console.log('💬 Syncing issue comments...');
-    const db = await getDatabase();
-    const issues = await db.all('SELECT issue_key FROM jira_issues WHERE integration_id = ?', [integrationId]);
+    const issues = await this.getIssuesToSync(integrationId);
     
     let totalComments = 0;
     for (const issue of issues) {
+      await this.throwIfCancelled();
       try {
         const comments = await this.makeRequest(`/issue/${issue.issue_key}/comment`);
         
         for (const comment of comments.comments || []) {
-          await db.run(`
-            INSERT OR REPLACE INTO jira_comments 
-            (integration_id, comment_id, issue_key, author_account_id, 
-             author_display_name, body, created, updated, raw_data, updated_at)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-          `, [
-            integrationId,
-            comment.id,
-            issue.issue_key,
-            comment.author?.accountId || null,
-            comment.author?.displayName || null,
-            JSON.stringify(comment.body || {}),
-            comment.created || null,
-            comment.updated || null,
-            JSON.stringify(comment),
-            new Date().toISOString()
-          ]);
+          await this.saveComment(integrationId, issue.issue_key, comment);
           totalComments++;
         }
       } catch (error) {
@@ -840,6 +1226,45 @@ export class ComprehensiveJiraSync {
       }
     }
     console.log(`✅ Synced ${totalComments} comments`);
+    return totalComments;
+  }
+
+  /**
+   * Store a single issue comment
+   */
+  async saveComment(integrationId, issueKey, comment) {
+    const db = await getDatabase();
+
+    await db.run(`
+      INSERT INTO jira_comments 
+      (integration_id, cloud_id, comment_id, issue_key, author_account_id, 
+       author_display_name, body, created, updated, raw_data, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(integration_id, cloud_id, comment_id) DO UPDATE SET
+        issue_key = excluded.issue_key,
+        author_account_id = excluded.author_account_id,
+        author_display_name = excluded.author_display_name,
+        body = excluded.body,
+        created = excluded.created,
+        updated = excluded.updated,
+        raw_data = excluded.raw_data,
+        updated_at = excluded.updated_at,
+        deleted_at = NULL
+    `, [
+      integrationId,
+      this.cloudId,
+      comment.id,
+      issueKey,
+      comment.author?.accountId || null,
+      comment.author?.displayName || null,
+      JSON.stringify(comment.body || {}),
+      comment.created || null,
+      comment.updated || null,
+      JSON.stringify(comment),
+      new Date().toISOString()
+    ]);
+
+    await indexComment(integrationId, this.cloudId, comment.id);
   }
 
   /**
@@ -848,11 +1273,11 @@ export class ComprehensiveJiraSync {
    */
   async syncIssueWorklogs(integrationId) {
     console.log('⏱️ Syncing issue worklogs...');
-    const db = await getDatabase();
-    const issues = await db.all('SELECT issue_key FROM jira_issues WHERE integration_id = ?', [integrationId]);
+    const issues = await this.getIssuesToSync(integrationId);
     
     let totalWorklogs = 0;
     for (const issue of issues) {
+      await this.throwIfCancelled();
       try {
         // Use pagination to get all worklogs for each issue
         let startAt = 0;
@@ -866,27 +1291,7 @@ export class ComprehensiveJiraSync {
           }
           
           for (const worklog of worklogs.worklogs) {
-            await db.run(`
-              INSERT OR REPLACE INTO jira_worklogs 
-              (integration_id, worklog_id, issue_key, author_account_id, 
-               author_display_name, comment, time_spent, time_spent_seconds,
-               started, created, updated, raw_data, updated_at)
-              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-            `, [
-              integrationId,
-              worklog.id,
-              issue.issue_key,
-              worklog.author?.accountId || null,
-              worklog.author?.displayName || null,
-              JSON.stringify(worklog.comment || {}),
-              worklog.timeSpent || null,
-              worklog.timeSpentSeconds || null,
-              worklog.started || null,
-              worklog.created || null,
-              worklog.updated || null,
-              JSON.stringify(worklog),
-              new Date().toISOString()
-            ]);
+            await this.saveWorklog(integrationId, issue.issue_key, worklog);
             totalWorklogs++;
           }
           
@@ -902,6 +1307,52 @@ export class ComprehensiveJiraSync {
       }
     }
     console.log(`✅ Synced ${totalWorklogs} worklogs`);
+    return totalWorklogs;
+  }
+
+  /**
+   * Store a single issue worklog
+   */
+  async saveWorklog(integrationId, issueKey, worklog) {
+    const db = await getDatabase();
+
+    await db.run(`
+      INSERT INTO jira_worklogs 
+      (integration_id, cloud_id, worklog_id, issue_key, author_account_id, 
+       author_display_name, comment, time_spent, time_spent_seconds,
+       started, created, updated, raw_data, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(integration_id, cloud_id, worklog_id) DO UPDATE SET
+        issue_key = excluded.issue_key,
+        author_account_id = excluded.author_account_id,
+        author_display_name = excluded.author_display_name,
+        comment = excluded.comment,
+        time_spent = excluded.time_spent,
+        time_spent_seconds = excluded.time_spent_seconds,
+        started = excluded.started,
+        created = excluded.created,
+        updated = excluded.updated,
+        raw_data = excluded.raw_data,
+        updated_at = excluded.updated_at,
+        deleted_at = NULL
+    `, [
+      integrationId,
+      this.cloudId,
+      worklog.id,
+      issueKey,
+      worklog.author?.accountId || null,
+      worklog.author?.displayName || null,
+      JSON.stringify(worklog.comment || {}),
+      worklog.timeSpent || null,
+      worklog.timeSpentSeconds || null,
+      worklog.started || null,
+      worklog.created || null,
+      worklog.updated || null,
+      JSON.stringify(worklog),
+      new Date().toISOString()
+    ]);
+
+    await indexWorklog(integrationId, this.cloudId, worklog.id);
   }
 
   /**
@@ -910,22 +1361,24 @@ export class ComprehensiveJiraSync {
   async syncIssueAttachments(integrationId) {
     console.log('📎 Syncing issue attachments...');
     const db = await getDatabase();
-    const issues = await db.all('SELECT issue_key FROM jira_issues WHERE integration_id = ?', [integrationId]);
+    const issues = await this.getIssuesToSync(integrationId);
     
     let totalAttachments = 0;
     for (const issue of issues) {
+      await this.throwIfCancelled();
       try {
         const attachments = await this.makeRequest(`/issue/${issue.issue_key}?fields=attachment`);
         
         for (const attachment of attachments.fields?.attachment || []) {
           await db.run(`
             INSERT OR REPLACE INTO jira_attachments 
-            (integration_id, attachment_id, issue_key, filename, 
+            (integration_id, cloud_id, attachment_id, issue_key, filename, 
              author_account_id, author_display_name, created, size, 
              mime_type, content_url, raw_data, updated_at)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
           `, [
             integrationId,
+            this.cloudId,
             attachment.id,
             issue.issue_key,
             attachment.filename,
@@ -945,6 +1398,7 @@ export class ComprehensiveJiraSync {
       }
     }
     console.log(`✅ Synced ${totalAttachments} attachments`);
+    return totalAttachments;
   }
 
   /**
@@ -953,21 +1407,23 @@ export class ComprehensiveJiraSync {
   async syncIssueLinks(integrationId) {
     console.log('🔗 Syncing issue links...');
     const db = await getDatabase();
-    const issues = await db.all('SELECT issue_key FROM jira_issues WHERE integration_id = ?', [integrationId]);
+    const issues = await this.getIssuesToSync(integrationId);
     
     let totalLinks = 0;
     for (const issue of issues) {
+      await this.throwIfCancelled();
       try {
         const links = await this.makeRequest(`/issue/${issue.issue_key}?fields=issuelinks`);
         
         for (const link of links.fields?.issuelinks || []) {
           await db.run(`
             INSERT OR REPLACE INTO jira_issue_links 
-            (integration_id, link_id, issue_key, outward_issue_key, 
+            (integration_id, cloud_id, link_id, issue_key, outward_issue_key, 
              inward_issue_key, link_type_id, link_type_name, raw_data, updated_at)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
           `, [
             integrationId,
+            this.cloudId,
             link.id,
             issue.issue_key,
             link.outwardIssue?.key || null,
@@ -984,5 +1440,6 @@ export class ComprehensiveJiraSync {
       }
     }
     console.log(`✅ Synced ${totalLinks} issue links`);
+    return totalLinks;
   }
 }
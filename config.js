@@ -11,10 +11,6 @@ export const config = {
   JIRA_REDIRECT_URI: process.env.JIRA_REDIRECT_URI || 'http://localhost:3000/auth/callback',
   JIRA_BASE_URL: process.env.JIRA_BASE_URL || 'https://your-domain.atlassian.net',
   
-  // Optional: For automated login
-  JIRA_USERNAME: 'your_jira_username',
-  JIRA_PASSWORD: 'your_jira_password',
-  
   // Server Configuration
   PORT: 3000,
   NODE_ENV: 'development'
@@ -0,0 +1,198 @@
+import { getDatabase } from './database.js';
+
+// Logical fields whose Jira field id differs per site, and how to recognise them in jira_fields.
+// A site may have several matches (e.g. "Story Points" and "Story point estimate"); the first
+// one holding a value wins, custom type matches before name matches.
+export const MAPPED_FIELDS = {
+  story_points: {
+    label: 'Story Points',
+    customTypes: ['com.pyxis.greenhopper.jira:jsw-story-points'],
+    names: ['Story Points', 'Story point estimate']
+  },
+  epic_link: {
+    label: 'Epic Link',
+    customTypes: ['com.pyxis.greenhopper.jira:gh-epic-link'],
+    names: ['Epic Link']
+  },
+  epic_name: {
+    label: 'Epic Name',
+    customTypes: ['com.pyxis.greenhopper.jira:gh-epic-label'],
+    names: ['Epic Name']
+  },
+  sprint: {
+    label: 'Sprint',
+    customTypes: ['com.pyxis.greenhopper.jira:gh-sprint'],
+    names: ['Sprint']
+  },
+  team: {
+    label: 'Team',
+    customTypes: [
+      'com.atlassian.jira.plugin.system.customfieldtypes:atlassian-team',
+      'com.atlassian.teams:rm-teams-custom-field-team'
+    ],
+    names: ['Team']
+  }
+};
+
+/**
+ * Work out the field mapping of a site and store it
+ * Manually set mappings are kept; the rest are resolved from `fields`
+ * (a /field response) or, when not given, from the synced jira_fields table.
+ */
+export async function resolveFieldMappings(integrationId, cloudId, fields = null) {
+  const db = await getDatabase();
+
+  if (!fields) {
+    const rows = await db.all(
+      'SELECT raw_data FROM jira_fields WHERE integration_id = ? AND cloud_id = ?',
+      [integrationId, cloudId]
+    );
+    fields = rows.map(row => JSON.parse(row.raw_data || '{}'));
+  }
+
+  const existing = await getFieldMappings(integrationId, cloudId);
+  const now = new Date().toISOString();
+
+  for (const [key, definition] of Object.entries(MAPPED_FIELDS)) {
+    if (existing[key]?.source === 'manual') continue;
+
+    const fieldIds = matchFields(fields, definition);
+    await db.run(`
+      INSERT INTO jira_field_mappings
+      (integration_id, cloud_id, logical_field, field_ids, source, updated_at)
+      VALUES (?, ?, ?, ?, 'auto', ?)
+      ON CONFLICT(integration_id, cloud_id, logical_field) DO UPDATE SET
+        field_ids = excluded.field_ids,
+        updated_at = excluded.updated_at
+    `, [integrationId, cloudId, key, JSON.stringify(fieldIds), now]);
+  }
+
+  return await getFieldMappings(integrationId, cloudId);
+}
+
+/**
+ * Get the stored field mapping of a site, keyed by logical field
+ */
+export async function getFieldMappings(integrationId, cloudId) {
+  const db = await getDatabase();
+  const rows = await db.all(
+    'SELECT * FROM jira_field_mappings WHERE integration_id = ? AND cloud_id = ?',
+    [integrationId, cloudId]
+  );
+
+  return Object.fromEntries(rows.map(row => [row.logical_field, {
+    fieldIds: JSON.parse(row.field_ids || '[]'),
+    source: row.source,
+    updatedAt: row.updated_at
+  }]));
+}
+
+/**
+ * Pin a logical field to specific Jira field ids
+ * Passing null hands the field back to automatic resolution.
+ */
+export async function setFieldMapping(integrationId, cloudId, key, fieldIds) {
+  if (!MAPPED_FIELDS[key]) {
+    throw new Error(`Unknown mapped field: ${key}`);
+  }
+
+  const db = await getDatabase();
+
+  if (fieldIds === null) {
+    await db.run(
+      'DELETE FROM jira_field_mappings WHERE integration_id = ? AND cloud_id = ? AND logical_field = ?',
+      [integrationId, cloudId, key]
+    );
+    console.log(`🔁 Field mapping ${key} of site ${cloudId} reset to automatic`);
+    return await resolveFieldMappings(integrationId, cloudId);
+  }
+
+  await db.run(`
+    INSERT INTO jira_field_mappings
+    (integration_id, cloud_id, logical_field, field_ids, source, updated_at)
+    VALUES (?, ?, ?, ?, 'manual', ?)
+    ON CONFLICT(integration_id, cloud_id, logical_field) DO UPDATE SET
+      field_ids = excluded.field_ids,
+      source = excluded.source,
+      updated_at = excluded.updated_at
+  `, [integrationId, cloudId, key, JSON.stringify(fieldIds), new Date().toISOString()]);
+
+  console.log(`✏️ Field mapping ${key} of site ${cloudId} set to ${fieldIds.join(', ') || '(none)'}`);
+  return await getFieldMappings(integrationId, cloudId);
+}
+
+/**
+ * List every Jira field id a mapping needs in an issue search
+ */
+export function mappedFieldIds(mappings) {
+  return [...new Set(Object.values(mappings).flatMap(mapping => mapping.fieldIds))];
+}
+
+/**
+ * Read the mapped values out of an issue's fields
+ * Epics come from the Epic Link field or, on newer sites, from a parent at the epic hierarchy level.
+ */
+export function extractMappedFields(fields, mappings) {
+  const storyPoints = firstValue(fields, mappings.story_points, value => typeof value === 'number');
+  const epicLink = firstValue(fields, mappings.epic_link, value => typeof value === 'string' && value);
+  const sprints = firstValue(fields, mappings.sprint, value => Array.isArray(value) && value.length > 0) || [];
+  const team = firstValue(fields, mappings.team, value => value !== null && value !== undefined);
+
+  const parent = fields.parent;
+  const parentIsEpic = parent && (parent.fields?.issuetype?.hierarchyLevel === 1 ||
+    parent.fields?.issuetype?.name === 'Epic');
+
+  // The active sprint wins, otherwise the most recent one the issue was in
+  const currentSprint = sprints.find(sprint => sprint.state === 'active') || sprints[sprints.length - 1] || null;
+
+  return {
+    storyPoints: storyPoints ?? null,
+    epicKey: epicLink || (parentIsEpic ? parent.key : null),
+    // Epic Link based epics get their name from fillEpicNames once the epics are stored
+    epicName: parentIsEpic && !epicLink ? parent.fields?.summary || null : null,
+    sprintId: currentSprint ? String(currentSprint.id) : null,
+    sprintName: currentSprint?.name || null,
+    sprints: sprints.map(sprint => ({ id: sprint.id, name: sprint.name, state: sprint.state })),
+    teamId: team === null || team === undefined ? null : String(team.id ?? team),
+    teamName: team?.name || team?.title || null
+  };
+}
+
+/**
+ * Fill in missing epic names from the stored epic issues of a site
+ * Uses the epic's Epic Name field when mapped, its summary otherwise.
+ */
+export async function fillEpicNames(integrationId, cloudId, mappings) {
+  const db = await getDatabase();
+  const epicNameField = mappings.epic_name?.fieldIds[0];
+
+  const result = await db.run(`
+    UPDATE jira_issues
+    SET epic_name = (
+      SELECT COALESCE(json_extract(epic.raw_data, ?), epic.summary)
+      FROM jira_issues epic
+      WHERE epic.integration_id = jira_issues.integration_id
+        AND epic.cloud_id = jira_issues.cloud_id
+        AND epic.issue_key = jira_issues.epic_key
+    )
+    WHERE integration_id = ? AND cloud_id = ? AND epic_key IS NOT NULL AND epic_name IS NULL
+  `, [epicNameField ? `$.fields.${epicNameField}` : null, integrationId, cloudId]);
+
+  return result.changes;
+}
+
+function matchFields(fields, definition) {
+  const names = definition.names.map(name => name.toLowerCase());
+  const byType = fields.filter(field => definition.customTypes.includes(field.schema?.custom));
+  const byName = fields.filter(field => field.custom && names.includes(String(field.name).toLowerCase()));
+
+  return [...new Set([...byType, ...byName].map(field => field.id))];
+}
+
+function firstValue(fields, mapping, isUsable) {
+  for (const fieldId of mapping?.fieldIds || []) {
+    const value = fields[fieldId];
+    if (isUsable(value)) return value;
+  }
+  return null;
+}
@@ -3,6 +3,8 @@ import { initDatabase } from './database.js';
 import { WebServer } from './web-server.js';
 import { TokenRefreshScheduler } from './scheduler.js';
 import { JiraAuthService } from './auth-service.js';
+import { getSyncJobQueue } from './sync-jobs.js';
+import { getBulkOperationQueue } from './bulk-operations.js';
 import './config.js'; // Load configuration
 
 // Load environment variables from .env file
@@ -20,6 +22,10 @@ async function main() {
   const webServer = new WebServer(port);
   webServer.start();
   
+  // Resume background sync jobs and bulk operations
+  await getSyncJobQueue().start();
+  await getBulkOperationQueue().start();
+  
   // Start token refresh scheduler
   const scheduler = new TokenRefreshScheduler();
   scheduler.start();
@@ -0,0 +1,181 @@
+import { getDatabase, TOMBSTONED_TABLES } from './database.js';
+
+// Days a tombstoned issue is kept before the scheduler purges it; unset keeps tombstones forever
+export const DELETED_ISSUE_RETENTION_DAYS = process.env.DELETED_ISSUE_RETENTION_DAYS
+  ? parseInt(process.env.DELETED_ISSUE_RETENTION_DAYS)
+  : null;
+
+const CHILD_TABLES = TOMBSTONED_TABLES.filter(table => table !== 'jira_issues');
+
+// Search document kind, source table and the column holding the document's source_id
+const SEARCH_DOCUMENT_SOURCES = [
+  ['issue', 'jira_issues', 'issue_id'],
+  ['comment', 'jira_comments', 'comment_id'],
+  ['worklog', 'jira_worklogs', 'worklog_id']
+];
+
+/**
+ * Prepare the stored rows of an issue that is about to be upserted
+ * A stored row with the same issue id under another key means the issue was moved:
+ * that row and its comments, worklogs, attachments, links and changelog are re-keyed.
+ * An issue that was tombstoned and is visible again gets its child rows back.
+ */
+export async function reconcileIssue(integrationId, cloudId, issueId, issueKey) {
+  const db = await getDatabase();
+  const rows = await db.all(
+    'SELECT id, issue_key, deleted_at FROM jira_issues WHERE integration_id = ? AND cloud_id = ? AND (issue_id = ? OR issue_key = ?)',
+    [integrationId, cloudId, issueId, issueKey]
+  );
+
+  for (const row of rows.filter(row => row.issue_key !== issueKey)) {
+    await moveIssue(db, integrationId, cloudId, issueId, row, issueKey);
+  }
+
+  if (rows.some(row => row.deleted_at)) {
+    for (const table of CHILD_TABLES) {
+      await db.run(
+        `UPDATE ${table} SET deleted_at = NULL WHERE integration_id = ? AND cloud_id = ? AND issue_key = ? AND deleted_at IS NOT NULL`,
+        [integrationId, cloudId, issueKey]
+      );
+    }
+    console.log(`♻️ Issue ${issueKey} is visible again, tombstone cleared`);
+  }
+}
+
+/**
+ * Tombstone the stored issues of a project that a full sync no longer returned
+ * Covers issues deleted in Jira, moved to a project that is not synced, or hidden by permissions.
+ * Returns the number of issues tombstoned.
+ */
+export async function tombstoneMissingIssues(integrationId, cloudId, projectKey, seenKeys) {
+  const db = await getDatabase();
+  const stored = await db.all(`
+    SELECT issue_key FROM jira_issues
+    WHERE integration_id = ? AND cloud_id = ? AND deleted_at IS NULL
+      AND substr(issue_key, 1, length(?) + 1) = ? || '-'
+  `, [integrationId, cloudId, projectKey, projectKey]);
+
+  const missing = stored.map(row => row.issue_key).filter(key => !seenKeys.has(key));
+
+  for (const issueKey of missing) {
+    await tombstoneIssue(integrationId, cloudId, issueKey);
+  }
+
+  if (missing.length > 0) {
+    console.log(`🪦 ${projectKey}: tombstoned ${missing.length} issue(s) no longer returned by Jira`);
+  }
+  return missing.length;
+}
+
+/**
+ * Tombstone an issue together with its comments, worklogs, attachments, links and changelog
+ */
+export async function tombstoneIssue(integrationId, cloudId, issueKey) {
+  const db = await getDatabase();
+  const now = new Date().toISOString();
+
+  for (const table of TOMBSTONED_TABLES) {
+    await db.run(
+      `UPDATE ${table} SET deleted_at = ? WHERE integration_id = ? AND cloud_id = ? AND issue_key = ? AND deleted_at IS NULL`,
+      [now, integrationId, cloudId, issueKey]
+    );
+  }
+}
+
+/**
+ * List tombstoned issues and detected key changes of an integration
+ */
+export async function listDeletedIssues(integrationId, cloudId = null) {
+  const db = await getDatabase();
+  const siteFilter = cloudId ? ' AND cloud_id = ?' : '';
+  const params = cloudId ? [integrationId, cloudId] : [integrationId];
+
+  const issues = await db.all(`
+    SELECT integration_id, cloud_id, issue_key, issue_id, summary, status_name, issue_type_name, updated, deleted_at
+    FROM jira_issues
+    WHERE integration_id = ? AND deleted_at IS NOT NULL${siteFilter}
+    ORDER BY deleted_at DESC
+  `, params);
+
+  const moves = await db.all(`
+    SELECT integration_id, cloud_id, issue_id, from_key, to_key, detected_at
+    FROM jira_issue_moves
+    WHERE integration_id = ?${siteFilter}
+    ORDER BY detected_at DESC
+  `, params);
+
+  return { issues, moves };
+}
+
+/**
+ * Permanently remove rows tombstoned more than retentionDays ago
+ * Their search documents go in the same transaction. Returns the number of rows removed per table.
+ */
+export async function purgeDeletedIssues(integrationId, retentionDays) {
+  const db = await getDatabase();
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+
+  const purged = {};
+  await db.exec('BEGIN');
+  try {
+    // Deleting a document also removes its full-text row (jira_search_documents_delete trigger)
+    for (const [kind, table, idColumn] of SEARCH_DOCUMENT_SOURCES) {
+      await db.run(`
+        DELETE FROM jira_search_documents
+        WHERE integration_id = ? AND kind = ? AND EXISTS (
+          SELECT 1 FROM ${table} t
+          WHERE t.integration_id = jira_search_documents.integration_id
+            AND t.cloud_id IS jira_search_documents.cloud_id
+            AND t.${idColumn} = jira_search_documents.source_id
+            AND t.deleted_at IS NOT NULL AND t.deleted_at < ?
+        )
+      `, [integrationId, kind, cutoff]);
+    }
+
+    for (const table of TOMBSTONED_TABLES) {
+      const result = await db.run(
+        `DELETE FROM ${table} WHERE integration_id = ? AND deleted_at IS NOT NULL AND deleted_at < ?`,
+        [integrationId, cutoff]
+      );
+      purged[table] = result.changes;
+    }
+
+    await db.exec('COMMIT');
+  } catch (error) {
+    await db.exec('ROLLBACK');
+    throw error;
+  }
+
+  if (purged.jira_issues > 0) {
+    console.log(`🧹 Purged ${purged.jira_issues} issue(s) of integration ${integrationId} deleted before ${cutoff}`);
+  }
+  return purged;
+}
+
+/**
+ * Re-key a stored issue and its child rows after the issue moved to a new key
+ */
+async function moveIssue(db, integrationId, cloudId, issueId, row, newKey) {
+  for (const table of CHILD_TABLES) {
+    await db.run(
+      `UPDATE OR IGNORE ${table} SET issue_key = ?, deleted_at = NULL WHERE integration_id = ? AND cloud_id = ? AND issue_key = ?`,
+      [newKey, integrationId, cloudId, row.issue_key]
+    );
+  }
+
+  // The new key may already be stored if both keys were synced; keep that row
+  const result = await db.run(
+    'UPDATE OR IGNORE jira_issues SET issue_key = ?, deleted_at = NULL WHERE id = ?',
+    [newKey, row.id]
+  );
+  if (result.changes === 0) {
+    await db.run('DELETE FROM jira_issues WHERE id = ?', [row.id]);
+  }
+
+  await db.run(`
+    INSERT INTO jira_issue_moves (integration_id, cloud_id, issue_id, from_key, to_key, detected_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `, [integrationId, cloudId, issueId, row.issue_key, newKey, new Date().toISOString()]);
+
+  console.log(`🔀 Issue ${row.issue_key} moved to ${newKey}`);
+}
@@ -0,0 +1,750 @@
+import { getDatabase } from './database.js';
+import { ComprehensiveJiraSync } from './comprehensive-sync.js';
+import { getEnabledSites } from './jira-sites.js';
+import { getFieldMappings, resolveFieldMappings, fillEpicNames } from './field-mapping.js';
+import { reconcileIssue } from './issue-tombstones.js';
+import { decryptIntegration } from './token-crypto.js';
+import { isServerIntegration } from './jira-adapter.js';
+import { markdownToAdf, adfToWiki } from './markdown-adf.js';
+
+// Fields that are set through their own parameter or endpoint rather than `fields`
+const RESERVED_FIELDS = {
+  project: 'Set the project with projectKey when creating an issue; issues cannot be moved',
+  issuetype: 'Set the issue type with issueType',
+  status: 'Change the status with POST /api/issues/:key/transitions'
+};
+
+// Jira durations such as "1w 2d", "3h 30m" or "1.5h"; days and weeks follow the site's time tracking settings
+const TIME_SPENT_PATTERN = /^(?:\d+(?:\.\d+)?w)?\s*(?:\d+(?:\.\d+)?d)?\s*(?:\d+(?:\.\d+)?h)?\s*(?:\d+m)?$/;
+// ISO 8601 timestamps with a time zone, e.g. 2026-03-01T09:30:00Z or 2026-03-01T09:30:00.000+01:00
+const STARTED_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d{1,3})?)?(?:Z|[+-]\d{2}:?\d{2})$/;
+
+// Field schema types whose values are objects Jira looks up by name or value
+const NAMED_TYPES = ['priority', 'resolution', 'version', 'component', 'securitylevel'];
+const OPTION_TYPES = ['option', 'option-with-child'];
+
+/**
+ * Create an issue in Jira and store it
+ *
+ * input: { cloudId, projectKey, issueType, fields }
+ *   cloudId    site of the project, only needed when several sites have the project key
+ *   issueType  issue type id or name, from the synced jira_issue_types
+ *   fields     field ids or names from the synced jira_fields, e.g. { summary, description, labels }
+ *
+ * Returns the stored jira_issues row.
+ */
+export async function createIssue(integrationId, input = {}) {
+  const { projectKey, issueType, fields = {} } = input;
+  if (!projectKey || typeof projectKey !== 'string') {
+    throw writeError(400, 'projectKey is required');
+  }
+  if (!issueType) {
+    throw writeError(400, 'issueType is required');
+  }
+  if (!isPlainObject(fields) || typeof fields.summary !== 'string' || fields.summary.trim() === '') {
+    throw writeError(400, 'fields.summary is required');
+  }
+
+  const db = await getDatabase();
+  const cloudId = await resolveProjectSite(db, integrationId, projectKey, input.cloudId);
+  const context = await getWriteContext(integrationId, cloudId);
+
+  const type = await resolveIssueType(db, integrationId, cloudId, issueType);
+  if (type.subtask && !fields.parent) {
+    throw writeError(400, `${type.name} is a sub-task type - fields.parent is required`);
+  }
+
+  const body = {
+    fields: {
+      project: { key: projectKey },
+      issuetype: { id: type.issue_type_id },
+      ...await buildFields(context, fields)
+    }
+  };
+  const created = await callJira(() => context.sync.makeRequest('/issue', { method: 'POST', body: JSON.stringify(body) }));
+
+  console.log(`🆕 Created issue ${created.key} in ${projectKey} on site ${cloudId}`);
+  return await storeIssue(context, created.key);
+}
+
+/**
+ * Find the stored issue a write targets
+ * Issue keys repeat across integrations and sites, so options.integrationId and options.cloudId
+ * narrow the match; options.scope is the caller's integrationScope().
+ */
+export async function findIssueForWrite(issueKey, options = {}) {
+  const scope = options.scope || { clause: '1 = 1', params: [] };
+  let filter = `issue_key = ? AND deleted_at IS NULL AND ${scope.clause}`;
+  const params = [issueKey, ...scope.params];
+
+  if (options.integrationId) {
+    filter += ' AND integration_id = ?';
+    params.push(options.integrationId);
+  }
+  if (options.cloudId) {
+    filter += ' AND cloud_id = ?';
+    params.push(options.cloudId);
+  }
+
+  const db = await getDatabase();
+  const issues = await db.all(`SELECT * FROM jira_issues WHERE ${filter}`, params);
+  if (issues.length === 0) {
+    throw writeError(404, 'Issue not found');
+  }
+  if (issues.length > 1) {
+    throw writeError(400, `${issueKey} exists on several sites - pass integrationId and cloudId`);
+  }
+  return issues[0];
+}
+
+/**
+ * Edit the fields of a stored issue in Jira and store the result
+ * input: { fields, update }, with field ids or names from the synced jira_fields; update holds
+ * Jira's add / remove / set operations, e.g. { labels: [{ add: 'urgent' }] }
+ */
+export async function updateIssue(issue, input = {}) {
+  const context = await getWriteContext(issue.integration_id, issue.cloud_id);
+  const body = await updateBody(context, input);
+  await callJira(() => context.sync.makeRequest(`/issue/${issue.issue_key}`, { method: 'PUT', body: JSON.stringify(body) }));
+
+  const changed = [...Object.keys(body.fields || {}), ...Object.keys(body.update || {})];
+  console.log(`✏️ Updated ${changed.join(', ')} of issue ${issue.issue_key} on site ${issue.cloud_id}`);
+  return await storeIssue(context, issue.issue_key);
+}
+
+/**
+ * Move a stored issue through its workflow and store the result
+ *
+ * input: { transitionId | transition | status, fields }
+ *   transition  transition name; status is the name or id of the status to move to
+ *   fields      fields of the transition screen, e.g. { resolution: 'Done' }
+ *
+ * The request is checked against the transitions the synced workflows allow from the issue's
+ * status, then resolved against the transitions Jira offers the issue right now.
+ * Returns { issue, transition }.
+ */
+export async function transitionIssue(issue, input = {}) {
+  checkTransitionInput(input);
+
+  const context = await getWriteContext(issue.integration_id, issue.cloud_id);
+  const { sync } = context;
+
+  const check = await checkTransition(issue, input);
+  if (check.allowed === false) {
+    throw writeError(400, check.reason);
+  }
+
+  const available = await callJira(() => sync.makeRequest(`/issue/${issue.issue_key}/transitions`));
+  const offered = (available?.transitions || []).map(transition => ({
+    id: String(transition.id),
+    name: transition.name,
+    to: transition.to?.id !== undefined ? String(transition.to.id) : null,
+    toName: transition.to?.name || null
+  }));
+  const transition = offered.find(candidate => matchesTransition(candidate, input));
+  if (!transition) {
+    throw writeError(409, `Jira does not offer that transition for ${issue.issue_key} right now; available: ${describeTransitions(offered) || 'none'}`);
+  }
+
+  const body = { transition: { id: transition.id } };
+  if (input.fields && Object.keys(input.fields).length > 0) {
+    body.fields = await buildFields(context, input.fields);
+  }
+  await callJira(() => sync.makeRequest(`/issue/${issue.issue_key}/transitions`, { method: 'POST', body: JSON.stringify(body) }));
+
+  console.log(`🔀 Moved issue ${issue.issue_key} from ${issue.status_name} to ${transition.toName || transition.name}`);
+  return {
+    issue: await storeIssue(context, issue.issue_key),
+    transition: { id: transition.id, name: transition.name, to: transition.toName }
+  };
+}
+
+/**
+ * Add a comment to a stored issue in Jira and store it
+ * input: { body, visibility }, body being Markdown (or an ADF document on Jira Cloud) and
+ * visibility an optional { type: 'group' | 'role', value } restriction.
+ * Returns the stored jira_comments row.
+ */
+export async function addComment(issue, input = {}) {
+  const context = await getWriteContext(issue.integration_id, issue.cloud_id);
+  const payload = commentPayload(context, input);
+  const comment = await callJira(() => context.sync.makeRequest(`/issue/${issue.issue_key}/comment`, { method: 'POST', body: JSON.stringify(payload) }));
+
+  await context.sync.saveComment(issue.integration_id, issue.issue_key, comment);
+  console.log(`💬 Added comment ${comment.id} to issue ${issue.issue_key}`);
+  return await storedRow(context, 'jira_comments', 'comment_id', comment.id);
+}
+
+/**
+ * Log work on a stored issue in Jira and store the worklog
+ * input: { timeSpent | timeSpentSeconds, started, comment }
+ *   timeSpent  Jira duration, e.g. "1h 30m"; timeSpentSeconds a whole number of seconds instead
+ *   started    ISO 8601 timestamp with a time zone, not in the future
+ *   comment    Markdown
+ * Returns the stored jira_worklogs row.
+ */
+export async function addWorklog(issue, input = {}) {
+  const context = await getWriteContext(issue.integration_id, issue.cloud_id);
+  const worklog = await callJira(() => context.sync.makeRequest(`/issue/${issue.issue_key}/worklog`, {
+    method: 'POST',
+    body: JSON.stringify(newWorklogPayload(context, input))
+  }));
+
+  await context.sync.saveWorklog(issue.integration_id, issue.issue_key, worklog);
+  console.log(`⏱️ Logged ${worklog.timeSpent} on issue ${issue.issue_key} (worklog ${worklog.id})`);
+  return await storedRow(context, 'jira_worklogs', 'worklog_id', worklog.id);
+}
+
+/**
+ * Change a worklog of a stored issue in Jira and store the result
+ * input: any of { timeSpent | timeSpentSeconds, started, comment }
+ */
+export async function updateWorklog(issue, worklogId, input = {}) {
+  requireWorklogId(worklogId);
+  const context = await getWriteContext(issue.integration_id, issue.cloud_id);
+  const payload = worklogChanges(context, input);
+
+  const worklog = await callJira(() => context.sync.makeRequest(`/issue/${issue.issue_key}/worklog/${worklogId}`, {
+    method: 'PUT',
+    body: JSON.stringify(payload)
+  }));
+
+  await context.sync.saveWorklog(issue.integration_id, issue.issue_key, worklog);
+  console.log(`⏱️ Updated worklog ${worklogId} of issue ${issue.issue_key}`);
+  return await storedRow(context, 'jira_worklogs', 'worklog_id', worklog.id);
+}
+
+/**
+ * Delete a worklog of a stored issue in Jira; the stored copy gets a deleted_at tombstone
+ */
+export async function deleteWorklog(issue, worklogId) {
+  requireWorklogId(worklogId);
+  const context = await getWriteContext(issue.integration_id, issue.cloud_id);
+  await callJira(() => context.sync.makeRequest(`/issue/${issue.issue_key}/worklog/${worklogId}`, { method: 'DELETE' }));
+
+  await context.db.run(
+    'UPDATE jira_worklogs SET deleted_at = ? WHERE integration_id = ? AND cloud_id = ? AND worklog_id = ?',
+    [new Date().toISOString(), issue.integration_id, issue.cloud_id, String(worklogId)]
+  );
+  console.log(`🗑️ Deleted worklog ${worklogId} of issue ${issue.issue_key}`);
+}
+
+/**
+ * Check a transition against the workflows synced for the issue's site, without calling Jira
+ * Returns { allowed, reason }; allowed is null when no synced workflow describes the transitions
+ * from the issue's status.
+ */
+export async function checkTransition(issue, input = {}) {
+  const db = await getDatabase();
+  const synced = await syncedTransitions(db, issue.integration_id, issue.cloud_id, issue.status_id);
+  if (!synced) {
+    return { allowed: null, reason: null };
+  }
+  if (!synced.some(transition => matchesTransition(transition, input))) {
+    return { allowed: false, reason: `${issue.issue_key} cannot be moved that way from ${issue.status_name}; its workflow allows: ${describeTransitions(synced)}` };
+  }
+  return { allowed: true, reason: null };
+}
+
+/**
+ * Check the input of a write to a stored issue as the write would, without calling Jira
+ * operation is the write queue's name of the write, e.g. 'update_issue'. Transitions are not
+ * checked against the workflow here: writes queued before them may still change the status.
+ */
+export async function validateWrite(operation, issue, input = {}, worklogId) {
+  if (['update_worklog', 'delete_worklog'].includes(operation)) {
+    requireWorklogId(worklogId);
+  }
+  if (operation === 'delete_worklog') return;
+  if (operation === 'transition_issue') {
+    checkTransitionInput(input);
+  }
+
+  const context = await getWriteContext(issue.integration_id, issue.cloud_id);
+  if (operation === 'update_issue') {
+    await updateBody(context, input);
+  } else if (operation === 'transition_issue' && input.fields) {
+    await buildFields(context, input.fields);
+  } else if (operation === 'add_comment') {
+    commentPayload(context, input);
+  } else if (operation === 'add_worklog') {
+    newWorklogPayload(context, input);
+  } else if (operation === 'update_worklog') {
+    worklogChanges(context, input);
+  }
+}
+
+/**
+ * Check fields for a write to a stored issue and convert them to the Jira format, as
+ * updateIssue would send them
+ * contexts is an optional Map that keeps the write context of each site between calls, for
+ * callers that check many issues.
+ */
+export async function buildIssueFields(issue, fields, contexts = null) {
+  if (!isPlainObject(fields)) {
+    throw writeError(400, 'fields must be an object');
+  }
+  const context = contexts
+    ? await cachedWriteContext(contexts, issue.integration_id, issue.cloud_id)
+    : await getWriteContext(issue.integration_id, issue.cloud_id);
+  return await buildFields(context, fields, { allowIssueType: true });
+}
+
+/**
+ * Jira's current `updated` timestamp of a stored issue
+ */
+export async function getIssueUpdated(issue) {
+  const context = await getWriteContext(issue.integration_id, issue.cloud_id);
+  const current = await callJira(() => context.sync.makeRequest(`/issue/${issue.issue_key}?fields=updated`));
+  return current?.fields?.updated || null;
+}
+
+async function getWriteContext(integrationId, cloudId) {
+  const db = await getDatabase();
+  const integration = decryptIntegration(await db.get(
+    'SELECT * FROM integrations WHERE id = ? AND is_active = 1',
+    [integrationId]
+  ));
+  if (!integration) {
+    throw writeError(404, 'Integration not found or inactive');
+  }
+
+  const sites = await getEnabledSites(integrationId);
+  if (!sites.some(site => site.cloud_id === cloudId)) {
+    throw writeError(400, `Site ${cloudId} is not enabled for this integration`);
+  }
+
+  const sync = new ComprehensiveJiraSync(integration.access_token, cloudId, { integrationId, integration });
+  return { db, integration, sync, integrationId, cloudId, isServer: isServerIntegration(integration) };
+}
+
+async function cachedWriteContext(contexts, integrationId, cloudId) {
+  const key = `${integrationId}:${cloudId}`;
+  if (!contexts.has(key)) {
+    contexts.set(key, getWriteContext(integrationId, cloudId));
+  }
+  return await contexts.get(key);
+}
+
+async function resolveProjectSite(db, integrationId, projectKey, cloudId) {
+  const enabled = (await getEnabledSites(integrationId)).map(site => site.cloud_id);
+  const projects = await db.all(
+    'SELECT cloud_id FROM jira_projects WHERE integration_id = ? AND project_key = ? AND is_active = 1',
+    [integrationId, projectKey]
+  );
+  const sites = projects.map(project => project.cloud_id).filter(site => enabled.includes(site));
+
+  if (cloudId) {
+    if (!sites.includes(cloudId)) {
+      throw writeError(404, `Project ${projectKey} is not synced on site ${cloudId}`);
+    }
+    return cloudId;
+  }
+  if (sites.length === 0) {
+    throw writeError(404, `Project ${projectKey} is not synced for this integration`);
+  }
+  if (sites.length > 1) {
+    throw writeError(400, `Project ${projectKey} exists on several sites - pass cloudId`);
+  }
+  return sites[0];
+}
+
+async function resolveIssueType(db, integrationId, cloudId, issueType) {
+  const types = await db.all(
+    'SELECT issue_type_id, name, subtask FROM jira_issue_types WHERE integration_id = ? AND cloud_id = ?',
+    [integrationId, cloudId]
+  );
+  if (types.length === 0) {
+    throw writeError(409, `Issue types of site ${cloudId} are not synced yet - run an issue type sync first`);
+  }
+
+  const wanted = String(issueType).toLowerCase();
+  const type = types.find(t => t.issue_type_id === String(issueType)) ||
+    types.find(t => String(t.name).toLowerCase() === wanted);
+  if (!type) {
+    throw writeError(400, `Unknown issue type ${issueType}; use one of: ${types.map(t => t.name).join(', ')}`);
+  }
+  return { ...type, subtask: Boolean(type.subtask) };
+}
+
+/**
+ * Check fields against the synced jira_fields of the site and convert them to the Jira format
+ * Fields may be given by id or (unambiguous) name; plain strings are accepted for fields Jira
+ * expects as objects, e.g. { priority: 'High' } becomes { priority: { name: 'High' } }.
+ */
+async function buildFields(context, fields, options = {}) {
+  const { db, integrationId, cloudId } = context;
+  const definitions = await fieldDefinitions(context);
+
+  const result = {};
+  for (const [key, value] of Object.entries(fields)) {
+    const field = findField(definitions, key);
+
+    if (field.id === 'issuetype' && options.allowIssueType) {
+      const type = await resolveIssueType(db, integrationId, cloudId, isPlainObject(value) ? value.id || value.name : value);
+      result.issuetype = { id: type.issue_type_id };
+      continue;
+    }
+    requireSettable(field);
+
+    result[field.id] = coerceField(context, field, value);
+  }
+  return result;
+}
+
+/**
+ * Check Jira update operations ({ field: [{ add | remove | set: value }] }) like buildFields;
+ * add and remove take single items of list fields
+ */
+async function buildUpdate(context, update) {
+  const definitions = await fieldDefinitions(context);
+
+  const result = {};
+  for (const [key, operations] of Object.entries(update)) {
+    const field = findField(definitions, key);
+    requireSettable(field);
+    if (!Array.isArray(operations) || operations.length === 0) {
+      throw writeError(400, `update.${key} must be a list of operations, e.g. [{ "add": "value" }]`);
+    }
+
+    result[field.id] = operations.map(operation => {
+      const [verb, ...others] = isPlainObject(operation) ? Object.keys(operation) : [];
+      if (!['add', 'remove', 'set'].includes(verb) || others.length > 0) {
+        throw writeError(400, `update.${key} operations must each be one of { add }, { remove } or { set }`);
+      }
+      const schema = field.schema || {};
+      const value = verb === 'set'
+        ? coerceField(context, field, operation.set)
+        : coerceValue(context, field, schema.type === 'array' ? schema.items : schema.type, operation[verb]);
+      return { [verb]: value };
+    });
+  }
+  return result;
+}
+
+async function fieldDefinitions(context) {
+  // Kept on the context, which callers checking many issues reuse per site
+  if (context.fieldDefinitions) return context.fieldDefinitions;
+
+  const { db, integrationId, cloudId } = context;
+  const rows = await db.all(
+    'SELECT field_id, name, raw_data FROM jira_fields WHERE integration_id = ? AND cloud_id = ?',
+    [integrationId, cloudId]
+  );
+  if (rows.length === 0) {
+    throw writeError(409, `Fields of site ${cloudId} are not synced yet - run a field sync first`);
+  }
+  context.fieldDefinitions = rows.map(row => ({ ...JSON.parse(row.raw_data || '{}'), id: row.field_id, name: row.name }));
+  return context.fieldDefinitions;
+}
+
+function findField(definitions, key) {
+  const byName = definitions.filter(field => String(field.name).toLowerCase() === key.toLowerCase());
+  const field = definitions.find(f => f.id === key) || (byName.length === 1 ? byName[0] : null);
+  if (!field) {
+    throw writeError(400, byName.length > 1
+      ? `Field name ${key} is ambiguous - use one of the field ids ${byName.map(f => f.id).join(', ')}`
+      : `Unknown field ${key}`);
+  }
+  return field;
+}
+
+function requireSettable(field) {
+  if (RESERVED_FIELDS[field.id]) {
+    throw writeError(400, RESERVED_FIELDS[field.id]);
+  }
+  if (field.orderable === false) {
+    throw writeError(400, `Field ${field.name} cannot be set`);
+  }
+}
+
+function coerceField(context, field, value) {
+  if (value === null) return null;
+
+  const schema = field.schema || {};
+  if (schema.type === 'array') {
+    if (!Array.isArray(value)) {
+      throw writeError(400, `${field.name} expects a list`);
+    }
+    return value.map(item => coerceValue(context, field, schema.items, item));
+  }
+  return coerceValue(context, field, schema.type, value);
+}
+
+function coerceValue(context, field, type, value) {
+  if (field.id === 'parent') {
+    return typeof value === 'string' ? { key: value } : value;
+  }
+
+  switch (type) {
+    case 'string': {
+      const richText = ['description', 'environment'].includes(field.id) || /:textarea$/.test(field.schema?.custom || '');
+      if (richText && !context.isServer && isPlainObject(value)) return value;
+      if (typeof value !== 'string') {
+        throw writeError(400, `${field.name} expects text`);
+      }
+      return richText ? richTextValue(context, value) : value;
+    }
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        throw writeError(400, `${field.name} expects a number`);
+      }
+      return number;
+    }
+    case 'date':
+      if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        throw writeError(400, `${field.name} expects a date (YYYY-MM-DD)`);
+      }
+      return value;
+    case 'datetime':
+      if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+        throw writeError(400, `${field.name} expects a date and time`);
+      }
+      return value;
+    case 'user':
+      if (typeof value === 'string') return context.isServer ? { name: value } : { accountId: value };
+      break;
+    default:
+      if (typeof value === 'string' && NAMED_TYPES.includes(type)) return { name: value };
+      if (typeof value === 'string' && OPTION_TYPES.includes(type)) return { value };
+  }
+
+  if (!isPlainObject(value) && typeof value !== 'string' && typeof value !== 'number' && typeof value !== 'boolean') {
+    throw writeError(400, `${field.name} has an unsupported value`);
+  }
+  return value;
+}
+
+// Jira Cloud takes rich text as ADF, Jira Server as wiki markup; both are written as Markdown
+function richTextValue(context, value) {
+  if (isPlainObject(value)) {
+    if (context.isServer) {
+      throw writeError(400, 'Jira Server takes text, not ADF documents');
+    }
+    return value;
+  }
+  const document = markdownToAdf(value);
+  return context.isServer ? adfToWiki(document) : document;
+}
+
+/**
+ * Check the input of an issue edit and build the request body
+ */
+async function updateBody(context, input) {
+  const { fields = {}, update = {} } = input;
+  if (!isPlainObject(fields) || !isPlainObject(update) || Object.keys(fields).length + Object.keys(update).length === 0) {
+    throw writeError(400, 'fields (or update) must be an object with at least one field');
+  }
+
+  const body = {};
+  if (Object.keys(fields).length > 0) {
+    body.fields = await buildFields(context, fields, { allowIssueType: true });
+  }
+  if (Object.keys(update).length > 0) {
+    body.update = await buildUpdate(context, update);
+  }
+  return body;
+}
+
+function checkTransitionInput(input) {
+  const requested = ['transitionId', 'transition', 'status'].filter(key => input[key] !== undefined && input[key] !== '');
+  if (requested.length !== 1) {
+    throw writeError(400, 'Pass exactly one of transitionId, transition (name) or status');
+  }
+  if (input.fields !== undefined && !isPlainObject(input.fields)) {
+    throw writeError(400, 'fields must be an object');
+  }
+}
+
+function commentPayload(context, input) {
+  const { body, visibility } = input;
+  if (typeof body === 'string' ? body.trim() === '' : !isPlainObject(body)) {
+    throw writeError(400, 'body is required (Markdown text)');
+  }
+  if (visibility !== undefined && (!isPlainObject(visibility) || !['group', 'role'].includes(visibility.type) || !visibility.value)) {
+    throw writeError(400, 'visibility must be { type: "group" | "role", value }');
+  }
+  return { body: richTextValue(context, body), ...(visibility ? { visibility } : {}) };
+}
+
+function newWorklogPayload(context, input) {
+  if (input.started === undefined) {
+    throw writeError(400, 'started is required');
+  }
+  if (input.timeSpent === undefined && input.timeSpentSeconds === undefined) {
+    throw writeError(400, 'timeSpent or timeSpentSeconds is required');
+  }
+  return worklogPayload(context, input);
+}
+
+function worklogChanges(context, input) {
+  const payload = worklogPayload(context, input);
+  if (Object.keys(payload).length === 0) {
+    throw writeError(400, 'Pass at least one of timeSpent, timeSpentSeconds, started or comment');
+  }
+  return payload;
+}
+
+/**
+ * Check worklog input and convert it to the Jira format; only given properties are included
+ */
+function worklogPayload(context, input) {
+  const payload = {};
+
+  if (input.timeSpent !== undefined && input.timeSpentSeconds !== undefined) {
+    throw writeError(400, 'Pass either timeSpent or timeSpentSeconds, not both');
+  }
+  if (input.timeSpent !== undefined) {
+    const timeSpent = String(input.timeSpent).trim();
+    if (!timeSpent || !TIME_SPENT_PATTERN.test(timeSpent) || !/[1-9]/.test(timeSpent)) {
+      throw writeError(400, `Invalid timeSpent "${input.timeSpent}" - use a Jira duration such as "2h 30m", "1d" or "45m"`);
+    }
+    payload.timeSpent = timeSpent.match(/[\d.]+[wdhm]/g).join(' ');
+  }
+  if (input.timeSpentSeconds !== undefined) {
+    const seconds = Number(input.timeSpentSeconds);
+    if (!Number.isInteger(seconds) || seconds < 60) {
+      throw writeError(400, 'timeSpentSeconds must be a whole number of at least 60');
+    }
+    payload.timeSpentSeconds = seconds;
+  }
+
+  if (input.started !== undefined) {
+    const started = typeof input.started === 'string' && STARTED_PATTERN.test(input.started) ? new Date(input.started) : null;
+    if (!started || Number.isNaN(started.getTime())) {
+      throw writeError(400, `Invalid started "${input.started}" - use an ISO 8601 timestamp with a time zone, e.g. 2026-03-01T09:30:00Z`);
+    }
+    if (started.getTime() > Date.now()) {
+      throw writeError(400, 'started cannot be in the future');
+    }
+    // Jira only accepts yyyy-MM-ddTHH:mm:ss.SSS+hhmm
+    payload.started = started.toISOString().replace('Z', '+0000');
+  }
+
+  if (input.comment !== undefined && input.comment !== null && input.comment !== '') {
+    payload.comment = richTextValue(context, input.comment);
+  }
+  return payload;
+}
+
+function requireWorklogId(worklogId) {
+  if (!/^\d+$/.test(String(worklogId))) {
+    throw writeError(400, 'Invalid worklog id');
+  }
+}
+
+async function storedRow(context, table, idColumn, id) {
+  return await context.db.get(
+    `SELECT * FROM ${table} WHERE integration_id = ? AND cloud_id = ? AND ${idColumn} = ?`,
+    [context.integrationId, context.cloudId, String(id)]
+  );
+}
+
+/**
+ * Transitions the synced workflows allow from a status, or null when no synced workflow
+ * describes its transitions from that status
+ */
+async function syncedTransitions(db, integrationId, cloudId, statusId) {
+  if (!statusId) return null;
+
+  const workflows = await db.all(
+    'SELECT transitions FROM jira_workflows WHERE integration_id = ? AND cloud_id = ? AND transitions IS NOT NULL',
+    [integrationId, cloudId]
+  );
+  const statuses = await db.all(
+    'SELECT status_id, name FROM jira_statuses WHERE integration_id = ? AND cloud_id = ?',
+    [integrationId, cloudId]
+  );
+  const statusNames = new Map(statuses.map(status => [status.status_id, status.name]));
+
+  const transitions = workflows.flatMap(workflow => JSON.parse(workflow.transitions || '[]'));
+  const fromStatus = transitions.filter(transition => transition.from.includes(String(statusId)));
+  if (fromStatus.length === 0) {
+    return null;
+  }
+
+  // Global transitions (empty from) apply to every status of the workflow
+  const global = transitions.filter(transition => transition.from.length === 0);
+
+  return [...fromStatus, ...global].map(transition => ({
+    ...transition,
+    toName: statusNames.get(transition.to) || null
+  }));
+}
+
+function matchesTransition(transition, input) {
+  if (input.transitionId !== undefined) {
+    return transition.id === String(input.transitionId);
+  }
+  if (input.transition !== undefined) {
+    return String(transition.name).toLowerCase() === String(input.transition).toLowerCase();
+  }
+  const status = String(input.status).toLowerCase();
+  return transition.to === String(input.status) || String(transition.toName || '').toLowerCase() === status;
+}
+
+function describeTransitions(transitions) {
+  return [...new Set(transitions.map(t => `${t.name}${t.toName ? ` (→ ${t.toName})` : ''}`))].join(', ');
+}
+
+/**
+ * Fetch an issue after a write and upsert it like a sync would
+ * The write has already been applied, so a failing fetch only leaves the stored copy stale
+ * until the next sync.
+ */
+async function storeIssue(context, issueKey) {
+  const { db, sync, integrationId, cloudId } = context;
+  let issue;
+  try {
+    issue = await sync.makeRequest(`/issue/${issueKey}`);
+  } catch (error) {
+    console.warn(`⚠️ Could not refresh issue ${issueKey} after writing it:`, error.message);
+    const stored = await db.get(
+      'SELECT * FROM jira_issues WHERE integration_id = ? AND cloud_id = ? AND issue_key = ?',
+      [integrationId, cloudId, issueKey]
+    );
+    return stored || { integration_id: integrationId, cloud_id: cloudId, issue_key: issueKey };
+  }
+
+  sync.fieldMappings = await getFieldMappings(integrationId, cloudId);
+  if (Object.keys(sync.fieldMappings).length === 0) {
+    sync.fieldMappings = await resolveFieldMappings(integrationId, cloudId);
+  }
+
+  await reconcileIssue(integrationId, cloudId, issue.id, issue.key);
+  await sync.upsertIssue(integrationId, issue.fields?.project?.key || issue.key.split('-')[0], issue);
+  await fillEpicNames(integrationId, cloudId, sync.fieldMappings);
+
+  return await db.get(
+    'SELECT * FROM jira_issues WHERE integration_id = ? AND cloud_id = ? AND issue_key = ?',
+    [integrationId, cloudId, issue.key]
+  );
+}
+
+/**
+ * Run a Jira call; Jira's own errors (e.g. a 400 with field errors) keep their status,
+ * except a 401, which means the integration's credentials failed rather than the caller's.
+ * The status Jira answered with is kept as jiraStatus either way.
+ */
+async function callJira(call) {
+  try {
+    return await call();
+  } catch (error) {
+    if (error.status === undefined) throw error;
+
+    const jiraError = error.status === 401 ? writeError(502, error.message) : error;
+    jiraError.jiraStatus = error.status;
+    throw jiraError;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function writeError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
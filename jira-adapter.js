@@ -0,0 +1,416 @@
+import crypto from 'crypto';
+import { JiraClient } from './jira-client.js';
+import { searchIssues, countIssues, SEARCH_PAGE_SIZE } from './jira-search.js';
+
+export const INTEGRATION_TYPES = ['cloud', 'server'];
+export const SERVER_AUTH_TYPES = ['pat', 'basic'];
+
+// Endpoints whose path differs between Jira Cloud and Jira Server / Data Center
+const CLOUD_ENDPOINTS = {
+  users: '/users/search?maxResults=1000',
+  labels: '/label',
+  workflows: '/workflows/search?expand=values.transitions',
+  filters: '/filter/search?maxResults=1000'
+};
+
+const SERVER_ENDPOINTS = {
+  users: '/user/search?username=.&maxResults=1000',
+  labels: null,
+  workflows: '/workflow',
+  filters: '/filter/favourite'
+};
+
+// Jira Server returns sprints as serialized Java objects, e.g. "com.atlassian.greenhopper.service.sprint.Sprint@1a2b[id=1,state=ACTIVE,name=Sprint 1,...]"
+const SERVER_SPRINT_PATTERN = /^com\.atlassian\.greenhopper\.service\.sprint\.Sprint@\w+\[(.*)\]$/;
+
+/**
+ * Jira Cloud, reached through the api.atlassian.com gateway with OAuth tokens and REST API v3
+ */
+export class CloudJiraAdapter {
+  constructor(client, cloudId) {
+    this.client = client;
+    this.cloudId = cloudId;
+    this.type = 'cloud';
+    this.baseUrl = `https://api.atlassian.com/ex/jira/${cloudId}`;
+    this.endpoints = CLOUD_ENDPOINTS;
+  }
+
+  /**
+   * Request a REST API v3 endpoint
+   */
+  async request(endpoint, options = {}) {
+    return await this.client.request(`${this.baseUrl}/rest/api/3${endpoint}`, options);
+  }
+
+  /**
+   * Request a Jira Software (agile) endpoint
+   */
+  async agileRequest(endpoint, options = {}) {
+    return await this.client.request(`${this.baseUrl}/rest/agile/1.0${endpoint}`, options);
+  }
+
+  /**
+   * Iterate over every issue matching a JQL query, see jira-search.js
+   */
+  searchIssues(options) {
+    return searchIssues(this.request.bind(this), options);
+  }
+
+  /**
+   * Approximate number of issues matching a JQL query, or null
+   */
+  async countIssues(jql) {
+    return await countIssues(this.request.bind(this), jql);
+  }
+
+  /**
+   * One page of an issue's changelog as { values, isLast, total }
+   */
+  async getChangelogPage(issueKey, startAt, maxResults) {
+    return await this.request(`/issue/${issueKey}/changelog?startAt=${startAt}&maxResults=${maxResults}`);
+  }
+}
+
+/**
+ * Jira Server / Data Center, reached at its own base URL with a personal access token
+ * or basic auth and REST API v2. Responses are normalised to the Cloud shape: users get an
+ * accountId (their user key), wiki markup text becomes an ADF document and sprints are parsed.
+ */
+export class ServerJiraAdapter {
+  constructor(client, baseUrl, cloudId = serverSiteId(baseUrl)) {
+    this.client = client;
+    this.cloudId = cloudId;
+    this.type = 'server';
+    this.baseUrl = normalizeBaseUrl(baseUrl);
+    this.endpoints = SERVER_ENDPOINTS;
+  }
+
+  /**
+   * Request a REST API v2 endpoint
+   */
+  async request(endpoint, options = {}) {
+    return normalizeServerData(await this.client.request(`${this.baseUrl}/rest/api/2${endpoint}`, options));
+  }
+
+  /**
+   * Request a Jira Software (agile) endpoint
+   */
+  async agileRequest(endpoint, options = {}) {
+    return normalizeServerData(await this.client.request(`${this.baseUrl}/rest/agile/1.0${endpoint}`, options));
+  }
+
+  /**
+   * Iterate over every issue matching a JQL query
+   * API v2 pages with startAt/maxResults and reports a total instead of page tokens.
+   */
+  async *searchIssues({ jql, fields, expand, pageSize = SEARCH_PAGE_SIZE }) {
+    let startAt = 0;
+
+    while (true) {
+      const body = { jql, startAt, maxResults: pageSize };
+      if (fields) body.fields = fields;
+      if (expand) body.expand = expand.split(',');
+
+      const page = await this.request('/search', {
+        method: 'POST',
+        idempotent: true,
+        body: JSON.stringify(body)
+      });
+      const issues = page.issues || [];
+
+      for (const issue of issues) {
+        yield issue;
+      }
+
+      startAt += issues.length;
+      if (issues.length === 0 || startAt >= (page.total ?? 0)) break;
+    }
+  }
+
+  /**
+   * Number of issues matching a JQL query, or null
+   */
+  async countIssues(jql) {
+    try {
+      const result = await this.request('/search', {
+        method: 'POST',
+        idempotent: true,
+        body: JSON.stringify({ jql: jql.replace(/\s+ORDER BY .*$/i, ''), maxResults: 0, fields: ['key'] })
+      });
+      return typeof result.total === 'number' ? result.total : null;
+    } catch (error) {
+      console.warn('⚠️ Could not get issue count:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * An issue's changelog as a single page
+   * Jira Server has no changelog endpoint; the issue's expanded changelog holds every history.
+   */
+  async getChangelogPage(issueKey) {
+    const issue = await this.request(`/issue/${issueKey}?fields=summary&expand=changelog`);
+    const histories = issue.changelog?.histories || [];
+    return { values: histories, isLast: true, total: histories.length };
+  }
+}
+
+/**
+ * Check whether an integration connects to Jira Server / Data Center
+ */
+export function isServerIntegration(integration) {
+  return integration?.integration_type === 'server';
+}
+
+/**
+ * Build the HTTP client for an integration (decrypted row)
+ * Cloud clients refresh their OAuth token; server credentials do not expire.
+ */
+export function createJiraClient(integration) {
+  if (isServerIntegration(integration)) {
+    return new JiraClient(integration.access_token, {
+      authorization: serverAuthorization(integration.auth_type, integration.access_token, integration.username)
+    });
+  }
+  return new JiraClient(integration.access_token, { integrationId: integration.id });
+}
+
+/**
+ * Build the adapter that talks to one site of an integration
+ */
+export function createJiraAdapter(integration, cloudId, client = createJiraClient(integration)) {
+  if (isServerIntegration(integration)) {
+    return new ServerJiraAdapter(client, integration.base_url, cloudId || serverSiteId(integration.base_url));
+  }
+  return new CloudJiraAdapter(client, cloudId);
+}
+
+/**
+ * List the sites an integration can reach, in the accessible-resources format
+ * A Jira Server integration always has exactly one site: the server itself.
+ */
+export async function listAccessibleSites(integration, client = createJiraClient(integration)) {
+  if (!isServerIntegration(integration)) {
+    return await client.request('https://api.atlassian.com/oauth/token/accessible-resources');
+  }
+
+  const adapter = createJiraAdapter(integration, null, client);
+  const serverInfo = await adapter.request('/serverInfo');
+  return [{
+    id: adapter.cloudId,
+    name: serverInfo.serverTitle || adapter.baseUrl,
+    url: adapter.baseUrl,
+    scopes: [],
+    avatarUrl: null
+  }];
+}
+
+/**
+ * Check Jira Server / Data Center credentials and describe the account they belong to
+ * Returns account info in the shape JiraAuthService.storeTokens expects.
+ */
+export async function fetchServerProfile({ baseUrl, authType, token, username }) {
+  if (!baseUrl || !token) {
+    throw adapterError(400, 'baseUrl and token are required');
+  }
+  if (!SERVER_AUTH_TYPES.includes(authType)) {
+    throw adapterError(400, `authType must be one of: ${SERVER_AUTH_TYPES.join(', ')}`);
+  }
+  if (authType === 'basic' && !username) {
+    throw adapterError(400, 'username is required for basic auth');
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(baseUrl);
+  } catch {
+    throw adapterError(400, `Invalid baseUrl: ${baseUrl}`);
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw adapterError(400, 'baseUrl must be an http or https URL');
+  }
+  const url = normalizeBaseUrl(parsed.toString());
+
+  const client = new JiraClient(token, { authorization: serverAuthorization(authType, token, username), maxRetries: 1 });
+  const adapter = new ServerJiraAdapter(client, url);
+
+  let serverInfo;
+  let myself;
+  try {
+    serverInfo = await adapter.request('/serverInfo');
+    myself = await adapter.request('/myself');
+  } catch (error) {
+    // The response body stays in the server log: the base URL is operator input and may point at any internal service
+    console.error(`❌ Jira Server profile request to ${url} failed:`, error.message);
+    if (!error.status) {
+      throw adapterError(502, `Could not connect to ${parsed.host}`);
+    }
+    throw adapterError(error.status === 401 || error.status === 403 ? 401 : 502, `Could not authenticate against ${parsed.host} (HTTP ${error.status})`);
+  }
+
+  if (serverInfo.deploymentType === 'Cloud') {
+    throw adapterError(400, `${url} is a Jira Cloud site - connect it with OAuth instead`);
+  }
+
+  return {
+    integrationType: 'server',
+    authType,
+    baseUrl: url,
+    username: authType === 'basic' ? username : null,
+    atlassianAccountId: myself.accountId,
+    accountName: myself.displayName || myself.name,
+    accountEmail: myself.emailAddress || null,
+    avatarUrl: myself.avatarUrls?.['48x48'] || null,
+    siteUrls: [url],
+    serverVersion: serverInfo.version || null
+  };
+}
+
+/**
+ * Wrap wiki markup in a minimal ADF document so it is stored like Cloud text
+ * Paragraphs become ADF paragraphs and line breaks hard breaks; the markup itself is kept as text.
+ */
+export function wikiToAdf(text) {
+  if (text === null || text === undefined || text === '') return null;
+
+  const content = String(text)
+    .replace(/\r\n/g, '\n')
+    .split(/\n{2,}/)
+    .filter(paragraph => paragraph.trim() !== '')
+    .map(paragraph => ({
+      type: 'paragraph',
+      content: paragraph.split('\n').flatMap((line, index) => [
+        ...(index > 0 ? [{ type: 'hardBreak' }] : []),
+        ...(line ? [{ type: 'text', text: line }] : [])
+      ])
+    }));
+
+  return { type: 'doc', version: 1, content };
+}
+
+/**
+ * Transitions and statuses of a workflow as [{ id, name, from, to }] and [{ id, name }]
+ * Understands the classic workflow search (from/to status ids) and the newer bulk search, which
+ * links statuses by reference and lists them next to the workflows. Initial transitions are left
+ * out and an empty `from` means the transition is global. Returns nulls when the response carries
+ * no transitions, as Jira Server's workflow list does not.
+ */
+export function normalizeWorkflow(workflow, statusList = []) {
+  const statusIds = new Map(statusList.map(status => [status.statusReference, String(status.id)]));
+  const statusId = value => {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'object') return value.id !== undefined ? String(value.id) : statusIds.get(value.statusReference) || null;
+    return statusIds.get(value) || String(value);
+  };
+
+  const transitions = Array.isArray(workflow.transitions)
+    ? workflow.transitions
+      .filter(transition => String(transition.type || '').toLowerCase() !== 'initial')
+      .map(transition => ({
+        id: String(transition.id),
+        name: transition.name,
+        from: transition.links
+          ? transition.links.map(link => statusId(link.fromStatusReference)).filter(Boolean)
+          : (transition.from || []).map(statusId).filter(Boolean),
+        to: transition.toStatusReference ? statusId(transition.toStatusReference) : statusId(transition.to)
+      }))
+    : null;
+
+  const statuses = Array.isArray(workflow.statuses)
+    ? workflow.statuses.map(status => {
+      const id = status.statusReference ? statusId(status.statusReference) : String(status.id);
+      const listed = statusList.find(entry => String(entry.id) === id);
+      return { id, name: status.name || listed?.name || null };
+    })
+    : null;
+
+  return { transitions, statuses };
+}
+
+/**
+ * Stable site id for a Jira Server base URL, used where Cloud uses the cloud id
+ */
+export function serverSiteId(baseUrl) {
+  const hash = crypto.createHash('sha256').update(normalizeBaseUrl(baseUrl)).digest('hex');
+  return `server-${hash.slice(0, 16)}`;
+}
+
+function normalizeBaseUrl(baseUrl) {
+  return String(baseUrl).replace(/\/+$/, '');
+}
+
+function serverAuthorization(authType, token, username) {
+  if (authType === 'basic') {
+    return `Basic ${Buffer.from(`${username}:${token}`).toString('base64')}`;
+  }
+  return `Bearer ${token}`;
+}
+
+/**
+ * Bring a REST API v2 response into the shape of its v3 counterpart
+ */
+function normalizeServerData(value) {
+  if (Array.isArray(value)) {
+    return value.map(normalizeServerData);
+  }
+  if (typeof value === 'string') {
+    return SERVER_SPRINT_PATTERN.test(value) ? parseServerSprint(value) : value;
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  const result = {};
+  for (const [key, child] of Object.entries(value)) {
+    result[key] = normalizeServerData(child);
+  }
+
+  // Server users are identified by their user key where Cloud uses the account id
+  if (typeof result.self === 'string' && /\/rest\/api\/2\/user\?/.test(result.self) && !result.accountId) {
+    result.accountId = result.key || result.name;
+  }
+
+  // Issues, comments and worklogs carry wiki markup where Cloud returns ADF
+  if (result.key && result.fields) {
+    for (const field of ['description', 'environment']) {
+      if (typeof result.fields[field] === 'string') {
+        result.fields[field] = wikiToAdf(result.fields[field]);
+      }
+    }
+  }
+  if (typeof result.body === 'string' && result.author) {
+    result.body = wikiToAdf(result.body);
+  }
+  if (typeof result.comment === 'string' && 'timeSpentSeconds' in result) {
+    result.comment = wikiToAdf(result.comment);
+  }
+
+  return result;
+}
+
+function parseServerSprint(value) {
+  const sprint = {};
+  for (const pair of value.match(SERVER_SPRINT_PATTERN)[1].split(/,(?=\w+=)/)) {
+    const separator = pair.indexOf('=');
+    const key = pair.slice(0, separator);
+    const raw = pair.slice(separator + 1);
+    sprint[key] = raw === '<null>' ? null : raw;
+  }
+
+  return {
+    id: sprint.id ? Number(sprint.id) : null,
+    name: sprint.name || null,
+    state: sprint.state ? sprint.state.toLowerCase() : null,
+    boardId: sprint.rapidViewId ? Number(sprint.rapidViewId) : null,
+    goal: sprint.goal || null,
+    startDate: sprint.startDate || null,
+    endDate: sprint.endDate || null,
+    completeDate: sprint.completeDate || null
+  };
+}
+
+function adapterError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
@@ -1,50 +1,53 @@
 import { getDatabase } from './database.js';
+import { JiraClient } from './jira-client.js';
+import { createJiraAdapter, createJiraClient, listAccessibleSites } from './jira-adapter.js';
+import { getSyncWatermark, saveSyncWatermark, buildIssueJql, latestTimestamp, SYNC_PATH } from './sync-state.js';
+import { reportSearchTotals } from './jira-search.js';
+import { resolveFieldMappings, mappedFieldIds, extractMappedFields, fillEpicNames } from './field-mapping.js';
+import { reconcileIssue, tombstoneMissingIssues } from './issue-tombstones.js';
+import { indexIssue } from './search-index.js';
+
+// Steps of a quick sync, in the order they run
+export const QUICK_SYNC_STEPS = [
+  { key: 'projects', label: 'Projects' },
+  { key: 'issues', label: 'Issues' }
+];
 
 export class JiraApiService {
-  constructor(accessToken, baseUrl) {
+  constructor(accessToken, baseUrl, options = {}) {
     this.accessToken = accessToken;
     this.baseUrl = baseUrl;
+    // With the integration row the service also works for Jira Server / Data Center, see jira-adapter.js
+    this.integration = options.integration || null;
+    this.client = this.integration
+      ? createJiraClient(this.integration)
+      : new JiraClient(accessToken, { integrationId: options.integrationId });
+    this.adapters = new Map();
+    // Field mappings resolved during this instance's lifetime, by cloud id
+    this.fieldMappings = new Map();
   }
 
   /**
    * Make authenticated request to Jira API
    */
   async makeRequest(endpoint, options = {}) {
-    const url = `${this.baseUrl}/rest/api/3${endpoint}`;
-    
-    const response = await fetch(url, {
-      ...options,
-      headers: {
-        'Authorization': `Bearer ${this.accessToken}`,
-        'Accept': 'application/json',
-        'Content-Type': 'application/json',
-        ...options.headers
-      }
-    });
-
-    if (!response.ok) {
-      throw new Error(`Jira API error ${response.status}: ${await response.text()}`);
-    }
-
-    return await response.json();
+    return await this.client.request(`${this.baseUrl}/rest/api/3${endpoint}`, options);
   }
 
   /**
    * Get accessible Jira sites
    */
   async getAccessibleResources() {
-    const response = await fetch('https://api.atlassian.com/oauth/token/accessible-resources', {
-      headers: {
-        'Authorization': `Bearer ${this.accessToken}`,
-        'Accept': 'application/json'
+    try {
+      if (this.integration) {
+        return await listAccessibleSites(this.integration, this.client);
       }
-    });
-
-    if (!response.ok) {
-      throw new Error(`Failed to fetch accessible resources: ${response.status} ${await response.text()}`);
+      return await this.client.request('https://api.atlassian.com/oauth/token/accessible-resources');
+    } catch (error) {
+      const wrapped = new Error(`Failed to fetch accessible resources: ${error.message}`);
+      wrapped.status = error.status;
+      throw wrapped;
     }
-
-    return await response.json();
   }
 
   /**
@@ -52,133 +55,175 @@ export class JiraApiService {
    */
   async getProjects(cloudId) {
     // For Atlassian Cloud, we need to use the cloud-specific base URL
-    const cloudBaseUrl = `https://api.atlassian.com/ex/jira/${cloudId}`;
-    const url = `${cloudBaseUrl}/rest/api/3/project`;
-    
-    const response = await fetch(url, {
-      headers: {
-        'Authorization': `Bearer ${this.accessToken}`,
-        'Accept': 'application/json',
-        'Content-Type': 'application/json'
-      }
-    });
+    return await this.makeCloudRequest(cloudId, '/project');
+  }
 
-    if (!response.ok) {
-      throw new Error(`Jira API error ${response.status}: ${await response.text()}`);
-    }
+  /**
+   * Make authenticated request against a cloud site's REST API
+   */
+  async makeCloudRequest(cloudId, endpoint, options = {}) {
+    return await this.adapterFor(cloudId).request(endpoint, options);
+  }
 
-    return await response.json();
+  /**
+   * Adapter for one site of the integration, created on first use
+   */
+  adapterFor(cloudId) {
+    if (!this.adapters.has(cloudId)) {
+      this.adapters.set(cloudId, createJiraAdapter(this.integration || { id: null }, cloudId, this.client));
+    }
+    return this.adapters.get(cloudId);
   }
 
   /**
-   * Get Jira issues for a project
+   * Iterate over every issue matching a JQL query on a cloud site
+   * `extraFields` adds site specific custom fields, see field-mapping.js
    */
-  async getIssues(cloudId, projectKey, startAt = 0, maxResults = 50) {
-    const jql = `project = "${projectKey}" ORDER BY updated DESC`;
-    const cloudBaseUrl = `https://api.atlassian.com/ex/jira/${cloudId}`;
-    const url = `${cloudBaseUrl}/rest/api/3/search/jql`;
-    
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${this.accessToken}`,
-        'Accept': 'application/json',
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        jql: jql,
-        maxResults: maxResults,
-        fields: [
-          'summary',
-          'status',
-          'assignee',
-          'issuetype',
-          'customfield_10014', // Epic Link
-          'customfield_10016', // Story Points
-          'labels',
-          'components',
-          'parent',
-          'subtasks'
-        ]
-      })
+  getIssues(cloudId, jql, extraFields = []) {
+    return this.adapterFor(cloudId).searchIssues({
+      jql,
+      fields: [
+        'summary',
+        'status',
+        'assignee',
+        'issuetype',
+        'labels',
+        'components',
+        'parent',
+        'subtasks',
+        'updated',
+        ...extraFields
+      ]
     });
+  }
 
-    if (!response.ok) {
-      throw new Error(`Jira API error ${response.status}: ${await response.text()}`);
+  /**
+   * Resolve the custom field mapping of a cloud site
+   * Falls back to the live field list when the site's fields have not been synced yet.
+   */
+  async getFieldMappings(integrationId, cloudId) {
+    if (this.fieldMappings.has(cloudId)) {
+      return this.fieldMappings.get(cloudId);
     }
 
-    return await response.json();
+    const db = await getDatabase();
+    const synced = await db.get(
+      'SELECT COUNT(*) as count FROM jira_fields WHERE integration_id = ? AND cloud_id = ?',
+      [integrationId, cloudId]
+    );
+
+    const fields = synced.count > 0 ? null : await this.makeCloudRequest(cloudId, '/field');
+    const mappings = await resolveFieldMappings(integrationId, cloudId, fields);
+    this.fieldMappings.set(cloudId, mappings);
+    return mappings;
   }
 
   /**
    * Get issue details
    */
   async getIssueDetails(cloudId, issueKey) {
-    const cloudBaseUrl = `https://api.atlassian.com/ex/jira/${cloudId}`;
-    const url = `${cloudBaseUrl}/rest/api/3/issue/${issueKey}?expand=changelog`;
-    
-    const response = await fetch(url, {
-      headers: {
-        'Authorization': `Bearer ${this.accessToken}`,
-        'Accept': 'application/json',
-        'Content-Type': 'application/json'
+    return await this.makeCloudRequest(cloudId, `/issue/${issueKey}?expand=changelog`);
+  }
+
+  /**
+   * Quick sync of one cloud site: its projects and their issues
+   * Takes the same options as ComprehensiveJiraSync.syncAllData: options.full ignores the
+   * watermarks, options.onStepStart / options.onStepComplete report progress and
+   * options.isCancelled is polled between projects.
+   */
+  async syncSite(integrationId, cloudId, options = {}) {
+    const db = await getDatabase();
+    const throwIfCancelled = async () => {
+      if (options.isCancelled && await options.isCancelled()) {
+        const error = new Error('Sync cancelled');
+        error.cancelled = true;
+        throw error;
       }
-    });
+    };
+    const [projectsStep, issuesStep] = QUICK_SYNC_STEPS;
 
-    if (!response.ok) {
-      throw new Error(`Jira API error ${response.status}: ${await response.text()}`);
+    await throwIfCancelled();
+    if (options.onStepStart) await options.onStepStart(projectsStep);
+    const projects = await this.getProjects(cloudId);
+    for (const project of projects) {
+      await db.run(`
+        INSERT INTO jira_projects 
+        (integration_id, cloud_id, project_key, project_name, is_active)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(integration_id, cloud_id, project_key) DO UPDATE SET
+          project_name = excluded.project_name,
+          is_active = excluded.is_active
+      `, [
+        integrationId,
+        cloudId,
+        project.key,
+        project.name,
+        1
+      ]);
     }
+    if (options.onStepComplete) await options.onStepComplete(projectsStep, projects.length);
 
-    return await response.json();
+    if (options.onStepStart) await options.onStepStart(issuesStep);
+    let totalIssues = 0;
+    for (const project of projects) {
+      await throwIfCancelled();
+      totalIssues += await this.syncIssuesToDatabase(integrationId, cloudId, project.key, { full: options.full });
+    }
+    if (options.onStepComplete) await options.onStepComplete(issuesStep, totalIssues);
+
+    return totalIssues;
   }
 
   /**
    * Sync issues to database
+   * This is the quick sync: only the issue row is stored, without comments, worklogs or changelog,
+   * so it keeps its own watermarks (see sync-state.js). Only issues updated since the project's
+   * watermark are fetched unless options.full is set.
    */
-  async syncIssuesToDatabase(integrationId, projectId, cloudId, projectKey) {
+  async syncIssuesToDatabase(integrationId, cloudId, projectKey, options = {}) {
     console.log(`🔄 Syncing issues for project ${projectKey}...`);
     
     const db = await getDatabase();
-    let startAt = 0;
-    const maxResults = 100;
+    const watermark = options.full ? null : await getSyncWatermark(integrationId, cloudId, projectKey, SYNC_PATH.QUICK);
+    const jql = buildIssueJql(projectKey, watermark);
+    const expected = await this.adapterFor(cloudId).countIssues(jql);
+    const mappings = await this.getFieldMappings(integrationId, cloudId);
+    let latestUpdated = watermark;
+    let fetched = 0;
     let totalIssues = 0;
+    const seenKeys = new Set();
 
-    while (true) {
-      const issuesData = await this.getIssues(cloudId, projectKey, startAt, maxResults);
-      const issues = issuesData.issues || [];
+    for await (const issue of this.getIssues(cloudId, jql, mappedFieldIds(mappings))) {
+      fetched++;
+      seenKeys.add(issue.key);
+      const fields = issue.fields;
+      
+      // Extract assignee information
+      const assignee = fields.assignee;
+      const assigneeName = assignee ? assignee.displayName : null;
+      const assigneeEmail = assignee ? assignee.emailAddress : null;
 
-      if (issues.length === 0) break;
+      // Extract epic, story point, sprint and team values through the site's field mapping
+      const mapped = extractMappedFields(fields, mappings);
 
-      for (const issue of issues) {
-        const fields = issue.fields;
-        
-        // Extract assignee information
-        const assignee = fields.assignee;
-        const assigneeName = assignee ? assignee.displayName : null;
-        const assigneeEmail = assignee ? assignee.emailAddress : null;
+      // Extract status
+      const status = fields.status ? fields.status.name : null;
 
-        // Extract epic information
-        const epicLink = fields.customfield_10014;
-        const epicKey = epicLink || null;
-        const epicName = null; // Would need additional API call to get epic name
+      // Extract issue type
+      const issueType = fields.issuetype ? fields.issuetype.name : null;
 
-        // Extract story points
-        const storyPoints = fields.customfield_10016 || null;
-
-        // Extract status
-        const status = fields.status ? fields.status.name : null;
-
-        // Extract issue type
-        const issueType = fields.issuetype ? fields.issuetype.name : null;
-
-        // Insert or update issue
+      try {
+        // Insert or update issue, following it if its key changed
+        // project_id holds the project key, as the comprehensive sync stores it
+        await reconcileIssue(integrationId, cloudId, issue.id, issue.key);
         await db.run(`
           INSERT INTO jira_issues 
-          (integration_id, project_id, issue_key, issue_id, summary, 
+          (integration_id, cloud_id, project_id, issue_key, issue_id, summary, 
            assignee_account_id, assignee_display_name, assignee_email,
-           epic_key, epic_name, story_points, status_name, issue_type_name, updated_at)
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-          ON CONFLICT(integration_id, issue_key) DO UPDATE SET
+           epic_key, epic_name, story_points, sprint_id, sprint_name, sprints,
+           team_id, team_name, status_name, issue_type_name, updated, updated_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          ON CONFLICT(integration_id, cloud_id, issue_key) DO UPDATE SET
             project_id = excluded.project_id,
             issue_id = excluded.issue_id,
             summary = excluded.summary,
@@ -188,32 +233,56 @@ export class JiraApiService {
             epic_key = excluded.epic_key,
             epic_name = excluded.epic_name,
             story_points = excluded.story_points,
+            sprint_id = excluded.sprint_id,
+            sprint_name = excluded.sprint_name,
+            sprints = excluded.sprints,
+            team_id = excluded.team_id,
+            team_name = excluded.team_name,
             status_name = excluded.status_name,
             issue_type_name = excluded.issue_type_name,
-            updated_at = excluded.updated_at
+            updated = excluded.updated,
+            updated_at = excluded.updated_at,
+            deleted_at = NULL
         `, [
           integrationId,
-          projectId,
+          cloudId,
+          projectKey,
           issue.key,
           issue.id,
           fields.summary,
           assignee?.accountId || null,
           assigneeName,
           assigneeEmail,
-          epicKey,
-          epicName,
-          storyPoints,
+          mapped.epicKey,
+          mapped.epicName,
+          mapped.storyPoints,
+          mapped.sprintId,
+          mapped.sprintName,
+          JSON.stringify(mapped.sprints),
+          mapped.teamId,
+          mapped.teamName,
           status,
           issueType,
+          fields.updated || null,
           new Date().toISOString()
         ]);
+        await indexIssue(integrationId, cloudId, issue.key);
+        latestUpdated = latestTimestamp(latestUpdated, fields.updated);
+        totalIssues++;
+      } catch (error) {
+        console.warn(`⚠️ Could not store issue ${issue.key}:`, error.message);
       }
+    }
 
-      totalIssues += issues.length;
-      startAt += maxResults;
+    await fillEpicNames(integrationId, cloudId, mappings);
+    reportSearchTotals(projectKey, expected, fetched, totalIssues);
 
-      // Break if we've reached the end
-      if (issues.length < maxResults) break;
+    // Only advance the watermark once the whole project was stored
+    if (totalIssues === fetched) {
+      await saveSyncWatermark(integrationId, cloudId, projectKey, latestUpdated, totalIssues, !watermark, SYNC_PATH.QUICK);
+      if (!watermark) {
+        await tombstoneMissingIssues(integrationId, cloudId, projectKey, seenKeys);
+      }
     }
 
     console.log(`✅ Synced ${totalIssues} issues for project ${projectKey}`);
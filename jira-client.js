@@ -0,0 +1,338 @@
+import { getDatabase } from './database.js';
+import { JiraAuthService } from './auth-service.js';
+import { decryptIntegration } from './token-crypto.js';
+
+const MAX_RETRIES = parseInt(process.env.JIRA_MAX_RETRIES || '4');
+const MAX_CONCURRENCY_PER_SITE = parseInt(process.env.JIRA_MAX_CONCURRENCY || '4');
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 30000;
+// Breathing room given to a site once Atlassian reports it is close to the rate limit
+const NEAR_LIMIT_PAUSE_MS = 1000;
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+// Per cloud site concurrency and back-off state, shared by every client instance
+const sites = new Map();
+
+// In-flight token refreshes per integration so parallel callers share one refresh
+const refreshes = new Map();
+let authService = null;
+
+const metrics = {
+  requests: 0,
+  successes: 0,
+  errors: 0,
+  retries: 0,
+  tokenRefreshes: 0,
+  rateLimited: 0,
+  networkErrors: 0,
+  byStatus: {},
+  totalLatencyMs: 0,
+  maxLatencyMs: 0,
+  startedAt: new Date().toISOString()
+};
+
+/**
+ * HTTP client for the Jira REST APIs
+ * Honours Retry-After and Atlassian rate-limit headers, retries idempotent
+ * calls with jittered exponential backoff and caps concurrency per cloud site.
+ * When options.integrationId is given the access token is refreshed before it
+ * expires and once more after a 401, so long-running syncs survive expiry.
+ * options.authorization replaces the Bearer header, e.g. for Jira Server basic auth.
+ */
+export class JiraClient {
+  constructor(accessToken, options = {}) {
+    this.accessToken = accessToken;
+    this.integrationId = options.integrationId || null;
+    this.authorization = options.authorization || null;
+    this.maxRetries = options.maxRetries ?? MAX_RETRIES;
+    this.expiresAt = undefined;
+  }
+
+  /**
+   * Make an authenticated request and return the parsed JSON body
+   * Set options.idempotent for POST calls that only read data (e.g. JQL search).
+   */
+  async request(url, options = {}) {
+    const { idempotent, ...fetchOptions } = options;
+    const method = (fetchOptions.method || 'GET').toUpperCase();
+    const canRetry = idempotent ?? IDEMPOTENT_METHODS.includes(method);
+    const site = getSite(siteKeyFor(url));
+    let retriedUnauthorized = false;
+
+    for (let attempt = 0; ; attempt++) {
+      await this.ensureFreshToken();
+      await acquire(site);
+
+      let response;
+      let networkError = null;
+      const startedAt = Date.now();
+      try {
+        metrics.requests++;
+        site.requests++;
+        response = await fetch(url, {
+          ...fetchOptions,
+          method,
+          headers: {
+            'Authorization': this.authorization || `Bearer ${this.accessToken}`,
+            'Accept': 'application/json',
+            'Content-Type': 'application/json',
+            ...fetchOptions.headers
+          }
+        });
+      } catch (error) {
+        networkError = error;
+      } finally {
+        recordLatency(Date.now() - startedAt);
+        release(site);
+      }
+
+      if (networkError) {
+        // The request may never have reached Jira, so only idempotent calls are retried
+        metrics.networkErrors++;
+        if (canRetry && attempt < this.maxRetries) {
+          await this.waitBeforeRetry(site, attempt, null, `${method} ${url} failed: ${networkError.message}`);
+          continue;
+        }
+        metrics.errors++;
+        site.errors++;
+        // Lets callers tell a request that never got an answer from a bug in their own code
+        networkError.network = true;
+        throw networkError;
+      }
+
+      metrics.byStatus[response.status] = (metrics.byStatus[response.status] || 0) + 1;
+      noteRateLimitHeaders(site, response);
+
+      if (response.ok) {
+        metrics.successes++;
+        return await parseBody(response);
+      }
+
+      // A 401 is answered before Jira does any work, so retry once with a new token
+      if (response.status === 401 && this.integrationId && !retriedUnauthorized) {
+        retriedUnauthorized = true;
+        await response.text();
+        console.warn(`🔑 ${method} ${url} returned 401, refreshing token for integration ${this.integrationId}`);
+        await this.refreshToken(true);
+        attempt--;
+        continue;
+      }
+
+      // A 429 means Jira rejected the call without processing it, so it is always safe to retry
+      const retryable = RETRYABLE_STATUSES.includes(response.status) &&
+        (response.status === 429 || canRetry);
+
+      if (response.status === 429) {
+        metrics.rateLimited++;
+      }
+
+      if (retryable && attempt < this.maxRetries) {
+        await response.text();
+        await this.waitBeforeRetry(site, attempt, response, `${method} ${url} returned ${response.status}`);
+        continue;
+      }
+
+      metrics.errors++;
+      site.errors++;
+      const error = new Error(`Jira API error ${response.status}: ${await response.text()}`);
+      error.status = response.status;
+      throw error;
+    }
+  }
+
+  /**
+   * Refresh the access token ahead of time if it is about to expire
+   */
+  async ensureFreshToken() {
+    if (!this.integrationId) return;
+
+    if (this.expiresAt === undefined) {
+      const integration = await loadIntegration(this.integrationId);
+      this.expiresAt = integration.expires_at;
+    }
+
+    // Without a known expiry we keep using the token and rely on the 401 retry
+    if (this.expiresAt && getAuthService().needsRefresh({ expires_at: this.expiresAt })) {
+      await this.refreshToken(false);
+    }
+  }
+
+  /**
+   * Swap in a fresh access token for the integration
+   * If another caller already stored a newer token than ours, that one is reused.
+   */
+  async refreshToken(afterUnauthorized) {
+    const integration = await loadIntegration(this.integrationId);
+    const tokenChanged = integration.access_token !== this.accessToken;
+
+    if (tokenChanged && !getAuthService().needsRefresh(integration)) {
+      this.accessToken = integration.access_token;
+      this.expiresAt = integration.expires_at;
+      return;
+    }
+
+    if (!refreshes.has(this.integrationId)) {
+      console.log(`🔄 ${afterUnauthorized ? 'Token rejected' : 'Token about to expire'} - refreshing integration ${this.integrationId}`);
+      metrics.tokenRefreshes++;
+      const refresh = getAuthService().refreshAccessToken(this.integrationId)
+        .finally(() => refreshes.delete(this.integrationId));
+      refreshes.set(this.integrationId, refresh);
+    }
+
+    const tokens = await refreshes.get(this.integrationId);
+    this.accessToken = tokens.accessToken;
+    this.expiresAt = tokens.expiresAt;
+  }
+
+  /**
+   * Sleep before the next attempt and hold back the whole site after a 429
+   */
+  async waitBeforeRetry(site, attempt, response, reason) {
+    const delay = retryDelayMs(attempt, response);
+    metrics.retries++;
+
+    if (response?.status === 429) {
+      site.pausedUntil = Math.max(site.pausedUntil, Date.now() + delay);
+    }
+
+    console.warn(`⏳ ${reason}, retrying in ${Math.round(delay / 100) / 10}s (attempt ${attempt + 1}/${this.maxRetries})`);
+    await sleep(delay);
+  }
+}
+
+/**
+ * Snapshot of the request, latency and error counters
+ */
+export function getJiraClientMetrics() {
+  return {
+    ...metrics,
+    byStatus: { ...metrics.byStatus },
+    averageLatencyMs: metrics.requests > 0 ? Math.round(metrics.totalLatencyMs / metrics.requests) : 0,
+    sites: Object.fromEntries([...sites.entries()].map(([key, site]) => [key, {
+      requests: site.requests,
+      errors: site.errors,
+      inFlight: site.active,
+      queued: site.waiting.length,
+      rateLimitRemaining: site.rateLimitRemaining,
+      pausedUntil: site.pausedUntil > Date.now() ? new Date(site.pausedUntil).toISOString() : null
+    }]))
+  };
+}
+
+/**
+ * Work out how long to wait before retrying
+ * Prefers Retry-After, then X-RateLimit-Reset, then jittered exponential backoff.
+ */
+export function retryDelayMs(attempt, response = null) {
+  const retryAfter = response?.headers?.get('retry-after');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const delay = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+    if (delay > 0) return Math.min(delay, MAX_BACKOFF_MS * 4);
+  }
+
+  const reset = response?.headers?.get('x-ratelimit-reset');
+  if (reset) {
+    const delay = new Date(reset).getTime() - Date.now();
+    if (delay > 0) return Math.min(delay, MAX_BACKOFF_MS * 4);
+  }
+
+  // Full jitter keeps concurrent callers from retrying in lock-step
+  const ceiling = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+function getAuthService() {
+  if (!authService) {
+    authService = new JiraAuthService();
+  }
+  return authService;
+}
+
+async function loadIntegration(integrationId) {
+  const db = await getDatabase();
+  const integration = await db.get(
+    'SELECT id, access_token, expires_at FROM integrations WHERE id = ? AND is_active = 1',
+    [integrationId]
+  );
+
+  if (!integration) {
+    throw new Error('Integration not found or inactive');
+  }
+  return decryptIntegration(integration);
+}
+
+/**
+ * Derive the cloud site a request belongs to
+ */
+function siteKeyFor(url) {
+  const match = String(url).match(/\/ex\/jira\/([^/]+)/);
+  if (match) return match[1];
+  return new URL(url).host;
+}
+
+function getSite(key) {
+  if (!sites.has(key)) {
+    sites.set(key, {
+      active: 0,
+      waiting: [],
+      pausedUntil: 0,
+      requests: 0,
+      errors: 0,
+      rateLimitRemaining: null
+    });
+  }
+  return sites.get(key);
+}
+
+async function acquire(site) {
+  if (site.active >= MAX_CONCURRENCY_PER_SITE) {
+    // release() hands its slot straight to us, so active already counts this request
+    await new Promise(resolve => site.waiting.push(resolve));
+  } else {
+    site.active++;
+  }
+
+  const pause = site.pausedUntil - Date.now();
+  if (pause > 0) {
+    await sleep(pause);
+  }
+}
+
+function release(site) {
+  const next = site.waiting.shift();
+  if (next) {
+    next();
+  } else {
+    site.active--;
+  }
+}
+
+function noteRateLimitHeaders(site, response) {
+  const remaining = response.headers.get('x-ratelimit-remaining');
+  if (remaining !== null) {
+    site.rateLimitRemaining = Number(remaining);
+  }
+
+  if (response.headers.get('x-ratelimit-nearlimit') === 'true') {
+    site.pausedUntil = Math.max(site.pausedUntil, Date.now() + NEAR_LIMIT_PAUSE_MS);
+  }
+}
+
+function recordLatency(latencyMs) {
+  metrics.totalLatencyMs += latencyMs;
+  metrics.maxLatencyMs = Math.max(metrics.maxLatencyMs, latencyMs);
+}
+
+async function parseBody(response) {
+  if (response.status === 204) return null;
+
+  const text = await response.text();
+  return text ? JSON.parse(text) : null;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,75 @@
+// Largest page size /rest/api/3/search/jql returns when only a few fields are requested;
+// Jira silently lowers it for "*all" or expanded requests, which is fine for token paging.
+export const SEARCH_PAGE_SIZE = 100;
+
+/**
+ * Iterate over every issue matching a JQL query
+ * Follows the nextPageToken pagination of POST /rest/api/3/search/jql end to end.
+ * `request` is a makeRequest-style function taking (endpoint, options) and resolving parsed JSON;
+ * the calls are flagged idempotent so the Jira client may retry them.
+ */
+export async function* searchIssues(request, { jql, fields, expand, pageSize = SEARCH_PAGE_SIZE }) {
+  let nextPageToken = null;
+  const seenTokens = new Set();
+
+  while (true) {
+    const body = { jql, maxResults: pageSize };
+    if (fields) body.fields = fields;
+    if (expand) body.expand = expand;
+    if (nextPageToken) body.nextPageToken = nextPageToken;
+
+    const page = await request('/search/jql', {
+      method: 'POST',
+      idempotent: true,
+      body: JSON.stringify(body)
+    });
+
+    for (const issue of page.issues || []) {
+      yield issue;
+    }
+
+    nextPageToken = page.nextPageToken || null;
+    if (page.isLast || !nextPageToken) break;
+
+    // Never loop forever if Jira hands back a token we already followed
+    if (seenTokens.has(nextPageToken)) {
+      throw new Error(`Jira search returned a repeated page token for: ${jql}`);
+    }
+    seenTokens.add(nextPageToken);
+  }
+}
+
+/**
+ * Ask Jira how many issues a JQL query should return
+ * The new search endpoint no longer reports a total, so this uses the approximate count API.
+ * Returns null when the count is not available.
+ */
+export async function countIssues(request, jql) {
+  try {
+    const result = await request('/search/approximate-count', {
+      method: 'POST',
+      idempotent: true,
+      body: JSON.stringify({ jql: jql.replace(/\s+ORDER BY .*$/i, '') })
+    });
+    return typeof result.count === 'number' ? result.count : null;
+  } catch (error) {
+    console.warn('⚠️ Could not get approximate issue count:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Log and return an expected vs. stored summary for a search
+ */
+export function reportSearchTotals(label, expected, fetched, stored) {
+  const summary = { expected, fetched, stored };
+
+  if (expected !== null && expected !== fetched) {
+    console.warn(`⚠️ ${label}: Jira reported ~${expected} issues but ${fetched} were returned`);
+  }
+  if (stored !== fetched) {
+    console.warn(`⚠️ ${label}: ${fetched} issues fetched but only ${stored} stored`);
+  }
+
+  return summary;
+}
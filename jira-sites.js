@@ -0,0 +1,155 @@
+import { getDatabase, INTEGRATION_DATA_TABLES } from './database.js';
+import { JiraApiService } from './jira-api.js';
+import { decryptIntegration } from './token-crypto.js';
+
+/**
+ * Fetch the cloud sites an integration's grant covers and store them
+ * New sites are enabled by default; sites that are no longer accessible are kept but flagged.
+ */
+export async function refreshSites(integrationId) {
+  const db = await getDatabase();
+  const integration = decryptIntegration(await db.get(
+    'SELECT * FROM integrations WHERE id = ? AND is_active = 1',
+    [integrationId]
+  ));
+
+  if (!integration) {
+    throw new Error('Integration not found or inactive');
+  }
+
+  const apiService = new JiraApiService(integration.access_token, undefined, { integrationId: integration.id, integration });
+  const resources = await apiService.getAccessibleResources();
+  const now = new Date().toISOString();
+
+  for (const resource of resources) {
+    await db.run(`
+      INSERT INTO jira_sites
+      (integration_id, cloud_id, name, url, scopes, avatar_url, is_enabled, is_accessible, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, 1, 1, ?, ?)
+      ON CONFLICT(integration_id, cloud_id) DO UPDATE SET
+        name = excluded.name,
+        url = excluded.url,
+        scopes = excluded.scopes,
+        avatar_url = excluded.avatar_url,
+        is_accessible = 1,
+        updated_at = excluded.updated_at
+    `, [
+      integration.id,
+      resource.id,
+      resource.name || null,
+      resource.url || null,
+      JSON.stringify(resource.scopes || []),
+      resource.avatarUrl || null,
+      now,
+      now
+    ]);
+  }
+
+  const cloudIds = resources.map(resource => resource.id);
+  await db.run(`
+    UPDATE jira_sites SET is_accessible = 0, updated_at = ?
+    WHERE integration_id = ? AND cloud_id NOT IN (${cloudIds.map(() => '?').join(', ')})
+  `, [now, integration.id, ...cloudIds]);
+
+  // Rows synced before sites were tracked came from the first accessible resource
+  if (resources.length > 0) {
+    await adoptUntaggedRows(integration.id, resources[0].id);
+  }
+
+  console.log(`🌐 Integration ${integration.id} can access ${resources.length} Jira site(s)`);
+  return await listSites(integration.id);
+}
+
+/**
+ * List the known cloud sites of an integration
+ */
+export async function listSites(integrationId) {
+  const db = await getDatabase();
+  const sites = await db.all(
+    'SELECT * FROM jira_sites WHERE integration_id = ? ORDER BY id ASC',
+    [integrationId]
+  );
+  return sites.map(formatSite);
+}
+
+/**
+ * List the sites a sync should run against
+ */
+export async function getEnabledSites(integrationId) {
+  const sites = await listSites(integrationId);
+  return sites.filter(site => site.is_enabled && site.is_accessible);
+}
+
+/**
+ * Enable or disable syncing for a site
+ * Returns the updated site, or null if the integration has no such site.
+ */
+export async function setSiteEnabled(integrationId, cloudId, enabled) {
+  const db = await getDatabase();
+  const result = await db.run(
+    'UPDATE jira_sites SET is_enabled = ?, updated_at = ? WHERE integration_id = ? AND cloud_id = ?',
+    [enabled ? 1 : 0, new Date().toISOString(), integrationId, cloudId]
+  );
+
+  if (result.changes === 0) {
+    return null;
+  }
+
+  console.log(`${enabled ? '✅ Enabled' : '⏸️ Disabled'} Jira site ${cloudId} for integration ${integrationId}`);
+  const site = await db.get(
+    'SELECT * FROM jira_sites WHERE integration_id = ? AND cloud_id = ?',
+    [integrationId, cloudId]
+  );
+  return formatSite(site);
+}
+
+/**
+ * Record a completed sync of a site
+ */
+export async function markSiteSynced(integrationId, cloudId) {
+  const db = await getDatabase();
+  const now = new Date().toISOString();
+  await db.run(
+    'UPDATE jira_sites SET last_synced_at = ?, updated_at = ? WHERE integration_id = ? AND cloud_id = ?',
+    [now, now, integrationId, cloudId]
+  );
+}
+
+/**
+ * Tag rows stored without a cloud site with the given site
+ * Untagged rows whose key the site already holds are stale copies and are removed.
+ */
+async function adoptUntaggedRows(integrationId, cloudId) {
+  const db = await getDatabase();
+
+  for (const table of [...INTEGRATION_DATA_TABLES, 'jira_sync_state', 'jira_search_documents']) {
+    const result = await db.run(
+      `UPDATE OR IGNORE ${table} SET cloud_id = ? WHERE integration_id = ? AND cloud_id IS NULL`,
+      [cloudId, integrationId]
+    );
+    if (result.changes > 0) {
+      console.log(`🏷️ Tagged ${result.changes} ${table} row(s) of integration ${integrationId} with site ${cloudId}`);
+    }
+
+    // UPDATE OR IGNORE skipped only the rows that would have collided on a unique key
+    const leftover = await db.run(
+      `DELETE FROM ${table} WHERE integration_id = ? AND cloud_id IS NULL`,
+      [integrationId]
+    );
+    if (leftover.changes > 0) {
+      console.log(`🧹 Removed ${leftover.changes} ${table} row(s) of integration ${integrationId} already stored for site ${cloudId}`);
+    }
+  }
+}
+
+/**
+ * Convert a jira_sites row into its API representation
+ */
+function formatSite(row) {
+  return {
+    ...row,
+    scopes: JSON.parse(row.scopes || '[]'),
+    is_enabled: Boolean(row.is_enabled),
+    is_accessible: Boolean(row.is_accessible)
+  };
+}
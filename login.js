@@ -0,0 +1,143 @@
+import './config.js'; // Load configuration first
+import http from 'http';
+import readline from 'readline';
+import { JiraAuthService } from './auth-service.js';
+import { refreshSites } from './jira-sites.js';
+import { OAUTH_STATE_TTL_MINUTES } from './oauth-state.js';
+import { getApiUser } from './api-auth.js';
+
+/**
+ * Link a Jira Cloud account from the command line
+ *
+ * Usage:
+ *   node login.js [--name <account label>] [--project <project id>] [--owner <user id>] [--no-listen]
+ *
+ * Prints the Atlassian consent URL and waits for the redirect: a short-lived listener on
+ * JIRA_REDIRECT_URI captures it when the browser runs on this machine, otherwise paste the
+ * URL the browser was redirected to into the terminal. Stop the web server first when it
+ * uses the same port. --owner gives the integration to an API user (see api-users.js).
+ */
+async function login() {
+  const options = parseArgs(process.argv.slice(2));
+  const authService = new JiraAuthService();
+
+  try {
+    if (options.owner && !await getApiUser(options.owner)) {
+      throw new Error(`API user ${options.owner} not found`);
+    }
+
+    const { authUrl } = await authService.startAuthorization(options.project, {
+      accountName: options.name,
+      ownerUserId: options.owner
+    });
+
+    console.log('\n🔗 Open this URL in a browser and approve access:\n');
+    console.log(authUrl);
+    console.log('');
+
+    const params = await waitForRedirect(new URL(process.env.JIRA_REDIRECT_URI), options.listen);
+    const integrationId = await authService.completeAuthorization(params);
+
+    try {
+      await refreshSites(integrationId);
+    } catch (error) {
+      console.warn(`⚠️ Could not refresh sites for integration ${integrationId}:`, error.message);
+    }
+
+    console.log(`✅ Jira account linked as integration ${integrationId}`);
+  } catch (error) {
+    console.error('❌ Login failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Wait for the OAuth redirect, from the local listener or pasted into the terminal
+ * Resolves with the redirect's query parameters.
+ */
+function waitForRedirect(redirectUri, listen) {
+  return new Promise((resolve, reject) => {
+    let server = null;
+    let done = false;
+    const prompt = readline.createInterface({ input: process.stdin });
+
+    const finish = (error, params) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      prompt.close();
+      // Release the terminal so the process can exit
+      process.stdin.destroy();
+      if (server) server.close();
+      if (error) reject(error);
+      else resolve(params);
+    };
+
+    // The pending authorization expires anyway, so there is no point waiting longer
+    const timer = setTimeout(
+      () => finish(new Error(`No redirect received within ${OAUTH_STATE_TTL_MINUTES} minutes`)),
+      OAUTH_STATE_TTL_MINUTES * 60 * 1000
+    );
+
+    console.log('📋 Or paste the URL the browser was redirected to and press Enter:');
+    prompt.on('line', line => {
+      const params = parseRedirect(line.trim(), redirectUri);
+      if (params) {
+        finish(null, params);
+      } else if (line.trim()) {
+        console.log('⚠️ That is not the redirect URL - it should start with', redirectUri.origin + redirectUri.pathname);
+      }
+    });
+
+    // A plain HTTP listener cannot receive an https redirect
+    if (!listen || redirectUri.protocol !== 'http:') return;
+
+    server = http.createServer((req, res) => {
+      const url = new URL(req.url, redirectUri.origin);
+      if (url.pathname !== redirectUri.pathname) {
+        res.writeHead(404).end();
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Authorization received - you can close this tab and return to the terminal.');
+      finish(null, Object.fromEntries(url.searchParams));
+    });
+
+    server.on('error', error => {
+      console.warn(`⚠️ Could not listen on ${redirectUri.host} (${error.code || error.message}) - paste the redirect URL instead`);
+      server = null;
+    });
+
+    server.listen(Number(redirectUri.port) || 80, redirectUri.hostname, () => {
+      console.log(`👂 Waiting for the redirect on ${redirectUri.origin}${redirectUri.pathname}...`);
+    });
+  });
+}
+
+function parseRedirect(value, redirectUri) {
+  try {
+    const url = new URL(value);
+    if (url.pathname !== redirectUri.pathname) return null;
+    const params = Object.fromEntries(url.searchParams);
+    return params.state ? params : null;
+  } catch {
+    return null;
+  }
+}
+
+function parseArgs(args) {
+  const valueOf = flag => {
+    const index = args.indexOf(flag);
+    return index >= 0 ? args[index + 1] : undefined;
+  };
+
+  return {
+    name: valueOf('--name'),
+    project: valueOf('--project') || 'cli-auth',
+    owner: valueOf('--owner') ? parseInt(valueOf('--owner')) : null,
+    listen: !args.includes('--no-listen')
+  };
+}
+
+login();
@@ -0,0 +1,386 @@
+// Block-level Markdown syntax, checked in this order at the start of each line
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const FENCE = /^(```|~~~)\s*([\w+-]*)\s*$/;
+const RULE = /^(?:-{3,}|\*{3,}|_{3,})\s*$/;
+const QUOTE = /^>\s?(.*)$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+
+// Inline syntax: code spans first so their content is left alone, then links; emphasis is paired
+// up by findEmphasis, which a regular expression cannot do once emphasis is nested
+const INLINE = /(`+)([\s\S]+?)\1|\[([^\]]+)\]\(([^)\s]+)\)|<(https?:\/\/[^>\s]+)>/;
+
+// Emphasis delimiters and their marks, by delimiter length
+const EMPHASIS_MARKS = {
+  '*': { 1: 'em', 2: 'strong' },
+  '_': { 1: 'em', 2: 'strong' },
+  '~': { 2: 'strike' }
+};
+
+/**
+ * Convert Markdown to an Atlassian Document Format (ADF) document
+ * Covers what people type into comments: paragraphs, headings, bullet and numbered lists
+ * (nested by indentation), code blocks, quotes, rules, bold, italic, strikethrough, inline
+ * code and links. Anything else is kept as text.
+ */
+export function markdownToAdf(markdown) {
+  if (markdown === null || markdown === undefined) return null;
+
+  const lines = String(markdown).replace(/\r\n?/g, '\n').split('\n');
+  return { type: 'doc', version: 1, content: parseBlocks(lines) };
+}
+
+/**
+ * Render an ADF document as Jira wiki markup, for Jira Server / Data Center
+ */
+export function adfToWiki(document) {
+  if (!document) return '';
+  return renderBlocks(document.content || []).trim();
+}
+
+/**
+ * Plain text of an ADF document, one line per block, e.g. for search indexing
+ */
+export function adfToText(document) {
+  if (!document) return '';
+  return textOf(document).replace(/\n{3,}/g, '\n\n').trim();
+}
+
+function parseBlocks(lines) {
+  const blocks = [];
+  let index = 0;
+
+  while (index < lines.length) {
+    const line = lines[index];
+
+    if (line.trim() === '') {
+      index++;
+      continue;
+    }
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      const code = [];
+      index++;
+      while (index < lines.length && !lines[index].startsWith(fence[1])) {
+        code.push(lines[index++]);
+      }
+      index++;
+      blocks.push({
+        type: 'codeBlock',
+        ...(fence[2] ? { attrs: { language: fence[2] } } : {}),
+        // Jira rejects empty text nodes, so a fence holding only blank lines stays empty
+        content: code.join('\n') !== '' ? [{ type: 'text', text: code.join('\n') }] : []
+      });
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      blocks.push({ type: 'heading', attrs: { level: heading[1].length }, content: parseInline(heading[2]) });
+      index++;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      blocks.push({ type: 'rule' });
+      index++;
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      const quoted = [];
+      while (index < lines.length && QUOTE.test(lines[index])) {
+        quoted.push(lines[index++].match(QUOTE)[1]);
+      }
+      blocks.push({ type: 'blockquote', content: parseBlocks(quoted) });
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      const items = [line];
+      index++;
+      while (index < lines.length && (LIST_ITEM.test(lines[index]) || /^\s+\S/.test(lines[index])) && !startsOtherList(line, lines[index])) {
+        items.push(lines[index++]);
+      }
+      blocks.push(parseList(items));
+      continue;
+    }
+
+    const paragraph = [];
+    while (index < lines.length && lines[index].trim() !== '' && !startsBlock(lines[index])) {
+      paragraph.push(lines[index++]);
+    }
+    blocks.push({ type: 'paragraph', content: parseLines(paragraph) });
+  }
+
+  return blocks;
+}
+
+// A bullet item at the level of a numbered list (or the other way round) ends the list
+function startsOtherList(first, line) {
+  const [, indent, marker] = first.match(LIST_ITEM);
+  const match = line.match(LIST_ITEM);
+  return Boolean(match) && match[1].length <= indent.length && /\d/.test(match[2]) !== /\d/.test(marker);
+}
+
+function startsBlock(line) {
+  return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) || LIST_ITEM.test(line);
+}
+
+/**
+ * Build a list from its lines; items indented deeper than the first start a nested list
+ */
+function parseList(lines) {
+  const first = lines[0].match(LIST_ITEM);
+  const indent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const list = {
+    type: ordered ? 'orderedList' : 'bulletList',
+    ...(ordered && parseInt(first[2]) !== 1 ? { attrs: { order: parseInt(first[2]) } } : {}),
+    content: []
+  };
+
+  let item = null;
+  for (const line of lines) {
+    const match = line.match(LIST_ITEM);
+    if (match && match[1].length <= indent) {
+      item = { text: [match[3]], children: [] };
+      list.content.push(item);
+    } else if (match || line.search(/\S/) > indent + 1) {
+      item.children.push(line);
+    } else {
+      item.text.push(line.trim());
+    }
+  }
+
+  list.content = list.content.map(({ text, children }) => ({
+    type: 'listItem',
+    content: [
+      { type: 'paragraph', content: parseLines(text) },
+      ...(children.length > 0 ? parseBlocks(dedent(children)) : [])
+    ]
+  }));
+  return list;
+}
+
+function dedent(lines) {
+  const indent = Math.min(...lines.filter(line => line.trim()).map(line => line.search(/\S/)));
+  return lines.map(line => line.slice(indent));
+}
+
+// Lines of one paragraph are joined with hard breaks, as Jira shows comments line by line
+function parseLines(lines) {
+  return lines.flatMap((line, index) => [
+    ...(index > 0 ? [{ type: 'hardBreak' }] : []),
+    ...parseInline(line.trim())
+  ]);
+}
+
+function parseInline(text, marks = []) {
+  const nodes = [];
+  let rest = text;
+
+  while (rest) {
+    const match = rest.match(INLINE);
+    const emphasis = findEmphasis(rest);
+    const start = Math.min(match ? match.index : Infinity, emphasis ? emphasis.index : Infinity);
+    if (start === Infinity) {
+      nodes.push(textNode(rest, marks));
+      break;
+    }
+    if (start > 0) {
+      nodes.push(textNode(rest.slice(0, start), marks));
+    }
+
+    if (emphasis && emphasis.index === start) {
+      nodes.push(...parseInline(emphasis.inner, [...marks, { type: emphasis.mark }]));
+      rest = rest.slice(emphasis.end);
+      continue;
+    }
+
+    const [, ticks, code, linkText, href, autolink] = match;
+    if (ticks) {
+      nodes.push(textNode(code.trim() || code, [...marks, { type: 'code' }]));
+    } else if (linkText) {
+      nodes.push(...parseInline(linkText, [...marks, { type: 'link', attrs: { href } }]));
+    } else {
+      nodes.push(textNode(autolink, [...marks, { type: 'link', attrs: { href: autolink } }]));
+    }
+    rest = rest.slice(match.index + match[0].length);
+  }
+
+  return nodes;
+}
+
+/**
+ * Find the first emphasis span (*em*, **strong**, _em_, __strong__, ~~strike~~) in a text
+ * An opener is closed by the next matching delimiter that can close it; emphasis nested inside
+ * it is skipped as a whole, so `*a **b** c*` is one em span around a strong one. Returns
+ * { index, end, mark, inner } or null.
+ */
+function findEmphasis(text) {
+  const failed = new Set();
+
+  for (let index = 0; index < text.length; index++) {
+    if (text[index] === '`') {
+      index = skipCodeSpan(text, index) - 1;
+      continue;
+    }
+    if (!EMPHASIS_MARKS[text[index]]) continue;
+
+    const emphasis = openEmphasis(text, index, failed);
+    if (emphasis) return emphasis;
+    index += delimiterRun(text, index) - 1;
+  }
+  return null;
+}
+
+/**
+ * Emphasis opened by the delimiter run at `index`, or null
+ * The longest delimiter is tried first; `**a*` falls back to em around `a`.
+ */
+function openEmphasis(text, index, failed) {
+  const char = text[index];
+  const run = delimiterRun(text, index);
+
+  for (const length of [Math.min(run, 2), 1]) {
+    const start = length === 1 ? index + run - 1 : index;
+    const key = `${start}:${length}`;
+    if (!EMPHASIS_MARKS[char][length] || failed.has(key) || !canOpen(text, start, length)) continue;
+
+    const close = findCloser(text, start + length, char, length, failed);
+    if (close >= 0) {
+      return {
+        index: start,
+        end: close + length,
+        mark: EMPHASIS_MARKS[char][length],
+        inner: text.slice(start + length, close)
+      };
+    }
+    failed.add(key);
+  }
+  return null;
+}
+
+function findCloser(text, from, char, length, failed) {
+  let index = from;
+
+  while (index < text.length) {
+    if (text[index] === '`') {
+      index = skipCodeSpan(text, index);
+      continue;
+    }
+    if (!EMPHASIS_MARKS[text[index]]) {
+      index++;
+      continue;
+    }
+
+    const run = delimiterRun(text, index);
+    if (text[index] === char && run >= length && index > from && canClose(text, index, length)) {
+      return index;
+    }
+    const nested = openEmphasis(text, index, failed);
+    index = nested ? nested.end : index + run;
+  }
+  return -1;
+}
+
+function delimiterRun(text, index) {
+  let end = index;
+  while (text[end] === text[index]) end++;
+  return end - index;
+}
+
+// Openers are followed by text; underscores also must not start inside a word
+function canOpen(text, index, length) {
+  const next = text[index + length];
+  if (next === undefined || /\s/.test(next)) return false;
+  return text[index] !== '_' || !/\w/.test(text[index - 1] || '');
+}
+
+// Closers follow text; underscores also must not end inside a word
+function canClose(text, index, length) {
+  if (/\s/.test(text[index - 1] || ' ')) return false;
+  return text[index] !== '_' || !/\w/.test(text[index + length] || '');
+}
+
+function skipCodeSpan(text, index) {
+  const ticks = text.slice(index, index + delimiterRun(text, index));
+  const close = text.indexOf(ticks, index + ticks.length);
+  return close >= 0 ? close + ticks.length : index + ticks.length;
+}
+
+function textNode(text, marks) {
+  return marks.length > 0 ? { type: 'text', text, marks } : { type: 'text', text };
+}
+
+function renderBlocks(blocks) {
+  return blocks.map(block => renderBlock(block)).join('\n\n');
+}
+
+function renderBlock(block, bullet = '') {
+  switch (block.type) {
+    case 'heading':
+      return `h${block.attrs?.level || 1}. ${renderInline(block.content)}`;
+    case 'codeBlock': {
+      const language = block.attrs?.language ? `:${block.attrs.language}` : '';
+      return `{code${language}}\n${(block.content || []).map(node => node.text).join('')}\n{code}`;
+    }
+    case 'blockquote':
+      return `{quote}\n${renderBlocks(block.content || [])}\n{quote}`;
+    case 'rule':
+      return '----';
+    case 'bulletList':
+    case 'orderedList':
+      return renderList(block, bullet);
+    default:
+      return renderInline(block.content);
+  }
+}
+
+function renderList(list, parentBullet) {
+  const bullet = parentBullet + (list.type === 'orderedList' ? '#' : '*');
+  return (list.content || []).map(item => {
+    const [first, ...nested] = item.content || [];
+    return [
+      `${bullet} ${first ? renderInline(first.content) : ''}`,
+      ...nested.map(block => renderBlock(block, bullet))
+    ].join('\n');
+  }).join('\n');
+}
+
+function renderInline(nodes = []) {
+  return nodes.map(node => {
+    if (node.type === 'hardBreak') return '\n';
+    if (node.type !== 'text') return '';
+
+    let text = node.text;
+    for (const mark of node.marks || []) {
+      if (mark.type === 'code') text = `{{${text}}}`;
+      if (mark.type === 'strong') text = `*${text}*`;
+      if (mark.type === 'em') text = `_${text}_`;
+      if (mark.type === 'strike') text = `-${text}-`;
+      if (mark.type === 'link') text = `[${text}|${mark.attrs.href}]`;
+    }
+    return text;
+  }).join('');
+}
+
+function textOf(node) {
+  switch (node.type) {
+    case 'text':
+      return node.text || '';
+    case 'hardBreak':
+      return '\n';
+    case 'mention':
+    case 'emoji':
+      return node.attrs?.text || node.attrs?.shortName || '';
+    case 'inlineCard':
+    case 'blockCard':
+      return node.attrs?.url || '';
+  }
+
+  const parts = (node.content || []).map(child => textOf(child));
+  // Inline containers keep their text together, everything else is a block of its own
+  return ['paragraph', 'heading'].includes(node.type) ? parts.join('') : parts.join('\n');
+}
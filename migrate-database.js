@@ -0,0 +1,95 @@
+import fs from 'fs';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { getMigrationStatus, migrateUp, migrateDown } from './migrations.js';
+
+/**
+ * Migrate a database file in place
+ *
+ * Usage:
+ *   node migrate-database.js status [--db <file>]
+ *     List the migrations and whether they are applied
+ *   node migrate-database.js up [--to <version>] [--db <file>] [--no-backup]
+ *     Apply pending migrations (all of them unless --to is given)
+ *   node migrate-database.js down [--to <version>] [--db <file>] [--no-backup] [--force]
+ *     Revert the newest migration, or every migration after --to; reverting the baseline
+ *     (--to 0) drops every table and is refused without --force
+ *
+ * The database defaults to ./jira_auth.db. Before changing it, a copy is written next to it
+ * (jira_auth_backup_<timestamp>.db) unless --no-backup is given.
+ */
+async function migrateDatabase() {
+  const args = process.argv.slice(2);
+  const command = args[0] || 'status';
+  const valueOf = flag => {
+    const index = args.indexOf(flag);
+    return index >= 0 ? args[index + 1] : undefined;
+  };
+  const file = valueOf('--db') || './jira_auth.db';
+  const to = valueOf('--to') !== undefined ? parseInt(valueOf('--to')) : undefined;
+
+  if (!['status', 'up', 'down'].includes(command) || Number.isNaN(to)) {
+    console.log('Usage: node migrate-database.js <status|up|down> [--to <version>] [--db <file>] [--no-backup] [--force]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const existed = fs.existsSync(file);
+  if (!existed && command !== 'up') {
+    console.error(`❌ Database ${file} not found`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const db = await open({ filename: file, driver: sqlite3.Database });
+
+  try {
+    const status = await getMigrationStatus(db);
+    const applied = status.filter(m => m.appliedAt);
+
+    if (command === 'status') {
+      console.log(`📊 Migrations of ${file}:`);
+      for (const migration of status) {
+        const state = migration.unknown ? 'applied by a newer release' : migration.appliedAt ? `applied ${migration.appliedAt}` : 'pending';
+        console.log(`  - ${String(migration.version).padStart(3, '0')} ${migration.name}: ${state}`);
+      }
+      return;
+    }
+
+    const target = command === 'up'
+      ? to ?? Infinity
+      : to ?? (applied.length > 1 ? applied[applied.length - 2].version : 0);
+    const affected = command === 'up'
+      ? status.filter(m => !m.appliedAt && m.version <= target)
+      : applied.filter(m => m.version > target);
+
+    if (affected.length === 0) {
+      console.log('✅ Nothing to do - the database is up to date');
+      return;
+    }
+    if (command === 'down' && target === 0) {
+      if (!args.includes('--force')) {
+        console.error('❌ Reverting the baseline migration drops every table and all synced data - pass --force to do it anyway');
+        process.exitCode = 1;
+        return;
+      }
+      console.log('⚠️ Reverting the baseline migration drops every table and all synced data');
+    }
+
+    if (!args.includes('--no-backup') && existed) {
+      const backupName = file.replace(/\.db$/, '') + `_backup_${new Date().toISOString().replace(/[:.]/g, '-')}.db`;
+      await db.exec(`VACUUM INTO '${backupName.replace(/'/g, "''")}'`);
+      console.log(`📦 Database backed up to: ${backupName}`);
+    }
+
+    const done = command === 'up' ? await migrateUp(db, target) : await migrateDown(db, target);
+    console.log(`✅ ${command === 'up' ? 'Applied' : 'Reverted'} ${done.length} migration(s)`);
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+  }
+}
+
+migrateDatabase();
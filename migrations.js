@@ -0,0 +1,237 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+
+// Numbered migration files, e.g. migrations/002-unique-child-keys.js exporting up(db) and down(db)
+export const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+
+const MIGRATION_FILE_PATTERN = /^(\d+)-([\w-]+)\.js$/;
+
+/**
+ * Read the migration files, ordered by version
+ */
+export async function loadMigrations() {
+  const migrations = [];
+
+  for (const file of fs.readdirSync(MIGRATIONS_DIR).sort()) {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) continue;
+
+    const module = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+    if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+      throw new Error(`Migration ${file} must export up(db) and down(db)`);
+    }
+    migrations.push({ version: parseInt(match[1]), name: match[2], up: module.up, down: module.down });
+  }
+
+  const versions = migrations.map(m => m.version);
+  if (new Set(versions).size !== versions.length) {
+    throw new Error('Two migration files share a version number');
+  }
+  return migrations.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Every known migration with the time it was applied (null when pending)
+ * Versions applied by a newer release that this one does not know are listed too.
+ */
+export async function getMigrationStatus(db) {
+  const applied = await appliedMigrations(db);
+  const migrations = await loadMigrations();
+
+  const status = migrations.map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    appliedAt: applied.get(migration.version)?.applied_at || null
+  }));
+  for (const [version, row] of applied) {
+    if (!migrations.some(m => m.version === version)) {
+      status.push({ version, name: row.name, appliedAt: row.applied_at, unknown: true });
+    }
+  }
+  return status.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Apply pending migrations up to and including the target version, each in its own transaction
+ * Returns the migrations that were applied.
+ */
+export async function migrateUp(db, targetVersion = Infinity) {
+  const applied = await appliedMigrations(db);
+  const migrations = await loadMigrations();
+  const latest = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+
+  const unknown = [...applied.keys()].filter(version => version > latest);
+  if (unknown.length > 0) {
+    console.warn(`⚠️ Database has migration(s) ${unknown.join(', ')} from a newer release - this release only knows up to ${latest}`);
+  }
+
+  const pending = migrations.filter(m => !applied.has(m.version) && m.version <= targetVersion);
+  for (const migration of pending) {
+    console.log(`🔧 Applying migration ${migration.version} ${migration.name}...`);
+    await inTransaction(db, async () => {
+      await migration.up(db);
+      await db.run(
+        'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+        [migration.version, migration.name, new Date().toISOString()]
+      );
+    });
+  }
+  return pending;
+}
+
+/**
+ * Revert applied migrations newer than the target version, newest first
+ * Returns the migrations that were reverted.
+ */
+export async function migrateDown(db, targetVersion) {
+  const applied = await appliedMigrations(db);
+  const migrations = await loadMigrations();
+
+  const missing = [...applied.keys()].filter(version => version > targetVersion && !migrations.some(m => m.version === version));
+  if (missing.length > 0) {
+    throw new Error(`Cannot revert migration(s) ${missing.join(', ')}: their files are not part of this release`);
+  }
+
+  const reverting = migrations
+    .filter(m => applied.has(m.version) && m.version > targetVersion)
+    .reverse();
+  for (const migration of reverting) {
+    console.log(`↩️ Reverting migration ${migration.version} ${migration.name}...`);
+    await inTransaction(db, async () => {
+      await migration.down(db);
+      await db.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+    });
+  }
+  return reverting;
+}
+
+/**
+ * Bring existing tables in line with a schema and create the missing ones
+ * Missing columns are added in place; tables whose unique keys differ, or that need a column
+ * ALTER TABLE cannot add, are rebuilt. `renamedColumns` maps { table: { oldColumn: newColumn } }
+ * so data in columns older schemas named differently is carried over.
+ */
+export async function convergeSchema(db, schemaSql, renamedColumns = {}) {
+  const reference = await open({ filename: ':memory:', driver: sqlite3.Database });
+
+  try {
+    await reference.exec(schemaSql);
+    const tables = await reference.all(
+      "SELECT name, sql FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY rowid"
+    );
+
+    for (const table of tables) {
+      const existing = (await db.all(`PRAGMA table_info(${table.name})`)).map(c => c.name);
+      if (existing.length === 0) continue;
+
+      const wanted = await reference.all(`PRAGMA table_info(${table.name})`);
+      const missing = wanted.filter(column => !existing.includes(column.name));
+      const renames = Object.entries(renamedColumns[table.name] || {})
+        .filter(([from, to]) => existing.includes(from) && missing.some(c => c.name === to));
+      const keysDiffer = await uniqueKeys(db, table.name) !== await uniqueKeys(reference, table.name);
+
+      if (keysDiffer || renames.length > 0 || missing.some(column => !canAddColumn(column))) {
+        await rebuildTable(db, table.name, table.sql, Object.fromEntries(renames));
+        continue;
+      }
+      for (const column of missing) {
+        const defaultValue = column.dflt_value !== null ? ` DEFAULT ${column.dflt_value}` : '';
+        await db.exec(`ALTER TABLE ${table.name} ADD COLUMN ${column.name} ${column.type}${column.notnull ? ' NOT NULL' : ''}${defaultValue}`);
+      }
+    }
+
+    // Creates the missing tables and indexes
+    await db.exec(schemaSql);
+  } finally {
+    await reference.close();
+  }
+}
+
+/**
+ * Recreate a table from a CREATE TABLE statement, keeping its rows
+ * SQLite cannot change constraints in place: the new table is created under a temporary name,
+ * the shared columns copied across and the new table renamed. Rows that collide on a new unique
+ * key are collapsed into the most recently inserted one.
+ */
+export async function rebuildTable(db, table, createSql, renamedColumns = {}) {
+  const oldColumns = (await db.all(`PRAGMA table_info(${table})`)).map(c => c.name);
+  const indexes = await db.all(
+    "SELECT name, sql FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND sql IS NOT NULL",
+    [table]
+  );
+
+  await db.exec(createSql.replace(/^(\s*CREATE TABLE\s+(?:IF NOT EXISTS\s+)?)("?)\w+\2/i, `$1${table}_new`));
+  const newColumns = (await db.all(`PRAGMA table_info(${table}_new)`)).map(c => c.name);
+
+  const sources = Object.fromEntries(Object.entries(renamedColumns).map(([from, to]) => [to, from]));
+  const copied = newColumns
+    .map(column => [column, oldColumns.includes(column) ? column : sources[column]])
+    .filter(([, source]) => source && oldColumns.includes(source));
+  const dropped = oldColumns.filter(column => !copied.some(([, source]) => source === column));
+  if (dropped.length > 0) {
+    console.warn(`⚠️ ${table}: column(s) ${dropped.join(', ')} are not part of the schema and are dropped`);
+  }
+
+  const before = await db.get(`SELECT COUNT(*) as count FROM ${table}`);
+  await db.exec(`
+    INSERT OR REPLACE INTO ${table}_new (${copied.map(([column]) => column).join(', ')})
+    SELECT ${copied.map(([, source]) => source).join(', ')} FROM ${table} ORDER BY rowid
+  `);
+  const after = await db.get(`SELECT COUNT(*) as count FROM ${table}_new`);
+
+  await db.exec(`DROP TABLE ${table}`);
+  await db.exec(`ALTER TABLE ${table}_new RENAME TO ${table}`);
+
+  for (const index of indexes) {
+    try {
+      await db.exec(index.sql);
+    } catch (error) {
+      console.warn(`⚠️ ${table}: could not recreate index ${index.name}:`, error.message);
+    }
+  }
+
+  console.log(`🔧 Rebuilt ${table} (${after.count} rows${before.count > after.count ? `, ${before.count - after.count} duplicates removed` : ''})`);
+}
+
+async function appliedMigrations(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT,
+      applied_at TEXT
+    )
+  `);
+  const rows = await db.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return new Map(rows.map(row => [row.version, row]));
+}
+
+async function inTransaction(db, work) {
+  await db.exec('BEGIN');
+  try {
+    await work();
+    await db.exec('COMMIT');
+  } catch (error) {
+    await db.exec('ROLLBACK');
+    throw error;
+  }
+}
+
+async function uniqueKeys(db, table) {
+  const keys = [];
+  for (const index of await db.all(`PRAGMA index_list(${table})`)) {
+    if (!index.unique || index.origin !== 'u') continue;
+    const columns = await db.all(`PRAGMA index_info("${index.name}")`);
+    keys.push(columns.map(c => c.name).join(','));
+  }
+  return keys.sort().join('|');
+}
+
+// ALTER TABLE ADD COLUMN cannot add key columns, NOT NULL without a default or non-constant defaults
+function canAddColumn(column) {
+  if (column.pk) return false;
+  if (column.notnull && column.dflt_value === null) return false;
+  return !/CURRENT_|\(/i.test(column.dflt_value || '');
+}
@@ -0,0 +1,632 @@
+import { convergeSchema } from '../migrations.js';
+
+// The baseline is the schema as it stood when versioned migrations were introduced, not the schema
+// of the first release: databases from before then had been upgraded in place by initDatabase and
+// the setup scripts in many small steps, and are all converged onto this one snapshot. Changes made
+// after it ship as their own numbered migration, so this file must not change again.
+
+// Columns that setup-database-clean.js created under other names
+const RENAMED_COLUMNS = {
+  jira_issues: {
+    issue_type: 'issue_type_name',
+    status: 'status_name',
+    priority: 'priority_name',
+    affected_versions: 'versions'
+  },
+  jira_issue_links: { link_type: 'link_type_name' }
+};
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS integrations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    account_name TEXT,
+    account_email TEXT,
+    jira_domain TEXT,
+    atlassian_account_id TEXT,
+    avatar_url TEXT,
+    site_urls TEXT,
+    unlinked_at TEXT,
+    integration_type TEXT DEFAULT 'cloud',
+    auth_type TEXT DEFAULT 'oauth',
+    base_url TEXT,
+    username TEXT,
+    owner_user_id INTEGER,
+    project_id TEXT,
+    access_token TEXT,
+    refresh_token TEXT,
+    expires_at TEXT,
+    last_refresh_at TEXT,
+    refresh_failures INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT 1,
+    is_primary BOOLEAN DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS integration_audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    integration_id INTEGER,
+    action TEXT,
+    actor TEXT,
+    details TEXT,
+    created_at TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS oauth_pending_authorizations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    state TEXT UNIQUE,
+    code_verifier TEXT,
+    project_id TEXT,
+    account_name TEXT,
+    account_email TEXT,
+    jira_domain TEXT,
+    user_id INTEGER,
+    created_at TEXT,
+    expires_at TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS api_users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE,
+    role TEXT DEFAULT 'viewer',
+    api_key_hash TEXT UNIQUE,
+    api_key_prefix TEXT,
+    is_active BOOLEAN DEFAULT 1,
+    last_used_at TEXT,
+    created_at TEXT,
+    updated_at TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS jira_sites (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    integration_id INTEGER,
+    cloud_id TEXT,
+    name TEXT,
+    url TEXT,
+    scopes TEXT,
+    avatar_url TEXT,
+    is_enabled BOOLEAN DEFAULT 1,
+    is_accessible BOOLEAN DEFAULT 1,
+    last_synced_at TEXT,
+    created_at TEXT,
+    updated_at TEXT,
+    FOREIGN KEY (integration_id) REFERENCES integrations (id),
+    UNIQUE(integration_id, cloud_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS jira_projects (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    integration_id INTEGER,
+    project_key TEXT,
+    project_name TEXT,
+    project_id TEXT,
+    project_type TEXT,
+    description TEXT,
+    lead_account_id TEXT,
+    lead_display_name TEXT,
+    url TEXT,
+    avatar_urls TEXT,
+    project_category TEXT,
+    is_private BOOLEAN,
+    is_active BOOLEAN DEFAULT 1,
+    cloud_id TEXT,
+    raw_data TEXT,
+    updated_at TEXT,
+    FOREIGN KEY (integration_id) REFERENCES integrations (id),
+    UNIQUE(integration_id, cloud_id, project_key)
+  );
+
+  CREATE TABLE IF NOT EXISTS jira_issue_types (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    integration_id INTEGER,
+    cloud_id TEXT,
+    issue_type_id TEXT,
+    name TEXT,
+    description TEXT,
+    icon_url TEXT,
+    subtask BOOLEAN,
+    hierarchy_level INTEGER,
+    raw_data TEXT,
+    updated_at TEXT,
+    FOREIGN KEY (integration_id) REFERENCES integrations (id),
+    UNIQUE(integration_id, cloud_id, issue_type_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS jira_priorities (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    integration_id INTEGER,
+    cloud_id TEXT,
+    priority_id TEXT,
+    name TEXT,
+    description TEXT,
+    icon_url TEXT,
+    status_color TEXT,
+    raw_data TEXT,
+    updated_at TEXT,
+    FOREIGN KEY (integration_id) REFERENCES integrations (id),
+    UNIQUE(integration_id, cloud_id, priority_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS jira_statuses (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    integration_id INTEGER,
+    cloud_id TEXT,
+    status_id TEXT,
+    name TEXT,
+    description TEXT,
+    icon_url TEXT,
+    status_category TEXT,
+    raw_data TEXT,
+    updated_at TEXT,
+    FOREIGN KEY (integration_id) REFERENCES integrations (id),
+    UNIQUE(integration_id, cloud_id, status_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS jira_resolutions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    integration_id INTEGER,
+    cloud_id TEXT,
+    resolution_id TEXT,
+    name TEXT,
+    description TEXT,
+    raw_data TEXT,
+    updated_at TEXT,
+    FOREIGN KEY (integration_id) REFERENCES integrations (id),
+    UNIQUE(integration_id, cloud_id, resolution_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS jira_users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    integration_id INTEGER,
+    cloud_id TEXT,
+    account_id TEXT,
+    display_name TEXT,
+    email_address TEXT,
+    active BOOLEAN,
+    time_zone TEXT,
+    locale TEXT,
+    avatar_urls TEXT,
+    raw_data TEXT,
+    updated_at TEXT,
+    FOREIGN KEY (integration_id) REFERENCES integrations (id),
+    UNIQUE(integration_id, cloud_id, account_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS jira_groups (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    integration_id INTEGER,
+    cloud_id TEXT,
+    group_id TEXT,
+    name TEXT,
+    html TEXT,
+    raw_data TEXT,
+    updated_at TEXT,
+    FOREIGN KEY (integration_id) REFERENCES integrations (id),
+    UNIQUE(integration_id, cloud_id, group_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS jira_fields (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    integration_id INTEGER,
+    cloud_id TEXT,
+    field_id TEXT,
+    name TEXT,
+    field_type TEXT,
+    description TEXT,
+    is_custom BOOLEAN,
+    is_system BOOLEAN,
+    custom BOOLEAN,
+    orderable BOOLEAN,
+    navigable BOOLEAN,
+    searchable BOOLEAN,
+    schema TEXT,
+    raw_data TEXT,
+    updated_at TEXT,
+    FOREIGN KEY (integration_id) REFERENCES integrations (id),
+    UNIQUE(integration_id, cloud_id, field_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS jira_labels (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    integration_id INTEGER,
+    cloud_id TEXT,
+    label_name TEXT,
+    usage_count INTEGER,
+    updated_at TEXT,
+    FOREIGN KEY (integration_id) REFERENCES integrations (id),
+    UNIQUE(integration_id, cloud_id, label_name)
+  );
+
+  CREATE TABLE IF NOT EXISTS jira_components (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    integration_id INTEGER,
+    cloud_id TEXT,
+    component_id TEXT,
+    name TEXT,
+    description TEXT,
+    project_key TEXT,
+    lead_account_id TEXT,
+    assignee_type TEXT,
+    raw_data TEXT,
+    updated_at TEXT,
+    FOREIGN KEY (integration_id) REFERENCES integrations (id),
+    UNIQUE(integration_id, cloud_id, component_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS jira_versions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    integration_id INTEGER,
+    cloud_id TEXT,
+    version_id TEXT,
+    name TEXT,
+    description TEXT,
+    project_key TEXT,
+    archived BOOLEAN,
+    released BOOLEAN,
+    start_date TEXT,
+    release_date TEXT,
+    raw_data TEXT,
+    updated_at TEXT,
+    FOREIGN KEY (integration_id) REFERENCES integrations (id),
+    UNIQUE(integration_id, cloud_id, version_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS jira_workflows (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    integration_id INTEGER,
+    cloud_id TEXT,
+    workflow_id TEXT,
+    name TEXT,
+    description TEXT,
+    transitions TEXT,
+    statuses TEXT,
+    raw_data TEXT,
+    updated_at TEXT,
+    FOREIGN KEY (integration_id) REFERENCES integrations (id)
+  );
+
+  CREATE TABLE IF NOT EXISTS jira_dashboards (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    integration_id INTEGER,
+    cloud_id TEXT,
+    dashboard_id TEXT,
+    name TEXT,
+    description TEXT,
+    owner_account_id TEXT,
+    view TEXT,
+    share_permissions TEXT,
+    raw_data TEXT,
+    updated_at TEXT,
+    FOREIGN KEY (integration_id) REFERENCES integrations (id)
+  );
+
+  CREATE TABLE IF NOT EXISTS jira_filters (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    integration_id INTEGER,
+    cloud_id TEXT,
+    filter_id TEXT,
+    name TEXT,
+    description TEXT,
+    jql TEXT,
+    owner_account_id TEXT,
+    view_url TEXT,
+    search_url TEXT,
+    raw_data TEXT,
+    updated_at TEXT,
+    FOREIGN KEY (integration_id) REFERENCES integrations (id)
+  );
+
+  CREATE TABLE IF NOT EXISTS jira_permissions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    integration_id INTEGER,
+    cloud_id TEXT,
+    permission_id TEXT,
+    name TEXT,
+    type TEXT,
+    description TEXT,
+    have_permission BOOLEAN,
+    raw_data TEXT,
+    updated_at TEXT,
+    FOREIGN KEY (integration_id) REFERENCES integrations (id)
+  );
+
+  CREATE TABLE IF NOT EXISTS jira_issues (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    integration_id INTEGER,
+    cloud_id TEXT,
+    project_id TEXT,
+    issue_key TEXT,
+    issue_id TEXT,
+    summary TEXT,
+    description TEXT,
+    assignee_account_id TEXT,
+    assignee_display_name TEXT,
+    assignee_email TEXT,
+    reporter_account_id TEXT,
+    reporter_display_name TEXT,
+    reporter_email TEXT,
+    epic_key TEXT,
+    epic_name TEXT,
+    story_points REAL,
+    sprint_id TEXT,
+    sprint_name TEXT,
+    sprints TEXT,
+    team_id TEXT,
+    team_name TEXT,
+    status_name TEXT,
+    status_id TEXT,
+    priority_name TEXT,
+    priority_id TEXT,
+    issue_type_name TEXT,
+    issue_type_id TEXT,
+    resolution_name TEXT,
+    resolution_id TEXT,
+    labels TEXT,
+    components TEXT,
+    fix_versions TEXT,
+    versions TEXT,
+    parent_key TEXT,
+    subtasks TEXT,
+    issuelinks TEXT,
+    worklog TEXT,
+    comments TEXT,
+    attachments TEXT,
+    created TEXT,
+    updated TEXT,
+    raw_data TEXT,
+    updated_at TEXT,
+    deleted_at TEXT,
+    FOREIGN KEY (integration_id) REFERENCES integrations (id),
+    UNIQUE(integration_id, cloud_id, issue_key)
+  );
+
+  CREATE TABLE IF NOT EXISTS jira_comments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    integration_id INTEGER,
+    cloud_id TEXT,
+    comment_id TEXT,
+    issue_key TEXT,
+    author_account_id TEXT,
+    author_display_name TEXT,
+    body TEXT,
+    created TEXT,
+    updated TEXT,
+    raw_data TEXT,
+    updated_at TEXT,
+    deleted_at TEXT,
+    FOREIGN KEY (integration_id) REFERENCES integrations (id)
+  );
+
+  CREATE TABLE IF NOT EXISTS jira_worklogs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    integration_id INTEGER,
+    cloud_id TEXT,
+    worklog_id TEXT,
+    issue_key TEXT,
+    author_account_id TEXT,
+    author_display_name TEXT,
+    comment TEXT,
+    time_spent TEXT,
+    time_spent_seconds INTEGER,
+    started TEXT,
+    created TEXT,
+    updated TEXT,
+    raw_data TEXT,
+    updated_at TEXT,
+    deleted_at TEXT,
+    FOREIGN KEY (integration_id) REFERENCES integrations (id)
+  );
+
+  CREATE TABLE IF NOT EXISTS jira_attachments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    integration_id INTEGER,
+    cloud_id TEXT,
+    attachment_id TEXT,
+    issue_key TEXT,
+    filename TEXT,
+    author_account_id TEXT,
+    author_display_name TEXT,
+    created TEXT,
+    size INTEGER,
+    mime_type TEXT,
+    content_url TEXT,
+    raw_data TEXT,
+    updated_at TEXT,
+    deleted_at TEXT,
+    FOREIGN KEY (integration_id) REFERENCES integrations (id)
+  );
+
+  CREATE TABLE IF NOT EXISTS jira_issue_links (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    integration_id INTEGER,
+    cloud_id TEXT,
+    link_id TEXT,
+    issue_key TEXT,
+    outward_issue_key TEXT,
+    inward_issue_key TEXT,
+    link_type_id TEXT,
+    link_type_name TEXT,
+    raw_data TEXT,
+    updated_at TEXT,
+    deleted_at TEXT,
+    FOREIGN KEY (integration_id) REFERENCES integrations (id)
+  );
+
+  CREATE TABLE IF NOT EXISTS jira_issue_changelog (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    integration_id INTEGER,
+    cloud_id TEXT,
+    issue_key TEXT,
+    history_id TEXT,
+    item_index INTEGER,
+    author_account_id TEXT,
+    author_display_name TEXT,
+    created TEXT,
+    field TEXT,
+    field_id TEXT,
+    field_type TEXT,
+    from_value TEXT,
+    from_string TEXT,
+    to_value TEXT,
+    to_string TEXT,
+    updated_at TEXT,
+    deleted_at TEXT,
+    FOREIGN KEY (integration_id) REFERENCES integrations (id),
+    UNIQUE(integration_id, cloud_id, history_id, item_index)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_jira_issue_changelog_issue
+    ON jira_issue_changelog (integration_id, issue_key, created);
+
+  CREATE TABLE IF NOT EXISTS jira_boards (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    integration_id INTEGER,
+    cloud_id TEXT,
+    board_id TEXT,
+    name TEXT,
+    board_type TEXT,
+    project_key TEXT,
+    filter_id TEXT,
+    configuration TEXT,
+    raw_data TEXT,
+    updated_at TEXT,
+    FOREIGN KEY (integration_id) REFERENCES integrations (id),
+    UNIQUE(integration_id, cloud_id, board_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS jira_board_columns (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    integration_id INTEGER,
+    cloud_id TEXT,
+    board_id TEXT,
+    column_name TEXT,
+    column_position INTEGER,
+    status_id TEXT,
+    min_issues INTEGER,
+    max_issues INTEGER,
+    updated_at TEXT,
+    FOREIGN KEY (integration_id) REFERENCES integrations (id)
+  );
+
+  CREATE TABLE IF NOT EXISTS jira_sprints (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    integration_id INTEGER,
+    cloud_id TEXT,
+    sprint_id TEXT,
+    board_id TEXT,
+    name TEXT,
+    state TEXT,
+    goal TEXT,
+    start_date TEXT,
+    end_date TEXT,
+    complete_date TEXT,
+    raw_data TEXT,
+    updated_at TEXT,
+    FOREIGN KEY (integration_id) REFERENCES integrations (id),
+    UNIQUE(integration_id, cloud_id, sprint_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS jira_sprint_issues (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    integration_id INTEGER,
+    cloud_id TEXT,
+    sprint_id TEXT,
+    issue_key TEXT,
+    issue_id TEXT,
+    updated_at TEXT,
+    FOREIGN KEY (integration_id) REFERENCES integrations (id),
+    UNIQUE(integration_id, cloud_id, sprint_id, issue_key)
+  );
+
+  CREATE TABLE IF NOT EXISTS jira_field_mappings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    integration_id INTEGER,
+    cloud_id TEXT,
+    logical_field TEXT,
+    field_ids TEXT,
+    source TEXT DEFAULT 'auto',
+    updated_at TEXT,
+    FOREIGN KEY (integration_id) REFERENCES integrations (id),
+    UNIQUE(integration_id, cloud_id, logical_field)
+  );
+
+  CREATE TABLE IF NOT EXISTS jira_issue_moves (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    integration_id INTEGER,
+    cloud_id TEXT,
+    issue_id TEXT,
+    from_key TEXT,
+    to_key TEXT,
+    detected_at TEXT,
+    FOREIGN KEY (integration_id) REFERENCES integrations (id)
+  );
+
+  CREATE TABLE IF NOT EXISTS jira_webhooks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    integration_id INTEGER,
+    cloud_id TEXT,
+    webhook_id TEXT,
+    events TEXT,
+    jql_filter TEXT,
+    expires_at TEXT,
+    last_event_at TEXT,
+    created_at TEXT,
+    updated_at TEXT,
+    FOREIGN KEY (integration_id) REFERENCES integrations (id),
+    UNIQUE(integration_id, cloud_id, webhook_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS jira_sync_state (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    integration_id INTEGER,
+    cloud_id TEXT,
+    project_key TEXT,
+    last_issue_updated TEXT,
+    last_sync_at TEXT,
+    last_full_sync_at TEXT,
+    last_issue_count INTEGER DEFAULT 0,
+    updated_at TEXT,
+    FOREIGN KEY (integration_id) REFERENCES integrations (id),
+    UNIQUE(integration_id, cloud_id, project_key)
+  );
+
+  CREATE TABLE IF NOT EXISTS sync_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    job_id TEXT UNIQUE,
+    integration_id INTEGER,
+    job_type TEXT,
+    status TEXT,
+    options TEXT,
+    steps TEXT,
+    current_step TEXT,
+    progress_completed INTEGER DEFAULT 0,
+    progress_total INTEGER DEFAULT 0,
+    cancel_requested BOOLEAN DEFAULT 0,
+    error TEXT,
+    created_at TEXT,
+    started_at TEXT,
+    finished_at TEXT,
+    updated_at TEXT,
+    FOREIGN KEY (integration_id) REFERENCES integrations (id)
+  );
+`;
+
+/**
+ * Create the schema, or bring a database created before migrations existed up to it
+ * Covers databases from initDatabase's old in-place upgrades, setup-database-clean.js and
+ * recreate-database.js: missing tables and columns are added, tables keyed without cloud_id are
+ * rebuilt, and renamed columns keep their data.
+ */
+export async function up(db) {
+  await convergeSchema(db, SCHEMA, RENAMED_COLUMNS);
+}
+
+/**
+ * Drop every table, including all synced data
+ */
+export async function down(db) {
+  const tables = [...SCHEMA.matchAll(/CREATE TABLE IF NOT EXISTS (\w+)/g)].map(match => match[1]);
+  for (const table of tables.reverse()) {
+    await db.exec(`DROP TABLE IF EXISTS ${table}`);
+  }
+}
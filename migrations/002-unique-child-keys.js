@@ -0,0 +1,53 @@
+import { rebuildTable } from '../migrations.js';
+
+// Natural keys of tables that were created without one, so INSERT OR REPLACE kept adding rows.
+// Issue links are stored once per issue they appear on.
+const UNIQUE_KEYS = {
+  jira_workflows: ['integration_id', 'cloud_id', 'workflow_id'],
+  jira_dashboards: ['integration_id', 'cloud_id', 'dashboard_id'],
+  jira_filters: ['integration_id', 'cloud_id', 'filter_id'],
+  jira_permissions: ['integration_id', 'cloud_id', 'permission_id'],
+  jira_comments: ['integration_id', 'cloud_id', 'comment_id'],
+  jira_worklogs: ['integration_id', 'cloud_id', 'worklog_id'],
+  jira_attachments: ['integration_id', 'cloud_id', 'attachment_id'],
+  jira_issue_links: ['integration_id', 'cloud_id', 'issue_key', 'link_id']
+};
+
+/**
+ * Add the unique keys, keeping the most recently synced copy of duplicated rows
+ * Rows from before cloud sites were tracked have no cloud_id, and SQLite does not consider NULLs
+ * equal in a unique key, so those duplicates are removed first with cloud_id compared as ''.
+ */
+export async function up(db) {
+  for (const [table, columns] of Object.entries(UNIQUE_KEYS)) {
+    const idColumns = columns.filter(column => column !== 'cloud_id');
+    const hasIds = idColumns.map(column => `${column} IS NOT NULL`).join(' AND ');
+    const result = await db.run(`
+      DELETE FROM ${table} WHERE ${hasIds} AND rowid NOT IN (
+        SELECT MAX(rowid) FROM ${table} WHERE ${hasIds}
+        GROUP BY ${columns.map(column => column === 'cloud_id' ? "COALESCE(cloud_id, '')" : column).join(', ')}
+      )
+    `);
+    if (result.changes > 0) {
+      console.log(`🧹 Removed ${result.changes} duplicated ${table} row(s)`);
+    }
+
+    const sql = await tableSql(db, table);
+    await rebuildTable(db, table, sql.replace(/\s*\)\s*$/, `,\n    UNIQUE(${columns.join(', ')})\n  )`));
+  }
+}
+
+/**
+ * Remove the unique keys again
+ */
+export async function down(db) {
+  for (const [table, columns] of Object.entries(UNIQUE_KEYS)) {
+    const sql = await tableSql(db, table);
+    await rebuildTable(db, table, sql.replace(`,\n    UNIQUE(${columns.join(', ')})`, ''));
+  }
+}
+
+async function tableSql(db, table) {
+  const row = await db.get("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?", [table]);
+  return row.sql;
+}
@@ -0,0 +1,44 @@
+// Outbound writes to Jira that could not be applied straight away. base_updated is the issue's
+// `updated` timestamp from jira_issues when the write was submitted, used to detect conflicts.
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS jira_write_queue (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    mutation_id TEXT UNIQUE,
+    integration_id INTEGER,
+    cloud_id TEXT,
+    issue_key TEXT,
+    operation TEXT,
+    target_id TEXT,
+    payload TEXT,
+    base_updated TEXT,
+    status TEXT,
+    attempts INTEGER DEFAULT 0,
+    next_attempt_at TEXT,
+    last_error TEXT,
+    conflict TEXT,
+    result TEXT,
+    force BOOLEAN DEFAULT 0,
+    created_by INTEGER,
+    created_at TEXT,
+    updated_at TEXT,
+    completed_at TEXT,
+    FOREIGN KEY (integration_id) REFERENCES integrations (id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_write_queue_due ON jira_write_queue (status, next_attempt_at);
+  CREATE INDEX IF NOT EXISTS idx_write_queue_issue ON jira_write_queue (integration_id, cloud_id, issue_key, status);
+`;
+
+/**
+ * Create the write queue
+ */
+export async function up(db) {
+  await db.exec(SCHEMA);
+}
+
+/**
+ * Drop the write queue, including writes that were never applied
+ */
+export async function down(db) {
+  await db.exec('DROP TABLE IF EXISTS jira_write_queue');
+}
@@ -0,0 +1,38 @@
+// Bulk issue operations run as background jobs; results holds the outcome per issue
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS bulk_operations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    job_id TEXT UNIQUE,
+    integration_id INTEGER,
+    operation TEXT,
+    selection TEXT,
+    status TEXT,
+    results TEXT,
+    progress_completed INTEGER DEFAULT 0,
+    progress_total INTEGER DEFAULT 0,
+    cancel_requested BOOLEAN DEFAULT 0,
+    error TEXT,
+    created_by INTEGER,
+    created_at TEXT,
+    started_at TEXT,
+    finished_at TEXT,
+    updated_at TEXT,
+    FOREIGN KEY (integration_id) REFERENCES integrations (id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_bulk_operations_integration ON bulk_operations (integration_id, status);
+`;
+
+/**
+ * Create the bulk operation jobs table
+ */
+export async function up(db) {
+  await db.exec(SCHEMA);
+}
+
+/**
+ * Drop the bulk operation jobs and their results
+ */
+export async function down(db) {
+  await db.exec('DROP TABLE IF EXISTS bulk_operations');
+}
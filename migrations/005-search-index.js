@@ -0,0 +1,105 @@
+// jira_search holds the text (summary and description, or a comment) of every document;
+// jira_search_documents maps its rowids to the issue, comment or worklog they came from.
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS jira_search_documents (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    integration_id INTEGER,
+    cloud_id TEXT,
+    kind TEXT,
+    source_id TEXT,
+    updated_at TEXT,
+    FOREIGN KEY (integration_id) REFERENCES integrations (id),
+    UNIQUE(integration_id, cloud_id, kind, source_id)
+  );
+
+  CREATE VIRTUAL TABLE IF NOT EXISTS jira_search USING fts5(
+    title,
+    body,
+    tokenize = 'unicode61 remove_diacritics 2'
+  );
+
+  CREATE TRIGGER IF NOT EXISTS jira_search_documents_delete AFTER DELETE ON jira_search_documents
+  BEGIN
+    DELETE FROM jira_search WHERE rowid = old.id;
+  END;
+
+  CREATE INDEX IF NOT EXISTS idx_jira_issues_issue_id ON jira_issues (integration_id, cloud_id, issue_id);
+`;
+
+// Documents to index: [kind, source table, id column, title column, text column]
+const SOURCES = [
+  ['issue', 'jira_issues', 'issue_id', 'summary', 'description'],
+  ['comment', 'jira_comments', 'comment_id', null, 'body'],
+  ['worklog', 'jira_worklogs', 'worklog_id', null, 'comment']
+];
+
+/**
+ * Create the full-text search index and fill it from the synced data
+ * The backfill is plain SQL so this migration does not change when search-index.js does; the
+ * sync code reindexes every document it writes afterwards.
+ */
+export async function up(db) {
+  await db.exec(SCHEMA);
+
+  const now = new Date().toISOString();
+  for (const [kind, table, idColumn, titleColumn, textColumn] of SOURCES) {
+    // One document per source row; MAX(rowid) picks the latest copy of duplicated rows
+    const latest = `
+      SELECT MAX(rowid) as source_rowid, integration_id, cloud_id, ${idColumn} as source_id
+      FROM ${table} WHERE ${idColumn} IS NOT NULL
+      GROUP BY integration_id, cloud_id, ${idColumn}
+    `;
+    await db.run(`
+      INSERT OR IGNORE INTO jira_search_documents (integration_id, cloud_id, kind, source_id, updated_at)
+      SELECT integration_id, cloud_id, ?, source_id, ? FROM (${latest})
+    `, [kind, now]);
+    await db.run(`
+      INSERT INTO jira_search (rowid, title, body)
+      SELECT d.id, ${titleColumn ? `COALESCE(s.${titleColumn}, '')` : "''"}, ${plainText(`s.${textColumn}`)}
+      FROM (${latest}) l
+      JOIN ${table} s ON s.rowid = l.source_rowid
+      JOIN jira_search_documents d ON d.integration_id = l.integration_id AND d.cloud_id IS l.cloud_id
+        AND d.kind = ? AND d.source_id = l.source_id
+    `, [kind]);
+  }
+
+  const { count } = await db.get('SELECT COUNT(*) as count FROM jira_search_documents');
+  console.log(`🔎 Indexed ${count} issues, comments and worklogs for search`);
+}
+
+/**
+ * Drop the search index
+ */
+export async function down(db) {
+  await db.exec(`
+    DROP TRIGGER IF EXISTS jira_search_documents_delete;
+    DROP TABLE IF EXISTS jira_search;
+    DROP TABLE IF EXISTS jira_search_documents;
+    DROP INDEX IF EXISTS idx_jira_issues_issue_id;
+  `);
+}
+
+/**
+ * SQL for the plain text of a stored rich text column
+ * ADF documents (Jira Cloud) give the text of their text nodes, one line per block; JSON strings
+ * (wiki markup from Jira Server) and values that are not JSON are used as they are.
+ */
+function plainText(column) {
+  const adfText = `(
+    SELECT trim(group_concat(piece, ''), char(10)) FROM (
+      SELECT CASE WHEN lag(node.parent) OVER (ORDER BY text.id) IS node.parent THEN '' ELSE char(10) END || text.value as piece
+      FROM json_tree(${column}) text
+      JOIN json_tree(${column}) node ON node.id = text.parent
+      WHERE text.key = 'text' AND text.type = 'text'
+      ORDER BY text.id
+    )
+  )`;
+
+  return `CASE
+    WHEN ${column} IS NULL THEN ''
+    WHEN NOT json_valid(${column}) THEN ${column}
+    WHEN json_type(${column}) = 'text' THEN ${column} ->> '$'
+    WHEN ${column} ->> '$.type' = 'doc' THEN COALESCE(${adfText}, '')
+    ELSE ''
+  END`;
+}
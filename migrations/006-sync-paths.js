@@ -0,0 +1,69 @@
+import { rebuildTable } from '../migrations.js';
+
+// The hourly quick sync and the comprehensive sync each keep their own issue watermark: the quick
+// sync stores fewer fields and no comments, worklogs or changelog, so it must not move the
+// watermark the comprehensive sync relies on.
+const SYNC_STATE_SCHEMA = `
+  CREATE TABLE IF NOT EXISTS jira_sync_state (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    integration_id INTEGER,
+    cloud_id TEXT,
+    project_key TEXT,
+    sync_path TEXT NOT NULL DEFAULT 'comprehensive',
+    last_issue_updated TEXT,
+    last_sync_at TEXT,
+    last_full_sync_at TEXT,
+    last_issue_count INTEGER DEFAULT 0,
+    updated_at TEXT,
+    FOREIGN KEY (integration_id) REFERENCES integrations (id),
+    UNIQUE(integration_id, cloud_id, project_key, sync_path)
+  )
+`;
+
+const PREVIOUS_SYNC_STATE_SCHEMA = `
+  CREATE TABLE IF NOT EXISTS jira_sync_state (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    integration_id INTEGER,
+    cloud_id TEXT,
+    project_key TEXT,
+    last_issue_updated TEXT,
+    last_sync_at TEXT,
+    last_full_sync_at TEXT,
+    last_issue_count INTEGER DEFAULT 0,
+    updated_at TEXT,
+    FOREIGN KEY (integration_id) REFERENCES integrations (id),
+    UNIQUE(integration_id, cloud_id, project_key)
+  )
+`;
+
+/**
+ * Split the issue watermarks by sync path and store project keys in jira_issues.project_id
+ * Existing watermarks may have been moved by the quick sync, so they are kept for it only and the
+ * next comprehensive sync of each project starts with a full sync. The quick sync stored the
+ * local jira_projects row id as project_id; Jira project keys never start with a digit.
+ */
+export async function up(db) {
+  await rebuildTable(db, 'jira_sync_state', SYNC_STATE_SCHEMA);
+  await db.run("UPDATE jira_sync_state SET sync_path = 'quick'");
+
+  await db.run(`
+    UPDATE jira_issues SET project_id = (
+      SELECT p.project_key FROM jira_projects p
+      WHERE p.id = CAST(jira_issues.project_id AS INTEGER) AND p.integration_id = jira_issues.integration_id
+    )
+    WHERE project_id GLOB '[0-9]*' AND EXISTS (
+      SELECT 1 FROM jira_projects p
+      WHERE p.id = CAST(jira_issues.project_id AS INTEGER) AND p.integration_id = jira_issues.integration_id
+    )
+  `);
+}
+
+/**
+ * Go back to one watermark per project
+ * Only the comprehensive sync's watermarks are kept, the quick sync starts over with a full sync.
+ * Issue project ids stay project keys.
+ */
+export async function down(db) {
+  await db.run("DELETE FROM jira_sync_state WHERE sync_path = 'quick'");
+  await rebuildTable(db, 'jira_sync_state', PREVIOUS_SYNC_STATE_SCHEMA);
+}
@@ -0,0 +1,72 @@
+import crypto from 'crypto';
+import { getDatabase } from './database.js';
+
+// Minutes a user has to finish the Atlassian consent screen
+export const OAUTH_STATE_TTL_MINUTES = parseInt(process.env.OAUTH_STATE_TTL_MINUTES || '10');
+
+/**
+ * Start a pending authorization
+ * The random state ties the callback to this request; the PKCE verifier never leaves the server.
+ * Returns the state and the code challenge to send to Atlassian.
+ */
+export async function createPendingAuthorization(projectId, accountInfo = {}) {
+  const db = await getDatabase();
+  const now = new Date();
+
+  // Authorizations that were never completed are not needed any more
+  await db.run('DELETE FROM oauth_pending_authorizations WHERE expires_at < ?', [now.toISOString()]);
+
+  const state = crypto.randomBytes(32).toString('base64url');
+  const codeVerifier = crypto.randomBytes(48).toString('base64url');
+
+  await db.run(`
+    INSERT INTO oauth_pending_authorizations
+    (state, code_verifier, project_id, account_name, account_email, jira_domain, user_id, created_at, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    state,
+    codeVerifier,
+    projectId,
+    accountInfo.accountName || null,
+    accountInfo.accountEmail || null,
+    accountInfo.jiraDomain || null,
+    accountInfo.ownerUserId || null,
+    now.toISOString(),
+    new Date(now.getTime() + OAUTH_STATE_TTL_MINUTES * 60 * 1000).toISOString()
+  ]);
+
+  return { state, codeChallenge: codeChallengeFor(codeVerifier) };
+}
+
+/**
+ * Take a pending authorization out of the store
+ * A state can be used once; unknown and expired states return null.
+ */
+export async function consumePendingAuthorization(state) {
+  if (!state) return null;
+
+  const db = await getDatabase();
+  const pending = await db.get(
+    'DELETE FROM oauth_pending_authorizations WHERE state = ? RETURNING *',
+    [state]
+  );
+
+  if (!pending || pending.expires_at < new Date().toISOString()) {
+    return null;
+  }
+
+  return {
+    codeVerifier: pending.code_verifier,
+    projectId: pending.project_id,
+    accountInfo: {
+      accountName: pending.account_name,
+      accountEmail: pending.account_email,
+      jiraDomain: pending.jira_domain,
+      ownerUserId: pending.user_id
+    }
+  };
+}
+
+function codeChallengeFor(codeVerifier) {
+  return crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+}
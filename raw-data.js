@@ -0,0 +1,329 @@
+import { getDatabase, INTEGRATION_DATA_TABLES, TOMBSTONED_TABLES } from './database.js';
+
+export const RAW_DATA_DEFAULT_LIMIT = 100;
+export const RAW_DATA_MAX_LIMIT = 1000;
+
+// Filter operators each kind of column supports; dates are ISO text, so text comparisons order them
+const OPERATORS = {
+  text: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'contains', 'startsWith', 'in', 'null'],
+  integer: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'null'],
+  number: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'null'],
+  boolean: ['eq', 'ne', 'null']
+};
+
+const COMPARISONS = { eq: '=', ne: '!=', gt: '>', gte: '>=', lt: '<', lte: '<=' };
+const MAX_IN_VALUES = 100;
+
+let schemaCache = null;
+
+/**
+ * Tables the raw data explorer may read, with their columns
+ * Only synced Jira tables are listed; the schema is read from the database once.
+ */
+export async function getRawDataSchema() {
+  if (schemaCache) return schemaCache;
+
+  const db = await getDatabase();
+  const tables = [];
+  for (const table of INTEGRATION_DATA_TABLES) {
+    const columns = await db.all(`PRAGMA table_info(${table})`);
+    if (columns.length === 0) continue;
+
+    tables.push({
+      name: table,
+      tombstoned: TOMBSTONED_TABLES.includes(table),
+      columns: columns.map(column => {
+        const kind = columnKind(column.type);
+        return {
+          name: column.name,
+          type: column.type,
+          kind,
+          nullable: !column.notnull && !column.pk,
+          primaryKey: Boolean(column.pk),
+          operators: OPERATORS[kind]
+        };
+      })
+    });
+  }
+
+  schemaCache = tables;
+  return tables;
+}
+
+/**
+ * Read rows of a synced table for one integration
+ *
+ * Query options (as received from the query string):
+ *   table           one of the tables from getRawDataSchema()
+ *   columns         comma separated columns to return (default: all)
+ *   sort            comma separated columns, prefixed with - for descending (default: -id)
+ *   filter          { column: value } or { column: { operator: value } }
+ *   limit, offset   page size (max RAW_DATA_MAX_LIMIT) and offset
+ *   cursor          nextCursor of the previous page, instead of offset
+ *   cloudId         limit to one cloud site
+ *   includeDeleted  'true' to include tombstoned rows
+ *
+ * Returns { table, columns, data, count, total, limit, offset, nextCursor }.
+ */
+export async function queryRawData(integrationId, query = {}) {
+  const schema = await getRawDataSchema();
+  if (!query.table) {
+    throw explorerError(400, 'Table parameter required');
+  }
+  const table = schema.find(t => t.name === query.table);
+  if (!table) {
+    throw explorerError(400, `Unknown table ${query.table} - see GET /api/schema`);
+  }
+  const columns = new Map(table.columns.map(column => [column.name, column]));
+
+  const projection = parseList(query.columns);
+  for (const name of projection) {
+    requireColumn(columns, name);
+  }
+
+  const sort = parseSort(query.sort, columns);
+  const limit = parseInteger(query.limit ?? RAW_DATA_DEFAULT_LIMIT, 'limit', 1, RAW_DATA_MAX_LIMIT);
+  const offset = parseInteger(query.offset ?? 0, 'offset', 0);
+  if (query.cursor && offset > 0) {
+    throw explorerError(400, 'Use either cursor or offset, not both');
+  }
+
+  // Conditions every query shares: the integration, the site, tombstones and the filters
+  const conditions = ['integration_id = ?'];
+  const params = [integrationId];
+  if (query.cloudId) {
+    conditions.push('cloud_id = ?');
+    params.push(query.cloudId);
+  }
+  if (table.tombstoned && query.includeDeleted !== 'true') {
+    conditions.push('deleted_at IS NULL');
+  }
+  for (const [name, value] of Object.entries(query.filter || {})) {
+    const column = requireColumn(columns, name);
+    const operations = value !== null && typeof value === 'object' && !Array.isArray(value) ? value : { eq: value };
+    for (const [operator, operand] of Object.entries(operations)) {
+      const condition = filterCondition(column, operator, operand);
+      conditions.push(condition.sql);
+      params.push(...condition.params);
+    }
+  }
+
+  const db = await getDatabase();
+  const where = conditions.join(' AND ');
+  const { total } = await db.get(`SELECT COUNT(*) as total FROM ${table.name} WHERE ${where}`, params);
+
+  const pageConditions = [...conditions];
+  const pageParams = [...params];
+  if (query.cursor) {
+    const cursor = cursorCondition(sort, decodeCursor(query.cursor, sort));
+    pageConditions.push(cursor.sql);
+    pageParams.push(...cursor.params);
+  }
+
+  // Sort columns are always read so the next cursor can be built, then dropped if not requested
+  const selected = projection.length > 0
+    ? [...new Set([...projection, ...sort.map(s => s.column)])]
+    : table.columns.map(column => column.name);
+  const rows = await db.all(
+    `SELECT ${selected.join(', ')} FROM ${table.name}
+     WHERE ${pageConditions.join(' AND ')}
+     ORDER BY ${sort.map(s => `${s.column} ${s.descending ? 'DESC' : 'ASC'}`).join(', ')}
+     LIMIT ? OFFSET ?`,
+    [...pageParams, limit, query.cursor ? 0 : offset]
+  );
+
+  const lastRow = rows[rows.length - 1];
+  const nextCursor = rows.length === limit ? encodeCursor(sort, lastRow) : null;
+  const data = projection.length > 0
+    ? rows.map(row => Object.fromEntries(projection.map(name => [name, row[name]])))
+    : rows;
+
+  return {
+    table: table.name,
+    columns: projection.length > 0 ? projection : selected,
+    data,
+    count: data.length,
+    total,
+    limit,
+    offset: query.cursor ? null : offset,
+    nextCursor
+  };
+}
+
+function columnKind(type) {
+  const upper = String(type || '').toUpperCase();
+  if (upper.includes('BOOL')) return 'boolean';
+  if (upper.includes('INT')) return 'integer';
+  if (/REAL|FLOA|DOUB|NUMERIC|DECIMAL/.test(upper)) return 'number';
+  return 'text';
+}
+
+function requireColumn(columns, name) {
+  const column = columns.get(name);
+  if (!column) {
+    throw explorerError(400, `Unknown column ${name}`);
+  }
+  return column;
+}
+
+function parseList(value) {
+  if (!value) return [];
+  if (typeof value !== 'string') {
+    throw explorerError(400, 'columns and sort must be comma separated lists');
+  }
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse ?sort=-updated_at,issue_key; id is always the last key so the order is total
+ */
+function parseSort(value, columns) {
+  const sort = parseList(value).map(item => {
+    const descending = item.startsWith('-');
+    const column = requireColumn(columns, descending ? item.slice(1) : item);
+    return { column: column.name, descending };
+  });
+
+  if (!sort.some(s => s.column === 'id')) {
+    sort.push({ column: 'id', descending: sort.length === 0 || sort[sort.length - 1].descending });
+  }
+  return sort;
+}
+
+function parseInteger(value, name, min, max = Infinity) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw explorerError(400, max === Infinity
+      ? `${name} must be an integer of at least ${min}`
+      : `${name} must be an integer between ${min} and ${max}`);
+  }
+  return number;
+}
+
+/**
+ * Build the SQL condition for one filter, checking the operator against the column kind
+ */
+function filterCondition(column, operator, operand) {
+  if (!column.operators.includes(operator)) {
+    throw explorerError(400, `Operator ${operator} is not supported on ${column.name} (${column.kind}); use one of: ${column.operators.join(', ')}`);
+  }
+  if (Array.isArray(operand) || (operand !== null && typeof operand === 'object')) {
+    throw explorerError(400, `Filter ${column.name}.${operator} takes a single value`);
+  }
+
+  switch (operator) {
+    case 'null': {
+      if (operand !== 'true' && operand !== 'false') {
+        throw explorerError(400, `Filter ${column.name}.null must be true or false`);
+      }
+      return { sql: `${column.name} IS ${operand === 'true' ? '' : 'NOT '}NULL`, params: [] };
+    }
+    case 'contains':
+    case 'startsWith': {
+      const pattern = escapeLike(String(operand));
+      return {
+        sql: `${column.name} LIKE ? ESCAPE '\\'`,
+        params: [operator === 'contains' ? `%${pattern}%` : `${pattern}%`]
+      };
+    }
+    case 'in': {
+      const values = String(operand).split(',').map(value => coerceValue(column, value.trim()));
+      if (values.length > MAX_IN_VALUES) {
+        throw explorerError(400, `Filter ${column.name}.in takes at most ${MAX_IN_VALUES} values`);
+      }
+      return { sql: `${column.name} IN (${values.map(() => '?').join(', ')})`, params: values };
+    }
+    default:
+      return { sql: `${column.name} ${COMPARISONS[operator]} ?`, params: [coerceValue(column, operand)] };
+  }
+}
+
+function coerceValue(column, value) {
+  const text = String(value);
+  switch (column.kind) {
+    case 'integer': {
+      const number = Number(text);
+      if (text === '' || !Number.isInteger(number)) {
+        throw explorerError(400, `${column.name} expects an integer, got "${text}"`);
+      }
+      return number;
+    }
+    case 'number': {
+      const number = Number(text);
+      if (text === '' || !Number.isFinite(number)) {
+        throw explorerError(400, `${column.name} expects a number, got "${text}"`);
+      }
+      return number;
+    }
+    case 'boolean': {
+      if (['true', '1'].includes(text)) return 1;
+      if (['false', '0'].includes(text)) return 0;
+      throw explorerError(400, `${column.name} expects true or false, got "${text}"`);
+    }
+    default:
+      return text;
+  }
+}
+
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, character => `\\${character}`);
+}
+
+function encodeCursor(sort, row) {
+  return Buffer.from(JSON.stringify(sort.map(s => row[s.column]))).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    values = null;
+  }
+  if (!Array.isArray(values) || values.length !== sort.length) {
+    throw explorerError(400, 'Invalid cursor - it must come from a request with the same sort');
+  }
+  return values;
+}
+
+/**
+ * Keyset condition selecting the rows after the cursor in the given order
+ * SQLite sorts NULL first, so NULLs come before every value ascending and after every value descending.
+ */
+function cursorCondition(sort, values) {
+  const alternatives = [];
+  const params = [];
+
+  sort.forEach((key, index) => {
+    const parts = [];
+    const partParams = [];
+
+    sort.slice(0, index).forEach((previous, previousIndex) => {
+      parts.push(`${previous.column} IS ?`);
+      partParams.push(values[previousIndex]);
+    });
+
+    const value = values[index];
+    if (key.descending) {
+      if (value === null) return;
+      parts.push(`(${key.column} < ? OR ${key.column} IS NULL)`);
+      partParams.push(value);
+    } else if (value === null) {
+      parts.push(`${key.column} IS NOT NULL`);
+    } else {
+      parts.push(`${key.column} > ?`);
+      partParams.push(value);
+    }
+
+    alternatives.push(`(${parts.join(' AND ')})`);
+    params.push(...partParams);
+  });
+
+  return { sql: alternatives.length > 0 ? `(${alternatives.join(' OR ')})` : '0', params };
+}
+
+function explorerError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
@@ -0,0 +1,64 @@
+import dotenv from 'dotenv';
+import { getDatabase } from './database.js';
+import { encryptToken, decryptToken, isCurrentToken, generateKey } from './token-crypto.js';
+
+dotenv.config();
+
+/**
+ * Re-encrypt the stored tokens of every integration with the current key
+ *
+ * Usage:
+ *   node rotate-token-key.js --generate-key
+ *     Print a new random key
+ *   TOKEN_ENCRYPTION_KEY=<new key> TOKEN_ENCRYPTION_PREVIOUS_KEYS=<old key> node rotate-token-key.js
+ *     Re-encrypt every token with the new key; plaintext tokens are encrypted as well
+ */
+async function rotateTokenKey() {
+  if (process.argv.includes('--generate-key')) {
+    console.log(generateKey());
+    return;
+  }
+
+  if (!process.env.TOKEN_ENCRYPTION_KEY && !process.env.TOKEN_ENCRYPTION_KEY_FILE) {
+    console.error('❌ Set TOKEN_ENCRYPTION_KEY or TOKEN_ENCRYPTION_KEY_FILE to the key tokens should be encrypted with');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const db = await getDatabase();
+    const integrations = await db.all('SELECT id, access_token, refresh_token FROM integrations ORDER BY id');
+    let rotated = 0;
+
+    console.log(`🔐 Re-encrypting tokens of ${integrations.length} integration(s)...`);
+    await db.exec('BEGIN');
+    try {
+      for (const integration of integrations) {
+        const tokens = [integration.access_token, integration.refresh_token];
+        if (tokens.every(token => !token || isCurrentToken(token))) continue;
+
+        await db.run(
+          'UPDATE integrations SET access_token = ?, refresh_token = ? WHERE id = ?',
+          [
+            encryptToken(decryptToken(integration.access_token)),
+            encryptToken(decryptToken(integration.refresh_token)),
+            integration.id
+          ]
+        );
+        rotated++;
+      }
+      await db.exec('COMMIT');
+    } catch (error) {
+      await db.exec('ROLLBACK');
+      throw error;
+    }
+
+    console.log(`✅ Re-encrypted ${rotated} integration(s), ${integrations.length - rotated} already used the current key`);
+    console.log('ℹ️ Once the server runs with the new key, TOKEN_ENCRYPTION_PREVIOUS_KEYS can be removed');
+  } catch (error) {
+    console.error('❌ Token key rotation failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+rotateTokenKey();
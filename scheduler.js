@@ -1,8 +1,11 @@
 import cron from 'node-cron';
 import { JiraAuthService } from './auth-service.js';
 import { JiraApiService } from './jira-api.js';
-import { ComprehensiveJiraSync } from './comprehensive-sync.js';
 import { getDatabase } from './database.js';
+import { purgeDeletedIssues, DELETED_ISSUE_RETENTION_DAYS } from './issue-tombstones.js';
+import { refreshWebhooks, getWebhookBaseUrl } from './webhooks.js';
+import { getWriteQueue } from './write-queue.js';
+import { getSyncJobQueue } from './sync-jobs.js';
 
 export class TokenRefreshScheduler {
   constructor() {
@@ -26,6 +29,25 @@ export class TokenRefreshScheduler {
       await this.syncAllData();
     });
 
+    // Purge expired issue tombstones daily, when a retention period is configured
+    if (DELETED_ISSUE_RETENTION_DAYS !== null) {
+      cron.schedule('30 3 * * *', async () => {
+        await this.purgeDeletedIssues();
+      });
+    }
+
+    // Register missing webhooks and refresh them well before their 30 day expiry
+    if (getWebhookBaseUrl()) {
+      cron.schedule('15 4 * * *', async () => {
+        await this.refreshAllWebhooks();
+      });
+    }
+
+    // Retry queued writes to Jira every minute
+    cron.schedule('* * * * *', async () => {
+      await getWriteQueue().processQueue();
+    });
+
     // Health check every 5 minutes
     cron.schedule('*/5 * * * *', async () => {
       await this.healthCheck();
@@ -83,66 +105,20 @@ export class TokenRefreshScheduler {
   }
 
   /**
-   * Sync all data for active integrations
+   * Queue a quick sync for every active integration
+   * The jobs go through the sync job queue, so they never run alongside a manual sync of the same integration.
    */
   async syncAllData() {
     console.log('🔄 Starting data sync cycle...');
 
     try {
-      const db = await getDatabase();
-      const integrations = await db.all(
-        'SELECT * FROM integrations WHERE is_active = 1'
-      );
+      const integrations = await this.authService.getActiveIntegrations();
 
       for (const integration of integrations) {
         try {
-          console.log(`🔄 Syncing data for integration ${integration.id}...`);
-          
-          // Get accessible resources
-          const apiService = new JiraApiService(integration.access_token, integration.base_url || 'https://api.atlassian.com');
-          const resources = await apiService.getAccessibleResources();
-          
-          for (const resource of resources) {
-            const cloudId = resource.id;
-            const baseUrl = resource.url;
-            
-            // Get projects for this cloud
-            const projects = await apiService.getProjects(cloudId);
-            
-            for (const project of projects) {
-              // Store project info
-              await db.run(`
-                INSERT OR REPLACE INTO jira_projects 
-                (integration_id, project_key, project_name, cloud_id, is_active)
-                VALUES (?, ?, ?, ?, ?)
-              `, [
-                integration.id,
-                project.key,
-                project.name,
-                cloudId,
-                1
-              ]);
-
-              // Sync issues for this project
-              const projectId = await db.get(
-                'SELECT id FROM jira_projects WHERE integration_id = ? AND project_key = ?',
-                [integration.id, project.key]
-              );
-
-              if (projectId) {
-                await apiService.syncIssuesToDatabase(
-                  integration.id,
-                  projectId.id,
-                  cloudId,
-                  project.key
-                );
-              }
-            }
-          }
-          
-          console.log(`✅ Data sync completed for integration ${integration.id}`);
+          await getSyncJobQueue().enqueue(integration.id, 'quick');
         } catch (error) {
-          console.error(`❌ Failed to sync data for integration ${integration.id}:`, error.message);
+          console.error(`❌ Failed to queue data sync for integration ${integration.id}:`, error.message);
         }
       }
     } catch (error) {
@@ -150,6 +126,46 @@ export class TokenRefreshScheduler {
     }
   }
 
+  /**
+   * Remove issues tombstoned longer ago than the retention period
+   */
+  async purgeDeletedIssues() {
+    console.log(`🧹 Purging issues deleted more than ${DELETED_ISSUE_RETENTION_DAYS} days ago...`);
+
+    try {
+      const db = await getDatabase();
+      const integrations = await db.all('SELECT id FROM integrations');
+
+      for (const integration of integrations) {
+        await purgeDeletedIssues(integration.id, DELETED_ISSUE_RETENTION_DAYS);
+      }
+    } catch (error) {
+      console.error('❌ Error while purging deleted issues:', error);
+    }
+  }
+
+  /**
+   * Keep the Jira webhooks of all active integrations alive
+   */
+  async refreshAllWebhooks() {
+    console.log('🪝 Refreshing Jira webhooks...');
+
+    try {
+      const db = await getDatabase();
+      const integrations = await db.all('SELECT id FROM integrations WHERE is_active = 1');
+
+      for (const integration of integrations) {
+        try {
+          await refreshWebhooks(integration.id);
+        } catch (error) {
+          console.error(`❌ Failed to refresh webhooks for integration ${integration.id}:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Error while refreshing webhooks:', error);
+    }
+  }
+
   /**
    * Health check for all integrations
    */
@@ -157,14 +173,11 @@ export class TokenRefreshScheduler {
     console.log('🏥 Running health check...');
 
     try {
-      const db = await getDatabase();
-      const integrations = await db.all(
-        'SELECT * FROM integrations WHERE is_active = 1'
-      );
+      const integrations = await this.authService.getActiveIntegrations();
 
       for (const integration of integrations) {
         try {
-          const apiService = new JiraApiService(integration.access_token, integration.base_url || 'https://api.atlassian.com');
+          const apiService = new JiraApiService(integration.access_token, undefined, { integration });
           await apiService.getAccessibleResources();
           console.log(`✅ Integration ${integration.id} is healthy`);
         } catch (error) {
@@ -186,46 +199,5 @@ export class TokenRefreshScheduler {
       console.error('❌ Error during health check:', error);
     }
   }
-
-  /**
-   * Manual sync for a specific integration
-   */
-  async manualSync(integrationId) {
-    console.log(`🔄 Manual sync for integration ${integrationId}...`);
-    
-    try {
-      const db = await getDatabase();
-      const integration = await db.get(
-        'SELECT * FROM integrations WHERE id = ? AND is_active = 1',
-        [integrationId]
-      );
-
-      if (!integration) {
-        throw new Error('Integration not found or inactive');
-      }
-
-      // Get the real cloud ID from Jira API
-      const { JiraApiService } = await import('./jira-api.js');
-      const apiService = new JiraApiService(integration.access_token);
-      const resources = await apiService.getAccessibleResources();
-      
-      if (resources.length === 0) {
-        throw new Error('No accessible Jira resources found');
-      }
-      
-      // Use the first accessible resource
-      const cloudId = resources[0].id;
-      console.log(`🔍 Using cloud ID: ${cloudId}`);
-      
-      const syncService = new ComprehensiveJiraSync(integration.access_token, cloudId);
-      await syncService.syncAllData(parseInt(integrationId));
-
-      console.log(`✅ Manual sync completed for integration ${integrationId}`);
-      return { success: true };
-    } catch (error) {
-      console.error(`❌ Manual sync failed for integration ${integrationId}:`, error);
-      return { success: false, error: error.message };
-    }
-  }
 }
 
@@ -0,0 +1,284 @@
+import { getDatabase } from './database.js';
+import { adfToText } from './markdown-adf.js';
+
+export const SEARCH_DEFAULT_LIMIT = 20;
+export const SEARCH_MAX_LIMIT = 100;
+
+// Snippets are marked with control characters first, so their text can be escaped before <mark> is added
+const MARK_START = '\u0002';
+const MARK_END = '\u0003';
+const SNIPPET_TOKENS = 24;
+// bm25 column weights: a hit in the summary counts more than one in a description or comment
+const TITLE_WEIGHT = 4.0;
+const BODY_WEIGHT = 1.0;
+
+/**
+ * Index the summary and description of a stored issue
+ * Called by the sync code after it wrote the issue.
+ */
+export async function indexIssue(integrationId, cloudId, issueKey) {
+  const db = await getDatabase();
+  const issue = await db.get(
+    'SELECT issue_id, summary, description FROM jira_issues WHERE integration_id = ? AND cloud_id = ? AND issue_key = ?',
+    [integrationId, cloudId, issueKey]
+  );
+  if (!issue?.issue_id) return;
+
+  await writeDocument(db, integrationId, cloudId, 'issue', issue.issue_id, issue.summary, storedText(issue.description));
+}
+
+/**
+ * Index the body of a stored comment
+ */
+export async function indexComment(integrationId, cloudId, commentId) {
+  const db = await getDatabase();
+  const comment = await db.get(
+    'SELECT body FROM jira_comments WHERE integration_id = ? AND cloud_id = ? AND comment_id = ?',
+    [integrationId, cloudId, String(commentId)]
+  );
+  if (!comment) return;
+
+  await writeDocument(db, integrationId, cloudId, 'comment', commentId, '', storedText(comment.body));
+}
+
+/**
+ * Index the comment of a stored worklog
+ */
+export async function indexWorklog(integrationId, cloudId, worklogId) {
+  const db = await getDatabase();
+  const worklog = await db.get(
+    'SELECT comment FROM jira_worklogs WHERE integration_id = ? AND cloud_id = ? AND worklog_id = ?',
+    [integrationId, cloudId, String(worklogId)]
+  );
+  if (!worklog) return;
+
+  await writeDocument(db, integrationId, cloudId, 'worklog', worklogId, '', storedText(worklog.comment));
+}
+
+/**
+ * Rebuild the search index from the stored issues, comments and worklogs
+ * Without integrationId every integration is reindexed. Returns the number of indexed documents per kind.
+ */
+export async function rebuildSearchIndex(integrationId = null) {
+  const db = await getDatabase();
+  const filter = integrationId === null ? '' : 'WHERE integration_id = ?';
+  const params = integrationId === null ? [] : [integrationId];
+  const counts = { issues: 0, comments: 0, worklogs: 0 };
+
+  // Deleting documents removes their index entries through the jira_search_documents_delete trigger
+  await db.run(`DELETE FROM jira_search_documents ${filter}`, params);
+
+  const issues = await db.all(`SELECT integration_id, cloud_id, issue_id, summary, description FROM jira_issues ${filter}`, params);
+  for (const issue of issues.filter(row => row.issue_id)) {
+    await writeDocument(db, issue.integration_id, issue.cloud_id, 'issue', issue.issue_id, issue.summary, storedText(issue.description));
+    counts.issues++;
+  }
+
+  const comments = await db.all(`SELECT integration_id, cloud_id, comment_id, body FROM jira_comments ${filter}`, params);
+  for (const comment of comments) {
+    await writeDocument(db, comment.integration_id, comment.cloud_id, 'comment', comment.comment_id, '', storedText(comment.body));
+    counts.comments++;
+  }
+
+  const worklogs = await db.all(`SELECT integration_id, cloud_id, worklog_id, comment FROM jira_worklogs ${filter}`, params);
+  for (const worklog of worklogs) {
+    await writeDocument(db, worklog.integration_id, worklog.cloud_id, 'worklog', worklog.worklog_id, '', storedText(worklog.comment));
+    counts.worklogs++;
+  }
+
+  console.log(`🔎 Indexed ${counts.issues} issues, ${counts.comments} comments and ${counts.worklogs} worklogs for search`);
+  return counts;
+}
+
+/**
+ * Full-text search over the synced issues, comments and worklog comments of an integration
+ *
+ * Query options (as received from the query string):
+ *   q                         words to find; "quoted phrases" match exactly, word* matches prefixes
+ *   project                   project key
+ *   status                    status name or id
+ *   assignee                  assignee account id or display name
+ *   updatedFrom, updatedTo    YYYY-MM-DD range of the issue's last update, inclusive
+ *   cloudId                   limit to one cloud site
+ *   limit, offset             page size (max SEARCH_MAX_LIMIT) and offset
+ *
+ * Returns { query, total, limit, offset, results }, best matches first. Each result is one
+ * matching issue, comment or worklog with its issue and a snippet where the matched words are
+ * wrapped in <mark>.
+ */
+export async function searchSyncedIssues(integrationId, query = {}) {
+  const match = matchExpression(query.q);
+  const limit = parseInteger(query.limit ?? SEARCH_DEFAULT_LIMIT, 'limit', 1, SEARCH_MAX_LIMIT);
+  const offset = parseInteger(query.offset ?? 0, 'offset', 0);
+
+  const conditions = ['jira_search MATCH ?', 'd.integration_id = ?', 'i.deleted_at IS NULL', 'COALESCE(c.deleted_at, w.deleted_at) IS NULL'];
+  const params = [match, integrationId];
+
+  if (query.cloudId) {
+    conditions.push('d.cloud_id = ?');
+    params.push(query.cloudId);
+  }
+  if (query.project) {
+    const prefix = `${String(query.project).toUpperCase()}-`;
+    conditions.push('substr(i.issue_key, 1, ?) = ?');
+    params.push(prefix.length, prefix);
+  }
+  if (query.status) {
+    conditions.push('(i.status_id = ? OR i.status_name = ? COLLATE NOCASE)');
+    params.push(query.status, query.status);
+  }
+  if (query.assignee) {
+    conditions.push('(i.assignee_account_id = ? OR i.assignee_display_name = ? COLLATE NOCASE)');
+    params.push(query.assignee, query.assignee);
+  }
+  for (const [name, operator] of [['updatedFrom', '>='], ['updatedTo', '<=']]) {
+    if (!query[name]) continue;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(query[name]) || Number.isNaN(Date.parse(query[name]))) {
+      throw searchError(400, `${name} must be a date (YYYY-MM-DD)`);
+    }
+    conditions.push(`substr(i.updated, 1, 10) ${operator} ?`);
+    params.push(query[name]);
+  }
+
+  // Comments and worklogs belong to an issue by key, which follows key changes
+  const from = `
+    FROM jira_search
+    JOIN jira_search_documents d ON d.id = jira_search.rowid
+    LEFT JOIN jira_comments c ON d.kind = 'comment' AND c.integration_id = d.integration_id
+      AND c.cloud_id = d.cloud_id AND c.comment_id = d.source_id
+    LEFT JOIN jira_worklogs w ON d.kind = 'worklog' AND w.integration_id = d.integration_id
+      AND w.cloud_id = d.cloud_id AND w.worklog_id = d.source_id
+    JOIN jira_issues i ON i.integration_id = d.integration_id AND i.cloud_id = d.cloud_id
+      AND CASE d.kind WHEN 'issue' THEN i.issue_id = d.source_id ELSE i.issue_key = COALESCE(c.issue_key, w.issue_key) END
+    WHERE ${conditions.join(' AND ')}
+  `;
+
+  const db = await getDatabase();
+  try {
+    const { total } = await db.get(`SELECT COUNT(*) as total ${from}`, params);
+    const rows = await db.all(`
+      SELECT d.kind, d.source_id, d.cloud_id, i.issue_key, i.summary, i.status_name, i.assignee_display_name,
+             i.updated, COALESCE(c.author_display_name, w.author_display_name) as author,
+             COALESCE(c.created, w.started) as created,
+             snippet(jira_search, 0, '${MARK_START}', '${MARK_END}', '…', ${SNIPPET_TOKENS}) as title_snippet,
+             snippet(jira_search, 1, '${MARK_START}', '${MARK_END}', '…', ${SNIPPET_TOKENS}) as body_snippet,
+             bm25(jira_search, ${TITLE_WEIGHT}, ${BODY_WEIGHT}) as rank
+      ${from}
+      ORDER BY rank
+      LIMIT ? OFFSET ?
+    `, [...params, limit, offset]);
+
+    return {
+      query: query.q,
+      total,
+      limit,
+      offset,
+      results: rows.map(formatHit)
+    };
+  } catch (error) {
+    // The expression is built from quoted terms, so this only happens on input FTS5 still rejects
+    if (/fts5/.test(error.message)) {
+      throw searchError(400, `Invalid search query: ${error.message}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Store one document in the index, replacing what was indexed for it before
+ */
+async function writeDocument(db, integrationId, cloudId, kind, sourceId, title, body) {
+  const document = await db.get(`
+    INSERT INTO jira_search_documents (integration_id, cloud_id, kind, source_id, updated_at)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(integration_id, cloud_id, kind, source_id) DO UPDATE SET updated_at = excluded.updated_at
+    RETURNING id
+  `, [integrationId, cloudId, kind, String(sourceId), new Date().toISOString()]);
+
+  await db.run('DELETE FROM jira_search WHERE rowid = ?', [document.id]);
+  await db.run('INSERT INTO jira_search (rowid, title, body) VALUES (?, ?, ?)', [document.id, title || '', body || '']);
+}
+
+/**
+ * Plain text of a stored rich text column: ADF on Jira Cloud, wiki markup text on Jira Server
+ */
+function storedText(value) {
+  if (!value) return '';
+
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch {
+    return String(value);
+  }
+  if (typeof parsed === 'string') return parsed;
+  return parsed?.type === 'doc' ? adfToText(parsed) : '';
+}
+
+/**
+ * Turn the q parameter into an FTS5 expression of quoted terms, all of which must match
+ */
+function matchExpression(q) {
+  if (typeof q !== 'string' || q.trim() === '') {
+    throw searchError(400, 'q is required');
+  }
+
+  const terms = [];
+  for (const [, phrase, word] of q.matchAll(/"([^"]*)"|(\S+)/g)) {
+    const text = phrase ?? word;
+    const prefix = word !== undefined && word.length > 1 && word.endsWith('*');
+    const term = prefix ? text.slice(0, -1) : text;
+    if (!/[\p{L}\p{N}]/u.test(term)) continue;
+    terms.push(`"${term.replace(/"/g, '""')}"${prefix ? '*' : ''}`);
+  }
+  if (terms.length === 0) {
+    throw searchError(400, 'q must contain at least one word');
+  }
+  return terms.join(' ');
+}
+
+function formatHit(row) {
+  const titleHit = row.title_snippet.includes(MARK_START);
+  const bodyHit = row.body_snippet.includes(MARK_START);
+
+  return {
+    type: row.kind,
+    issueKey: row.issue_key,
+    projectKey: row.issue_key.slice(0, row.issue_key.lastIndexOf('-')),
+    cloudId: row.cloud_id,
+    summary: row.summary,
+    status: row.status_name,
+    assignee: row.assignee_display_name,
+    updated: row.updated,
+    ...(row.kind === 'comment' ? { commentId: row.source_id } : {}),
+    ...(row.kind === 'worklog' ? { worklogId: row.source_id } : {}),
+    ...(row.kind !== 'issue' ? { author: row.author, created: row.created } : {}),
+    snippet: highlight(bodyHit || !titleHit ? row.body_snippet : row.title_snippet),
+    rank: row.rank
+  };
+}
+
+function highlight(snippet) {
+  return snippet
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replaceAll(MARK_START, '<mark>')
+    .replaceAll(MARK_END, '</mark>');
+}
+
+function parseInteger(value, name, min, max = Infinity) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw searchError(400, max === Infinity
+      ? `${name} must be an integer of at least ${min}`
+      : `${name} must be an integer between ${min} and ${max}`);
+  }
+  return number;
+}
+
+function searchError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
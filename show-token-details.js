@@ -1,4 +1,5 @@
 import { getDatabase } from './database.js';
+import { isEncryptedToken } from './token-crypto.js';
 
 async function showTokenDetails() {
   console.log('🔍 Detailed Token Information');
@@ -36,8 +37,8 @@ async function showTokenDetails() {
       }
       
       console.log(`   Refresh Failures: ${integration.refresh_failures || 0}`);
-      console.log(`   Access Token: ${integration.access_token ? '***' + integration.access_token.slice(-8) : 'NONE'}`);
-      console.log(`   Refresh Token: ${integration.refresh_token ? '***' + integration.refresh_token.slice(-8) : 'NONE'}`);
+      console.log(`   Access Token: ${describeToken(integration.access_token)}`);
+      console.log(`   Refresh Token: ${describeToken(integration.refresh_token)}`);
       console.log('');
     }
 
@@ -60,5 +61,10 @@ async function showTokenDetails() {
   }
 }
 
+function describeToken(token) {
+  if (!token) return 'NONE';
+  return isEncryptedToken(token) ? '🔒 encrypted' : '⚠️ stored unencrypted';
+}
+
 showTokenDetails();
 
@@ -0,0 +1,375 @@
+import crypto from 'crypto';
+import { getDatabase } from './database.js';
+import { ComprehensiveJiraSync, SYNC_STEPS } from './comprehensive-sync.js';
+import { JiraApiService, QUICK_SYNC_STEPS } from './jira-api.js';
+import { refreshSites, getEnabledSites, markSiteSynced } from './jira-sites.js';
+import { decryptIntegration } from './token-crypto.js';
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const ACTIVE_STATUSES = [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING];
+
+// A quick job stores projects and issue rows (JiraApiService.syncSite), a comprehensive job
+// everything including comments, worklogs and changelog (ComprehensiveJiraSync.syncAllData)
+export const JOB_TYPES = ['quick', 'comprehensive'];
+
+/**
+ * Persisted queue of background sync jobs
+ * Jobs run one at a time and sync every enabled cloud site of the integration;
+ * every state change and step is written to sync_runs.
+ */
+export class SyncJobQueue {
+  constructor() {
+    this.isProcessing = false;
+  }
+
+  /**
+   * Recover jobs left behind by a previous process and start processing
+   * Jobs that were asked to stop end as cancelled, the others as failed.
+   */
+  async start() {
+    const db = await getDatabase();
+    const result = await db.run(`
+      UPDATE sync_runs
+      SET status = CASE WHEN cancel_requested = 1 THEN ? ELSE ? END,
+          error = CASE WHEN cancel_requested = 1 THEN NULL ELSE ? END,
+          finished_at = ?, updated_at = ?
+      WHERE status = ?
+    `, [
+      JOB_STATUS.CANCELLED,
+      JOB_STATUS.FAILED,
+      'Interrupted by server restart',
+      new Date().toISOString(),
+      new Date().toISOString(),
+      JOB_STATUS.RUNNING
+    ]);
+
+    if (result.changes > 0) {
+      console.log(`⚠️ Closed ${result.changes} sync job(s) interrupted by the restart`);
+    }
+
+    this.processQueue();
+  }
+
+  /**
+   * Enqueue a sync job for an integration
+   * Returns the already queued or running job for the integration if there is one.
+   */
+  async enqueue(integrationId, type = 'comprehensive', options = {}) {
+    if (!JOB_TYPES.includes(type)) {
+      throw new Error(`Unknown sync job type: ${type}`);
+    }
+
+    const db = await getDatabase();
+    const integration = await db.get('SELECT id FROM integrations WHERE id = ? AND is_active = 1', [integrationId]);
+    if (!integration) {
+      throw new Error('Integration not found or inactive');
+    }
+
+    const jobId = crypto.randomUUID();
+    const now = new Date().toISOString();
+    // Steps are rebuilt once the job starts and the site list has been refreshed
+    const steps = buildSteps(await getEnabledSites(integrationId), type);
+
+    // Checking for an active job and inserting are one statement, so concurrent requests cannot both queue one
+    const result = await db.run(`
+      INSERT INTO sync_runs
+      (job_id, integration_id, job_type, status, options, steps, progress_completed,
+       progress_total, created_at, updated_at)
+      SELECT ?, ?, ?, ?, ?, ?, ?, ?, ?, ?
+      WHERE NOT EXISTS (SELECT 1 FROM sync_runs WHERE integration_id = ? AND status IN (?, ?))
+    `, [
+      jobId,
+      integrationId,
+      type,
+      JOB_STATUS.QUEUED,
+      JSON.stringify(options),
+      JSON.stringify(steps),
+      0,
+      steps.length,
+      now,
+      now,
+      integrationId,
+      ...ACTIVE_STATUSES
+    ]);
+
+    if (result.changes === 0) {
+      const activeJob = await db.get(`
+        SELECT * FROM sync_runs
+        WHERE integration_id = ? AND status IN (?, ?)
+        ORDER BY id DESC LIMIT 1
+      `, [integrationId, ...ACTIVE_STATUSES]);
+      console.log(`⏳ Sync job ${activeJob.job_id} already ${activeJob.status} for integration ${integrationId}`);
+      return { job: formatJob(activeJob), alreadyQueued: true };
+    }
+
+    console.log(`📥 Queued ${type} sync job ${jobId} for integration ${integrationId}`);
+    this.processQueue();
+
+    return { job: await this.getJob(jobId), alreadyQueued: false };
+  }
+
+  /**
+   * Get a job by its id
+   */
+  async getJob(jobId) {
+    const db = await getDatabase();
+    const job = await db.get('SELECT * FROM sync_runs WHERE job_id = ?', [jobId]);
+    return job ? formatJob(job) : null;
+  }
+
+  /**
+   * List the sync history of an integration, newest first
+   */
+  async listRuns(integrationId, limit = 20) {
+    const db = await getDatabase();
+    const runs = await db.all(
+      'SELECT * FROM sync_runs WHERE integration_id = ? ORDER BY id DESC LIMIT ?',
+      [integrationId, limit]
+    );
+    return runs.map(formatJob);
+  }
+
+  /**
+   * Cancel a job
+   * Queued jobs are cancelled immediately, running jobs stop at the next checkpoint. The request is
+   * stored on the job, so a job interrupted by a restart still ends as cancelled.
+   */
+  async cancel(jobId) {
+    const db = await getDatabase();
+    const job = await db.get('SELECT * FROM sync_runs WHERE job_id = ?', [jobId]);
+
+    if (!job) {
+      return null;
+    }
+
+    if (job.status === JOB_STATUS.QUEUED) {
+      await this.finishJob(job.job_id, JOB_STATUS.CANCELLED, null);
+    } else if (job.status === JOB_STATUS.RUNNING) {
+      await db.run(
+        'UPDATE sync_runs SET cancel_requested = 1, updated_at = ? WHERE job_id = ?',
+        [new Date().toISOString(), job.job_id]
+      );
+      console.log(`🛑 Cancellation requested for sync job ${job.job_id}`);
+    }
+
+    return await this.getJob(jobId);
+  }
+
+  /**
+   * Run queued jobs one after another until the queue is empty
+   */
+  async processQueue() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
+    try {
+      const db = await getDatabase();
+
+      while (true) {
+        const job = await db.get(
+          'SELECT * FROM sync_runs WHERE status = ? ORDER BY id ASC LIMIT 1',
+          [JOB_STATUS.QUEUED]
+        );
+        if (!job) break;
+
+        await this.runJob(job);
+      }
+    } catch (error) {
+      console.error('❌ Sync job queue error:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Run a single job and record its outcome
+   */
+  async runJob(job) {
+    const db = await getDatabase();
+    const options = JSON.parse(job.options || '{}');
+    let steps = JSON.parse(job.steps || '[]');
+    let completed = 0;
+
+    const saveProgress = async (currentStep) => {
+      await db.run(`
+        UPDATE sync_runs
+        SET steps = ?, current_step = ?, progress_completed = ?, progress_total = ?, updated_at = ?
+        WHERE job_id = ?
+      `, [JSON.stringify(steps), currentStep, completed, steps.length, new Date().toISOString(), job.job_id]);
+    };
+
+    // A job cancelled after it was picked from the queue is left as it is
+    const now = new Date().toISOString();
+    const started = await db.run(
+      'UPDATE sync_runs SET status = ?, started_at = ?, updated_at = ? WHERE job_id = ? AND status = ?',
+      [JOB_STATUS.RUNNING, now, now, job.job_id, JOB_STATUS.QUEUED]
+    );
+    if (started.changes === 0) return;
+    console.log(`🚀 Running ${job.job_type} sync job ${job.job_id} for integration ${job.integration_id}`);
+
+    try {
+      const integration = decryptIntegration(await db.get(
+        'SELECT * FROM integrations WHERE id = ? AND is_active = 1',
+        [job.integration_id]
+      ));
+      if (!integration) {
+        throw new Error('Integration not found or inactive');
+      }
+
+      await refreshSites(integration.id);
+      const sites = await getEnabledSites(integration.id);
+      if (sites.length === 0) {
+        throw new Error('No enabled Jira sites found');
+      }
+
+      steps = buildSteps(sites, job.job_type);
+      await saveProgress(null);
+
+      const syncOptions = {
+        full: options.full,
+        isCancelled: async () => {
+          const row = await db.get('SELECT cancel_requested FROM sync_runs WHERE job_id = ?', [job.job_id]);
+          return Boolean(row?.cancel_requested);
+        }
+      };
+
+      // A failing site does not stop the others; the job fails once all sites had their turn
+      const failedSites = [];
+      for (const site of sites) {
+        console.log(`🔍 Syncing site ${site.name} (${site.cloud_id})`);
+        const findStep = (step) => steps.find(s => s.cloudId === site.cloud_id && s.key === step.key);
+
+        try {
+          const siteOptions = {
+            ...syncOptions,
+            onStepStart: async (step) => {
+              const entry = findStep(step);
+              if (entry) {
+                entry.status = 'running';
+                entry.startedAt = new Date().toISOString();
+              }
+              await saveProgress(step.key);
+            },
+            onStepComplete: async (step, count) => {
+              const entry = findStep(step);
+              if (entry) {
+                entry.status = 'completed';
+                entry.count = count ?? null;
+                entry.finishedAt = new Date().toISOString();
+              }
+              completed++;
+              await saveProgress(step.key);
+            }
+          };
+
+          if (job.job_type === 'quick') {
+            const apiService = new JiraApiService(integration.access_token, undefined, { integrationId: integration.id, integration });
+            await apiService.syncSite(job.integration_id, site.cloud_id, siteOptions);
+          } else {
+            const syncService = new ComprehensiveJiraSync(integration.access_token, site.cloud_id, { integrationId: integration.id, integration });
+            await syncService.syncAllData(job.integration_id, siteOptions);
+          }
+          await markSiteSynced(integration.id, site.cloud_id);
+        } catch (error) {
+          if (error.cancelled) throw error;
+
+          markRunningStep(steps, 'failed');
+          failedSites.push(`${site.name || site.cloud_id}: ${error.message}`);
+          console.error(`❌ Sync of site ${site.cloud_id} failed:`, error.message);
+        }
+      }
+
+      if (failedSites.length > 0) {
+        throw new Error(`Sync failed for ${failedSites.length} site(s) - ${failedSites.join('; ')}`);
+      }
+
+      await this.finishJob(job.job_id, JOB_STATUS.SUCCEEDED, null, steps);
+      console.log(`✅ Sync job ${job.job_id} succeeded`);
+    } catch (error) {
+      markRunningStep(steps, error.cancelled ? 'cancelled' : 'failed');
+
+      if (error.cancelled) {
+        await this.finishJob(job.job_id, JOB_STATUS.CANCELLED, null, steps);
+        console.log(`🛑 Sync job ${job.job_id} cancelled`);
+      } else {
+        await this.finishJob(job.job_id, JOB_STATUS.FAILED, error.message, steps);
+        console.error(`❌ Sync job ${job.job_id} failed:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Move a job into a final state
+   */
+  async finishJob(jobId, status, errorMessage, steps = null) {
+    const db = await getDatabase();
+    const now = new Date().toISOString();
+
+    if (steps) {
+      await db.run(`
+        UPDATE sync_runs
+        SET status = ?, error = ?, steps = ?, finished_at = ?, updated_at = ?
+        WHERE job_id = ?
+      `, [status, errorMessage, JSON.stringify(steps), now, now, jobId]);
+    } else {
+      await db.run(
+        'UPDATE sync_runs SET status = ?, error = ?, finished_at = ?, updated_at = ? WHERE job_id = ?',
+        [status, errorMessage, now, now, jobId]
+      );
+    }
+  }
+}
+
+/**
+ * Build the step list of a job: every step of its sync type, once per site
+ */
+function buildSteps(sites, type) {
+  const syncSteps = type === 'quick' ? QUICK_SYNC_STEPS : SYNC_STEPS;
+  return sites.flatMap(site => syncSteps.map(step => ({
+    cloudId: site.cloud_id,
+    siteName: site.name,
+    key: step.key,
+    label: step.label,
+    status: 'pending',
+    count: null
+  })));
+}
+
+/**
+ * Close the step that was running when a site sync stopped
+ */
+function markRunningStep(steps, status) {
+  const running = steps.find(s => s.status === 'running');
+  if (running) {
+    running.status = status;
+    running.finishedAt = new Date().toISOString();
+  }
+}
+
+/**
+ * Convert a sync_runs row into its API representation
+ */
+function formatJob(row) {
+  return {
+    ...row,
+    options: JSON.parse(row.options || '{}'),
+    steps: JSON.parse(row.steps || '[]'),
+    cancel_requested: Boolean(row.cancel_requested)
+  };
+}
+
+let queue = null;
+
+export function getSyncJobQueue() {
+  if (!queue) {
+    queue = new SyncJobQueue();
+  }
+  return queue;
+}
@@ -0,0 +1,88 @@
+import { getDatabase } from './database.js';
+
+// Re-fetch a few minutes before the stored watermark so issues that were
+// updated while the previous run was still in flight are not missed.
+export const WATERMARK_OVERLAP_MINUTES = 5;
+
+// Each issue sync path keeps its own watermarks: the quick sync (hourly and quick jobs) stores only
+// the issue row, the comprehensive sync also its comments, worklogs and changelog
+export const SYNC_PATH = {
+  QUICK: 'quick',
+  COMPREHENSIVE: 'comprehensive'
+};
+
+/**
+ * Get the issue sync watermark of a sync path for a project on a cloud site
+ */
+export async function getSyncWatermark(integrationId, cloudId, projectKey, syncPath = SYNC_PATH.COMPREHENSIVE) {
+  const db = await getDatabase();
+  const row = await db.get(
+    'SELECT last_issue_updated FROM jira_sync_state WHERE integration_id = ? AND cloud_id = ? AND project_key = ? AND sync_path = ?',
+    [integrationId, cloudId, projectKey, syncPath]
+  );
+  return row?.last_issue_updated || null;
+}
+
+/**
+ * Store the issue sync watermark of a sync path for a project on a cloud site
+ */
+export async function saveSyncWatermark(integrationId, cloudId, projectKey, watermark, issueCount, isFullSync, syncPath = SYNC_PATH.COMPREHENSIVE) {
+  const db = await getDatabase();
+  const now = new Date().toISOString();
+
+  await db.run(`
+    INSERT INTO jira_sync_state
+    (integration_id, cloud_id, project_key, sync_path, last_issue_updated, last_sync_at, last_full_sync_at, last_issue_count, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(integration_id, cloud_id, project_key, sync_path) DO UPDATE SET
+      last_issue_updated = COALESCE(excluded.last_issue_updated, jira_sync_state.last_issue_updated),
+      last_sync_at = excluded.last_sync_at,
+      last_full_sync_at = COALESCE(excluded.last_full_sync_at, jira_sync_state.last_full_sync_at),
+      last_issue_count = excluded.last_issue_count,
+      updated_at = excluded.updated_at
+  `, [
+    integrationId,
+    cloudId,
+    projectKey,
+    syncPath,
+    watermark,
+    now,
+    isFullSync ? now : null,
+    issueCount,
+    now
+  ]);
+}
+
+/**
+ * Forget all watermarks so the next run re-pulls every issue
+ */
+export async function clearSyncWatermarks(integrationId) {
+  const db = await getDatabase();
+  await db.run('DELETE FROM jira_sync_state WHERE integration_id = ?', [integrationId]);
+}
+
+/**
+ * Build the issue search JQL for a project, restricted to recently updated
+ * issues when a watermark is available.
+ *
+ * JQL date literals are evaluated in the Jira user's time zone, so the
+ * watermark is expressed as a relative offset in minutes instead.
+ */
+export function buildIssueJql(projectKey, watermark = null) {
+  if (!watermark) {
+    return `project = "${projectKey}" ORDER BY updated DESC`;
+  }
+
+  const elapsedMs = Math.max(0, Date.now() - new Date(watermark).getTime());
+  const minutes = Math.ceil(elapsedMs / 60000) + WATERMARK_OVERLAP_MINUTES;
+  return `project = "${projectKey}" AND updated >= -${minutes}m ORDER BY updated DESC`;
+}
+
+/**
+ * Return the later of two Jira timestamps
+ */
+export function latestTimestamp(current, candidate) {
+  if (!candidate) return current;
+  if (!current) return candidate;
+  return new Date(candidate) > new Date(current) ? candidate : current;
+}
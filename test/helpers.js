@@ -0,0 +1,46 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { after, mock } from 'node:test';
+import { getDatabase, closeDatabase } from '../database.js';
+
+// Jira calls in tests are answered at once by a replaced fetch, so retrying them would only add waiting
+process.env.JIRA_MAX_RETRIES ??= '0';
+
+// Progress logs of the code under test would bury the test report; errors are still printed
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+
+/**
+ * Give the current test file a new database
+ * database.js opens ./jira_auth.db, so the working directory moves to a temporary directory,
+ * which is removed after the file's tests.
+ */
+export async function useTemporaryDatabase() {
+  const previous = process.cwd();
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'jira-sync-test-'));
+  process.chdir(directory);
+
+  after(async () => {
+    await closeDatabase();
+    process.chdir(previous);
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  return await getDatabase();
+}
+
+/**
+ * Add an active integration with one enabled cloud site
+ */
+export async function addIntegration(db, id = 1, cloudId = 'cloud-1') {
+  const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+  await db.run(
+    'INSERT INTO integrations (id, account_name, access_token, refresh_token, expires_at, is_active) VALUES (?, ?, ?, ?, ?, 1)',
+    [id, `account ${id}`, 'token', 'refresh', expiresAt]
+  );
+  await db.run(
+    'INSERT INTO jira_sites (integration_id, cloud_id, name, url, is_enabled, is_accessible) VALUES (?, ?, ?, ?, 1, 1)',
+    [id, cloudId, 'Site', `https://${cloudId}.atlassian.net`]
+  );
+}
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTemporaryDatabase, addIntegration } from './helpers.js';
+import { purgeDeletedIssues } from '../issue-tombstones.js';
+import { rebuildSearchIndex } from '../search-index.js';
+
+const db = await useTemporaryDatabase();
+await addIntegration(db, 1);
+
+const LONG_AGO = '2020-01-01T00:00:00.000Z';
+const RECENTLY = new Date().toISOString();
+
+await db.run(`
+  INSERT INTO jira_issues (integration_id, cloud_id, issue_key, issue_id, summary, deleted_at)
+  VALUES (1, 'cloud-1', 'P-1', '101', 'Purged crash', ?),
+         (1, 'cloud-1', 'P-2', '102', 'Recently deleted crash', ?),
+         (1, 'cloud-1', 'P-3', '103', 'Live crash', NULL)
+`, [LONG_AGO, RECENTLY]);
+await db.run(`
+  INSERT INTO jira_comments (integration_id, cloud_id, comment_id, issue_key, body, deleted_at)
+  VALUES (1, 'cloud-1', '9001', 'P-1', '"Purged remark"', ?), (1, 'cloud-1', '9002', 'P-3', '"Live remark"', NULL)
+`, [LONG_AGO]);
+await db.run(`
+  INSERT INTO jira_worklogs (integration_id, cloud_id, worklog_id, issue_key, comment, deleted_at)
+  VALUES (1, 'cloud-1', '7001', 'P-1', '"Purged work"', ?)
+`, [LONG_AGO]);
+await rebuildSearchIndex(1);
+
+async function indexed() {
+  return await db.all(`
+    SELECT d.kind, d.source_id FROM jira_search_documents d
+    JOIN jira_search s ON s.rowid = d.id
+    ORDER BY d.kind, d.source_id
+  `);
+}
+
+test('purged issues, comments and worklogs leave the search index', async () => {
+  const purged = await purgeDeletedIssues(1, 30);
+
+  assert.equal(purged.jira_issues, 1);
+  assert.equal(purged.jira_comments, 1);
+  assert.equal(purged.jira_worklogs, 1);
+  assert.deepEqual(await indexed(), [
+    { kind: 'comment', source_id: '9002' },
+    { kind: 'issue', source_id: '102' },
+    { kind: 'issue', source_id: '103' }
+  ]);
+  assert.equal((await db.get('SELECT COUNT(*) as count FROM jira_search')).count, 3);
+  assert.equal((await db.get("SELECT COUNT(*) as count FROM jira_search WHERE jira_search MATCH 'purged'")).count, 0);
+});
@@ -0,0 +1,182 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTemporaryDatabase, addIntegration } from './helpers.js';
+import {
+  createIssue, updateIssue, addComment, addWorklog, updateWorklog, buildIssueFields, validateWrite
+} from '../issue-writes.js';
+
+const FIELDS = [
+  ['summary', 'Summary', { type: 'string' }],
+  ['description', 'Description', { type: 'string' }],
+  ['priority', 'Priority', { type: 'priority' }],
+  ['labels', 'Labels', { type: 'array', items: 'string' }],
+  ['assignee', 'Assignee', { type: 'user' }],
+  ['duedate', 'Due date', { type: 'date' }],
+  ['status', 'Status', { type: 'status' }],
+  ['created', 'Created', { type: 'datetime' }, false],
+  ['customfield_10016', 'Story Points', { type: 'number' }],
+  ['customfield_10020', 'Team', { type: 'option' }],
+  ['customfield_10030', 'Team', { type: 'string' }]
+];
+
+const db = await useTemporaryDatabase();
+await addIntegration(db, 1);
+await addIntegration(db, 2, 'server-1');
+await db.run("UPDATE integrations SET integration_type = 'server', auth_type = 'pat', base_url = 'https://jira.example.com' WHERE id = 2");
+for (const [integrationId, cloudId] of [[1, 'cloud-1'], [2, 'server-1']]) {
+  for (const [fieldId, name, schema, orderable = true] of FIELDS) {
+    await db.run(
+      'INSERT INTO jira_fields (integration_id, cloud_id, field_id, name, raw_data) VALUES (?, ?, ?, ?, ?)',
+      [integrationId, cloudId, fieldId, name, JSON.stringify({ schema, orderable })]
+    );
+  }
+}
+await db.run("INSERT INTO jira_projects (integration_id, cloud_id, project_key, is_active) VALUES (1, 'cloud-1', 'P', 1)");
+await db.run("INSERT INTO jira_issue_types (integration_id, cloud_id, issue_type_id, name, subtask) VALUES (1, 'cloud-1', '10001', 'Task', 0), (1, 'cloud-1', '10002', 'Sub-task', 1)");
+
+const issue = { integration_id: 1, cloud_id: 'cloud-1', issue_key: 'P-1', updated: '2026-01-01T10:00:00.000+0000' };
+const serverIssue = { integration_id: 2, cloud_id: 'server-1', issue_key: 'S-1' };
+
+// Requests that reach Jira; the tests below expect input to be refused before any is made
+let requests = [];
+let respond = () => new Response('{}', { status: 500 });
+globalThis.fetch = async (url, options = {}) => {
+  requests.push({ method: options.method || 'GET', url: String(url), body: options.body ? JSON.parse(options.body) : null });
+  return respond(String(url), options);
+};
+
+beforeEach(() => {
+  requests = [];
+});
+
+// Assert that a call is refused with the given status and message, without calling Jira
+async function refused(promise, status, message) {
+  await assert.rejects(promise, error => {
+    assert.equal(error.status, status);
+    assert.match(error.message, message);
+    return true;
+  });
+  assert.deepEqual(requests, []);
+}
+
+test('fields are found by id or name and converted to the Jira format', async () => {
+  const fields = await buildIssueFields(issue, {
+    Summary: 'Fix login',
+    priority: 'High',
+    labels: ['ui', 'urgent'],
+    assignee: 'account-1',
+    'story points': '5',
+    customfield_10020: 'Red',
+    duedate: '2026-03-01',
+    description: 'Steps: **click**'
+  });
+
+  assert.deepEqual(fields, {
+    summary: 'Fix login',
+    priority: { name: 'High' },
+    labels: ['ui', 'urgent'],
+    assignee: { accountId: 'account-1' },
+    customfield_10016: 5,
+    customfield_10020: { value: 'Red' },
+    duedate: '2026-03-01',
+    description: {
+      type: 'doc',
+      version: 1,
+      content: [{ type: 'paragraph', content: [{ type: 'text', text: 'Steps: ' }, { type: 'text', text: 'click', marks: [{ type: 'strong' }] }] }]
+    }
+  });
+  assert.deepEqual(await buildIssueFields(issue, { assignee: null }), { assignee: null });
+});
+
+test('Jira Server takes user names and wiki markup', async () => {
+  assert.deepEqual(await buildIssueFields(serverIssue, { assignee: 'jsmith', description: 'Steps: **click**' }), {
+    assignee: { name: 'jsmith' },
+    description: 'Steps: *click*'
+  });
+  await refused(buildIssueFields(serverIssue, { description: { type: 'doc', content: [] } }), 400, /Description expects text/);
+  await refused(addComment(serverIssue, { body: { type: 'doc', content: [] } }), 400, /Jira Server takes text, not ADF/);
+});
+
+test('unknown, ambiguous, reserved and read-only fields are refused', async () => {
+  await refused(buildIssueFields(issue, { nope: 1 }), 400, /Unknown field nope/);
+  await refused(buildIssueFields(issue, { Team: 'Red' }), 400, /Field name Team is ambiguous - use one of the field ids customfield_10020, customfield_10030/);
+  await refused(buildIssueFields(issue, { status: 'Done' }), 400, /Change the status with POST/);
+  await refused(buildIssueFields(issue, { Created: '2026-01-01T00:00:00Z' }), 400, /Field Created cannot be set/);
+  await refused(buildIssueFields(issue, ['summary']), 400, /fields must be an object/);
+});
+
+test('values of the wrong type are refused', async () => {
+  await refused(buildIssueFields(issue, { summary: 5 }), 400, /Summary expects text/);
+  await refused(buildIssueFields(issue, { 'Story Points': 'five' }), 400, /Story Points expects a number/);
+  await refused(buildIssueFields(issue, { duedate: '01/03/2026' }), 400, /Due date expects a date \(YYYY-MM-DD\)/);
+  await refused(buildIssueFields(issue, { labels: 'ui' }), 400, /Labels expects a list/);
+  await refused(buildIssueFields(issue, { priority: ['High'] }), 400, /Priority has an unsupported value/);
+});
+
+test('fields cannot be checked before they are synced', async () => {
+  await addIntegration(db, 3, 'cloud-3');
+  await refused(buildIssueFields({ integration_id: 3, cloud_id: 'cloud-3' }, { summary: 'x' }), 409, /Fields of site cloud-3 are not synced yet/);
+  await refused(buildIssueFields({ integration_id: 1, cloud_id: 'cloud-9' }, { summary: 'x' }), 400, /Site cloud-9 is not enabled/);
+});
+
+test('new issues need a synced project, a known issue type and a summary', async () => {
+  await refused(createIssue(1, { issueType: 'Task', fields: { summary: 'x' } }), 400, /projectKey is required/);
+  await refused(createIssue(1, { projectKey: 'P', fields: { summary: 'x' } }), 400, /issueType is required/);
+  await refused(createIssue(1, { projectKey: 'P', issueType: 'Task', fields: { summary: ' ' } }), 400, /fields.summary is required/);
+  await refused(createIssue(1, { projectKey: 'X', issueType: 'Task', fields: { summary: 'x' } }), 404, /Project X is not synced/);
+  await refused(createIssue(1, { projectKey: 'P', issueType: 'Bug', fields: { summary: 'x' } }), 400, /Unknown issue type Bug; use one of: Task, Sub-task/);
+  await refused(createIssue(1, { projectKey: 'P', issueType: 'sub-task', fields: { summary: 'x' } }), 400, /Sub-task is a sub-task type - fields.parent is required/);
+});
+
+test('edits need at least one valid field or update operation', async () => {
+  await refused(updateIssue(issue, {}), 400, /fields \(or update\) must be an object with at least one field/);
+  await refused(updateIssue(issue, { update: { labels: { add: 'x' } } }), 400, /update.labels must be a list of operations/);
+  await refused(updateIssue(issue, { update: { labels: [{ add: 'x', remove: 'y' }] } }), 400, /operations must each be one of/);
+});
+
+test('a valid edit sends the converted fields and operations to Jira', async () => {
+  respond = (url, options) => options.method === 'PUT'
+    ? new Response(null, { status: 204 })
+    : new Response(JSON.stringify({ id: '100', key: 'P-1', fields: { project: { key: 'P' }, summary: 'Fix login', updated: '2026-01-01T11:00:00.000+0000' } }));
+
+  const stored = await updateIssue(issue, { fields: { priority: 'High' }, update: { Labels: [{ add: 'ui' }, { remove: 'old' }] } });
+
+  assert.equal(requests[0].method, 'PUT');
+  assert.match(requests[0].url, /\/ex\/jira\/cloud-1\/rest\/api\/3\/issue\/P-1$/);
+  assert.deepEqual(requests[0].body, { fields: { priority: { name: 'High' } }, update: { labels: [{ add: 'ui' }, { remove: 'old' }] } });
+  assert.equal(stored.summary, 'Fix login');
+});
+
+test('comments need a body and a valid visibility', async () => {
+  await refused(addComment(issue, { body: '  ' }), 400, /body is required/);
+  await refused(addComment(issue, { body: 'hi', visibility: { type: 'user', value: 'x' } }), 400, /visibility must be/);
+});
+
+test('worklogs need a Jira duration and a past ISO 8601 start with a time zone', async () => {
+  const started = '2026-03-01T09:30:00Z';
+  await refused(addWorklog(issue, { timeSpent: '1h' }), 400, /started is required/);
+  await refused(addWorklog(issue, { started }), 400, /timeSpent or timeSpentSeconds is required/);
+  await refused(addWorklog(issue, { started, timeSpent: '2 hours' }), 400, /Invalid timeSpent "2 hours"/);
+  await refused(addWorklog(issue, { started, timeSpent: '0h' }), 400, /Invalid timeSpent "0h"/);
+  await refused(addWorklog(issue, { started, timeSpent: '1h', timeSpentSeconds: 3600 }), 400, /either timeSpent or timeSpentSeconds/);
+  await refused(addWorklog(issue, { started, timeSpentSeconds: 30 }), 400, /at least 60/);
+  await refused(addWorklog(issue, { started: '2026-03-01T09:30:00', timeSpent: '1h' }), 400, /Invalid started/);
+  await refused(addWorklog(issue, { started: '2999-01-01T00:00:00Z', timeSpent: '1h' }), 400, /cannot be in the future/);
+  await refused(updateWorklog(issue, 'abc', { timeSpent: '1h' }), 400, /Invalid worklog id/);
+  await refused(updateWorklog(issue, '5', {}), 400, /Pass at least one of/);
+});
+
+test('writes are validated without calling Jira', async () => {
+  await refused(validateWrite('update_issue', issue, { fields: { nope: 1 } }), 400, /Unknown field nope/);
+  await refused(validateWrite('transition_issue', issue, { status: 'Done', transitionId: '31' }), 400, /exactly one of/);
+  await refused(validateWrite('transition_issue', issue, { status: 'Done', fields: { nope: 1 } }), 400, /Unknown field nope/);
+  await refused(validateWrite('add_comment', issue, { body: '' }), 400, /body is required/);
+  await refused(validateWrite('add_worklog', issue, { started: 'yesterday', timeSpent: '1h' }), 400, /Invalid started/);
+  await refused(validateWrite('delete_worklog', issue, {}, 'x'), 400, /Invalid worklog id/);
+
+  await validateWrite('update_issue', issue, { fields: { summary: 'ok' } });
+  await validateWrite('transition_issue', issue, { status: 'Done' });
+  await validateWrite('add_worklog', issue, { started: '2026-03-01T09:30:00+01:00', timeSpent: '1h 30m' });
+  await validateWrite('delete_worklog', issue, {}, '5');
+  assert.deepEqual(requests, []);
+});
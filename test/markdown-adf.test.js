@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { markdownToAdf, adfToWiki, adfToText } from '../markdown-adf.js';
+
+// Text nodes of the first block as [marks, text] pairs
+function inline(markdown) {
+  return markdownToAdf(markdown).content[0].content.map(node => [
+    (node.marks || []).map(mark => mark.type).join('+'),
+    node.text
+  ]);
+}
+
+test('bold, italic, strikethrough, code and links', () => {
+  assert.deepEqual(inline('**bold** and _it_, ~~gone~~ `x*y` [site](https://example.com)'), [
+    ['strong', 'bold'],
+    ['', ' and '],
+    ['em', 'it'],
+    ['', ', '],
+    ['strike', 'gone'],
+    ['', ' '],
+    ['code', 'x*y'],
+    ['', ' '],
+    ['link', 'site']
+  ]);
+});
+
+test('strong nested in italic keeps the italic around it', () => {
+  assert.deepEqual(inline('*a **b** c*'), [['em', 'a '], ['em+strong', 'b'], ['em', ' c']]);
+  assert.deepEqual(inline('_a __b__ c_'), [['em', 'a '], ['em+strong', 'b'], ['em', ' c']]);
+});
+
+test('italic nested in bold and strikethrough', () => {
+  assert.deepEqual(inline('**a *b* c**'), [['strong', 'a '], ['strong+em', 'b'], ['strong', ' c']]);
+  assert.deepEqual(inline('~~a *b* c~~'), [['strike', 'a '], ['strike+em', 'b'], ['strike', ' c']]);
+  assert.deepEqual(inline('***a***'), [['strong+em', 'a']]);
+});
+
+test('unpaired and intra-word delimiters stay text', () => {
+  assert.deepEqual(inline('2 * 3 * 4'), [['', '2 * 3 * 4']]);
+  assert.deepEqual(inline('snake_case_name'), [['', 'snake_case_name']]);
+  assert.deepEqual(inline('**a*'), [['', '*'], ['em', 'a']]);
+  assert.deepEqual(inline('a ~b~ c'), [['', 'a ~b~ c']]);
+});
+
+test('delimiters inside code spans are left alone', () => {
+  assert.deepEqual(inline('a *b `*` c* d'), [['', 'a '], ['em', 'b '], ['em+code', '*'], ['em', ' c'], ['', ' d']]);
+});
+
+test('blocks: headings, lists, quotes, rules and code', () => {
+  const doc = markdownToAdf('# Title\n\n- one\n  - nested\n1. first\n\n> quoted\n\n---\n\n```js\nconst a = 1;\n```');
+  assert.deepEqual(doc.content.map(block => block.type), [
+    'heading', 'bulletList', 'orderedList', 'blockquote', 'rule', 'codeBlock'
+  ]);
+  assert.equal(doc.content[1].content[0].content[1].type, 'bulletList');
+  assert.deepEqual(doc.content[5].attrs, { language: 'js' });
+  assert.equal(doc.content[5].content[0].text, 'const a = 1;');
+});
+
+test('a fence holding only blank lines has no empty text node', () => {
+  for (const markdown of ['```\n\n```', '```\n```', '```js\n\n```']) {
+    const [code] = markdownToAdf(markdown).content;
+    assert.equal(code.type, 'codeBlock');
+    assert.deepEqual(code.content, []);
+  }
+});
+
+test('wiki markup for Jira Server', () => {
+  const doc = markdownToAdf('## Steps\n\n- **open** the `page`\n\n```\nx\n```');
+  assert.equal(adfToWiki(doc), 'h2. Steps\n\n* *open* the {{page}}\n\n{code}\nx\n{code}');
+});
+
+test('plain text of a document', () => {
+  const doc = markdownToAdf('Open **log**in page\n\n- item');
+  assert.equal(adfToText(doc), 'Open login page\nitem');
+  assert.equal(adfToText(null), '');
+});
@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import './helpers.js';
+import { migrateUp, migrateDown, getMigrationStatus, loadMigrations } from '../migrations.js';
+
+const doc = (...paragraphs) => JSON.stringify({
+  type: 'doc',
+  content: paragraphs.map(content => ({ type: 'paragraph', content }))
+});
+
+async function openDatabase() {
+  return await open({ filename: ':memory:', driver: sqlite3.Database });
+}
+
+// A database at the baseline, holding what releases before the unique keys and sync paths stored
+async function baselineDatabase() {
+  const db = await openDatabase();
+  await migrateUp(db, 1);
+
+  await db.run("INSERT INTO jira_projects (id, integration_id, cloud_id, project_key) VALUES (7, 1, 'cloud-1', 'P')");
+  await db.run(
+    "INSERT INTO jira_issues (integration_id, cloud_id, project_id, issue_key, issue_id, summary, description) VALUES (1, 'cloud-1', '7', 'P-1', '10', 'Crash on login', ?)",
+    [doc(
+      [{ type: 'text', text: 'open ' }, { type: 'text', text: 'log', marks: [{ type: 'strong' }] }, { type: 'text', text: 'in page' }],
+      [{ type: 'text', text: 'Second' }, { type: 'hardBreak' }, { type: 'mention', attrs: { text: '@Ann' } }]
+    )]
+  );
+  await db.run(
+    "INSERT INTO jira_issues (integration_id, cloud_id, project_id, issue_key, issue_id, summary, description) VALUES (1, 'cloud-1', 'S', 'S-1', '11', 'Server issue', ?)",
+    [JSON.stringify('h1. wiki *text*')]
+  );
+  // The same comment synced twice, once from before cloud sites were tracked
+  for (const [cloudId, commentId, text] of [[null, 'c1', 'old copy'], [null, 'c1', 'new copy'], ['cloud-1', 'c2', 'first'], ['cloud-1', 'c2', 'second']]) {
+    await db.run(
+      "INSERT INTO jira_comments (integration_id, cloud_id, comment_id, issue_key, body) VALUES (1, ?, ?, 'P-1', ?)",
+      [cloudId, commentId, doc([{ type: 'text', text }])]
+    );
+  }
+  await db.run("INSERT INTO jira_worklogs (integration_id, cloud_id, worklog_id, issue_key, comment) VALUES (1, 'cloud-1', 'w1', 'P-1', 'not json')");
+  await db.run("INSERT INTO jira_sync_state (integration_id, cloud_id, project_key, last_issue_updated) VALUES (1, 'cloud-1', 'P', '2026-01-01T00:00:00.000+0000')");
+
+  return db;
+}
+
+test('a new database gets every migration', async () => {
+  const db = await openDatabase();
+  const applied = await migrateUp(db);
+  const status = await getMigrationStatus(db);
+
+  assert.deepEqual(applied.map(m => m.version), (await loadMigrations()).map(m => m.version));
+  assert.ok(status.every(m => m.appliedAt));
+  assert.deepEqual(await migrateUp(db), []);
+  await db.close();
+});
+
+test('duplicated child rows keep their newest copy and get a unique key', async () => {
+  const db = await baselineDatabase();
+  await migrateUp(db);
+
+  const comments = await db.all('SELECT cloud_id, comment_id, body FROM jira_comments ORDER BY comment_id');
+  assert.deepEqual(comments.map(c => [c.cloud_id, c.comment_id, JSON.parse(c.body).content[0].content[0].text]), [
+    [null, 'c1', 'new copy'],
+    ['cloud-1', 'c2', 'second']
+  ]);
+  await assert.rejects(
+    db.run("INSERT INTO jira_comments (integration_id, cloud_id, comment_id, issue_key) VALUES (1, 'cloud-1', 'c2', 'P-1')"),
+    /UNIQUE constraint failed/
+  );
+  await db.close();
+});
+
+test('stored issues, comments and worklogs are indexed for search as plain text', async () => {
+  const db = await baselineDatabase();
+  await migrateUp(db);
+
+  const documents = await db.all(`
+    SELECT d.kind, d.source_id, s.title, s.body FROM jira_search_documents d
+    JOIN jira_search s ON s.rowid = d.id
+    ORDER BY d.kind, d.source_id
+  `);
+  assert.deepEqual(documents, [
+    { kind: 'comment', source_id: 'c1', title: '', body: 'new copy' },
+    { kind: 'comment', source_id: 'c2', title: '', body: 'second' },
+    { kind: 'issue', source_id: '10', title: 'Crash on login', body: 'open login page\nSecond\n@Ann' },
+    { kind: 'issue', source_id: '11', title: 'Server issue', body: 'h1. wiki *text*' },
+    { kind: 'worklog', source_id: 'w1', title: '', body: 'not json' }
+  ]);
+  await db.close();
+});
+
+test('watermarks move to the quick sync path and issues store project keys', async () => {
+  const db = await baselineDatabase();
+  await migrateUp(db);
+
+  const state = await db.all('SELECT project_key, sync_path, last_issue_updated FROM jira_sync_state');
+  assert.deepEqual(state, [{ project_key: 'P', sync_path: 'quick', last_issue_updated: '2026-01-01T00:00:00.000+0000' }]);
+
+  const issues = await db.all('SELECT issue_key, project_id FROM jira_issues ORDER BY issue_key');
+  assert.deepEqual(issues.map(i => [i.issue_key, i.project_id]), [['P-1', 'P'], ['S-1', 'S']]);
+  await db.close();
+});
+
+test('migrations revert to the baseline and apply again without losing synced rows', async () => {
+  const db = await baselineDatabase();
+  await migrateUp(db);
+
+  const reverted = await migrateDown(db, 1);
+  assert.deepEqual(reverted.map(m => m.version), (await loadMigrations()).map(m => m.version).filter(v => v > 1).reverse());
+  assert.equal((await db.get("SELECT COUNT(*) as count FROM sqlite_master WHERE name = 'jira_search'")).count, 0);
+
+  await migrateUp(db);
+  assert.equal((await db.get('SELECT COUNT(*) as count FROM jira_comments')).count, 2);
+  assert.equal((await db.get('SELECT COUNT(*) as count FROM jira_search_documents')).count, 5);
+  assert.ok((await getMigrationStatus(db)).every(m => m.appliedAt));
+  await db.close();
+});
+
+test('databases from the old setup scripts are converged onto the baseline', async () => {
+  const db = await openDatabase();
+  await db.exec(`
+    CREATE TABLE jira_issues (id INTEGER PRIMARY KEY AUTOINCREMENT, integration_id INTEGER, issue_key TEXT, status TEXT, priority TEXT);
+    INSERT INTO jira_issues (integration_id, issue_key, status, priority) VALUES (1, 'OLD-1', 'Done', 'High');
+  `);
+  await migrateUp(db);
+
+  const issue = await db.get("SELECT issue_key, status_name, priority_name, summary FROM jira_issues WHERE issue_key = 'OLD-1'");
+  assert.deepEqual(issue, { issue_key: 'OLD-1', status_name: 'Done', priority_name: 'High', summary: null });
+  await db.close();
+});
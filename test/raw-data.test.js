@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTemporaryDatabase, addIntegration } from './helpers.js';
+import { queryRawData } from '../raw-data.js';
+
+const ISSUES = [
+  // key, status, story points, labels, deleted
+  ['P-1', 'To Do', 3, '["ui"]', null],
+  ['P-2', 'Done', null, '["100%_done"]', null],
+  ['P-3', 'To Do', 5, '[]', null],
+  ['P-4', 'In Progress', null, null, null],
+  ['P-5', 'To Do', 3, '["ui","backend"]', null],
+  ['P-6', 'Done', 8, '[]', '2026-01-01T00:00:00.000Z']
+];
+
+const db = await useTemporaryDatabase();
+await addIntegration(db, 1);
+await addIntegration(db, 2, 'cloud-2');
+for (const [key, status, points, labels, deletedAt] of ISSUES) {
+  await db.run(
+    'INSERT INTO jira_issues (integration_id, cloud_id, issue_key, status_name, story_points, labels, deleted_at) VALUES (1, ?, ?, ?, ?, ?, ?)',
+    ['cloud-1', key, status, points, labels, deletedAt]
+  );
+}
+await db.run("INSERT INTO jira_issues (integration_id, cloud_id, issue_key, status_name) VALUES (2, 'cloud-2', 'Q-1', 'To Do')");
+
+const keys = result => result.data.map(row => row.issue_key);
+
+// Every page of a query, following nextCursor
+async function allPages(query) {
+  const pages = [];
+  let cursor;
+  do {
+    const page = await queryRawData(1, { ...query, cursor });
+    pages.push(keys(page));
+    cursor = page.nextCursor;
+  } while (cursor);
+  return pages;
+}
+
+test('rows of other integrations and tombstoned rows are left out', async () => {
+  const result = await queryRawData(1, { table: 'jira_issues', sort: 'issue_key' });
+  assert.deepEqual(keys(result), ['P-1', 'P-2', 'P-3', 'P-4', 'P-5']);
+  assert.equal(result.total, 5);
+
+  const withDeleted = await queryRawData(1, { table: 'jira_issues', sort: 'issue_key', includeDeleted: 'true' });
+  assert.deepEqual(keys(withDeleted), ['P-1', 'P-2', 'P-3', 'P-4', 'P-5', 'P-6']);
+});
+
+test('filters by value, operator, list and null', async () => {
+  const query = filter => queryRawData(1, { table: 'jira_issues', sort: 'issue_key', filter }).then(keys);
+
+  assert.deepEqual(await query({ status_name: 'To Do' }), ['P-1', 'P-3', 'P-5']);
+  assert.deepEqual(await query({ status_name: 'To Do', story_points: { gte: '4' } }), ['P-3']);
+  assert.deepEqual(await query({ status_name: { in: 'Done,In Progress' } }), ['P-2', 'P-4']);
+  assert.deepEqual(await query({ story_points: { null: 'true' } }), ['P-2', 'P-4']);
+  assert.deepEqual(await query({ labels: { contains: 'ui' } }), ['P-1', 'P-5']);
+});
+
+test('LIKE wildcards in contains and startsWith are matched literally', async () => {
+  const query = filter => queryRawData(1, { table: 'jira_issues', filter }).then(keys);
+
+  assert.deepEqual(await query({ labels: { contains: '%_' } }), ['P-2']);
+  assert.deepEqual(await query({ labels: { startsWith: '_' } }), []);
+});
+
+test('unknown tables, columns and unsupported operators are refused', async () => {
+  const refused = async (query, message) => {
+    await assert.rejects(queryRawData(1, { table: 'jira_issues', ...query }), error => {
+      assert.equal(error.status, 400);
+      assert.match(error.message, message);
+      return true;
+    });
+  };
+
+  await refused({ table: 'integrations' }, /Unknown table integrations/);
+  await refused({ columns: 'issue_key,access_token' }, /Unknown column access_token/);
+  await refused({ sort: 'nope' }, /Unknown column nope/);
+  await refused({ filter: { 'issue_key; DROP TABLE jira_issues': 'x' } }, /Unknown column/);
+  await refused({ filter: { story_points: { contains: '3' } } }, /Operator contains is not supported on story_points/);
+  await refused({ filter: { id: 'abc' } }, /id expects an integer/);
+  await refused({ filter: { status_name: { eq: ['a', 'b'] } } }, /takes a single value/);
+  await refused({ limit: '0' }, /limit must be an integer between 1 and 1000/);
+});
+
+test('cursor pages cover every row once, with NULLs in sort columns', async () => {
+  const single = keys(await queryRawData(1, { table: 'jira_issues', sort: 'story_points,issue_key' }));
+  assert.deepEqual(single, ['P-2', 'P-4', 'P-1', 'P-5', 'P-3']);
+  assert.deepEqual(await allPages({ table: 'jira_issues', sort: 'story_points,issue_key', limit: '2' }), [
+    ['P-2', 'P-4'], ['P-1', 'P-5'], ['P-3']
+  ]);
+
+  const descending = keys(await queryRawData(1, { table: 'jira_issues', sort: '-story_points' }));
+  assert.deepEqual(descending, ['P-3', 'P-5', 'P-1', 'P-4', 'P-2']);
+  assert.deepEqual((await allPages({ table: 'jira_issues', sort: '-story_points', limit: '2' })).flat(), descending);
+});
+
+test('cursors work with a column selection that leaves out the sort columns', async () => {
+  const first = await queryRawData(1, { table: 'jira_issues', columns: 'issue_key', sort: '-story_points', limit: '3' });
+  assert.deepEqual(first.data, [{ issue_key: 'P-3' }, { issue_key: 'P-5' }, { issue_key: 'P-1' }]);
+  assert.deepEqual(first.columns, ['issue_key']);
+
+  const second = await queryRawData(1, { table: 'jira_issues', columns: 'issue_key', sort: '-story_points', limit: '3', cursor: first.nextCursor });
+  assert.deepEqual(keys(second), ['P-4', 'P-2']);
+  assert.equal(second.nextCursor, null);
+});
+
+test('a cursor is only accepted with the sort it was built for and without offset', async () => {
+  const { nextCursor } = await queryRawData(1, { table: 'jira_issues', sort: 'story_points,issue_key', limit: '2' });
+
+  await assert.rejects(queryRawData(1, { table: 'jira_issues', sort: 'issue_key', cursor: nextCursor }), /Invalid cursor/);
+  await assert.rejects(queryRawData(1, { table: 'jira_issues', cursor: 'not-a-cursor' }), /Invalid cursor/);
+  await assert.rejects(
+    queryRawData(1, { table: 'jira_issues', sort: 'story_points,issue_key', cursor: nextCursor, offset: '2' }),
+    /Use either cursor or offset/
+  );
+});
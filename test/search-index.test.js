@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTemporaryDatabase, addIntegration } from './helpers.js';
+import { searchSyncedIssues, rebuildSearchIndex, indexIssue } from '../search-index.js';
+
+const adf = text => JSON.stringify({ type: 'doc', version: 1, content: [{ type: 'paragraph', content: [{ type: 'text', text }] }] });
+
+const db = await useTemporaryDatabase();
+await addIntegration(db, 1);
+await addIntegration(db, 2, 'cloud-2');
+
+const ISSUES = [
+  // integration, key, id, summary, description, status, assignee, updated, deleted
+  [1, 'WEB-1', '101', 'Login page crashes', adf('Clicking the button reloads the page'), 'To Do', 'Ann Lee', '2026-02-10T09:00:00.000+0000', null],
+  [1, 'WEB-2', '102', 'Update footer links', adf('The login link in the footer is broken'), 'Done', 'Bob Stone', '2026-03-05T09:00:00.000+0000', null],
+  [1, 'API-1', '103', 'Rate limit login attempts', JSON.stringify('h2. Server text about *tokens*'), 'To Do', 'Bob Stone', '2026-03-20T09:00:00.000+0000', null],
+  [1, 'WEB-3', '104', 'Old login issue', null, 'Done', null, '2026-01-01T09:00:00.000+0000', '2026-04-01T00:00:00.000Z'],
+  [2, 'OTH-1', '201', 'Login elsewhere', null, 'To Do', null, '2026-03-01T09:00:00.000+0000', null]
+];
+for (const [integrationId, key, id, summary, description, status, assignee, updated, deletedAt] of ISSUES) {
+  await db.run(`
+    INSERT INTO jira_issues (integration_id, cloud_id, issue_key, issue_id, summary, description, status_name, assignee_display_name, updated, deleted_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [integrationId, integrationId === 1 ? 'cloud-1' : 'cloud-2', key, id, summary, description, status, assignee, updated, deletedAt]);
+}
+await db.run(`
+  INSERT INTO jira_comments (integration_id, cloud_id, comment_id, issue_key, body, author_display_name, created, deleted_at)
+  VALUES (1, 'cloud-1', '9001', 'WEB-1', ?, 'Carl', '2026-02-11T10:00:00.000+0000', NULL),
+         (1, 'cloud-1', '9002', 'WEB-1', ?, 'Carl', '2026-02-12T10:00:00.000+0000', '2026-02-13T00:00:00.000Z')
+`, [adf('Reproduced with <script> in the username field'), adf('Deleted remark about the username')]);
+await db.run(`
+  INSERT INTO jira_worklogs (integration_id, cloud_id, worklog_id, issue_key, comment, author_display_name, started)
+  VALUES (1, 'cloud-1', '7001', 'API-1', ?, 'Dana', '2026-03-21T08:00:00.000+0000')
+`, [adf('Profiled the throttling middleware')]);
+
+const counts = await rebuildSearchIndex();
+
+const search = query => searchSyncedIssues(1, query);
+const hits = async query => (await search(query)).results.map(result => `${result.type}:${result.issueKey}`);
+
+test('stored issues, comments and worklogs are indexed', () => {
+  assert.deepEqual(counts, { issues: 5, comments: 2, worklogs: 1 });
+});
+
+test('summary matches rank above description matches', async () => {
+  assert.deepEqual(await hits({ q: 'login' }), ['issue:WEB-1', 'issue:API-1', 'issue:WEB-2']);
+});
+
+test('prefixes, phrases and rich text bodies are searchable', async () => {
+  assert.deepEqual(await hits({ q: 'throttl*' }), ['worklog:API-1']);
+  assert.deepEqual(await hits({ q: '"button reloads"' }), ['issue:WEB-1']);
+  assert.deepEqual(await hits({ q: '"reloads button"' }), []);
+  assert.deepEqual(await hits({ q: 'tokens' }), ['issue:API-1']);
+});
+
+test('comment hits name their comment and author, with the match marked and HTML escaped', async () => {
+  const { total, results: [hit] } = await search({ q: 'username' });
+
+  assert.equal(total, 1);
+  assert.equal(hit.type, 'comment');
+  assert.equal(hit.commentId, '9001');
+  assert.equal(hit.author, 'Carl');
+  assert.equal(hit.issueKey, 'WEB-1');
+  assert.equal(hit.projectKey, 'WEB');
+  assert.equal(hit.snippet, 'Reproduced with &lt;script&gt; in the <mark>username</mark> field');
+});
+
+test('results are narrowed by project, status, assignee and update date', async () => {
+  assert.deepEqual(await hits({ q: 'login', project: 'web' }), ['issue:WEB-1', 'issue:WEB-2']);
+  assert.deepEqual(await hits({ q: 'login', status: 'to do' }), ['issue:WEB-1', 'issue:API-1']);
+  assert.deepEqual(await hits({ q: 'login', assignee: 'Bob Stone' }), ['issue:API-1', 'issue:WEB-2']);
+  assert.deepEqual(await hits({ q: 'login', updatedFrom: '2026-03-01', updatedTo: '2026-03-05' }), ['issue:WEB-2']);
+  await assert.rejects(search({ q: 'login', updatedFrom: '03/01/2026' }), { status: 400, message: 'updatedFrom must be a date (YYYY-MM-DD)' });
+});
+
+test('deleted issues and comments and other integrations are not found', async () => {
+  assert.deepEqual(await hits({ q: 'old' }), []);
+  assert.deepEqual(await hits({ q: 'remark' }), []);
+  assert.deepEqual(await hits({ q: 'elsewhere' }), []);
+  assert.deepEqual((await searchSyncedIssues(2, { q: 'elsewhere' })).results.map(result => result.issueKey), ['OTH-1']);
+});
+
+test('search syntax in the query is taken as text', async () => {
+  assert.deepEqual(await hits({ q: 'login AND (NEAR' }), []);
+  assert.deepEqual(await hits({ q: 'crashes -page' }), ['issue:WEB-1']);
+  await assert.rejects(search({ q: '  ' }), { status: 400, message: 'q is required' });
+  await assert.rejects(search({ q: '*** "" -' }), { status: 400, message: 'q must contain at least one word' });
+  await assert.rejects(search({ q: 'login', limit: '500' }), { status: 400 });
+});
+
+test('reindexing an issue replaces what was indexed for it', async () => {
+  await db.run("UPDATE jira_issues SET summary = 'Sign-in page crashes' WHERE issue_key = 'WEB-1'");
+  await indexIssue(1, 'cloud-1', 'WEB-1');
+
+  assert.deepEqual(await hits({ q: 'login' }), ['issue:API-1', 'issue:WEB-2']);
+  assert.deepEqual(await hits({ q: 'sign-in' }), ['issue:WEB-1']);
+});
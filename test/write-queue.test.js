@@ -0,0 +1,114 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTemporaryDatabase, addIntegration } from './helpers.js';
+import { WriteQueue, MUTATION_STATUS } from '../write-queue.js';
+
+const db = await useTemporaryDatabase();
+await addIntegration(db, 1);
+await db.run(`INSERT INTO jira_fields (integration_id, cloud_id, field_id, name, raw_data) VALUES (1, 'cloud-1', 'summary', 'Summary', '{"schema":{"type":"string"}}')`);
+await db.run("INSERT INTO jira_issues (integration_id, cloud_id, issue_key, issue_id, updated) VALUES (1, 'cloud-1', 'P-1', '100', '2026-01-01T10:00:00.000+0000')");
+
+const issue = { integration_id: 1, cloud_id: 'cloud-1', issue_key: 'P-1', updated: '2026-01-01T10:00:00.000+0000' };
+const queue = new WriteQueue();
+
+// Jira answers every write with this; GET requests describe the issue as last synced
+let answer;
+let requests;
+globalThis.fetch = async (url, options = {}) => {
+  const method = options.method || 'GET';
+  requests.push(`${method} ${String(url).replace(/^.*\/rest\/api\/3/, '')}`);
+  if (method === 'GET') {
+    return new Response(JSON.stringify({ id: '100', key: 'P-1', fields: { project: { key: 'P' }, summary: 'Stored', updated: issue.updated } }));
+  }
+  return answer();
+};
+
+const jiraError = status => () => new Response('{"errorMessages":["no"]}', { status });
+const networkFailure = () => { throw new TypeError('fetch failed'); };
+
+beforeEach(async () => {
+  await db.run('DELETE FROM jira_write_queue');
+  requests = [];
+});
+
+async function queued() {
+  return await db.all('SELECT operation, status, attempts, last_error FROM jira_write_queue ORDER BY id');
+}
+
+test('writes Jira throttles or cannot serve right now are queued for a retry', async () => {
+  for (const status of [429, 503]) {
+    answer = jiraError(status);
+    const { queued: isQueued, mutation } = await queue.submit('add_comment', issue, { body: 'hi' });
+    assert.equal(isQueued, true);
+    assert.equal(mutation.status, MUTATION_STATUS.PENDING);
+    assert.equal(mutation.attempts, 1);
+    assert.ok(mutation.next_attempt_at > new Date().toISOString());
+    await db.run('DELETE FROM jira_write_queue');
+  }
+});
+
+test('server and network errors are only queued for writes that are safe to repeat', async () => {
+  for (const failure of [jiraError(500), networkFailure]) {
+    answer = failure;
+    await assert.rejects(queue.submit('add_comment', issue, { body: 'hi' }));
+    assert.equal((await queue.submit('update_issue', issue, { fields: { summary: 'New' } })).queued, true);
+    assert.deepEqual((await queued()).map(row => row.operation), ['update_issue']);
+    await db.run('DELETE FROM jira_write_queue');
+  }
+});
+
+test('Jira refusals and other errors are returned, not queued', async () => {
+  answer = jiraError(400);
+  await assert.rejects(queue.submit('update_issue', issue, { fields: { summary: 'New' } }), error => error.status === 400);
+
+  // A comment Jira answers without its id makes storing it fail
+  answer = () => new Response('null', { status: 201 });
+  await assert.rejects(queue.submit('add_comment', issue, { body: 'hi' }), TypeError);
+
+  assert.deepEqual(await queued(), []);
+});
+
+test('writes behind a queued write are validated before they are queued', async () => {
+  answer = jiraError(429);
+  await queue.submit('update_issue', issue, { fields: { summary: 'First' } });
+  requests = [];
+
+  await assert.rejects(queue.submit('update_issue', issue, { fields: { nope: 'x' } }), { status: 400, message: 'Unknown field nope' });
+  await assert.rejects(queue.submit('add_comment', issue, { body: '' }), { status: 400 });
+  await assert.rejects(queue.submit('add_worklog', issue, { started: '2026-03-01', timeSpent: '1h' }), { status: 400 });
+  await assert.rejects(queue.submit('delete_worklog', issue, {}, { targetId: 'abc' }), { status: 400 });
+
+  const { queued: isQueued, mutation } = await queue.submit('add_comment', issue, { body: 'second' });
+  assert.equal(isQueued, true);
+  assert.equal(mutation.attempts, 0);
+  assert.deepEqual(requests, []);
+  assert.deepEqual((await queued()).map(row => row.operation), ['update_issue', 'add_comment']);
+});
+
+test('a queued write is held as a conflict when the issue changed in Jira', async () => {
+  answer = jiraError(429);
+  const { mutation } = await queue.submit('update_issue', { ...issue, updated: '2025-12-31T10:00:00.000+0000' }, { fields: { summary: 'Mine' } });
+  await db.run('UPDATE jira_write_queue SET next_attempt_at = ?', ['2000-01-01T00:00:00.000Z']);
+  requests = [];
+
+  await queue.processQueue();
+
+  const held = await queue.getMutation(mutation.mutation_id);
+  assert.equal(held.status, MUTATION_STATUS.CONFLICT);
+  assert.deepEqual(held.conflict, { syncedUpdated: '2025-12-31T10:00:00.000+0000', jiraUpdated: issue.updated });
+  assert.ok(!requests.some(request => request.startsWith('PUT')));
+});
+
+test('a queued write that is due is applied in Jira', async () => {
+  answer = jiraError(429);
+  const { mutation } = await queue.submit('update_issue', issue, { fields: { summary: 'Applied' } });
+  await db.run('UPDATE jira_write_queue SET next_attempt_at = ?', ['2000-01-01T00:00:00.000Z']);
+
+  answer = () => new Response(null, { status: 204 });
+  await queue.processQueue();
+
+  const applied = await queue.getMutation(mutation.mutation_id);
+  assert.equal(applied.status, MUTATION_STATUS.SUCCEEDED);
+  assert.equal(applied.attempts, 2);
+  assert.ok(requests.includes('PUT /issue/P-1'));
+});
@@ -0,0 +1,138 @@
+import crypto from 'crypto';
+import fs from 'fs';
+
+// Stored token format: enc:v1:<key id>:<wrapped data key>:<encrypted token>
+// Every token gets its own random data key, which is encrypted ("wrapped") with the master key.
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+let keyring = null;
+let warnedUnencrypted = false;
+
+/**
+ * Encrypt a token for storage
+ * Without a configured master key the token is stored as is.
+ */
+export function encryptToken(token) {
+  if (token === null || token === undefined) return token;
+
+  const { current } = getKeyring();
+  if (!current) {
+    if (!warnedUnencrypted) {
+      console.warn('⚠️ TOKEN_ENCRYPTION_KEY is not set - Jira tokens are stored unencrypted');
+      warnedUnencrypted = true;
+    }
+    return token;
+  }
+
+  const dataKey = crypto.randomBytes(32);
+  const wrappedKey = seal(current.key, dataKey);
+  const ciphertext = seal(dataKey, Buffer.from(token, 'utf8'));
+  return `${PREFIX}${current.id}:${wrappedKey}:${ciphertext}`;
+}
+
+/**
+ * Decrypt a stored token
+ * Tokens stored before encryption was enabled are returned unchanged.
+ */
+export function decryptToken(stored) {
+  if (!isEncryptedToken(stored)) return stored;
+
+  const [keyId, wrappedKey, ciphertext] = stored.slice(PREFIX.length).split(':');
+  const masterKey = getKeyring().keys.get(keyId);
+  if (!masterKey) {
+    throw new Error(`Token was encrypted with unknown key ${keyId} - configure it in TOKEN_ENCRYPTION_PREVIOUS_KEYS`);
+  }
+
+  const dataKey = open(masterKey, wrappedKey);
+  return open(dataKey, ciphertext).toString('utf8');
+}
+
+/**
+ * Check whether a stored token is encrypted
+ */
+export function isEncryptedToken(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * Check whether a stored token is encrypted with the current master key
+ */
+export function isCurrentToken(value) {
+  const { current } = getKeyring();
+  return Boolean(current) && isEncryptedToken(value) && value.startsWith(`${PREFIX}${current.id}:`);
+}
+
+/**
+ * Return a copy of an integrations row with its tokens decrypted
+ */
+export function decryptIntegration(integration) {
+  if (!integration) return integration;
+
+  return {
+    ...integration,
+    access_token: decryptToken(integration.access_token),
+    refresh_token: decryptToken(integration.refresh_token)
+  };
+}
+
+/**
+ * Generate a new random master key, base64 encoded
+ */
+export function generateKey() {
+  return crypto.randomBytes(32).toString('base64');
+}
+
+/**
+ * Load the master key from TOKEN_ENCRYPTION_KEY or TOKEN_ENCRYPTION_KEY_FILE,
+ * plus older keys from TOKEN_ENCRYPTION_PREVIOUS_KEYS for decrypting during a rotation
+ */
+function getKeyring() {
+  if (keyring) return keyring;
+
+  let currentValue = process.env.TOKEN_ENCRYPTION_KEY;
+  if (!currentValue && process.env.TOKEN_ENCRYPTION_KEY_FILE) {
+    currentValue = fs.readFileSync(process.env.TOKEN_ENCRYPTION_KEY_FILE, 'utf8').trim();
+  }
+
+  const previousValues = (process.env.TOKEN_ENCRYPTION_PREVIOUS_KEYS || '')
+    .split(',')
+    .map(value => value.trim())
+    .filter(Boolean);
+
+  const current = currentValue ? parseKey(currentValue) : null;
+  const keys = new Map();
+  for (const key of [current, ...previousValues.map(parseKey)].filter(Boolean)) {
+    keys.set(key.id, key.key);
+  }
+
+  keyring = { current, keys };
+  return keyring;
+}
+
+function parseKey(value) {
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== 32) {
+    throw new Error('Token encryption keys must be 32 bytes, base64 or hex encoded');
+  }
+
+  // A short fingerprint tells which key encrypted a token without revealing the key
+  const id = crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+  return { id, key };
+}
+
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const encrypted = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64');
+}
+
+function open(key, sealed) {
+  const data = Buffer.from(sealed, 'base64');
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, data.subarray(0, IV_BYTES));
+  decipher.setAuthTag(data.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([decipher.update(data.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+}
@@ -1,8 +1,26 @@
 import express from 'express';
-import { getDatabase } from './database.js';
+import { getDatabase, INTEGRATION_DATA_TABLES, TOMBSTONED_TABLES } from './database.js';
 import { JiraAuthService } from './auth-service.js';
 import { TokenRefreshScheduler } from './scheduler.js';
-import { ComprehensiveJiraSync } from './comprehensive-sync.js';
+import { getSyncJobQueue } from './sync-jobs.js';
+import { getJiraClientMetrics } from './jira-client.js';
+import { ComprehensiveJiraSync, SYNC_STEPS } from './comprehensive-sync.js';
+import { refreshSites, listSites, getEnabledSites, setSiteEnabled } from './jira-sites.js';
+import { MAPPED_FIELDS, getFieldMappings, setFieldMapping } from './field-mapping.js';
+import { listDeletedIssues, purgeDeletedIssues, DELETED_ISSUE_RETENTION_DAYS } from './issue-tombstones.js';
+import { registerWebhooks, unregisterWebhooks, listWebhooks, verifyWebhookRequest, applyWebhookEvent } from './webhooks.js';
+import { decryptIntegration } from './token-crypto.js';
+import { fetchServerProfile } from './jira-adapter.js';
+import { getRawDataSchema, queryRawData, RAW_DATA_MAX_LIMIT } from './raw-data.js';
+import { searchSyncedIssues, rebuildSearchIndex } from './search-index.js';
+import { createIssue, findIssueForWrite } from './issue-writes.js';
+import { getWriteQueue, MUTATION_STATUS } from './write-queue.js';
+import { previewBulkOperation, getBulkOperationQueue } from './bulk-operations.js';
+import { unlinkIntegration, listAuditLog } from './account-unlink.js';
+import {
+  requireUser, requireRole, hasRole, canAccessIntegration, integrationScope, sessionCookie,
+  findUserByApiKey, createApiUser, listApiUsers, getApiUser, updateApiUser, rotateApiKey
+} from './api-auth.js';
 
 export class WebServer {
   constructor(port = 3000) {
@@ -16,7 +34,8 @@ export class WebServer {
   }
 
   setupMiddleware() {
-    this.app.use(express.json());
+    // Webhook payloads carry the full issue, which can exceed the default limit
+    this.app.use(express.json({ limit: '10mb' }));
     this.app.use(express.static('public'));
   }
 
@@ -26,52 +45,142 @@ export class WebServer {
       res.json({ status: 'healthy', timestamp: new Date().toISOString() });
     });
 
+    // Sign in to the dashboard: the API key is kept in an HttpOnly cookie
+    this.app.post('/api/session', async (req, res) => {
+      try {
+        const user = await findUserByApiKey(req.body?.apiKey);
+        if (!user) {
+          return res.status(401).json({ error: 'Invalid API key' });
+        }
+        
+        res.setHeader('Set-Cookie', sessionCookie(req.body.apiKey));
+        res.json({ success: true, user });
+      } catch (error) {
+        console.error('❌ Sign in error:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/api/session', (req, res) => {
+      res.setHeader('Set-Cookie', sessionCookie(null));
+      res.json({ success: true });
+    });
+
+    this.app.get('/login', (req, res) => {
+      res.send(`
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <title>Jira Backend - Sign In</title>
+          <style>
+            body { font-family: Arial, sans-serif; margin: 40px; background: #f5f5f5; }
+            .container { max-width: 480px; margin: 0 auto; }
+            .card { border: 1px solid #ddd; border-radius: 8px; padding: 20px; margin: 20px 0; background: white; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
+            .btn { background: #007bff; color: white; padding: 10px 20px; border: none; border-radius: 4px; cursor: pointer; margin: 5px 0; }
+            .btn:hover { background: #0056b3; }
+            .status { padding: 10px; border-radius: 4px; margin: 10px 0; }
+            .error { background: #f8d7da; color: #721c24; border: 1px solid #f5c6cb; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="card">
+              <h2>🔐 Sign In</h2>
+              <p>Enter your API key. Ask an admin for one, or create it with <code>npm run users -- create</code>.</p>
+              <form id="login-form">
+                <input type="password" id="apiKey" placeholder="jsk_..." autocomplete="off" style="width: 100%; padding: 8px; margin: 5px 0; border: 1px solid #ddd; border-radius: 4px; box-sizing: border-box;">
+                <button type="submit" class="btn">Sign In</button>
+              </form>
+              <div id="status"></div>
+            </div>
+          </div>
+          <script>
+            document.getElementById('login-form').addEventListener('submit', async (event) => {
+              event.preventDefault();
+              const response = await fetch('/api/session', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ apiKey: document.getElementById('apiKey').value.trim() })
+              });
+              const data = await response.json();
+              
+              if (!response.ok) {
+                document.getElementById('status').innerHTML = '<div class="status error">❌ ' + data.error + '</div>';
+                return;
+              }
+              
+              // Only follow links back to this server
+              const next = new URL(new URLSearchParams(window.location.search).get('next') || '/dashboard', window.location.origin);
+              window.location.href = next.origin === window.location.origin ? next.href : '/dashboard';
+            });
+          </script>
+        </body>
+        </html>
+      `);
+    });
+
+    // Everything below, except the OAuth callback and the Jira webhook receiver, needs an API key.
+    // Viewers can read the integrations they own, operators can also sync and link accounts,
+    // admins can do everything on every integration.
+    const operator = requireRole('operator');
+    const admin = requireRole('admin');
+    
+    this.app.use(['/api', '/auth/start', '/auth/start-with-account', '/auth/server'], requireUser());
+    this.app.use(['/api/integrations/:id', '/api/accounts/:id'], async (req, res, next) => {
+      try {
+        if (!await canAccessIntegration(req.user, req.params.id)) {
+          return res.status(404).json({ error: 'Integration not found' });
+        }
+        next();
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Who is signed in
+    this.app.get('/api/session', (req, res) => {
+      res.json({ user: req.user });
+    });
+
+    // Jira API client counters
+    this.app.get('/api/jira-client/metrics', operator, (req, res) => {
+      res.json({ metrics: getJiraClientMetrics() });
+    });
+
     // OAuth callback endpoint
     this.app.get('/auth/callback', async (req, res) => {
       try {
-        const { code, state } = req.query;
-        
-        if (!code) {
-          return res.status(400).json({ error: 'No authorization code provided' });
+        // Each state is issued by /auth/start and can complete exactly one sign-in
+        const integrationId = await this.authService.completeAuthorization(req.query);
+
+        try {
+          await refreshSites(integrationId);
+        } catch (error) {
+          console.warn(`⚠️ Could not refresh sites for integration ${integrationId}:`, error.message);
         }
 
-        console.log('🔄 Processing OAuth callback...');
-        
-        // Exchange code for tokens
-        const tokens = await this.authService.exchangeCodeForTokens(code);
-        
-        // Use stored account info or defaults
-        const accountInfo = this.tempAccountInfo || {
-          accountName: 'New Jira Account',
-          accountEmail: 'user@example.com',
-          jiraDomain: 'your-domain.atlassian.net'
-        };
-        
-        // Store tokens in database with account info
-        const integrationId = await this.authService.storeTokens('web-auth', tokens, accountInfo);
-        
-        // Clear temporary account info
-        this.tempAccountInfo = null;
+        const db = await getDatabase();
+        const account = await db.get('SELECT * FROM integrations WHERE id = ?', [integrationId]);
         
         res.json({
           success: true,
           message: 'Authentication completed successfully!',
           integrationId,
+          account: serializeIntegration(account),
           redirectUrl: '/dashboard'
         });
       } catch (error) {
         console.error('❌ OAuth callback error:', error);
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
       }
     });
 
     // Start authentication
-    this.app.post('/auth/start', async (req, res) => {
+    this.app.post('/auth/start', operator, async (req, res) => {
       try {
         const { projectId = 'web-auth' } = req.body;
         
-        const state = `web-auth-${Date.now()}`;
-        const authUrl = this.authService.generateOAuthUrl(state);
+        const { authUrl } = await this.authService.startAuthorization(projectId, { ownerUserId: req.user.id });
         
         res.json({
           success: true,
@@ -85,15 +194,12 @@ export class WebServer {
     });
 
     // Start authentication with account info
-    this.app.post('/auth/start-with-account', async (req, res) => {
+    this.app.post('/auth/start-with-account', operator, async (req, res) => {
       try {
         const { accountName, accountEmail, jiraDomain } = req.body;
         
-        // Store account info temporarily
-        this.tempAccountInfo = { accountName, accountEmail, jiraDomain };
-        
-        const state = `account-${Date.now()}-${accountName}`;
-        const authUrl = this.authService.generateOAuthUrl(state);
+        // The account info is kept with the pending authorization until the callback
+        const { authUrl } = await this.authService.startAuthorization('web-auth', { accountName, accountEmail, jiraDomain, ownerUserId: req.user.id });
         
         res.json({
           success: true,
@@ -106,17 +212,53 @@ export class WebServer {
       }
     });
 
+    // Connect a Jira Server / Data Center with a personal access token or basic auth
+    this.app.post('/auth/server', operator, async (req, res) => {
+      try {
+        const { baseUrl, authType = 'pat', token, username, accountName, projectId = 'server-auth' } = req.body;
+        
+        const profile = await fetchServerProfile({ baseUrl, authType, token, username });
+        const integrationId = await this.authService.storeTokens(
+          projectId,
+          { accessToken: token, refreshToken: null, expiresAt: null },
+          { ...profile, accountName: accountName || profile.accountName, ownerUserId: req.user.id }
+        );
+
+        // Jira's answer stays in the server log, it is not passed back to the caller
+        try {
+          await refreshSites(integrationId);
+        } catch (error) {
+          console.warn(`⚠️ Could not refresh sites for integration ${integrationId}:`, error.message);
+        }
+        
+        const db = await getDatabase();
+        const account = await db.get('SELECT * FROM integrations WHERE id = ?', [integrationId]);
+        
+        res.json({
+          success: true,
+          message: `Connected to Jira at ${profile.baseUrl}`,
+          serverVersion: profile.serverVersion,
+          integrationId,
+          account: serializeIntegration(account)
+        });
+      } catch (error) {
+        console.error('❌ Jira Server connect error:', error);
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
     // Get all integrations
     this.app.get('/api/integrations', async (req, res) => {
       try {
         const { accountId } = req.query;
         const db = await getDatabase();
+        const scope = integrationScope(req.user, 'id');
         
-        let query = 'SELECT id, project_id, expires_at, last_refresh_at, refresh_failures, is_active, created_at FROM integrations';
-        let params = [];
+        let query = `SELECT id, project_id, expires_at, last_refresh_at, refresh_failures, is_active, created_at FROM integrations WHERE ${scope.clause}`;
+        let params = [...scope.params];
         
         if (accountId) {
-          query += ' WHERE id = ?';
+          query += ' AND id = ?';
           params.push(accountId);
         }
         
@@ -124,7 +266,7 @@ export class WebServer {
         
         const integrations = await db.all(query, params);
         
-        res.json({ integrations });
+        res.json({ integrations: integrations.map(serializeIntegration) });
       } catch (error) {
         console.error('❌ Get integrations error:', error);
         res.status(500).json({ error: error.message });
@@ -135,31 +277,42 @@ export class WebServer {
     this.app.get('/api/current-account', async (req, res) => {
       try {
         const db = await getDatabase();
+        const scope = integrationScope(req.user, 'id');
+        // Users who do not own the primary account get the newest account they do own
         const currentAccount = await db.get(
-          'SELECT * FROM integrations WHERE is_primary = 1 AND is_active = 1 ORDER BY created_at DESC LIMIT 1'
+          `SELECT * FROM integrations WHERE is_active = 1 AND ${scope.clause}
+           ${hasRole(req.user, 'admin') ? 'AND is_primary = 1' : ''}
+           ORDER BY is_primary DESC, created_at DESC LIMIT 1`,
+          scope.params
         );
         
         if (!currentAccount) {
           return res.json({ account: null, message: 'No primary account found' });
         }
         
-        res.json({ account: currentAccount });
+        res.json({ account: serializeIntegration(currentAccount) });
       } catch (error) {
         console.error('❌ Error fetching current account:', error);
         res.status(500).json({ error: error.message });
       }
     });
 
-    // Get projects for an integration
+    // Get projects for an integration, optionally limited to one cloud site
     this.app.get('/api/integrations/:id/projects', async (req, res) => {
       try {
         const { id } = req.params;
+        const { cloudId } = req.query;
         const db = await getDatabase();
         
-        const projects = await db.all(
-          'SELECT * FROM jira_projects WHERE integration_id = ? AND is_active = 1',
-          [id]
-        );
+        let query = 'SELECT * FROM jira_projects WHERE integration_id = ? AND is_active = 1';
+        const params = [id];
+        
+        if (cloudId) {
+          query += ' AND cloud_id = ?';
+          params.push(cloudId);
+        }
+        
+        const projects = await db.all(query, params);
         
         res.json({ projects });
       } catch (error) {
@@ -168,48 +321,536 @@ export class WebServer {
       }
     });
 
-    // Get issues for a project
+    // Get issues for a project, by project key
     this.app.get('/api/projects/:id/issues', async (req, res) => {
       try {
         const { id } = req.params;
         const { limit = 50, offset = 0 } = req.query;
         
         const db = await getDatabase();
+        const scope = integrationScope(req.user);
         
         const issues = await db.all(
           `SELECT * FROM jira_issues 
-           WHERE project_id = ? 
+           WHERE project_id = ? AND deleted_at IS NULL AND ${scope.clause}
            ORDER BY updated_at DESC 
            LIMIT ? OFFSET ?`,
-          [id, parseInt(limit), parseInt(offset)]
+          [id, ...scope.params, parseInt(limit), parseInt(offset)]
+        );
+        
+        res.json({ issues });
+      } catch (error) {
+        console.error('❌ Get issues error:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Change history of an issue, oldest first
+    // Filter with ?integrationId=, ?cloudId= and ?field= (e.g. field=status for transitions)
+    this.app.get('/api/issues/:key/history', async (req, res) => {
+      try {
+        const { key } = req.params;
+        const { integrationId, cloudId, field } = req.query;
+        const db = await getDatabase();
+        const scope = integrationScope(req.user);
+        
+        let filter = `issue_key = ? AND ${scope.clause}`;
+        const params = [key, ...scope.params];
+        
+        if (integrationId) {
+          filter += ' AND integration_id = ?';
+          params.push(integrationId);
+        }
+        if (cloudId) {
+          filter += ' AND cloud_id = ?';
+          params.push(cloudId);
+        }
+        
+        const issue = await db.get(`SELECT id FROM jira_issues WHERE ${filter} LIMIT 1`, params);
+        if (!issue) {
+          return res.status(404).json({ error: 'Issue not found' });
+        }
+        
+        if (field) {
+          filter += ' AND (field = ? OR field_id = ?)';
+          params.push(field, field);
+        }
+        
+        const history = await db.all(
+          `SELECT integration_id, cloud_id, issue_key, history_id, author_account_id, author_display_name,
+                  created, field, field_id, field_type, from_value, from_string, to_value, to_string
+           FROM jira_issue_changelog
+           WHERE ${filter}
+           ORDER BY created ASC, history_id ASC, item_index ASC`,
+          params
         );
         
-        res.json({ issues });
+        res.json({ issueKey: key, history });
+      } catch (error) {
+        console.error('❌ Get issue history error:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Create an issue in Jira: { projectKey, issueType, fields, cloudId }
+    this.app.post('/api/integrations/:id/issues', operator, async (req, res) => {
+      try {
+        const issue = await createIssue(parseInt(req.params.id), req.body || {});
+        
+        res.status(201).json({ success: true, issue });
+      } catch (error) {
+        console.error('❌ Create issue error:', error.message);
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    // Edit issue fields in Jira: { fields }, with integrationId / cloudId when the key is ambiguous
+    this.app.patch('/api/issues/:key', operator, async (req, res) => {
+      try {
+        const issue = await findIssueForWrite(req.params.key, this.issueWriteTarget(req));
+        const { queued, mutation, result } = await getWriteQueue().submit('update_issue', issue, req.body || {}, { userId: req.user.id });
+        if (queued) {
+          return res.status(202).json({ success: true, queued: true, mutation });
+        }
+        
+        res.json({ success: true, issue: result });
+      } catch (error) {
+        console.error('❌ Update issue error:', error.message);
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    // Transition an issue: { transitionId | transition | status, fields }
+    this.app.post('/api/issues/:key/transitions', operator, async (req, res) => {
+      try {
+        const issue = await findIssueForWrite(req.params.key, this.issueWriteTarget(req));
+        const { queued, mutation, result } = await getWriteQueue().submit('transition_issue', issue, req.body || {}, { userId: req.user.id });
+        if (queued) {
+          return res.status(202).json({ success: true, queued: true, mutation });
+        }
+        
+        res.json({ success: true, ...result });
+      } catch (error) {
+        console.error('❌ Transition issue error:', error.message);
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    // Comment on an issue: { body } in Markdown
+    this.app.post('/api/issues/:key/comments', operator, async (req, res) => {
+      try {
+        const issue = await findIssueForWrite(req.params.key, this.issueWriteTarget(req));
+        const { queued, mutation, result } = await getWriteQueue().submit('add_comment', issue, req.body || {}, { userId: req.user.id });
+        if (queued) {
+          return res.status(202).json({ success: true, queued: true, mutation });
+        }
+        
+        res.status(201).json({ success: true, comment: result });
+      } catch (error) {
+        console.error('❌ Add comment error:', error.message);
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    // Log work on an issue: { timeSpent: "1h 30m", started: "2026-03-01T09:30:00Z", comment }
+    this.app.post('/api/issues/:key/worklogs', operator, async (req, res) => {
+      try {
+        const issue = await findIssueForWrite(req.params.key, this.issueWriteTarget(req));
+        const { queued, mutation, result } = await getWriteQueue().submit('add_worklog', issue, req.body || {}, { userId: req.user.id });
+        if (queued) {
+          return res.status(202).json({ success: true, queued: true, mutation });
+        }
+        
+        res.status(201).json({ success: true, worklog: result });
+      } catch (error) {
+        console.error('❌ Add worklog error:', error.message);
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    // Change a worklog
+    this.app.put('/api/issues/:key/worklogs/:worklogId', operator, async (req, res) => {
+      try {
+        const issue = await findIssueForWrite(req.params.key, this.issueWriteTarget(req));
+        const { queued, mutation, result } = await getWriteQueue().submit('update_worklog', issue, req.body || {}, {
+          userId: req.user.id,
+          targetId: req.params.worklogId
+        });
+        if (queued) {
+          return res.status(202).json({ success: true, queued: true, mutation });
+        }
+        
+        res.json({ success: true, worklog: result });
+      } catch (error) {
+        console.error('❌ Update worklog error:', error.message);
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    // Delete a worklog
+    this.app.delete('/api/issues/:key/worklogs/:worklogId', operator, async (req, res) => {
+      try {
+        const issue = await findIssueForWrite(req.params.key, this.issueWriteTarget(req));
+        const { queued, mutation } = await getWriteQueue().submit('delete_worklog', issue, {}, {
+          userId: req.user.id,
+          targetId: req.params.worklogId
+        });
+        if (queued) {
+          return res.status(202).json({ success: true, queued: true, mutation });
+        }
+        
+        res.json({ success: true });
+      } catch (error) {
+        console.error('❌ Delete worklog error:', error.message);
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    // Apply one operation to many issues: { keys | filter, cloudId, operation, preview }
+    // With preview: true the issues that would change are listed and nothing is written
+    this.app.post('/api/integrations/:id/bulk', operator, async (req, res) => {
+      try {
+        const integrationId = parseInt(req.params.id);
+        const body = req.body || {};
+        
+        if (body.preview === true) {
+          const preview = await previewBulkOperation(integrationId, body);
+          return res.json({ preview: true, ...preview });
+        }
+        
+        const job = await getBulkOperationQueue().enqueue(integrationId, body, { userId: req.user.id });
+        
+        res.status(202).json({ success: true, job });
+      } catch (error) {
+        console.error('❌ Bulk operation error:', error.message);
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    // Bulk operations of an integration, newest first
+    this.app.get('/api/integrations/:id/bulk-operations', async (req, res) => {
+      try {
+        const { limit = 20 } = req.query;
+        const jobs = await getBulkOperationQueue().listJobs(parseInt(req.params.id), parseInt(limit));
+        
+        res.json({ jobs });
+      } catch (error) {
+        console.error('❌ Get bulk operations error:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Bulk operation status, with the result per issue
+    this.app.get('/api/bulk-operations/:jobId', async (req, res) => {
+      try {
+        const job = await getBulkOperationQueue().getJob(req.params.jobId);
+        
+        if (!job || !await canAccessIntegration(req.user, job.integration_id)) {
+          return res.status(404).json({ error: 'Bulk operation not found' });
+        }
+        
+        res.json({ job });
+      } catch (error) {
+        console.error('❌ Get bulk operation error:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Cancel a bulk operation; issues already written stay changed
+    this.app.post('/api/bulk-operations/:jobId/cancel', operator, async (req, res) => {
+      try {
+        const existing = await getBulkOperationQueue().getJob(req.params.jobId);
+        if (!existing || !await canAccessIntegration(req.user, existing.integration_id)) {
+          return res.status(404).json({ error: 'Bulk operation not found' });
+        }
+        
+        const job = await getBulkOperationQueue().cancel(req.params.jobId);
+        
+        res.json({ success: true, job });
+      } catch (error) {
+        console.error('❌ Cancel bulk operation error:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Writes queued for an integration, optionally by status (pending, conflict, failed, ...)
+    this.app.get('/api/integrations/:id/write-queue', async (req, res) => {
+      try {
+        const { status, limit = 50 } = req.query;
+        if (status && !Object.values(MUTATION_STATUS).includes(status)) {
+          return res.status(400).json({ error: `status must be one of: ${Object.values(MUTATION_STATUS).join(', ')}` });
+        }
+        
+        const mutations = await getWriteQueue().listMutations(parseInt(req.params.id), { status, limit: parseInt(limit) });
+        
+        res.json({ mutations });
+      } catch (error) {
+        console.error('❌ Get write queue error:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // A queued write
+    this.app.get('/api/write-queue/:mutationId', async (req, res) => {
+      try {
+        const mutation = await getWriteQueue().getMutation(req.params.mutationId);
+        
+        if (!mutation || !await canAccessIntegration(req.user, mutation.integration_id)) {
+          return res.status(404).json({ error: 'Write not found' });
+        }
+        
+        res.json({ mutation });
+      } catch (error) {
+        console.error('❌ Get queued write error:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Resolve a conflicted or failed write: { action: 'apply' | 'discard' }
+    this.app.post('/api/write-queue/:mutationId/resolve', operator, async (req, res) => {
+      try {
+        const existing = await getWriteQueue().getMutation(req.params.mutationId);
+        if (!existing || !await canAccessIntegration(req.user, existing.integration_id)) {
+          return res.status(404).json({ error: 'Write not found' });
+        }
+        
+        const mutation = await getWriteQueue().resolve(req.params.mutationId, req.body?.action);
+        
+        res.json({ success: true, mutation });
+      } catch (error) {
+        console.error('❌ Resolve queued write error:', error.message);
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    // Issues deleted in Jira (tombstoned) and issues whose key changed, optionally limited to one cloud site
+    this.app.get('/api/integrations/:id/deleted-issues', async (req, res) => {
+      try {
+        const { id } = req.params;
+        const { cloudId } = req.query;
+        const { issues, moves } = await listDeletedIssues(parseInt(id), cloudId || null);
+        
+        res.json({ issues, moves });
+      } catch (error) {
+        console.error('❌ Get deleted issues error:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Permanently remove tombstoned issues older than ?olderThanDays= (defaults to the configured retention)
+    this.app.post('/api/integrations/:id/deleted-issues/purge', operator, async (req, res) => {
+      try {
+        const { id } = req.params;
+        const olderThanDays = parseInt(req.query.olderThanDays ?? DELETED_ISSUE_RETENTION_DAYS ?? 30);
+        
+        if (isNaN(olderThanDays) || olderThanDays < 0) {
+          return res.status(400).json({ error: 'olderThanDays must be a non-negative number' });
+        }
+        
+        const purged = await purgeDeletedIssues(parseInt(id), olderThanDays);
+        
+        res.json({ success: true, olderThanDays, purged });
+      } catch (error) {
+        console.error('❌ Purge deleted issues error:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Jira webhook receiver
+    this.app.post('/webhooks/jira/:integrationId', async (req, res) => {
+      try {
+        const integrationId = parseInt(req.params.integrationId);
+        const cloudId = await verifyWebhookRequest(integrationId, req);
+        const result = await applyWebhookEvent(integrationId, cloudId, req.body);
+        
+        res.json({ success: true, ...result });
+      } catch (error) {
+        console.error('❌ Webhook error:', error.message);
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    // Webhooks registered for an integration
+    this.app.get('/api/integrations/:id/webhooks', async (req, res) => {
+      try {
+        const { id } = req.params;
+        const webhooks = await listWebhooks(parseInt(id));
+        
+        res.json({ webhooks });
+      } catch (error) {
+        console.error('❌ Get webhooks error:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Register (or re-register) webhooks on every enabled site
+    this.app.post('/api/integrations/:id/webhooks', operator, async (req, res) => {
+      try {
+        const { id } = req.params;
+        const webhooks = await registerWebhooks(parseInt(id));
+        
+        res.json({ success: true, webhooks });
+      } catch (error) {
+        console.error('❌ Register webhooks error:', error);
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    // Remove the webhooks of an integration
+    this.app.delete('/api/integrations/:id/webhooks', operator, async (req, res) => {
+      try {
+        const { id } = req.params;
+        await unregisterWebhooks(parseInt(id));
+        
+        res.json({ success: true });
+      } catch (error) {
+        console.error('❌ Remove webhooks error:', error);
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    // Cloud sites of an integration
+    this.app.get('/api/integrations/:id/sites', async (req, res) => {
+      try {
+        const { id } = req.params;
+        const sites = await listSites(parseInt(id));
+        
+        res.json({ sites });
+      } catch (error) {
+        console.error('❌ Get sites error:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Re-read the accessible cloud sites from Atlassian
+    this.app.post('/api/integrations/:id/sites/refresh', operator, async (req, res) => {
+      try {
+        const { id } = req.params;
+        const sites = await refreshSites(parseInt(id));
+        
+        res.json({ success: true, sites });
+      } catch (error) {
+        console.error('❌ Refresh sites error:', error);
+        const status = error.message.includes('not found') ? 404 : 500;
+        res.status(status).json({ error: error.message });
+      }
+    });
+
+    // Enable or disable syncing of a cloud site
+    this.app.patch('/api/integrations/:id/sites/:cloudId', operator, async (req, res) => {
+      try {
+        const { id, cloudId } = req.params;
+        const { enabled } = req.body || {};
+        
+        if (typeof enabled !== 'boolean') {
+          return res.status(400).json({ error: 'enabled must be true or false' });
+        }
+        
+        const site = await setSiteEnabled(parseInt(id), cloudId, enabled);
+        if (!site) {
+          return res.status(404).json({ error: 'Site not found' });
+        }
+        
+        res.json({ success: true, site });
+      } catch (error) {
+        console.error('❌ Update site error:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Custom field mappings (story points, epics, sprint, team) per cloud site
+    this.app.get('/api/integrations/:id/field-mappings', async (req, res) => {
+      try {
+        const { id } = req.params;
+        const sites = await listSites(parseInt(id));
+        
+        const mappings = [];
+        for (const site of sites) {
+          mappings.push({
+            cloudId: site.cloud_id,
+            siteName: site.name,
+            mappings: await getFieldMappings(parseInt(id), site.cloud_id)
+          });
+        }
+        
+        res.json({
+          fields: Object.fromEntries(Object.entries(MAPPED_FIELDS).map(([key, field]) => [key, field.label])),
+          sites: mappings
+        });
+      } catch (error) {
+        console.error('❌ Get field mappings error:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Pin a mapped field to specific Jira field ids (all sites unless cloudId is given)
+    this.app.put('/api/integrations/:id/field-mappings/:field', operator, async (req, res) => {
+      await this.updateFieldMapping(req, res, req.body?.fieldIds);
+    });
+
+    // Hand a mapped field back to automatic resolution
+    this.app.delete('/api/integrations/:id/field-mappings/:field', operator, async (req, res) => {
+      await this.updateFieldMapping(req, res, null);
+    });
+
+    // Manual sync (runs in the background)
+    this.app.post('/api/integrations/:id/sync', operator, async (req, res) => {
+      await this.enqueueSyncJob(req, res, 'quick');
+    });
+
+    // Sync job status
+    this.app.get('/api/sync-jobs/:jobId', async (req, res) => {
+      try {
+        const job = await getSyncJobQueue().getJob(req.params.jobId);
+        
+        if (!job || !await canAccessIntegration(req.user, job.integration_id)) {
+          return res.status(404).json({ error: 'Sync job not found' });
+        }
+        
+        res.json({ job });
+      } catch (error) {
+        console.error('❌ Get sync job error:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Cancel a sync job
+    this.app.post('/api/sync-jobs/:jobId/cancel', operator, async (req, res) => {
+      try {
+        const existing = await getSyncJobQueue().getJob(req.params.jobId);
+        if (!existing || !await canAccessIntegration(req.user, existing.integration_id)) {
+          return res.status(404).json({ error: 'Sync job not found' });
+        }
+        
+        const job = await getSyncJobQueue().cancel(req.params.jobId);
+        
+        if (!job) {
+          return res.status(404).json({ error: 'Sync job not found' });
+        }
+        
+        res.json({ success: true, job });
       } catch (error) {
-        console.error('❌ Get issues error:', error);
+        console.error('❌ Cancel sync job error:', error);
         res.status(500).json({ error: error.message });
       }
     });
 
-    // Manual sync
-    this.app.post('/api/integrations/:id/sync', async (req, res) => {
+    // Sync history for an integration
+    this.app.get('/api/integrations/:id/sync-runs', async (req, res) => {
       try {
         const { id } = req.params;
-        const result = await this.scheduler.manualSync(parseInt(id));
+        const { limit = 20 } = req.query;
+        const runs = await getSyncJobQueue().listRuns(parseInt(id), parseInt(limit));
         
-        if (result.success) {
-          res.json({ success: true, message: 'Sync completed successfully' });
-        } else {
-          res.status(500).json({ error: result.error });
-        }
+        res.json({ runs });
       } catch (error) {
-        console.error('❌ Manual sync error:', error);
+        console.error('❌ Get sync runs error:', error);
         res.status(500).json({ error: error.message });
       }
     });
 
     // Individual sync endpoints
-    this.app.post('/api/integrations/:id/sync/projects', async (req, res) => {
+    this.app.post('/api/integrations/:id/sync/projects', operator, async (req, res) => {
       try {
         const { id } = req.params;
         const result = await this.syncIndividualData(parseInt(id), 'projects');
@@ -220,7 +861,7 @@ export class WebServer {
       }
     });
 
-    this.app.post('/api/integrations/:id/sync/issue-types', async (req, res) => {
+    this.app.post('/api/integrations/:id/sync/issue-types', operator, async (req, res) => {
       try {
         const { id } = req.params;
         const result = await this.syncIndividualData(parseInt(id), 'issue-types');
@@ -231,7 +872,7 @@ export class WebServer {
       }
     });
 
-    this.app.post('/api/integrations/:id/sync/priorities', async (req, res) => {
+    this.app.post('/api/integrations/:id/sync/priorities', operator, async (req, res) => {
       try {
         const { id } = req.params;
         const result = await this.syncIndividualData(parseInt(id), 'priorities');
@@ -242,7 +883,7 @@ export class WebServer {
       }
     });
 
-    this.app.post('/api/integrations/:id/sync/statuses', async (req, res) => {
+    this.app.post('/api/integrations/:id/sync/statuses', operator, async (req, res) => {
       try {
         const { id } = req.params;
         const result = await this.syncIndividualData(parseInt(id), 'statuses');
@@ -253,7 +894,7 @@ export class WebServer {
       }
     });
 
-    this.app.post('/api/integrations/:id/sync/resolutions', async (req, res) => {
+    this.app.post('/api/integrations/:id/sync/resolutions', operator, async (req, res) => {
       try {
         const { id } = req.params;
         const result = await this.syncIndividualData(parseInt(id), 'resolutions');
@@ -264,7 +905,7 @@ export class WebServer {
       }
     });
 
-    this.app.post('/api/integrations/:id/sync/users', async (req, res) => {
+    this.app.post('/api/integrations/:id/sync/users', operator, async (req, res) => {
       try {
         const { id } = req.params;
         const result = await this.syncIndividualData(parseInt(id), 'users');
@@ -275,7 +916,7 @@ export class WebServer {
       }
     });
 
-    this.app.post('/api/integrations/:id/sync/groups', async (req, res) => {
+    this.app.post('/api/integrations/:id/sync/groups', operator, async (req, res) => {
       try {
         const { id } = req.params;
         const result = await this.syncIndividualData(parseInt(id), 'groups');
@@ -286,7 +927,7 @@ export class WebServer {
       }
     });
 
-    this.app.post('/api/integrations/:id/sync/fields', async (req, res) => {
+    this.app.post('/api/integrations/:id/sync/fields', operator, async (req, res) => {
       try {
         const { id } = req.params;
         const result = await this.syncIndividualData(parseInt(id), 'fields');
@@ -297,7 +938,7 @@ export class WebServer {
       }
     });
 
-    this.app.post('/api/integrations/:id/sync/labels', async (req, res) => {
+    this.app.post('/api/integrations/:id/sync/labels', operator, async (req, res) => {
       try {
         const { id } = req.params;
         const result = await this.syncIndividualData(parseInt(id), 'labels');
@@ -308,7 +949,7 @@ export class WebServer {
       }
     });
 
-    this.app.post('/api/integrations/:id/sync/components', async (req, res) => {
+    this.app.post('/api/integrations/:id/sync/components', operator, async (req, res) => {
       try {
         const { id } = req.params;
         const result = await this.syncIndividualData(parseInt(id), 'components');
@@ -319,7 +960,7 @@ export class WebServer {
       }
     });
 
-    this.app.post('/api/integrations/:id/sync/versions', async (req, res) => {
+    this.app.post('/api/integrations/:id/sync/versions', operator, async (req, res) => {
       try {
         const { id } = req.params;
         const result = await this.syncIndividualData(parseInt(id), 'versions');
@@ -330,7 +971,7 @@ export class WebServer {
       }
     });
 
-    this.app.post('/api/integrations/:id/sync/workflows', async (req, res) => {
+    this.app.post('/api/integrations/:id/sync/workflows', operator, async (req, res) => {
       try {
         const { id } = req.params;
         const result = await this.syncIndividualData(parseInt(id), 'workflows');
@@ -341,7 +982,7 @@ export class WebServer {
       }
     });
 
-    this.app.post('/api/integrations/:id/sync/dashboards', async (req, res) => {
+    this.app.post('/api/integrations/:id/sync/dashboards', operator, async (req, res) => {
       try {
         const { id } = req.params;
         const result = await this.syncIndividualData(parseInt(id), 'dashboards');
@@ -352,7 +993,7 @@ export class WebServer {
       }
     });
 
-    this.app.post('/api/integrations/:id/sync/filters', async (req, res) => {
+    this.app.post('/api/integrations/:id/sync/filters', operator, async (req, res) => {
       try {
         const { id } = req.params;
         const result = await this.syncIndividualData(parseInt(id), 'filters');
@@ -363,7 +1004,7 @@ export class WebServer {
       }
     });
 
-    this.app.post('/api/integrations/:id/sync/permissions', async (req, res) => {
+    this.app.post('/api/integrations/:id/sync/permissions', operator, async (req, res) => {
       try {
         const { id } = req.params;
         const result = await this.syncIndividualData(parseInt(id), 'permissions');
@@ -374,10 +1015,34 @@ export class WebServer {
       }
     });
 
-    this.app.post('/api/integrations/:id/sync/issues', async (req, res) => {
+    this.app.post('/api/integrations/:id/sync/boards', operator, async (req, res) => {
+      try {
+        const { id } = req.params;
+        const result = await this.syncIndividualData(parseInt(id), 'boards');
+        res.json(result);
+      } catch (error) {
+        console.error('❌ Boards sync error:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/integrations/:id/sync/sprints', operator, async (req, res) => {
+      try {
+        const { id } = req.params;
+        const full = req.query.full === 'true' || req.body?.full === true;
+        const result = await this.syncIndividualData(parseInt(id), 'sprints', { full });
+        res.json(result);
+      } catch (error) {
+        console.error('❌ Sprints sync error:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/integrations/:id/sync/issues', operator, async (req, res) => {
       try {
         const { id } = req.params;
-        const result = await this.syncIndividualData(parseInt(id), 'issues');
+        const full = req.query.full === 'true' || req.body?.full === true;
+        const result = await this.syncIndividualData(parseInt(id), 'issues', { full });
         res.json(result);
       } catch (error) {
         console.error('❌ Issues sync error:', error);
@@ -385,7 +1050,18 @@ export class WebServer {
       }
     });
 
-    this.app.post('/api/integrations/:id/sync/comments', async (req, res) => {
+    this.app.post('/api/integrations/:id/sync/changelog', operator, async (req, res) => {
+      try {
+        const { id } = req.params;
+        const result = await this.syncIndividualData(parseInt(id), 'changelog');
+        res.json(result);
+      } catch (error) {
+        console.error('❌ Changelog sync error:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/integrations/:id/sync/comments', operator, async (req, res) => {
       try {
         const { id } = req.params;
         const result = await this.syncIndividualData(parseInt(id), 'comments');
@@ -396,7 +1072,7 @@ export class WebServer {
       }
     });
 
-    this.app.post('/api/integrations/:id/sync/worklogs', async (req, res) => {
+    this.app.post('/api/integrations/:id/sync/worklogs', operator, async (req, res) => {
       try {
         const { id } = req.params;
         const result = await this.syncIndividualData(parseInt(id), 'worklogs');
@@ -407,7 +1083,7 @@ export class WebServer {
       }
     });
 
-    this.app.post('/api/integrations/:id/sync/attachments', async (req, res) => {
+    this.app.post('/api/integrations/:id/sync/attachments', operator, async (req, res) => {
       try {
         const { id } = req.params;
         const result = await this.syncIndividualData(parseInt(id), 'attachments');
@@ -418,7 +1094,7 @@ export class WebServer {
       }
     });
 
-    this.app.post('/api/integrations/:id/sync/issue-links', async (req, res) => {
+    this.app.post('/api/integrations/:id/sync/issue-links', operator, async (req, res) => {
       try {
         const { id } = req.params;
         const result = await this.syncIndividualData(parseInt(id), 'issue-links');
@@ -430,7 +1106,7 @@ export class WebServer {
     });
 
     // Token refresh endpoint
-    this.app.post('/api/integrations/:id/refresh-token', async (req, res) => {
+    this.app.post('/api/integrations/:id/refresh-token', operator, async (req, res) => {
       try {
         const { id } = req.params;
         console.log(`🔄 Manual token refresh requested for integration ${id}...`);
@@ -517,61 +1193,27 @@ export class WebServer {
       }
     });
 
-    // Comprehensive sync
-    this.app.post('/api/integrations/:id/comprehensive-sync', async (req, res) => {
-      try {
-        const { id } = req.params;
-        const db = await getDatabase();
-        
-        // Get integration details
-        const integration = await db.get('SELECT * FROM integrations WHERE id = ?', [id]);
-        if (!integration) {
-          return res.status(404).json({ error: 'Integration not found' });
-        }
-
-        // Get the real cloud ID from Jira API
-        const { JiraApiService } = await import('./jira-api.js');
-        const apiService = new JiraApiService(integration.access_token);
-        const resources = await apiService.getAccessibleResources();
-        
-        if (resources.length === 0) {
-          return res.status(400).json({ error: 'No accessible Jira resources found' });
-        }
-        
-        // Use the first accessible resource
-        const cloudId = resources[0].id;
-        console.log(`🔍 Using cloud ID: ${cloudId}`);
-        
-        const syncService = new ComprehensiveJiraSync(integration.access_token, cloudId);
-        await syncService.syncAllData(parseInt(id));
-        
-        res.json({ success: true, message: 'Comprehensive sync completed successfully' });
-      } catch (error) {
-        console.error('❌ Comprehensive sync error:', error);
-        res.status(500).json({ error: error.message });
-      }
+    // Comprehensive sync (runs in the background)
+    this.app.post('/api/integrations/:id/comprehensive-sync', operator, async (req, res) => {
+      await this.enqueueSyncJob(req, res, 'comprehensive');
     });
 
-    // Get comprehensive data statistics
+    // Get comprehensive data statistics, optionally limited to one cloud site
     this.app.get('/api/integrations/:id/stats', async (req, res) => {
       try {
         const { id } = req.params;
+        const { cloudId } = req.query;
         const db = await getDatabase();
         
         const stats = {};
+        const siteFilter = cloudId ? ' AND cloud_id = ?' : '';
+        const params = cloudId ? [id, cloudId] : [id];
         
-        // Count records in each table for this specific integration
-        const tables = [
-          'jira_projects', 'jira_issue_types', 'jira_priorities', 'jira_statuses',
-          'jira_resolutions', 'jira_users', 'jira_groups', 'jira_fields',
-          'jira_labels', 'jira_components', 'jira_versions', 'jira_workflows',
-          'jira_dashboards', 'jira_filters', 'jira_permissions', 'jira_issues',
-          'jira_comments', 'jira_worklogs', 'jira_attachments', 'jira_issue_links'
-        ];
-        
-        for (const table of tables) {
+        // Count records in each table for this specific integration, leaving out tombstoned rows
+        for (const table of INTEGRATION_DATA_TABLES) {
           try {
-            const result = await db.get(`SELECT COUNT(*) as count FROM ${table} WHERE integration_id = ?`, [id]);
+            const liveFilter = TOMBSTONED_TABLES.includes(table) ? ' AND deleted_at IS NULL' : '';
+            const result = await db.get(`SELECT COUNT(*) as count FROM ${table} WHERE integration_id = ?${siteFilter}${liveFilter}`, params);
             stats[table] = result.count;
           } catch (error) {
             stats[table] = 0;
@@ -585,25 +1227,50 @@ export class WebServer {
       }
     });
 
-    // Get raw data for visualization
-    this.app.get('/api/integrations/:id/raw-data', async (req, res) => {
+    // Tables and columns the raw data explorer can read
+    this.app.get('/api/schema', operator, async (req, res) => {
       try {
-        const { id } = req.params;
-        const { table, limit = 100 } = req.query;
-        const db = await getDatabase();
+        res.json({ tables: await getRawDataSchema(), maxLimit: RAW_DATA_MAX_LIMIT });
+      } catch (error) {
+        console.error('❌ Get schema error:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Browse a synced table: ?table= (see /api/schema), &columns=, &sort=-updated_at, &filter[column][operator]=,
+    // &limit= with &offset= or &cursor=, &cloudId=; tombstoned rows are left out unless ?includeDeleted=true
+    this.app.get('/api/integrations/:id/raw-data', operator, async (req, res) => {
+      try {
+        const result = await queryRawData(parseInt(req.params.id), req.query);
         
-        if (!table) {
-          return res.status(400).json({ error: 'Table parameter required' });
-        }
+        res.json(result);
+      } catch (error) {
+        console.error('❌ Get raw data error:', error);
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    // Full-text search over synced issues, comments and worklogs:
+    // ?q=, with ?project=, ?status=, ?assignee=, ?updatedFrom=, ?updatedTo=, ?cloudId=, ?limit=, ?offset=
+    this.app.get('/api/integrations/:id/search', async (req, res) => {
+      try {
+        const result = await searchSyncedIssues(parseInt(req.params.id), req.query);
         
-        const data = await db.all(
-          `SELECT * FROM ${table} WHERE integration_id = ? ORDER BY id DESC LIMIT ?`,
-          [id, parseInt(limit)]
-        );
+        res.json(result);
+      } catch (error) {
+        console.error('❌ Search error:', error.message);
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    // Rebuild the search index of an integration from the stored data
+    this.app.post('/api/integrations/:id/search/reindex', operator, async (req, res) => {
+      try {
+        const counts = await rebuildSearchIndex(parseInt(req.params.id));
         
-        res.json({ data, count: data.length });
+        res.json({ success: true, indexed: counts });
       } catch (error) {
-        console.error('❌ Get raw data error:', error);
+        console.error('❌ Search reindex error:', error);
         res.status(500).json({ error: error.message });
       }
     });
@@ -612,21 +1279,23 @@ export class WebServer {
     this.app.get('/api/accounts', async (req, res) => {
       try {
         const db = await getDatabase();
+        const scope = integrationScope(req.user, 'id');
         const accounts = await db.all(`
-          SELECT id, account_name, account_email, jira_domain, is_primary, is_active, 
-                 created_at, last_refresh_at, expires_at
+          SELECT id, account_name, account_email, jira_domain, atlassian_account_id, avatar_url, site_urls,
+                 owner_user_id, is_primary, is_active, created_at, last_refresh_at, expires_at
           FROM integrations 
+          WHERE ${scope.clause}
           ORDER BY is_primary DESC, created_at DESC
-        `);
+        `, scope.params);
         
-        res.json({ accounts });
+        res.json({ accounts: accounts.map(serializeIntegration) });
       } catch (error) {
         console.error('❌ Error fetching accounts:', error);
         res.status(500).json({ error: error.message });
       }
     });
 
-    this.app.post('/api/accounts/:id/set-primary', async (req, res) => {
+    this.app.post('/api/accounts/:id/set-primary', admin, async (req, res) => {
       try {
         const { id } = req.params;
         const db = await getDatabase();
@@ -645,7 +1314,7 @@ export class WebServer {
       }
     });
 
-    this.app.delete('/api/accounts/:id', async (req, res) => {
+    this.app.delete('/api/accounts/:id', admin, async (req, res) => {
       try {
         const { id } = req.params;
         const db = await getDatabase();
@@ -661,8 +1330,106 @@ export class WebServer {
       }
     });
 
+    // Unlink an account: revoke its token, unregister webhooks and delete or archive its data
+    this.app.post('/api/accounts/:id/unlink', admin, async (req, res) => {
+      try {
+        const { mode = 'delete' } = req.body;
+        const dryRun = req.body.dryRun === true || req.query.dryRun === 'true';
+        
+        const result = await unlinkIntegration(parseInt(req.params.id), { mode, dryRun, actor: req.user.username });
+        
+        res.json({ success: true, ...result });
+      } catch (error) {
+        console.error('❌ Error unlinking account:', error);
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    // Audit log of account changes
+    this.app.get('/api/audit-log', admin, async (req, res) => {
+      try {
+        const { integrationId, limit = 50 } = req.query;
+        const entries = await listAuditLog(integrationId ? parseInt(integrationId) : null, parseInt(limit));
+        
+        res.json({ entries });
+      } catch (error) {
+        console.error('❌ Error fetching audit log:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Hand an integration to another API user
+    this.app.put('/api/integrations/:id/owner', admin, async (req, res) => {
+      try {
+        const { userId } = req.body || {};
+        if (userId !== null && !await getApiUser(userId)) {
+          return res.status(400).json({ error: 'userId must be an existing user or null' });
+        }
+        
+        const db = await getDatabase();
+        const result = await db.run(
+          'UPDATE integrations SET owner_user_id = ?, updated_at = ? WHERE id = ?',
+          [userId, new Date().toISOString(), req.params.id]
+        );
+        if (result.changes === 0) {
+          return res.status(404).json({ error: 'Integration not found' });
+        }
+        
+        res.json({ success: true, integrationId: parseInt(req.params.id), ownerUserId: userId });
+      } catch (error) {
+        console.error('❌ Error changing integration owner:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // API user management
+    this.app.get('/api/users', admin, async (req, res) => {
+      try {
+        res.json({ users: await listApiUsers() });
+      } catch (error) {
+        console.error('❌ Error fetching users:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // The new user's API key is only returned in this response
+    this.app.post('/api/users', admin, async (req, res) => {
+      try {
+        const { username, role } = req.body || {};
+        const { user, apiKey } = await createApiUser(username, role);
+        
+        res.status(201).json({ success: true, user, apiKey });
+      } catch (error) {
+        console.error('❌ Error creating user:', error);
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    this.app.patch('/api/users/:userId', admin, async (req, res) => {
+      try {
+        const { role, isActive } = req.body || {};
+        const user = await updateApiUser(parseInt(req.params.userId), { role, isActive });
+        
+        res.json({ success: true, user });
+      } catch (error) {
+        console.error('❌ Error updating user:', error);
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/users/:userId/rotate-key', admin, async (req, res) => {
+      try {
+        const { user, apiKey } = await rotateApiKey(parseInt(req.params.userId));
+        
+        res.json({ success: true, user, apiKey });
+      } catch (error) {
+        console.error('❌ Error rotating API key:', error);
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
     // Multi-account dashboard route
-    this.app.get('/accounts', (req, res) => {
+    this.app.get('/accounts', requireUser({ redirect: true }), (req, res) => {
       res.send(`
         <!DOCTYPE html>
         <html>
@@ -867,7 +1634,7 @@ export class WebServer {
     });
 
     // Dashboard route
-    this.app.get('/dashboard', (req, res) => {
+    this.app.get('/dashboard', requireUser({ redirect: true }), (req, res) => {
       res.send(`
         <!DOCTYPE html>
         <html>
@@ -935,6 +1702,22 @@ export class WebServer {
               <div id="integrations"></div>
             </div>
             
+            <div class="card">
+              <h2>🌐 Jira Sites</h2>
+              <button class="btn" onclick="refreshSites()">Refresh Sites</button>
+              <div id="sites">
+                <p>No account selected.</p>
+              </div>
+            </div>
+            
+            <div class="card">
+              <h2>🕒 Sync History</h2>
+              <div id="sync-job-status"></div>
+              <div id="sync-runs">
+                <p>No account selected.</p>
+              </div>
+            </div>
+            
             <div class="card">
               <h2>📊 Data Statistics</h2>
               <div id="stats-container">
@@ -947,23 +1730,18 @@ export class WebServer {
             <div class="card">
               <h2>🔍 Raw Data Explorer</h2>
               <div>
-                <select id="table-select" onchange="loadRawData()">
+                <select id="table-select" onchange="selectExplorerTable()">
                   <option value="">Select a table...</option>
-                  <option value="jira_projects">Projects</option>
-                  <option value="jira_issues">Issues</option>
-                  <option value="jira_users">Users</option>
-                  <option value="jira_issue_types">Issue Types</option>
-                  <option value="jira_priorities">Priorities</option>
-                  <option value="jira_statuses">Statuses</option>
-                  <option value="jira_comments">Comments</option>
-                  <option value="jira_worklogs">Worklogs</option>
-                  <option value="jira_attachments">Attachments</option>
-                  <option value="jira_components">Components</option>
-                  <option value="jira_versions">Versions</option>
-                  <option value="jira_labels">Labels</option>
-                  <option value="jira_fields">Fields</option>
                 </select>
+                <input type="text" id="explorer-columns" placeholder="Columns, e.g. issue_key,summary" style="padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+                <input type="text" id="explorer-sort" placeholder="Sort, e.g. -updated_at" style="padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+                <div style="margin: 10px 0;">
+                  <select id="explorer-filter-column"><option value="">No filter</option></select>
+                  <select id="explorer-filter-operator"></select>
+                  <input type="text" id="explorer-filter-value" placeholder="Value" style="padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+                </div>
                 <button class="btn" onclick="loadRawData()">Load Data</button>
+                <button class="btn" id="explorer-next" onclick="loadRawData(explorerCursor)" style="display: none;">Next Page</button>
               </div>
               <div id="raw-data-container">
               <div class="status info">
@@ -1151,6 +1929,8 @@ export class WebServer {
                   const sortedIntegrations = data.integrations.sort((a, b) => b.id - a.id);
                   currentIntegrationId = sortedIntegrations[0].id;
                   loadStats(currentIntegrationId);
+                  loadSites(currentIntegrationId);
+                  loadSyncRuns(currentIntegrationId);
                 } else {
                   // No integrations found - show empty state
                   document.getElementById('stats-container').innerHTML = 
@@ -1163,35 +1943,179 @@ export class WebServer {
             }
             
             async function syncIntegration(id) {
+              await startSyncJob(id, 'sync', 'Quick sync');
+            }
+            
+            async function comprehensiveSync(id) {
+              await startSyncJob(id, 'comprehensive-sync', 'Comprehensive sync');
+            }
+            
+            async function startSyncJob(id, endpoint, label) {
               try {
-                const response = await fetch(\`/api/integrations/\${id}/sync\`, { method: 'POST' });
+                const response = await fetch(\`/api/integrations/\${id}/\${endpoint}\`, { method: 'POST' });
                 const data = await response.json();
                 
                 if (data.success) {
-                  alert('Quick sync completed successfully!');
+                  loadSyncRuns(id);
+                  const job = await waitForSyncJob(data.jobId);
+                  
+                  if (job.status === 'succeeded') {
+                    alert(label + ' completed successfully!');
+                  } else if (job.status === 'cancelled') {
+                    alert(label + ' was cancelled');
+                  } else {
+                    alert(label + ' failed: ' + job.error);
+                  }
                   loadIntegrations();
+                  loadStats(id);
                 } else {
-                  alert('Sync failed: ' + data.error);
+                  alert(label + ' failed: ' + data.error);
                 }
               } catch (error) {
-                alert('Sync error: ' + error.message);
+                alert(label + ' error: ' + error.message);
               }
             }
             
-            async function comprehensiveSync(id) {
+            async function waitForSyncJob(jobId) {
+              while (true) {
+                const response = await fetch(\`/api/sync-jobs/\${jobId}\`);
+                const data = await response.json();
+                
+                if (!data.job) {
+                  throw new Error(data.error || 'Sync job not found');
+                }
+                
+                renderSyncJob(data.job);
+                if (!['queued', 'running'].includes(data.job.status)) {
+                  loadSyncRuns(data.job.integration_id);
+                  return data.job;
+                }
+                
+                await new Promise(resolve => setTimeout(resolve, 2000));
+              }
+            }
+            
+            function renderSyncJob(job) {
+              const current = job.steps.find(step => step.status === 'running');
+              const progress = \`\${job.progress_completed}/\${job.progress_total} steps\`;
+              const cancelButton = ['queued', 'running'].includes(job.status)
+                ? \`<button class="btn btn-danger" onclick="cancelSyncJob('\${job.job_id}')">Cancel</button>\`
+                : '';
+              
+              document.getElementById('sync-job-status').innerHTML = \`
+                <div class="status info">
+                  <strong>\${job.job_type} sync \${job.status}</strong> - \${progress}
+                  \${current ? ' - ' + (current.siteName ? current.siteName + ': ' : '') + current.label : ''}
+                  \${cancelButton}
+                </div>
+              \`;
+            }
+            
+            async function cancelSyncJob(jobId) {
+              try {
+                await fetch(\`/api/sync-jobs/\${jobId}/cancel\`, { method: 'POST' });
+              } catch (error) {
+                alert('Cancel error: ' + error.message);
+              }
+            }
+            
+            async function loadSites(integrationId) {
+              try {
+                const response = await fetch(\`/api/integrations/\${integrationId}/sites\`);
+                const data = await response.json();
+                renderSites(data.sites || []);
+              } catch (error) {
+                document.getElementById('sites').innerHTML = 
+                  '<div class="status error">❌ ' + error.message + '</div>';
+              }
+            }
+            
+            async function refreshSites() {
+              if (!currentIntegrationId) {
+                alert('Please select an account first');
+                return;
+              }
+              
               try {
-                const response = await fetch(\`/api/integrations/\${id}/comprehensive-sync\`, { method: 'POST' });
+                const response = await fetch(\`/api/integrations/\${currentIntegrationId}/sites/refresh\`, { method: 'POST' });
                 const data = await response.json();
                 
-                if (data.success) {
-                  alert('Comprehensive sync completed successfully!');
-                  loadIntegrations();
-                  loadStats(id);
-                } else {
-                  alert('Comprehensive sync failed: ' + data.error);
+                if (!response.ok) {
+                  throw new Error(data.error);
+                }
+                renderSites(data.sites);
+              } catch (error) {
+                alert('Refresh sites error: ' + error.message);
+              }
+            }
+            
+            function renderSites(sites) {
+              if (sites.length === 0) {
+                document.getElementById('sites').innerHTML = '<p>No sites known yet. Click "Refresh Sites" or run a sync.</p>';
+                return;
+              }
+              
+              let html = '<table><tr><th>Site</th><th>URL</th><th>Status</th><th>Last Synced</th><th>Actions</th></tr>';
+              sites.forEach(site => {
+                const status = !site.is_accessible ? 'No access' : site.is_enabled ? 'Enabled' : 'Disabled';
+                html += \`<tr>
+                  <td>\${site.name || site.cloud_id}</td>
+                  <td>\${site.url || ''}</td>
+                  <td>\${status}</td>
+                  <td>\${site.last_synced_at ? new Date(site.last_synced_at).toLocaleString() : 'Never'}</td>
+                  <td>
+                    <button class="btn" onclick="setSiteEnabled('\${site.cloud_id}', \${!site.is_enabled})">\${site.is_enabled ? 'Disable' : 'Enable'}</button>
+                  </td>
+                </tr>\`;
+              });
+              html += '</table>';
+              document.getElementById('sites').innerHTML = html;
+            }
+            
+            async function setSiteEnabled(cloudId, enabled) {
+              try {
+                const response = await fetch(\`/api/integrations/\${currentIntegrationId}/sites/\${cloudId}\`, {
+                  method: 'PATCH',
+                  headers: { 'Content-Type': 'application/json' },
+                  body: JSON.stringify({ enabled })
+                });
+                const data = await response.json();
+                
+                if (!response.ok) {
+                  throw new Error(data.error);
                 }
+                loadSites(currentIntegrationId);
               } catch (error) {
-                alert('Comprehensive sync error: ' + error.message);
+                alert('Update site error: ' + error.message);
+              }
+            }
+            
+            async function loadSyncRuns(integrationId) {
+              try {
+                const response = await fetch(\`/api/integrations/\${integrationId}/sync-runs?limit=10\`);
+                const data = await response.json();
+                
+                if (data.runs.length === 0) {
+                  document.getElementById('sync-runs').innerHTML = '<p>No syncs have run yet.</p>';
+                  return;
+                }
+                
+                let html = '<table><tr><th>Started</th><th>Type</th><th>Status</th><th>Progress</th><th>Finished</th><th>Error</th></tr>';
+                data.runs.forEach(run => {
+                  html += \`<tr>
+                    <td>\${run.started_at ? new Date(run.started_at).toLocaleString() : 'Queued'}</td>
+                    <td>\${run.job_type}</td>
+                    <td>\${run.status}</td>
+                    <td>\${run.progress_completed}/\${run.progress_total}</td>
+                    <td>\${run.finished_at ? new Date(run.finished_at).toLocaleString() : ''}</td>
+                    <td>\${run.error || ''}</td>
+                  </tr>\`;
+                });
+                html += '</table>';
+                document.getElementById('sync-runs').innerHTML = html;
+              } catch (error) {
+                document.getElementById('sync-runs').innerHTML = 
+                  '<div class="status error">❌ ' + error.message + '</div>';
               }
             }
             
@@ -1254,7 +2178,12 @@ export class WebServer {
                   'jira_comments': 'Comments',
                   'jira_worklogs': 'Worklogs',
                   'jira_attachments': 'Attachments',
-                  'jira_issue_links': 'Issue Links'
+                  'jira_issue_links': 'Issue Links',
+                  'jira_issue_changelog': 'Changelog',
+                  'jira_boards': 'Boards',
+                  'jira_board_columns': 'Board Columns',
+                  'jira_sprints': 'Sprints',
+                  'jira_sprint_issues': 'Sprint Issues'
                 };
                 
                 const syncEndpoints = {
@@ -1277,7 +2206,12 @@ export class WebServer {
                   'jira_comments': 'comments',
                   'jira_worklogs': 'worklogs',
                   'jira_attachments': 'attachments',
-                  'jira_issue_links': 'issue-links'
+                  'jira_issue_links': 'issue-links',
+                  'jira_issue_changelog': 'changelog',
+                  'jira_boards': 'boards',
+                  'jira_board_columns': 'boards',
+                  'jira_sprints': 'sprints',
+                  'jira_sprint_issues': 'sprints'
                 };
                 
                 for (const [table, count] of Object.entries(data.stats)) {
@@ -1343,7 +2277,42 @@ export class WebServer {
               }
             }
             
-            async function loadRawData() {
+            let explorerSchema = [];
+            let explorerCursor = null;
+            
+            async function loadExplorerSchema() {
+              try {
+                const response = await fetch('/api/schema');
+                if (!response.ok) return;
+                explorerSchema = (await response.json()).tables;
+                
+                const select = document.getElementById('table-select');
+                explorerSchema.forEach(table => {
+                  select.innerHTML += \`<option value="\${table.name}">\${table.name}</option>\`;
+                });
+              } catch (error) {
+                console.error('Error loading explorer schema:', error);
+              }
+            }
+            
+            function selectExplorerTable() {
+              const table = explorerSchema.find(t => t.name === document.getElementById('table-select').value);
+              const columnSelect = document.getElementById('explorer-filter-column');
+              columnSelect.innerHTML = '<option value="">No filter</option>';
+              (table ? table.columns : []).forEach(column => {
+                columnSelect.innerHTML += \`<option value="\${column.name}">\${column.name} (\${column.kind})</option>\`;
+              });
+              columnSelect.onchange = () => {
+                const column = table.columns.find(c => c.name === columnSelect.value);
+                document.getElementById('explorer-filter-operator').innerHTML = (column ? column.operators : [])
+                  .map(operator => \`<option value="\${operator}">\${operator}</option>\`).join('');
+              };
+              columnSelect.onchange();
+              
+              if (table) loadRawData();
+            }
+            
+            async function loadRawData(cursor = null) {
               if (!currentIntegrationId) {
                 alert('Please select an account first');
                 return;
@@ -1355,14 +2324,32 @@ export class WebServer {
                 return;
               }
               
+              const params = new URLSearchParams({ table, limit: 50 });
+              const columns = document.getElementById('explorer-columns').value.trim();
+              const sort = document.getElementById('explorer-sort').value.trim();
+              const filterColumn = document.getElementById('explorer-filter-column').value;
+              if (columns) params.set('columns', columns);
+              if (sort) params.set('sort', sort);
+              if (filterColumn) {
+                params.set(\`filter[\${filterColumn}][\${document.getElementById('explorer-filter-operator').value}]\`,
+                  document.getElementById('explorer-filter-value').value);
+              }
+              if (cursor) params.set('cursor', cursor);
+              
               try {
                 document.getElementById('raw-data-container').innerHTML = 
                   '<div class="loading"><div class="spinner"></div><p>Loading data...</p></div>';
                 
-                const response = await fetch(\`/api/integrations/\${currentIntegrationId}/raw-data?table=\${table}&limit=50\`);
+                const response = await fetch(\`/api/integrations/\${currentIntegrationId}/raw-data?\${params}\`);
                 const data = await response.json();
+                if (!response.ok) {
+                  throw new Error(data.error);
+                }
                 
-                let html = \`<h3>\${table} (\${data.count} records)</h3>\`;
+                explorerCursor = data.nextCursor;
+                document.getElementById('explorer-next').style.display = explorerCursor ? 'inline-block' : 'none';
+                
+                let html = \`<h3>\${table} (\${data.count} of \${data.total} records)</h3>\`;
                 
                 if (data.data.length > 0) {
                   html += '<div class="raw-data">';
@@ -1386,6 +2373,7 @@ export class WebServer {
             
             // Load current account and account-specific data on page load
             loadCurrentAccount();
+            loadExplorerSchema();
           </script>
         </body>
         </html>
@@ -1393,117 +2381,109 @@ export class WebServer {
     });
   }
 
-  async syncIndividualData(integrationId, dataType) {
+  async enqueueSyncJob(req, res, type) {
+    try {
+      const { id } = req.params;
+      const full = req.query.full === 'true' || req.body?.full === true;
+      const { job, alreadyQueued } = await getSyncJobQueue().enqueue(parseInt(id), type, { full });
+      
+      res.status(202).json({
+        success: true,
+        message: alreadyQueued ? 'A sync is already in progress for this integration' : 'Sync queued',
+        jobId: job.job_id,
+        status: job.status,
+        statusUrl: `/api/sync-jobs/${job.job_id}`
+      });
+    } catch (error) {
+      console.error(`❌ ${type} sync enqueue error:`, error);
+      const status = error.message.includes('not found') ? 404 : 500;
+      res.status(status).json({ error: error.message });
+    }
+  }
+
+  async updateFieldMapping(req, res, fieldIds) {
+    try {
+      const { id, field } = req.params;
+      const cloudId = req.body?.cloudId || req.query.cloudId;
+      
+      if (!MAPPED_FIELDS[field]) {
+        return res.status(400).json({ error: `Unknown field. Use one of: ${Object.keys(MAPPED_FIELDS).join(', ')}` });
+      }
+      
+      if (typeof fieldIds === 'string') {
+        fieldIds = [fieldIds];
+      }
+      if (fieldIds !== null && (!Array.isArray(fieldIds) || !fieldIds.every(fieldId => typeof fieldId === 'string'))) {
+        return res.status(400).json({ error: 'fieldIds must be a field id or a list of field ids' });
+      }
+      
+      const sites = (await listSites(parseInt(id))).filter(site => !cloudId || site.cloud_id === cloudId);
+      if (sites.length === 0) {
+        return res.status(404).json({ error: 'Site not found' });
+      }
+      
+      const mappings = [];
+      for (const site of sites) {
+        mappings.push({
+          cloudId: site.cloud_id,
+          siteName: site.name,
+          mappings: await setFieldMapping(parseInt(id), site.cloud_id, field, fieldIds)
+        });
+      }
+      
+      res.json({ success: true, sites: mappings });
+    } catch (error) {
+      console.error('❌ Update field mapping error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Which stored issue a write by issue key targets, limited to the caller's integrations
+  issueWriteTarget(req) {
+    return {
+      integrationId: req.body?.integrationId || req.query.integrationId,
+      cloudId: req.body?.cloudId || req.query.cloudId,
+      scope: integrationScope(req.user)
+    };
+  }
+
+  async syncIndividualData(integrationId, dataType, options = {}) {
     try {
+      const step = SYNC_STEPS.find(s => s.key === dataType);
+      if (!step) {
+        return { success: false, error: 'Unknown data type' };
+      }
+
       const db = await getDatabase();
       
       // Get integration details
-      const integration = await db.get('SELECT * FROM integrations WHERE id = ?', [integrationId]);
+      const integration = decryptIntegration(await db.get('SELECT * FROM integrations WHERE id = ?', [integrationId]));
       if (!integration) {
         return { success: false, error: 'Integration not found' };
       }
 
-      // Get the real cloud ID from Jira API
-      const { JiraApiService } = await import('./jira-api.js');
-      const apiService = new JiraApiService(integration.access_token);
-      const resources = await apiService.getAccessibleResources();
+      await refreshSites(integrationId);
+      const sites = await getEnabledSites(integrationId);
       
-      if (resources.length === 0) {
-        return { success: false, error: 'No accessible Jira resources found' };
+      if (sites.length === 0) {
+        return { success: false, error: 'No enabled Jira sites found' };
       }
       
-      // Use the first accessible resource
-      const cloudId = resources[0].id;
-      console.log(`🔍 Using cloud ID: ${cloudId}`);
-      
-      const { ComprehensiveJiraSync } = await import('./comprehensive-sync.js');
-      const syncService = new ComprehensiveJiraSync(integration.access_token, cloudId);
+      const result = { success: true, message: `${step.label} synced successfully`, count: 0, sites: [] };
       
-      let result = { success: true, message: '', count: 0 };
-      
-      switch (dataType) {
-        case 'projects':
-          await syncService.syncProjects(integrationId);
-          result.message = 'Projects synced successfully';
-          break;
-        case 'issue-types':
-          await syncService.syncIssueTypes(integrationId);
-          result.message = 'Issue types synced successfully';
-          break;
-        case 'priorities':
-          await syncService.syncPriorities(integrationId);
-          result.message = 'Priorities synced successfully';
-          break;
-        case 'statuses':
-          await syncService.syncStatuses(integrationId);
-          result.message = 'Statuses synced successfully';
-          break;
-        case 'resolutions':
-          await syncService.syncResolutions(integrationId);
-          result.message = 'Resolutions synced successfully';
-          break;
-        case 'users':
-          await syncService.syncUsers(integrationId);
-          result.message = 'Users synced successfully';
-          break;
-        case 'groups':
-          await syncService.syncGroups(integrationId);
-          result.message = 'Groups synced successfully';
-          break;
-        case 'fields':
-          await syncService.syncFields(integrationId);
-          result.message = 'Fields synced successfully';
-          break;
-        case 'labels':
-          await syncService.syncLabels(integrationId);
-          result.message = 'Labels synced successfully';
-          break;
-        case 'components':
-          await syncService.syncComponents(integrationId);
-          result.message = 'Components synced successfully';
-          break;
-        case 'versions':
-          await syncService.syncVersions(integrationId);
-          result.message = 'Versions synced successfully';
-          break;
-        case 'workflows':
-          await syncService.syncWorkflows(integrationId);
-          result.message = 'Workflows synced successfully';
-          break;
-        case 'dashboards':
-          await syncService.syncDashboards(integrationId);
-          result.message = 'Dashboards synced successfully';
-          break;
-        case 'filters':
-          await syncService.syncFilters(integrationId);
-          result.message = 'Filters synced successfully';
-          break;
-        case 'permissions':
-          await syncService.syncPermissions(integrationId);
-          result.message = 'Permissions synced successfully';
-          break;
-        case 'issues':
-          await syncService.syncIssuesComprehensive(integrationId);
-          result.message = 'Issues synced successfully';
-          break;
-        case 'comments':
-          await syncService.syncIssueComments(integrationId);
-          result.message = 'Comments synced successfully';
-          break;
-        case 'worklogs':
-          await syncService.syncIssueWorklogs(integrationId);
-          result.message = 'Worklogs synced successfully';
-          break;
-        case 'attachments':
-          await syncService.syncIssueAttachments(integrationId);
-          result.message = 'Attachments synced successfully';
-          break;
-        case 'issue-links':
-          await syncService.syncIssueLinks(integrationId);
-          result.message = 'Issue links synced successfully';
-          break;
-        default:
-          return { success: false, error: 'Unknown data type' };
+      // Run the step against every enabled cloud site
+      for (const site of sites) {
+        console.log(`🔍 Syncing ${step.label.toLowerCase()} for site ${site.name} (${site.cloud_id})`);
+        
+        const syncService = new ComprehensiveJiraSync(integration.access_token, site.cloud_id, { integrationId: integration.id, integration });
+        const count = await syncService[step.method](integrationId, { full: options.full });
+        
+        result.count += count || 0;
+        result.sites.push({ cloudId: site.cloud_id, name: site.name, count });
+        
+        if (step.key === 'issues') {
+          result.totals = { ...result.totals, [site.cloud_id]: syncService.issueSyncTotals };
+        }
       }
       
       return result;
@@ -1522,3 +2502,10 @@ export class WebServer {
   }
 }
 
+/**
+ * Convert an integrations row into its API representation, without token material
+ */
+function serializeIntegration(integration) {
+  const { access_token, refresh_token, ...account } = integration;
+  return account;
+}
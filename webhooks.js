@@ -0,0 +1,380 @@
+import crypto from 'crypto';
+import { getDatabase } from './database.js';
+import { JiraApiService } from './jira-api.js';
+import { ComprehensiveJiraSync } from './comprehensive-sync.js';
+import { getEnabledSites } from './jira-sites.js';
+import { getFieldMappings, resolveFieldMappings, fillEpicNames } from './field-mapping.js';
+import { reconcileIssue, tombstoneIssue } from './issue-tombstones.js';
+import { decryptIntegration } from './token-crypto.js';
+import { isServerIntegration } from './jira-adapter.js';
+
+// Events the dynamic webhooks subscribe to
+export const WEBHOOK_EVENTS = [
+  'jira:issue_created', 'jira:issue_updated', 'jira:issue_deleted',
+  'comment_created', 'comment_updated', 'comment_deleted',
+  'worklog_created', 'worklog_updated', 'worklog_deleted',
+  'jira:version_created', 'jira:version_updated', 'jira:version_released',
+  'jira:version_unreleased', 'jira:version_moved', 'jira:version_deleted'
+];
+
+// Dynamic webhooks expire 30 days after registration or their last refresh
+const WEBHOOK_LIFETIME_DAYS = 30;
+const REFRESH_WITHIN_DAYS = 7;
+
+/**
+ * Public base URL Jira delivers webhooks to, e.g. https://sync.example.com
+ */
+export function getWebhookBaseUrl() {
+  return process.env.JIRA_WEBHOOK_BASE_URL ? process.env.JIRA_WEBHOOK_BASE_URL.replace(/\/$/, '') : null;
+}
+
+/**
+ * Register webhooks on the enabled sites of an integration (all of them unless cloudIds is given)
+ * Webhooks registered earlier for a site are replaced, so the JQL filter picks up new projects.
+ */
+export async function registerWebhooks(integrationId, cloudIds = null) {
+  const baseUrl = getWebhookBaseUrl();
+  if (!baseUrl) {
+    throw new Error('JIRA_WEBHOOK_BASE_URL is not configured');
+  }
+
+  const { db, integration, apiService } = await getIntegrationApi(integrationId);
+  if (isServerIntegration(integration)) {
+    throw webhookError(400, 'Dynamic webhooks are only available on Jira Cloud');
+  }
+
+  const sites = (await getEnabledSites(integrationId))
+    .filter(site => !cloudIds || cloudIds.includes(site.cloud_id));
+
+  for (const site of sites) {
+    const projects = await db.all(
+      'SELECT project_key FROM jira_projects WHERE integration_id = ? AND cloud_id = ? AND is_active = 1',
+      [integrationId, site.cloud_id]
+    );
+    if (projects.length === 0) {
+      console.warn(`⚠️ No synced projects on site ${site.cloud_id}, skipping webhook registration`);
+      continue;
+    }
+
+    await removeSiteWebhooks(db, apiService, integrationId, site.cloud_id);
+
+    // Issue events require a JQL filter, and only simple project clauses are supported
+    const jqlFilter = `project IN (${projects.map(project => project.project_key).join(', ')})`;
+    const result = await apiService.makeCloudRequest(site.cloud_id, '/webhook', {
+      method: 'POST',
+      body: JSON.stringify({
+        url: `${baseUrl}/webhooks/jira/${integrationId}`,
+        webhooks: [{ events: WEBHOOK_EVENTS, jqlFilter }]
+      })
+    });
+
+    const now = new Date();
+    for (const registration of result.webhookRegistrationResult || []) {
+      if (!registration.createdWebhookId) {
+        console.warn(`⚠️ Webhook registration on site ${site.cloud_id} failed:`, (registration.errors || []).join(', '));
+        continue;
+      }
+
+      await db.run(`
+        INSERT INTO jira_webhooks
+        (integration_id, cloud_id, webhook_id, events, jql_filter, expires_at, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        integrationId,
+        site.cloud_id,
+        String(registration.createdWebhookId),
+        JSON.stringify(WEBHOOK_EVENTS),
+        jqlFilter,
+        new Date(now.getTime() + WEBHOOK_LIFETIME_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+        now.toISOString(),
+        now.toISOString()
+      ]);
+      console.log(`🪝 Registered webhook ${registration.createdWebhookId} on site ${site.cloud_id}`);
+    }
+  }
+
+  return await listWebhooks(integrationId);
+}
+
+/**
+ * Keep the webhooks of an integration alive
+ * Sites without webhooks get them registered; webhooks close to expiry are refreshed,
+ * and re-registered if Jira no longer knows them.
+ */
+export async function refreshWebhooks(integrationId) {
+  const { db, integration, apiService } = await getIntegrationApi(integrationId);
+  if (isServerIntegration(integration)) {
+    return [];
+  }
+
+  const sites = await getEnabledSites(integrationId);
+  const refreshBefore = new Date(Date.now() + REFRESH_WITHIN_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const unregistered = [];
+
+  for (const site of sites) {
+    const webhooks = await db.all(
+      'SELECT * FROM jira_webhooks WHERE integration_id = ? AND cloud_id = ?',
+      [integrationId, site.cloud_id]
+    );
+
+    if (webhooks.length === 0) {
+      unregistered.push(site.cloud_id);
+      continue;
+    }
+
+    const expiring = webhooks.filter(webhook => !webhook.expires_at || webhook.expires_at < refreshBefore);
+    if (expiring.length === 0) continue;
+
+    try {
+      const result = await apiService.makeCloudRequest(site.cloud_id, '/webhook/refresh', {
+        method: 'PUT',
+        body: JSON.stringify({ webhookIds: expiring.map(webhook => Number(webhook.webhook_id)) })
+      });
+      const expiresAt = result?.expirationDate
+        ? new Date(result.expirationDate).toISOString()
+        : new Date(Date.now() + WEBHOOK_LIFETIME_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+      for (const webhook of expiring) {
+        await db.run(
+          'UPDATE jira_webhooks SET expires_at = ?, updated_at = ? WHERE id = ?',
+          [expiresAt, new Date().toISOString(), webhook.id]
+        );
+      }
+      console.log(`🔄 Refreshed ${expiring.length} webhook(s) on site ${site.cloud_id} until ${expiresAt}`);
+    } catch (error) {
+      if (error.status !== 404) throw error;
+
+      console.warn(`⚠️ Webhooks on site ${site.cloud_id} are gone, registering them again`);
+      await db.run('DELETE FROM jira_webhooks WHERE integration_id = ? AND cloud_id = ?', [integrationId, site.cloud_id]);
+      unregistered.push(site.cloud_id);
+    }
+  }
+
+  if (unregistered.length > 0) {
+    return await registerWebhooks(integrationId, unregistered);
+  }
+  return await listWebhooks(integrationId);
+}
+
+/**
+ * Remove every webhook an integration registered
+ */
+export async function unregisterWebhooks(integrationId) {
+  const { db, apiService } = await getIntegrationApi(integrationId);
+  const sites = await db.all(
+    'SELECT DISTINCT cloud_id FROM jira_webhooks WHERE integration_id = ?',
+    [integrationId]
+  );
+
+  for (const site of sites) {
+    await removeSiteWebhooks(db, apiService, integrationId, site.cloud_id);
+  }
+}
+
+/**
+ * List the registered webhooks of an integration
+ */
+export async function listWebhooks(integrationId) {
+  const db = await getDatabase();
+  const webhooks = await db.all(
+    'SELECT * FROM jira_webhooks WHERE integration_id = ? ORDER BY cloud_id, webhook_id',
+    [integrationId]
+  );
+  return webhooks.map(webhook => ({ ...webhook, events: JSON.parse(webhook.events || '[]') }));
+}
+
+/**
+ * Check that a webhook request was sent by Jira for one of the integration's webhooks
+ * Jira signs webhooks of OAuth 2.0 apps with a JWT (HS256, keyed with the app's client secret).
+ * Returns the cloud id the event belongs to.
+ */
+export async function verifyWebhookRequest(integrationId, req) {
+  const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  if (!token || !verifyJwt(token, process.env.JIRA_CLIENT_SECRET)) {
+    throw webhookError(401, 'Invalid webhook signature');
+  }
+
+  const webhookIds = (req.body?.matchedWebhookIds || []).map(String);
+  if (webhookIds.length === 0) {
+    throw webhookError(400, 'Webhook payload has no matchedWebhookIds');
+  }
+
+  const db = await getDatabase();
+  const webhook = await db.get(
+    `SELECT cloud_id FROM jira_webhooks WHERE integration_id = ? AND webhook_id IN (${webhookIds.map(() => '?').join(', ')})`,
+    [integrationId, ...webhookIds]
+  );
+  if (!webhook) {
+    throw webhookError(404, 'Unknown webhook');
+  }
+
+  return webhook.cloud_id;
+}
+
+/**
+ * Apply a webhook event to the stored data of a site
+ */
+export async function applyWebhookEvent(integrationId, cloudId, payload) {
+  const { db, integration } = await getIntegrationApi(integrationId);
+  const sync = new ComprehensiveJiraSync(integration.access_token, cloudId, { integrationId, integration });
+  const event = payload.webhookEvent;
+  let applied = true;
+
+  switch (event) {
+    case 'jira:issue_created':
+    case 'jira:issue_updated': {
+      const issue = payload.issue;
+      sync.fieldMappings = await getFieldMappings(integrationId, cloudId);
+      if (Object.keys(sync.fieldMappings).length === 0) {
+        sync.fieldMappings = await resolveFieldMappings(integrationId, cloudId);
+      }
+
+      await reconcileIssue(integrationId, cloudId, issue.id, issue.key);
+      await sync.upsertIssue(integrationId, issue.fields?.project?.key || issue.key.split('-')[0], issue);
+      if (payload.changelog?.items?.length) {
+        await sync.saveChangelogHistory(integrationId, issue.key, {
+          id: payload.changelog.id,
+          author: payload.user,
+          created: new Date(payload.timestamp || Date.now()).toISOString(),
+          items: payload.changelog.items
+        });
+      }
+      await fillEpicNames(integrationId, cloudId, sync.fieldMappings);
+      break;
+    }
+
+    case 'jira:issue_deleted':
+      await tombstoneIssue(integrationId, cloudId, payload.issue.key);
+      break;
+
+    case 'comment_created':
+    case 'comment_updated':
+      await sync.saveComment(integrationId, payload.issue.key, payload.comment);
+      break;
+
+    case 'comment_deleted':
+      await markDeleted(db, 'jira_comments', 'comment_id', integrationId, cloudId, payload.comment.id);
+      break;
+
+    case 'worklog_created':
+    case 'worklog_updated': {
+      const issueKey = await findIssueKey(db, sync, integrationId, cloudId, payload.worklog.issueId);
+      await sync.saveWorklog(integrationId, issueKey, payload.worklog);
+      break;
+    }
+
+    case 'worklog_deleted':
+      await markDeleted(db, 'jira_worklogs', 'worklog_id', integrationId, cloudId, payload.worklog.id);
+      break;
+
+    case 'jira:version_created':
+    case 'jira:version_updated':
+    case 'jira:version_released':
+    case 'jira:version_unreleased':
+    case 'jira:version_moved': {
+      const project = await db.get(
+        'SELECT project_key FROM jira_projects WHERE integration_id = ? AND cloud_id = ? AND project_id = ?',
+        [integrationId, cloudId, String(payload.version.projectId)]
+      );
+      await sync.saveVersion(integrationId, project?.project_key || null, payload.version);
+      break;
+    }
+
+    case 'jira:version_deleted':
+      await db.run(
+        'DELETE FROM jira_versions WHERE integration_id = ? AND cloud_id = ? AND version_id = ?',
+        [integrationId, cloudId, String(payload.version.id)]
+      );
+      break;
+
+    default:
+      applied = false;
+  }
+
+  const webhookIds = (payload.matchedWebhookIds || []).map(String);
+  await db.run(
+    `UPDATE jira_webhooks SET last_event_at = ? WHERE integration_id = ? AND webhook_id IN (${webhookIds.map(() => '?').join(', ')})`,
+    [new Date().toISOString(), integrationId, ...webhookIds]
+  );
+
+  console.log(`🪝 ${applied ? 'Applied' : 'Ignored'} ${event} for integration ${integrationId} on site ${cloudId}`);
+  return { event, applied };
+}
+
+async function getIntegrationApi(integrationId) {
+  const db = await getDatabase();
+  const integration = decryptIntegration(await db.get(
+    'SELECT * FROM integrations WHERE id = ? AND is_active = 1',
+    [integrationId]
+  ));
+
+  if (!integration) {
+    throw webhookError(404, 'Integration not found or inactive');
+  }
+
+  const apiService = new JiraApiService(integration.access_token, undefined, { integrationId: integration.id, integration });
+  return { db, integration, apiService };
+}
+
+async function removeSiteWebhooks(db, apiService, integrationId, cloudId) {
+  const webhooks = await db.all(
+    'SELECT webhook_id FROM jira_webhooks WHERE integration_id = ? AND cloud_id = ?',
+    [integrationId, cloudId]
+  );
+  if (webhooks.length === 0) return;
+
+  try {
+    await apiService.makeCloudRequest(cloudId, '/webhook', {
+      method: 'DELETE',
+      body: JSON.stringify({ webhookIds: webhooks.map(webhook => Number(webhook.webhook_id)) })
+    });
+  } catch (error) {
+    // Webhooks that already expired are gone on the Jira side
+    if (error.status !== 404) throw error;
+  }
+
+  await db.run('DELETE FROM jira_webhooks WHERE integration_id = ? AND cloud_id = ?', [integrationId, cloudId]);
+  console.log(`🗑️ Removed ${webhooks.length} webhook(s) from site ${cloudId}`);
+}
+
+async function findIssueKey(db, sync, integrationId, cloudId, issueId) {
+  const issue = await db.get(
+    'SELECT issue_key FROM jira_issues WHERE integration_id = ? AND cloud_id = ? AND issue_id = ?',
+    [integrationId, cloudId, String(issueId)]
+  );
+  if (issue) return issue.issue_key;
+
+  const fetched = await sync.makeRequest(`/issue/${issueId}?fields=summary`);
+  return fetched.key;
+}
+
+async function markDeleted(db, table, idColumn, integrationId, cloudId, id) {
+  await db.run(
+    `UPDATE ${table} SET deleted_at = ? WHERE integration_id = ? AND cloud_id = ? AND ${idColumn} = ?`,
+    [new Date().toISOString(), integrationId, cloudId, String(id)]
+  );
+}
+
+function verifyJwt(token, secret) {
+  const [header, payload, signature] = token.split('.');
+  if (!secret || !header || !payload || !signature) return false;
+
+  try {
+    if (JSON.parse(Buffer.from(header, 'base64url').toString()).alg !== 'HS256') return false;
+
+    const expected = Buffer.from(crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url'));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return false;
+
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    return !claims.exp || claims.exp * 1000 > Date.now();
+  } catch {
+    return false;
+  }
+}
+
+function webhookError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
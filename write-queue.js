@@ -0,0 +1,372 @@
+import crypto from 'crypto';
+import { getDatabase } from './database.js';
+import {
+  findIssueForWrite, getIssueUpdated, updateIssue, transitionIssue, addComment, addWorklog,
+  updateWorklog, deleteWorklog, validateWrite
+} from './issue-writes.js';
+
+export const MUTATION_STATUS = {
+  PENDING: 'pending',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  CONFLICT: 'conflict',
+  DISCARDED: 'discarded'
+};
+
+// Mutations that hold back later writes to the same issue
+const OPEN_STATUSES = [MUTATION_STATUS.PENDING, MUTATION_STATUS.CONFLICT];
+
+// Writes that can be queued; idempotent ones are safe to repeat after a 5xx or network error that may
+// have been applied
+const OPERATIONS = {
+  update_issue: { idempotent: true, run: (issue, input) => updateIssue(issue, input) },
+  transition_issue: { idempotent: false, run: (issue, input) => transitionIssue(issue, input) },
+  add_comment: { idempotent: false, run: (issue, input) => addComment(issue, input) },
+  add_worklog: { idempotent: false, run: (issue, input) => addWorklog(issue, input) },
+  update_worklog: { idempotent: true, run: (issue, input, targetId) => updateWorklog(issue, targetId, input) },
+  delete_worklog: { idempotent: true, run: (issue, input, targetId) => deleteWorklog(issue, targetId) }
+};
+
+const MAX_ATTEMPTS = 10;
+const MAX_BACKOFF_MINUTES = 60;
+
+/**
+ * Persisted queue of writes to Jira that could not be applied right away
+ * Writes are retried by the scheduler while Jira throttles or a token is refreshed. Before a
+ * queued write is applied, the issue's `updated` timestamp in Jira is compared with the one
+ * stored when the write was submitted; if someone changed the issue in between, the write is
+ * held as a conflict until it is applied anyway or discarded.
+ */
+export class WriteQueue {
+  constructor() {
+    this.isProcessing = false;
+  }
+
+  /**
+   * Apply a write, or queue it when Jira cannot take it right now
+   * Writes to an issue that already has queued writes are checked and queued behind them.
+   * Returns { queued: false, result } or { queued: true, mutation }.
+   */
+  async submit(operation, issue, input = {}, options = {}) {
+    if (!OPERATIONS[operation]) {
+      throw queueError(400, `Unknown write operation: ${operation}`);
+    }
+
+    const db = await getDatabase();
+    const open = await db.get(`
+      SELECT COUNT(*) as count FROM jira_write_queue
+      WHERE integration_id = ? AND cloud_id = ? AND issue_key = ? AND status IN (?, ?)
+    `, [issue.integration_id, issue.cloud_id, issue.issue_key, ...OPEN_STATUSES]);
+
+    if (open.count > 0) {
+      await validateWrite(operation, issue, input, options.targetId);
+      return { queued: true, mutation: await this.enqueue(operation, issue, input, options) };
+    }
+
+    try {
+      const result = await OPERATIONS[operation].run(issue, input, options.targetId);
+      return { queued: false, result };
+    } catch (error) {
+      if (!isRetryable(error, operation)) throw error;
+
+      console.warn(`⚠️ ${operation} on issue ${issue.issue_key} deferred:`, error.message);
+      return { queued: true, mutation: await this.enqueue(operation, issue, input, { ...options, error }) };
+    }
+  }
+
+  /**
+   * Queue a write to a stored issue
+   * options: { userId, targetId, error }, targetId being the worklog a worklog write changes
+   */
+  async enqueue(operation, issue, input = {}, options = {}) {
+    const db = await getDatabase();
+    const mutationId = crypto.randomUUID();
+    const now = new Date().toISOString();
+    // A write that already failed once waits for its first retry
+    const nextAttemptAt = options.error ? retryAt(1) : now;
+
+    await db.run(`
+      INSERT INTO jira_write_queue
+      (mutation_id, integration_id, cloud_id, issue_key, operation, target_id, payload, base_updated,
+       status, attempts, next_attempt_at, last_error, created_by, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      mutationId,
+      issue.integration_id,
+      issue.cloud_id,
+      issue.issue_key,
+      operation,
+      options.targetId !== undefined ? String(options.targetId) : null,
+      JSON.stringify(input),
+      issue.updated || null,
+      MUTATION_STATUS.PENDING,
+      options.error ? 1 : 0,
+      nextAttemptAt,
+      options.error ? options.error.message : null,
+      options.userId || null,
+      now,
+      now
+    ]);
+
+    console.log(`📥 Queued ${operation} on issue ${issue.issue_key} as write ${mutationId}`);
+    return await this.getMutation(mutationId);
+  }
+
+  /**
+   * Get a queued write by its id
+   */
+  async getMutation(mutationId) {
+    const db = await getDatabase();
+    const row = await db.get('SELECT * FROM jira_write_queue WHERE mutation_id = ?', [mutationId]);
+    return row ? formatMutation(row) : null;
+  }
+
+  /**
+   * List the queued writes of an integration, newest first
+   */
+  async listMutations(integrationId, options = {}) {
+    const { status, limit = 50 } = options;
+    const db = await getDatabase();
+    let query = 'SELECT * FROM jira_write_queue WHERE integration_id = ?';
+    const params = [integrationId];
+
+    if (status) {
+      query += ' AND status = ?';
+      params.push(status);
+    }
+    query += ' ORDER BY id DESC LIMIT ?';
+    params.push(limit);
+
+    const rows = await db.all(query, params);
+    return rows.map(formatMutation);
+  }
+
+  /**
+   * Resolve a conflicted or failed write
+   * 'apply' retries it without the conflict check, 'discard' drops it; pending writes can be
+   * discarded too.
+   */
+  async resolve(mutationId, action) {
+    const db = await getDatabase();
+    const mutation = await this.getMutation(mutationId);
+    if (!mutation) {
+      throw queueError(404, 'Write not found');
+    }
+
+    const now = new Date().toISOString();
+    if (action === 'apply') {
+      if (![MUTATION_STATUS.CONFLICT, MUTATION_STATUS.FAILED].includes(mutation.status)) {
+        throw queueError(409, `Only conflicted or failed writes can be applied; this one is ${mutation.status}`);
+      }
+      await db.run(`
+        UPDATE jira_write_queue
+        SET status = ?, force = 1, attempts = 0, next_attempt_at = ?, completed_at = NULL, updated_at = ?
+        WHERE mutation_id = ?
+      `, [MUTATION_STATUS.PENDING, now, now, mutationId]);
+      console.log(`🔁 Write ${mutationId} will be applied as requested`);
+      this.processQueue();
+    } else if (action === 'discard') {
+      if (![MUTATION_STATUS.PENDING, MUTATION_STATUS.CONFLICT, MUTATION_STATUS.FAILED].includes(mutation.status)) {
+        throw queueError(409, `Only pending, conflicted or failed writes can be discarded; this one is ${mutation.status}`);
+      }
+      await db.run(
+        'UPDATE jira_write_queue SET status = ?, completed_at = ?, updated_at = ? WHERE mutation_id = ?',
+        [MUTATION_STATUS.DISCARDED, now, now, mutationId]
+      );
+      console.log(`🗑️ Write ${mutationId} discarded`);
+      // Writes queued behind it can go ahead now
+      this.processQueue();
+    } else {
+      throw queueError(400, 'action must be "apply" or "discard"');
+    }
+
+    return await this.getMutation(mutationId);
+  }
+
+  /**
+   * Apply due writes one after another, oldest first
+   * A write waits while an earlier write to the same issue is pending or conflicted, so the
+   * writes to an issue reach Jira in the order they were submitted.
+   */
+  async processQueue() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
+    try {
+      const db = await getDatabase();
+
+      while (true) {
+        const row = await db.get(`
+          SELECT * FROM jira_write_queue q
+          WHERE q.status = ? AND q.next_attempt_at <= ?
+            AND NOT EXISTS (
+              SELECT 1 FROM jira_write_queue earlier
+              WHERE earlier.integration_id = q.integration_id AND earlier.cloud_id = q.cloud_id
+                AND earlier.issue_key = q.issue_key AND earlier.status IN (?, ?) AND earlier.id < q.id
+            )
+          ORDER BY q.id ASC LIMIT 1
+        `, [MUTATION_STATUS.PENDING, new Date().toISOString(), ...OPEN_STATUSES]);
+        if (!row) break;
+
+        await this.runMutation(row);
+      }
+    } catch (error) {
+      console.error('❌ Write queue error:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Apply a single write and record its outcome
+   */
+  async runMutation(row) {
+    const db = await getDatabase();
+    const attempts = row.attempts + 1;
+
+    try {
+      const issue = await findIssueForWrite(row.issue_key, { integrationId: row.integration_id, cloudId: row.cloud_id });
+
+      if (!row.force && row.base_updated) {
+        const jiraUpdated = await getIssueUpdated(issue);
+        if (jiraUpdated && Date.parse(jiraUpdated) !== Date.parse(row.base_updated)) {
+          await db.run(`
+            UPDATE jira_write_queue SET status = ?, attempts = ?, conflict = ?, updated_at = ?
+            WHERE id = ?
+          `, [
+            MUTATION_STATUS.CONFLICT,
+            attempts,
+            JSON.stringify({ syncedUpdated: row.base_updated, jiraUpdated }),
+            new Date().toISOString(),
+            row.id
+          ]);
+          console.warn(`⚠️ Write ${row.mutation_id} conflicts: ${row.issue_key} was changed in Jira at ${jiraUpdated}`);
+          return;
+        }
+      }
+
+      const result = await OPERATIONS[row.operation].run(issue, JSON.parse(row.payload || '{}'), row.target_id);
+      const now = new Date().toISOString();
+      await db.run(`
+        UPDATE jira_write_queue
+        SET status = ?, attempts = ?, last_error = NULL, result = ?, completed_at = ?, updated_at = ?
+        WHERE id = ?
+      `, [
+        MUTATION_STATUS.SUCCEEDED,
+        attempts,
+        JSON.stringify(result ?? null, (key, value) => key === 'raw_data' ? undefined : value),
+        now,
+        now,
+        row.id
+      ]);
+      console.log(`✅ Applied ${row.operation} on issue ${row.issue_key} (write ${row.mutation_id})`);
+
+      if (!row.force) {
+        await this.rebase(row, issue);
+      }
+    } catch (error) {
+      const retry = isRetryable(error, row.operation) && attempts < MAX_ATTEMPTS;
+      const nextAttemptAt = retry ? retryAt(attempts) : row.next_attempt_at;
+      const now = new Date().toISOString();
+
+      await db.run(`
+        UPDATE jira_write_queue
+        SET status = ?, attempts = ?, last_error = ?, next_attempt_at = ?, completed_at = ?, updated_at = ?
+        WHERE id = ?
+      `, [
+        retry ? MUTATION_STATUS.PENDING : MUTATION_STATUS.FAILED,
+        attempts,
+        error.message,
+        nextAttemptAt,
+        retry ? null : now,
+        now,
+        row.id
+      ]);
+
+      if (retry) {
+        console.warn(`⚠️ Write ${row.mutation_id} failed (attempt ${attempts}), retrying at ${nextAttemptAt}:`, error.message);
+      } else {
+        console.error(`❌ Write ${row.mutation_id} failed:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Move later writes to the issue onto the `updated` timestamp our own write produced,
+   * so they are not mistaken for conflicts with it
+   */
+  async rebase(row, issue) {
+    const db = await getDatabase();
+
+    try {
+      const jiraUpdated = await getIssueUpdated(issue);
+      if (!jiraUpdated) return;
+
+      await db.run(`
+        UPDATE jira_write_queue SET base_updated = ?, updated_at = ?
+        WHERE integration_id = ? AND cloud_id = ? AND issue_key = ? AND status = ?
+          AND base_updated = ? AND id > ?
+      `, [
+        jiraUpdated,
+        new Date().toISOString(),
+        row.integration_id,
+        row.cloud_id,
+        row.issue_key,
+        MUTATION_STATUS.PENDING,
+        row.base_updated,
+        row.id
+      ]);
+    } catch (error) {
+      console.warn(`⚠️ Could not check ${row.issue_key} after write ${row.mutation_id}; later writes may report a conflict:`, error.message);
+    }
+  }
+}
+
+/**
+ * Whether a write failed for a reason that may pass: Jira throttling or unavailable, a token
+ * that was refreshing, a server error or a network error. Server and network errors are only
+ * retried for writes that are safe to repeat; any other error is final.
+ */
+function isRetryable(error, operation) {
+  if ([401, 429, 503].includes(error.jiraStatus)) return true;
+  if (error.network || [500, 502, 504].includes(error.jiraStatus)) {
+    return OPERATIONS[operation].idempotent;
+  }
+  return false;
+}
+
+/**
+ * When to retry after a number of failed attempts: 1, 2, 4 … minutes, at most an hour
+ */
+function retryAt(attempts) {
+  const minutes = Math.min(2 ** (attempts - 1), MAX_BACKOFF_MINUTES);
+  return new Date(Date.now() + minutes * 60 * 1000).toISOString();
+}
+
+/**
+ * Convert a jira_write_queue row into its API representation
+ */
+function formatMutation(row) {
+  return {
+    ...row,
+    payload: JSON.parse(row.payload || '{}'),
+    conflict: row.conflict ? JSON.parse(row.conflict) : null,
+    result: row.result ? JSON.parse(row.result) : null,
+    force: Boolean(row.force)
+  };
+}
+
+function queueError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+let queue = null;
+
+export function getWriteQueue() {
+  if (!queue) {
+    queue = new WriteQueue();
+  }
+  return queue;
+}